@@ -0,0 +1,9441 @@
+"use strict";
+
+/**
+ * English pronunciation lexicon used for phoneme-level feedback.
+ *
+ * The words of a 10,000-word English frequency list that are in the CMU
+ * Pronouncing Dictionary (about 9,400), one "word PHONEMES" entry per line,
+ * in ARPAbet with stress digits (0 unstressed, 1 primary, 2 secondary).
+ * Words with several pronunciations keep the first one.
+ *
+ * The CMU Pronouncing Dictionary is Copyright (C) 1993-2015 Carnegie Mellon
+ * University and is redistributed under its BSD-style licence; the entries
+ * were taken from the cmu-pronouncing-dictionary package (ISC licence).
+ */
+const PRONUNCIATION_LEXICON_EN = `
+the DH AH0
+of AH1 V
+and AH0 N D
+to T UW1
+a AH0
+in IH0 N
+for F AO1 R
+is IH1 Z
+on AA1 N
+that DH AE1 T
+by B AY1
+this DH IH1 S
+with W IH1 DH
+i AY1
+you Y UW1
+it IH1 T
+not N AA1 T
+or AO1 R
+be B IY1
+are AA1 R
+from F R AH1 M
+at AE1 T
+as AE1 Z
+your Y AO1 R
+all AO1 L
+have HH AE1 V
+new N UW1
+more M AO1 R
+an AE1 N
+was W AA1 Z
+we W IY1
+will W IH1 L
+home HH OW1 M
+can K AE1 N
+us AH1 S
+about AH0 B AW1 T
+if IH1 F
+page P EY1 JH
+my M AY1
+has HH AE1 Z
+search S ER1 CH
+free F R IY1
+but B AH1 T
+our AW1 ER0
+one W AH1 N
+other AH1 DH ER0
+do D UW1
+no N OW1
+information IH2 N F ER0 M EY1 SH AH0 N
+time T AY1 M
+they DH EY1
+site S AY1 T
+he HH IY1
+up AH1 P
+may M EY1
+what W AH1 T
+which W IH1 CH
+their DH EH1 R
+news N UW1 Z
+out AW1 T
+use Y UW1 S
+any EH1 N IY0
+there DH EH1 R
+see S IY1
+only OW1 N L IY0
+so S OW1
+his HH IH1 Z
+when W EH1 N
+contact K AA1 N T AE2 K T
+here HH IY1 R
+business B IH1 Z N AH0 S
+who HH UW1
+web W EH1 B
+also AO1 L S OW0
+now N AW1
+help HH EH1 L P
+get G EH1 T
+pm P IY1 EH1 M
+view V Y UW1
+online AO1 N L AY2 N
+c S IY1
+e IY1
+first F ER1 S T
+am AE1 M
+been B IH1 N
+would W UH1 D
+how HH AW1
+were W ER1
+me M IY1
+s EH1 S
+services S ER1 V AH0 S AH0 Z
+some S AH1 M
+these DH IY1 Z
+click K L IH1 K
+its IH1 T S
+like L AY1 K
+service S ER1 V AH0 S
+x EH1 K S
+than DH AE1 N
+find F AY1 N D
+price P R AY1 S
+date D EY1 T
+back B AE1 K
+top T AA1 P
+people P IY1 P AH0 L
+had HH AE1 D
+list L IH1 S T
+name N EY1 M
+just JH AH1 S T
+over OW1 V ER0
+state S T EY1 T
+year Y IH1 R
+day D EY1
+into IH1 N T UW0
+email IY0 M EY1 L
+two T UW1
+health HH EH1 L TH
+n EH1 N
+world W ER1 L D
+re R EY1
+next N EH1 K S T
+used Y UW1 Z D
+go G OW1
+b B IY1
+work W ER1 K
+last L AE1 S T
+most M OW1 S T
+products P R AA1 D AH0 K T S
+music M Y UW1 Z IH0 K
+buy B AY1
+data D EY1 T AH0
+make M EY1 K
+them DH EH1 M
+should SH UH1 D
+product P R AA1 D AH0 K T
+system S IH1 S T AH0 M
+post P OW1 S T
+her HH ER1
+city S IH1 T IY0
+t T IY1
+add AE1 D
+policy P AA1 L AH0 S IY0
+number N AH1 M B ER0
+such S AH1 CH
+please P L IY1 Z
+available AH0 V EY1 L AH0 B AH0 L
+copyright K AA1 P IY0 R AY2 T
+support S AH0 P AO1 R T
+message M EH1 S AH0 JH
+after AE1 F T ER0
+best B EH1 S T
+software S AO1 F T W EH2 R
+then DH EH1 N
+jan JH AE1 N
+good G UH1 D
+video V IH1 D IY0 OW0
+well W EH1 L
+d D IY1
+where W EH1 R
+info IH1 N F OW0
+rights R AY1 T S
+public P AH1 B L IH0 K
+books B UH1 K S
+high HH AY1
+school S K UW1 L
+through TH R UW1
+m EH1 M
+each IY1 CH
+links L IH1 NG K S
+she SH IY1
+review R IY2 V Y UW1
+years Y IH1 R Z
+order AO1 R D ER0
+very V EH1 R IY0
+privacy P R AY1 V AH0 S IY0
+book B UH1 K
+items AY1 T AH0 M Z
+company K AH1 M P AH0 N IY2
+r AA1 R
+read R EH1 D
+group G R UW1 P
+sex S EH1 K S
+need N IY1 D
+many M EH1 N IY0
+user Y UW1 Z ER0
+said S EH1 D
+de D IY1
+does D AH1 Z
+set S EH1 T
+under AH1 N D ER0
+general JH EH1 N ER0 AH0 L
+research R IY0 S ER1 CH
+university Y UW2 N AH0 V ER1 S AH0 T IY0
+january JH AE1 N Y UW0 EH2 R IY0
+mail M EY1 L
+full F UH1 L
+map M AE1 P
+reviews R IY0 V Y UW1 Z
+program P R OW1 G R AE2 M
+life L AY1 F
+know N OW1
+games G EY1 M Z
+way W EY1
+days D EY1 Z
+management M AE1 N AH0 JH M AH0 N T
+p P IY1
+part P AA1 R T
+could K UH1 D
+great G R EY1 T
+united Y UW0 N AY1 T IH0 D
+hotel HH OW0 T EH1 L
+real R IY1 L
+f EH1 F
+item AY1 T AH0 M
+international IH2 N T ER0 N AE1 SH AH0 N AH0 L
+center S EH1 N T ER0
+ebay IY1 B EY2
+must M AH1 S T
+store S T AO1 R
+travel T R AE1 V AH0 L
+comments K AA1 M EH0 N T S
+made M EY1 D
+development D IH0 V EH1 L AH0 P M AH0 N T
+report R IY0 P AO1 R T
+off AO1 F
+member M EH1 M B ER0
+details D IH0 T EY1 L Z
+line L AY1 N
+terms T ER1 M Z
+before B IH0 F AO1 R
+hotels HH OW0 T EH1 L Z
+did D IH1 D
+send S EH1 N D
+right R AY1 T
+type T AY1 P
+because B IH0 K AO1 Z
+local L OW1 K AH0 L
+those DH OW1 Z
+using Y UW1 Z IH0 NG
+results R IH0 Z AH1 L T S
+office AO1 F IH0 S
+education EH2 JH AH0 K EY1 SH AH0 N
+national N AE1 SH AH0 N AH0 L
+car K AA1 R
+design D IH0 Z AY1 N
+take T EY1 K
+posted P OW1 S T IH0 D
+internet IH1 N T ER0 N EH2 T
+address AE1 D R EH2 S
+community K AH0 M Y UW1 N AH0 T IY0
+within W IH0 DH IH1 N
+states S T EY1 T S
+area EH1 R IY0 AH0
+want W AA1 N T
+phone F OW1 N
+dvd D IY2 V IY2 D IY1
+shipping SH IH1 P IH0 NG
+reserved R IH0 Z ER1 V D
+subject S AH0 B JH EH1 K T
+between B IH0 T W IY1 N
+forum F AO1 R AH0 M
+family F AE1 M AH0 L IY0
+l EH1 L
+long L AO1 NG
+based B EY1 S T
+w D AH1 B AH0 L Y UW0
+code K OW1 D
+show SH OW1
+o OW1
+even IY1 V IH0 N
+black B L AE1 K
+check CH EH1 K
+special S P EH1 SH AH0 L
+prices P R AY1 S AH0 Z
+website W EH1 B S AY2 T
+index IH1 N D EH0 K S
+being B IY1 IH0 NG
+women W IH1 M AH0 N
+much M AH1 CH
+sign S AY1 N
+file F AY1 L
+link L IH1 NG K
+open OW1 P AH0 N
+today T AH0 D EY1
+technology T EH0 K N AA1 L AH0 JH IY0
+south S AW1 TH
+case K EY1 S
+project P R AA1 JH EH0 K T
+same S EY1 M
+pages P EY1 JH AH0 Z
+uk Y UW2 K EY1
+version V ER1 ZH AH0 N
+section S EH1 K SH AH0 N
+own OW1 N
+found F AW1 N D
+sports S P AO1 R T S
+house HH AW1 S
+related R IH0 L EY1 T IH0 D
+security S IH0 K Y UH1 R AH0 T IY0
+both B OW1 TH
+g JH IY1
+county K AW1 N T IY0
+american AH0 M EH1 R AH0 K AH0 N
+photo F OW1 T OW2
+game G EY1 M
+members M EH1 M B ER0 Z
+power P AW1 ER0
+while W AY1 L
+care K EH1 R
+network N EH1 T W ER2 K
+down D AW1 N
+computer K AH0 M P Y UW1 T ER0
+systems S IH1 S T AH0 M Z
+three TH R IY1
+total T OW1 T AH0 L
+place P L EY1 S
+end EH1 N D
+following F AA1 L OW0 IH0 NG
+download D AW1 N L OW2 D
+h EY1 CH
+him HH IH1 M
+without W IH0 TH AW1 T
+per P ER1
+access AE1 K S EH2 S
+think TH IH1 NG K
+north N AO1 R TH
+resources R IY1 S AO0 R S IH0 Z
+current K ER1 AH0 N T
+posts P OW1 S T S
+big B IH1 G
+media M IY1 D IY0 AH0
+law L AO1
+control K AH0 N T R OW1 L
+water W AO1 T ER0
+history HH IH1 S T ER0 IY0
+pictures P IH1 K CH ER0 Z
+size S AY1 Z
+art AA1 R T
+personal P ER1 S IH0 N AH0 L
+since S IH1 N S
+including IH2 N K L UW1 D IH0 NG
+guide G AY1 D
+shop SH AA1 P
+directory D ER0 EH1 K T ER0 IY0
+board B AO1 R D
+location L OW0 K EY1 SH AH0 N
+change CH EY1 N JH
+white W AY1 T
+text T EH1 K S T
+small S M AO1 L
+rating R EY1 T IH0 NG
+rate R EY1 T
+government G AH1 V ER0 M AH0 N T
+children CH IH1 L D R AH0 N
+during D UH1 R IH0 NG
+usa Y UW2 EH2 S EY1
+return R IH0 T ER1 N
+students S T UW1 D AH0 N T S
+v V IY1
+shopping SH AA1 P IH0 NG
+account AH0 K AW1 N T
+times T AY1 M Z
+sites S AY1 T S
+level L EH1 V AH0 L
+digital D IH1 JH AH0 T AH0 L
+profile P R OW1 F AY2 L
+previous P R IY1 V IY0 AH0 S
+form F AO1 R M
+events IH0 V EH1 N T S
+love L AH1 V
+old OW1 L D
+john JH AA1 N
+main M EY1 N
+call K AO1 L
+hours AW1 ER0 Z
+image IH1 M AH0 JH
+department D IH0 P AA1 R T M AH0 N T
+title T AY1 T AH0 L
+description D IH0 S K R IH1 P SH AH0 N
+non N AA1 N
+k K EY1
+y W AY1
+insurance IH2 N SH UH1 R AH0 N S
+another AH0 N AH1 DH ER0
+why W AY1
+shall SH AE1 L
+property P R AA1 P ER0 T IY0
+class K L AE1 S
+cd S IY2 D IY1
+still S T IH1 L
+money M AH1 N IY0
+quality K W AA1 L AH0 T IY0
+every EH1 V ER0 IY0
+listing L IH1 S T IH0 NG
+content K AA1 N T EH0 N T
+country K AH1 N T R IY0
+private P R AY1 V AH0 T
+little L IH1 T AH0 L
+visit V IH1 Z IH0 T
+save S EY1 V
+tools T UW1 L Z
+low L OW1
+reply R IH0 P L AY1
+customer K AH1 S T AH0 M ER0
+december D IH0 S EH1 M B ER0
+compare K AH0 M P EH1 R
+movies M UW1 V IY0 Z
+include IH2 N K L UW1 D
+college K AA1 L IH0 JH
+value V AE1 L Y UW0
+article AA1 R T AH0 K AH0 L
+york Y AO1 R K
+man M AE1 N
+card K AA1 R D
+jobs JH AA1 B Z
+provide P R AH0 V AY1 D
+j JH EY1
+food F UW1 D
+source S AO1 R S
+author AO1 TH ER0
+different D IH1 F ER0 AH0 N T
+press P R EH1 S
+u Y UW1
+learn L ER1 N
+sale S EY1 L
+around ER0 AW1 N D
+print P R IH1 N T
+course K AO1 R S
+job JH AA1 B
+canada K AE1 N AH0 D AH0
+process P R AA1 S EH2 S
+teen T IY1 N
+room R UW1 M
+stock S T AA1 K
+training T R EY1 N IH0 NG
+too T UW1
+credit K R EH1 D AH0 T
+point P OY1 N T
+join JH OY1 N
+science S AY1 AH0 N S
+men M EH1 N
+categories K AE1 T AH0 G AO2 R IY0 Z
+advanced AH0 D V AE1 N S T
+west W EH1 S T
+sales S EY1 L Z
+look L UH1 K
+english IH1 NG G L IH0 SH
+left L EH1 F T
+team T IY1 M
+estate IH0 S T EY1 T
+box B AA1 K S
+conditions K AH0 N D IH1 SH AH0 N Z
+select S AH0 L EH1 K T
+windows W IH1 N D OW0 Z
+photos F OW1 T OW2 Z
+gay G EY1
+thread TH R EH1 D
+week W IY1 K
+category K AE1 T AH0 G AO2 R IY0
+note N OW1 T
+live L AY1 V
+large L AA1 R JH
+gallery G AE1 L ER0 IY0
+table T EY1 B AH0 L
+register R EH1 JH IH0 S T ER0
+however HH AW2 EH1 V ER0
+june JH UW1 N
+october AA0 K T OW1 B ER0
+november N OW0 V EH1 M B ER0
+market M AA1 R K AH0 T
+library L AY1 B R EH0 R IY2
+really R IH1 L IY0
+action AE1 K SH AH0 N
+start S T AA1 R T
+series S IH1 R IY0 Z
+model M AA1 D AH0 L
+features F IY1 CH ER0 Z
+air EH1 R
+industry IH1 N D AH0 S T R IY0
+plan P L AE1 N
+human HH Y UW1 M AH0 N
+provided P R AH0 V AY1 D IH0 D
+tv T IY1 V IY1
+yes Y EH1 S
+required R IY0 K W AY1 ER0 D
+second S EH1 K AH0 N D
+hot HH AA1 T
+accessories AE0 K S EH1 S ER0 IY0 Z
+cost K AA1 S T
+movie M UW1 V IY0
+forums F AO1 R AH0 M Z
+march M AA1 R CH
+la L AA1
+september S EH0 P T EH1 M B ER0
+better B EH1 T ER0
+say S EY1
+questions K W EH1 S CH AH0 N Z
+july JH UW2 L AY1
+yahoo Y AA1 HH UW2
+going G OW1 IH0 NG
+medical M EH1 D AH0 K AH0 L
+test T EH1 S T
+friend F R EH1 N D
+come K AH1 M
+dec D EH1 K
+server S ER1 V ER0
+pc P IY1 S IY1
+study S T AH1 D IY0
+application AE2 P L AH0 K EY1 SH AH0 N
+cart K AA1 R T
+staff S T AE1 F
+articles AA1 R T AH0 K AH0 L Z
+san S AE1 N
+feedback F IY1 D B AE2 K
+again AH0 G EH1 N
+play P L EY1
+looking L UH1 K IH0 NG
+issues IH1 SH UW0 Z
+april EY1 P R AH0 L
+never N EH1 V ER0
+users Y UW1 Z ER0 Z
+complete K AH0 M P L IY1 T
+street S T R IY1 T
+topic T AA1 P IH0 K
+comment K AA1 M EH0 N T
+financial F AH0 N AE1 N SH AH0 L
+things TH IH1 NG Z
+working W ER1 K IH0 NG
+against AH0 G EH1 N S T
+standard S T AE1 N D ER0 D
+tax T AE1 K S
+person P ER1 S AH0 N
+below B IH0 L OW1
+mobile M OW1 B AH0 L
+less L EH1 S
+got G AA1 T
+blog B L AO1 G
+party P AA1 R T IY0
+payment P EY1 M AH0 N T
+equipment IH0 K W IH1 P M AH0 N T
+login L AO1 G IH2 N
+student S T UW1 D AH0 N T
+let L EH1 T
+programs P R OW1 G R AE2 M Z
+offers AO1 F ER0 Z
+legal L IY1 G AH0 L
+above AH0 B AH1 V
+recent R IY1 S AH0 N T
+park P AA1 R K
+stores S T AO1 R Z
+side S AY1 D
+act AE1 K T
+problem P R AA1 B L AH0 M
+red R EH1 D
+give G IH1 V
+memory M EH1 M ER0 IY0
+performance P ER0 F AO1 R M AH0 N S
+social S OW1 SH AH0 L
+q K Y UW1
+august AA1 G AH0 S T
+quote K W OW1 T
+language L AE1 NG G W AH0 JH
+story S T AO1 R IY0
+sell S EH1 L
+options AA1 P SH AH0 N Z
+experience IH0 K S P IH1 R IY0 AH0 N S
+rates R EY1 T S
+create K R IY0 EY1 T
+key K IY1
+body B AA1 D IY0
+young Y AH1 NG
+america AH0 M EH1 R AH0 K AH0
+important IH2 M P AO1 R T AH0 N T
+field F IY1 L D
+few F Y UW1
+east IY1 S T
+paper P EY1 P ER0
+single S IH1 NG G AH0 L
+age EY1 JH
+activities AE0 K T IH1 V AH0 T IY0 Z
+club K L AH1 B
+example IH0 G Z AE1 M P AH0 L
+girls G ER1 L Z
+additional AH0 D IH1 SH AH0 N AH0 L
+password P AE1 S W ER2 D
+z Z IY1
+latest L EY1 T AH0 S T
+something S AH1 M TH IH0 NG
+road R OW1 D
+gift G IH1 F T
+question K W EH1 S CH AH0 N
+changes CH EY1 N JH AH0 Z
+night N AY1 T
+ca K AH1
+hard HH AA1 R D
+texas T EH1 K S AH0 S
+oct AO1 K T
+pay P EY1
+four F AO1 R
+poker P OW1 K ER0
+status S T AE1 T AH0 S
+browse B R AW1 Z
+issue IH1 SH UW0
+range R EY1 N JH
+building B IH1 L D IH0 NG
+seller S EH1 L ER0
+court K AO1 R T
+february F EH1 B Y AH0 W EH2 R IY0
+always AO1 L W EY2 Z
+result R IH0 Z AH1 L T
+audio AA1 D IY0 OW2
+light L AY1 T
+write R AY1 T
+war W AO1 R
+nov N OW1 V
+offer AO1 F ER0
+blue B L UW1
+groups G R UW1 P S
+al AE1 L
+easy IY1 Z IY0
+given G IH1 V AH0 N
+files F AY1 L Z
+event IH0 V EH1 N T
+release R IY0 L IY1 S
+analysis AH0 N AE1 L AH0 S AH0 S
+request R IH0 K W EH1 S T
+fax F AE1 K S
+china CH AY1 N AH0
+making M EY1 K IH0 NG
+picture P IH1 K CH ER0
+needs N IY1 D Z
+possible P AA1 S AH0 B AH0 L
+might M AY1 T
+professional P R AH0 F EH1 SH AH0 N AH0 L
+yet Y EH1 T
+month M AH1 N TH
+major M EY1 JH ER0
+star S T AA1 R
+areas EH1 R IY0 AH0 Z
+future F Y UW1 CH ER0
+space S P EY1 S
+committee K AH0 M IH1 T IY0
+hand HH AE1 N D
+sun S AH1 N
+cards K AA1 R D Z
+problems P R AA1 B L AH0 M Z
+london L AH1 N D AH0 N
+washington W AA1 SH IH0 NG T AH0 N
+meeting M IY1 T IH0 NG
+become B IH0 K AH1 M
+interest IH1 N T R AH0 S T
+id IH1 D
+child CH AY1 L D
+keep K IY1 P
+enter EH1 N T ER0
+california K AE2 L AH0 F AO1 R N Y AH0
+porn P AO1 R N
+share SH EH1 R
+similar S IH1 M AH0 L ER0
+garden G AA1 R D AH0 N
+schools S K UW1 L Z
+million M IH1 L Y AH0 N
+added AE1 D AH0 D
+reference R EH1 F ER0 AH0 N S
+companies K AH1 M P AH0 N IY2 Z
+listed L IH1 S T AH0 D
+baby B EY1 B IY0
+learning L ER1 N IH0 NG
+energy EH1 N ER0 JH IY0
+run R AH1 N
+delivery D IH0 L IH1 V ER0 IY0
+net N EH1 T
+popular P AA1 P Y AH0 L ER0
+term T ER1 M
+film F IH1 L M
+stories S T AO1 R IY0 Z
+put P UH1 T
+computers K AH0 M P Y UW1 T ER0 Z
+journal JH ER1 N AH0 L
+reports R IH0 P AO1 R T S
+co K OW1
+try T R AY1
+welcome W EH1 L K AH0 M
+central S EH1 N T R AH0 L
+images IH1 M AH0 JH AH0 Z
+president P R EH1 Z AH0 D EH2 N T
+notice N OW1 T AH0 S
+god G AA1 D
+original ER0 IH1 JH AH0 N AH0 L
+head HH EH1 D
+radio R EY1 D IY0 OW2
+until AH0 N T IH1 L
+cell S EH1 L
+color K AH1 L ER0
+self S EH1 L F
+council K AW1 N S AH0 L
+away AH0 W EY1
+includes IH2 N K L UW1 D Z
+track T R AE1 K
+australia AO0 S T R EY1 L Y AH0
+discussion D IH0 S K AH1 SH AH0 N
+archive AA1 R K AY2 V
+once W AH1 N S
+others AH1 DH ER0 Z
+entertainment EH2 N T ER0 T EY1 N M AH0 N T
+agreement AH0 G R IY1 M AH0 N T
+format F AO1 R M AE2 T
+least L IY1 S T
+society S AH0 S AY1 AH0 T IY0
+months M AH1 N TH S
+log L AO1 G
+safety S EY1 F T IY0
+friends F R EH1 N D Z
+sure SH UH1 R
+trade T R EY1 D
+edition AH0 D IH1 SH AH0 N
+cars K AA1 R Z
+messages M EH1 S AH0 JH AH0 Z
+marketing M AA1 R K AH0 T IH0 NG
+tell T EH1 L
+further F ER1 DH ER0
+updated AH0 P D EY1 T IH0 D
+association AH0 S OW2 S IY0 EY1 SH AH0 N
+able EY1 B AH0 L
+having HH AE1 V IH0 NG
+provides P R AH0 V AY1 D Z
+david D EY1 V IH0 D
+fun F AH1 N
+already AO0 L R EH1 D IY0
+green G R IY1 N
+studies S T AH1 D IY0 Z
+close K L OW1 S
+common K AA1 M AH0 N
+drive D R AY1 V
+specific S P AH0 S IH1 F IH0 K
+several S EH1 V R AH0 L
+gold G OW1 L D
+feb F EH1 B Y AH0 W EH2 R IY0
+living L IH1 V IH0 NG
+sep S EH1 P
+collection K AH0 L EH1 K SH AH0 N
+called K AO1 L D
+short SH AO1 R T
+arts AA1 R T S
+lot L AA1 T
+ask AE1 S K
+display D IH0 S P L EY1
+limited L IH1 M AH0 T AH0 D
+powered P AW1 ER0 D
+solutions S AH0 L UW1 SH AH0 N Z
+means M IY1 N Z
+director D ER0 EH1 K T ER0
+daily D EY1 L IY0
+beach B IY1 CH
+past P AE1 S T
+natural N AE1 CH ER0 AH0 L
+whether W EH1 DH ER0
+due D UW1
+et EH1 T
+electronics IH2 L EH2 K T R AA1 N IH0 K S
+five F AY1 V
+upon AH0 P AA1 N
+period P IH1 R IY0 AH0 D
+planning P L AE1 N IH0 NG
+database D EY1 T AH0 B EY2 S
+says S EH1 Z
+official AH0 F IH1 SH AH0 L
+weather W EH1 DH ER0
+mar M AA1 R
+land L AE1 N D
+average AE1 V ER0 IH0 JH
+done D AH1 N
+technical T EH1 K N IH0 K AH0 L
+window W IH1 N D OW0
+france F R AE1 N S
+pro P R OW1
+region R IY1 JH AH0 N
+island AY1 L AH0 N D
+record R AH0 K AO1 R D
+direct D ER0 EH1 K T
+microsoft M AY1 K R OW2 S AO1 F T
+conference K AA1 N F ER0 AH0 N S
+environment IH0 N V AY1 R AH0 N M AH0 N T
+records R AH0 K AO1 R D Z
+st S T R IY1 T
+district D IH1 S T R IH0 K T
+calendar K AE1 L AH0 N D ER0
+costs K AA1 S T S
+style S T AY1 L
+url Y UW2 AA2 R EH1 L
+front F R AH1 N T
+statement S T EY1 T M AH0 N T
+update AH0 P D EY1 T
+parts P AA1 R T S
+aug AO1 G AH0 S T
+ever EH1 V ER0
+downloads D AW1 N L OW2 D Z
+early ER1 L IY0
+miles M AY1 L Z
+sound S AW1 N D
+resource R IY1 S AO0 R S
+present P R EH1 Z AH0 N T
+applications AE2 P L AH0 K EY1 SH AH0 N Z
+either IY1 DH ER0
+ago AH0 G OW1
+document D AA1 K Y AH0 M EH0 N T
+word W ER1 D
+works W ER1 K S
+material M AH0 T IH1 R IY0 AH0 L
+bill B IH1 L
+written R IH1 T AH0 N
+talk T AO1 K
+federal F EH1 D ER0 AH0 L
+hosting HH OW1 S T IH0 NG
+rules R UW1 L Z
+final F AY1 N AH0 L
+adult AH0 D AH1 L T
+tickets T IH1 K AH0 T S
+thing TH IH1 NG
+centre S EH1 N T ER0
+requirements R IH0 K W AY1 R M AH0 N T S
+via V AY1 AH0
+cheap CH IY1 P
+nude N UW1 D
+kids K IH1 D Z
+finance F AH0 N AE1 N S
+true T R UW1
+minutes M IH1 N AH0 T S
+else EH1 L S
+mark M AA1 R K
+third TH ER1 D
+rock R AA1 K
+gifts G IH1 F T S
+europe Y UH1 R AH0 P
+reading R IY1 D IH0 NG
+topics T AA1 P IH0 K S
+bad B AE1 D
+individual IH2 N D AH0 V IH1 JH AH0 W AH0 L
+tips T IH1 P S
+plus P L AH1 S
+auto AO1 T OW0
+cover K AH1 V ER0
+usually Y UW1 ZH AH0 W AH0 L IY0
+edit EH1 D AH0 T
+together T AH0 G EH1 DH ER0
+videos V IH1 D IY0 OW0 Z
+percent P ER0 S EH1 N T
+fast F AE1 S T
+function F AH1 NG K SH AH0 N
+fact F AE1 K T
+unit Y UW1 N AH0 T
+getting G EH1 T IH0 NG
+global G L OW1 B AH0 L
+tech T EH1 K
+meet M IY1 T
+far F AA1 R
+economic EH2 K AH0 N AA1 M IH0 K
+en EH1 N
+player P L EY1 ER0
+projects P R AA1 JH EH0 K T S
+lyrics L IH1 R IH0 K S
+often AO1 F AH0 N
+subscribe S AH0 B S K R AY1 B
+submit S AH0 B M IH1 T
+germany JH ER1 M AH0 N IY0
+amount AH0 M AW1 N T
+watch W AA1 CH
+included IH2 N K L UW1 D AH0 D
+feel F IY1 L
+though DH OW1
+bank B AE1 NG K
+risk R IH1 S K
+thanks TH AE1 NG K S
+everything EH1 V R IY0 TH IH2 NG
+deals D IY1 L Z
+various V EH1 R IY0 AH0 S
+words W ER1 D Z
+linux L IH1 N AH0 K S
+production P R AH0 D AH1 K SH AH0 N
+commercial K AH0 M ER1 SH AH0 L
+james JH EY1 M Z
+weight W EY1 T
+town T AW1 N
+heart HH AA1 R T
+advertising AE1 D V ER0 T AY2 Z IH0 NG
+received R AH0 S IY1 V D
+choose CH UW1 Z
+treatment T R IY1 T M AH0 N T
+newsletter N UW1 Z L EH2 T ER0
+archives AA1 R K AY2 V Z
+points P OY1 N T S
+knowledge N AA1 L AH0 JH
+magazine M AE1 G AH0 Z IY2 N
+error EH1 R ER0
+camera K AE1 M ER0 AH0
+jun JH AH1 N
+girl G ER1 L
+currently K ER1 AH0 N T L IY0
+construction K AH0 N S T R AH1 K SH AH0 N
+toys T OY1 Z
+registered R EH1 JH IH0 S T ER0 D
+clear K L IH1 R
+golf G AA1 L F
+receive R AH0 S IY1 V
+domain D OW0 M EY1 N
+methods M EH1 TH AH0 D Z
+chapter CH AE1 P T ER0
+makes M EY1 K S
+protection P R AH0 T EH1 K SH AH0 N
+policies P AA1 L AH0 S IY0 Z
+loan L OW1 N
+wide W AY1 D
+beauty B Y UW1 T IY0
+manager M AE1 N AH0 JH ER0
+india IH1 N D IY0 AH0
+position P AH0 Z IH1 SH AH0 N
+taken T EY1 K AH0 N
+sort S AO1 R T
+listings L IH1 S T IH0 NG Z
+models M AA1 D AH0 L Z
+michael M AY1 K AH0 L
+known N OW1 N
+half HH AE1 F
+cases K EY1 S AH0 Z
+step S T EH1 P
+engineering EH1 N JH AH0 N IH1 R IH0 NG
+florida F L AO1 R AH0 D AH0
+simple S IH1 M P AH0 L
+quick K W IH1 K
+none N AH1 N
+wireless W AY1 R L IH0 S
+license L AY1 S AH0 N S
+paul P AO1 L
+friday F R AY1 D IY0
+lake L EY1 K
+whole HH OW1 L
+annual AE1 N Y UW0 AH0 L
+published P AH1 B L IH0 SH T
+later L EY1 T ER0
+basic B EY1 S IH0 K
+sony S OW1 N IY0
+shows SH OW1 Z
+corporate K AO1 R P ER0 AH0 T
+google G UW1 G AH0 L
+church CH ER1 CH
+method M EH1 TH AH0 D
+purchase P ER1 CH AH0 S
+customers K AH1 S T AH0 M ER0 Z
+active AE1 K T IH0 V
+response R IH0 S P AA1 N S
+practice P R AE1 K T AH0 S
+hardware HH AA1 R D W EH2 R
+figure F IH1 G Y ER0
+materials M AH0 T IH1 R IY0 AH0 L Z
+fire F AY1 ER0
+holiday HH AA1 L AH0 D EY2
+chat CH AE1 T
+enough IH0 N AH1 F
+designed D IH0 Z AY1 N D
+along AH0 L AO1 NG
+among AH0 M AH1 NG
+death D EH1 TH
+writing R AY1 T IH0 NG
+speed S P IY1 D
+html EY2 CH T IY2 EH2 M EH1 L
+countries K AH1 N T R IY0 Z
+loss L AO1 S
+face F EY1 S
+brand B R AE1 N D
+discount D IH0 S K AW1 N T
+higher HH AY1 ER0
+effects IH0 F EH1 K T S
+created K R IY0 EY1 T AH0 D
+remember R IH0 M EH1 M B ER0
+standards S T AE1 N D ER0 D Z
+oil OY1 L
+bit B IH1 T
+yellow Y EH1 L OW0
+political P AH0 L IH1 T AH0 K AH0 L
+increase IH2 N K R IY1 S
+advertise AE1 D V ER0 T AY2 Z
+kingdom K IH1 NG D AH0 M
+base B EY1 S
+near N IH1 R
+environmental IH0 N V AY2 R AH0 N M EH1 N T AH0 L
+thought TH AO1 T
+stuff S T AH1 F
+french F R EH1 N CH
+storage S T AO1 R AH0 JH
+oh OW1
+japan JH AH0 P AE1 N
+doing D UW1 IH0 NG
+loans L OW1 N Z
+shoes SH UW1 Z
+entry EH1 N T R IY0
+stay S T EY1
+nature N EY1 CH ER0
+orders AO1 R D ER0 Z
+availability AH0 V EY2 L AH0 B IH1 L AH0 T IY0
+africa AE1 F R AH0 K AA0
+summary S AH1 M ER0 IY0
+turn T ER1 N
+mean M IY1 N
+growth G R OW1 TH
+notes N OW1 T S
+agency EY1 JH AH0 N S IY0
+king K IH1 NG
+monday M AH1 N D IY0
+european Y UH2 R AH0 P IY1 AH0 N
+activity AE0 K T IH1 V AH0 T IY0
+copy K AA1 P IY0
+although AO2 L DH OW1
+drug D R AH1 G
+western W EH1 S T ER0 N
+income IH1 N K AH2 M
+force F AO1 R S
+cash K AE1 SH
+employment EH0 M P L OY1 M AH0 N T
+overall OW1 V ER0 AO2 L
+bay B EY1
+river R IH1 V ER0
+commission K AH0 M IH1 SH AH0 N
+ad AE1 D
+package P AE1 K AH0 JH
+contents K AA1 N T EH0 N T S
+seen S IY1 N
+players P L EY1 ER0 Z
+engine EH1 N JH AH0 N
+port P AO1 R T
+album AE1 L B AH0 M
+regional R IY1 JH AH0 N AH0 L
+stop S T AA1 P
+supplies S AH0 P L AY1 Z
+started S T AA1 R T IH0 D
+administration AE0 D M IH2 N IH0 S T R EY1 SH AH0 N
+bar B AA1 R
+institute IH1 N S T AH0 T UW2 T
+views V Y UW1 Z
+plans P L AE1 N Z
+double D AH1 B AH0 L
+dog D AO1 G
+build B IH1 L D
+screen S K R IY1 N
+exchange IH0 K S CH EY1 N JH
+types T AY1 P S
+soon S UW1 N
+sponsored S P AA1 N S ER0 D
+lines L AY1 N Z
+electronic IH2 L EH2 K T R AA1 N IH0 K
+continue K AH0 N T IH1 N Y UW0
+across AH0 K R AO1 S
+benefits B EH1 N AH0 F IH0 T S
+needed N IY1 D AH0 D
+season S IY1 Z AH0 N
+apply AH0 P L AY1
+someone S AH1 M W AH2 N
+held HH EH1 L D
+anything EH1 N IY0 TH IH2 NG
+printer P R IH1 N T ER0
+condition K AH0 N D IH1 SH AH0 N
+effective IH0 F EH1 K T IH0 V
+believe B IH0 L IY1 V
+organization AO2 R G AH0 N AH0 Z EY1 SH AH0 N
+effect IH0 F EH1 K T
+asked AE1 S K T
+mind M AY1 N D
+sunday S AH1 N D EY2
+selection S AH0 L EH1 K SH AH0 N
+casino K AH0 S IY1 N OW0
+pdf P IY2 D IY2 EH1 F
+lost L AO1 S T
+tour T UH1 R
+menu M EH1 N Y UW0
+volume V AA1 L Y UW0 M
+cross K R AO1 S
+anyone EH1 N IY0 W AH2 N
+mortgage M AO1 R G AH0 JH
+hope HH OW1 P
+silver S IH1 L V ER0
+corporation K AO2 R P ER0 EY1 SH AH0 N
+wish W IH1 SH
+inside IH2 N S AY1 D
+solution S AH0 L UW1 SH AH0 N
+mature M AH0 CH UH1 R
+role R OW1 L
+rather R AE1 DH ER0
+weeks W IY1 K S
+addition AH0 D IH1 SH AH0 N
+came K EY1 M
+supply S AH0 P L AY1
+nothing N AH1 TH IH0 NG
+certain S ER1 T AH0 N
+executive IH0 G Z EH1 K Y AH0 T IH0 V
+running R AH1 N IH0 NG
+lower L OW1 ER0
+necessary N EH1 S AH0 S EH2 R IY0
+union Y UW1 N Y AH0 N
+jewelry JH UW1 AH0 L R IY0
+according AH0 K AO1 R D IH0 NG
+dc D IY2 S IY1
+clothing K L OW1 DH IH0 NG
+mon M OW1 N
+com K AA1 M
+particular P ER0 T IH1 K Y AH0 L ER0
+fine F AY1 N
+names N EY1 M Z
+robert R AA1 B ER0 T
+homepage HH OW1 M P EY2 JH
+hour AW1 ER0
+gas G AE1 S
+skills S K IH1 L Z
+six S IH1 K S
+bush B UH1 SH
+islands AY1 L AH0 N D Z
+advice AE0 D V AY1 S
+career K ER0 IH1 R
+military M IH1 L AH0 T EH2 R IY0
+rental R EH1 N T AH0 L
+decision D IH0 S IH1 ZH AH0 N
+leave L IY1 V
+british B R IH1 T IH0 SH
+teens T IY1 N Z
+pre P R IY1
+huge HH Y UW1 JH
+sat S AE1 T
+woman W UH1 M AH0 N
+facilities F AH0 S IH1 L AH0 T IY0 Z
+zip Z IH1 P
+bid B IH1 D
+kind K AY1 N D
+sellers S EH1 L ER0 Z
+middle M IH1 D AH0 L
+move M UW1 V
+cable K EY1 B AH0 L
+opportunities AA2 P ER0 T UW1 N AH0 T IY0 Z
+taking T EY1 K IH0 NG
+values V AE1 L Y UW0 Z
+division D IH0 V IH1 ZH AH0 N
+coming K AH1 M IH0 NG
+tuesday T UW1 Z D IY0
+object AA1 B JH EH0 K T
+lesbian L EH1 Z B IY0 AH0 N
+appropriate AH0 P R OW1 P R IY0 AH0 T
+machine M AH0 SH IY1 N
+logo L OW1 G OW0
+length L EH1 NG K TH
+actually AE1 K CH UW2 AH0 L IY0
+nice N AY1 S
+score S K AO1 R
+statistics S T AH0 T IH1 S T IH0 K S
+client K L AY1 AH0 N T
+ok OW1 K EY1
+returns R IH0 T ER1 N Z
+capital K AE1 P AH0 T AH0 L
+follow F AA1 L OW0
+sample S AE1 M P AH0 L
+investment IH2 N V EH1 S T M AH0 N T
+sent S EH1 N T
+shown SH OW1 N
+saturday S AE1 T ER0 D IY0
+christmas K R IH1 S M AH0 S
+england IH1 NG G L AH0 N D
+culture K AH1 L CH ER0
+band B AE1 N D
+flash F L AE1 SH
+ms M IH1 Z
+lead L EH1 D
+george JH AO1 R JH
+choice CH OY1 S
+went W EH1 N T
+starting S T AA1 R T IH0 NG
+registration R EH2 JH IH0 S T R EY1 SH AH0 N
+thursday TH ER1 Z D EY2
+courses K AO1 R S AH0 Z
+consumer K AH0 N S UW1 M ER0
+hi HH AY1
+airport EH1 R P AO2 R T
+foreign F AO1 R AH0 N
+artist AA1 R T AH0 S T
+outside AW1 T S AY1 D
+furniture F ER1 N IH0 CH ER0
+levels L EH1 V AH0 L Z
+channel CH AE1 N AH0 L
+letter L EH1 T ER0
+mode M OW1 D
+phones F OW1 N Z
+ideas AY0 D IY1 AH0 Z
+wednesday W EH1 N Z D IY0
+structure S T R AH1 K CH ER0
+fund F AH1 N D
+summer S AH1 M ER0
+allow AH0 L AW1
+degree D IH0 G R IY1
+contract K AA1 N T R AE2 K T
+button B AH1 T AH0 N
+releases R IH0 L IY1 S IH0 Z
+wed W EH1 D
+homes HH OW1 M Z
+super S UW1 P ER0
+male M EY1 L
+matter M AE1 T ER0
+custom K AH1 S T AH0 M
+virginia V ER0 JH IH1 N Y AH0
+almost AO1 L M OW2 S T
+took T UH1 K
+located L OW1 K EY2 T AH0 D
+multiple M AH1 L T AH0 P AH0 L
+asian EY1 ZH AH0 N
+distribution D IH2 S T R AH0 B Y UW1 SH AH0 N
+editor EH1 D AH0 T ER0
+inn IH1 N
+industrial IH2 N D AH1 S T R IY0 AH0 L
+cause K AA1 Z
+potential P AH0 T EH1 N SH AH0 L
+song S AO1 NG
+cnet S IY1 N EH2 T
+ltd L IH1 M IH0 T IH0 D
+los L OW1 S
+hp EY1 CH P IY1
+focus F OW1 K AH0 S
+late L EY1 T
+fall F AO1 L
+featured F IY1 CH ER0 D
+idea AY0 D IY1 AH0
+rooms R UW1 M Z
+female F IY1 M EY2 L
+responsible R IY0 S P AA1 N S AH0 B AH0 L
+inc IH1 NG K
+communications K AH0 M Y UW2 N AH0 K EY1 SH AH0 N Z
+win W IH1 N
+associated AH0 S OW1 S IY0 EY2 T IH0 D
+thomas T AA1 M AH0 S
+primary P R AY1 M EH2 R IY0
+cancer K AE1 N S ER0
+numbers N AH1 M B ER0 Z
+reason R IY1 Z AH0 N
+tool T UW1 L
+browser B R AW1 Z ER0
+spring S P R IH1 NG
+foundation F AW0 N D EY1 SH AH0 N
+answer AE1 N S ER0
+voice V OY1 S
+friendly F R EH1 N D L IY0
+schedule S K EH1 JH UH0 L
+documents D AA1 K Y AH0 M AH0 N T S
+communication K AH0 M Y UW2 N AH0 K EY1 SH AH0 N
+purpose P ER1 P AH0 S
+feature F IY1 CH ER0
+bed B EH1 D
+comes K AH1 M Z
+police P AH0 L IY1 S
+everyone EH1 V R IY0 W AH2 N
+independent IH2 N D IH0 P EH1 N D AH0 N T
+ip AY1 P IY1
+approach AH0 P R OW1 CH
+cameras K AE1 M ER0 AH0 Z
+brown B R AW1 N
+physical F IH1 Z IH0 K AH0 L
+operating AA1 P ER0 EY2 T IH0 NG
+hill HH IH1 L
+maps M AE1 P S
+medicine M EH1 D AH0 S AH0 N
+deal D IY1 L
+hold HH OW1 L D
+ratings R EY1 T IH0 NG Z
+chicago SH AH0 K AA1 G OW2
+forms F AO1 R M Z
+glass G L AE1 S
+happy HH AE1 P IY0
+tue T UW1
+smith S M IH1 TH
+wanted W AO1 N T IH0 D
+developed D IH0 V EH1 L AH0 P T
+thank TH AE1 NG K
+safe S EY1 F
+unique Y UW0 N IY1 K
+survey S ER0 V EY1
+prior P R AY1 ER0
+telephone T EH1 L AH0 F OW2 N
+sport S P AO1 R T
+ready R EH1 D IY0
+feed F IY1 D
+animal AE1 N AH0 M AH0 L
+sources S AO1 R S AH0 Z
+mexico M EH1 K S AH0 K OW2
+population P AA2 P Y AH0 L EY1 SH AH0 N
+pa P AA1
+regular R EH1 G Y AH0 L ER0
+secure S IH0 K Y UH1 R
+navigation N AE1 V AH0 G EY1 SH AH0 N
+operations AA2 P ER0 EY1 SH AH0 N Z
+therefore DH EH1 R F AO2 R
+ass AE1 S
+simply S IH1 M P L IY0
+evidence EH1 V AH0 D AH0 N S
+station S T EY1 SH AH0 N
+christian K R IH1 S CH AH0 N
+round R AW1 N D
+paypal P EY1 P AH2 L
+favorite F EY1 V ER0 IH0 T
+understand AH2 N D ER0 S T AE1 N D
+option AA1 P SH AH0 N
+master M AE1 S T ER0
+valley V AE1 L IY0
+recently R IY1 S AH0 N T L IY0
+probably P R AA1 B AH0 B L IY2
+rentals R EH1 N T AH0 L Z
+sea S IY1
+built B IH1 L T
+publications P AH2 B L IH0 K EY1 SH AH0 N Z
+blood B L AH1 D
+cut K AH1 T
+worldwide W ER1 L D W AY1 D
+improve IH2 M P R UW1 V
+connection K AH0 N EH1 K SH AH0 N
+publisher P AH1 B L IH0 SH ER0
+hall HH AO1 L
+larger L AA1 R JH ER0
+anti AE1 N T IY2
+networks N EH1 T W ER2 K S
+earth ER1 TH
+parents P EH1 R AH0 N T S
+nokia N OW1 K IY0 AH0
+impact IH2 M P AE1 K T
+transfer T R AE0 N S F ER1
+introduction IH2 N T R AH0 D AH1 K SH AH0 N
+kitchen K IH1 CH AH0 N
+strong S T R AO1 NG
+tel T EH1 L
+carolina K EH2 R AH0 L AY1 N AH0
+wedding W EH1 D IH0 NG
+properties P R AA1 P ER0 T IY0 Z
+hospital HH AA1 S P IH2 T AH0 L
+ground G R AW1 N D
+overview OW1 V ER0 V Y UW2
+ship SH IH1 P
+accommodation AH0 K AA2 M AH0 D EY1 SH AH0 N
+owners OW1 N ER0 Z
+disease D IH0 Z IY1 Z
+excellent EH1 K S AH0 L AH0 N T
+paid P EY1 D
+italy IH1 T AH0 L IY0
+perfect P ER0 F EH1 K T
+hair HH EH1 R
+opportunity AA2 P ER0 T UW1 N AH0 T IY0
+kit K IH1 T
+classic K L AE1 S IH0 K
+basis B EY1 S AH0 S
+command K AH0 M AE1 N D
+cities S IH1 T IY0 Z
+william W IH1 L Y AH0 M
+express IH0 K S P R EH1 S
+anal EY1 N AH0 L
+award AH0 W AO1 R D
+distance D IH1 S T AH0 N S
+tree T R IY1
+peter P IY1 T ER0
+assessment AH0 S EH1 S M AH0 N T
+ensure EH0 N SH UH1 R
+thus DH AH1 S
+wall W AO1 L
+involved IH2 N V AA1 L V D
+el EH1 L
+extra EH1 K S T R AH0
+especially AH0 S P EH1 SH L IY0
+interface IH1 N T ER0 F EY2 S
+pussy P UH1 S IY0
+partners P AA1 R T N ER0 Z
+budget B AH1 JH IH0 T
+rated R EY1 T IH0 D
+guides G AY1 D Z
+success S AH0 K S EH1 S
+maximum M AE1 K S AH0 M AH0 M
+ma M AA1
+operation AA2 P ER0 EY1 SH AH0 N
+existing IH0 G Z IH1 S T IH0 NG
+quite K W AY1 T
+selected S AH0 L EH1 K T IH0 D
+boy B OY1
+amazon AE1 M AH0 Z AA2 N
+patients P EY1 SH AH0 N T S
+restaurants R EH1 S T ER0 AA2 N T S
+beautiful B Y UW1 T AH0 F AH0 L
+warning W AO1 R N IH0 NG
+wine W AY1 N
+locations L OW0 K EY1 SH AH0 N Z
+horse HH AO1 R S
+vote V OW1 T
+forward F AO1 R W ER0 D
+flowers F L AW1 ER0 Z
+stars S T AA1 R Z
+significant S AH0 G N IH1 F IH0 K AH0 N T
+lists L IH1 S T S
+technologies T EH0 K N AA1 L AH0 JH IY0 Z
+owner OW1 N ER0
+retail R IY1 T EY2 L
+animals AE1 N AH0 M AH0 L Z
+useful Y UW1 S F AH0 L
+directly D ER0 EH1 K T L IY0
+manufacturer M AE2 N Y AH0 F AE1 K CH ER0 ER0
+ways W EY1 Z
+est EH1 S T
+son S AH1 N
+providing P R AH0 V AY1 D IH0 NG
+rule R UW1 L
+mac M AE1 K
+housing HH AW1 Z IH0 NG
+takes T EY1 K S
+bring B R IH1 NG
+catalog K AE1 T AH0 L AO0 G
+searches S ER1 CH IH0 Z
+max M AE1 K S
+trying T R AY1 IH0 NG
+mother M AH1 DH ER0
+authority AH0 TH AO1 R AH0 T IY0
+considered K AH0 N S IH1 D ER0 D
+told T OW1 L D
+xml EH2 K S EH2 M EH1 L
+traffic T R AE1 F IH0 K
+programme P R OW1 G R AE2 M
+joined JH OY1 N D
+input IH1 N P UH2 T
+strategy S T R AE1 T AH0 JH IY0
+feet F IY1 T
+agent EY1 JH AH0 N T
+valid V AE1 L IH0 D
+bin B IH1 N
+modern M AA1 D ER0 N
+senior S IY1 N Y ER0
+ireland AY1 ER0 L AH0 N D
+sexy S EH1 K S IY0
+teaching T IY1 CH IH0 NG
+door D AO1 R
+grand G R AE1 N D
+testing T EH1 S T IH0 NG
+trial T R AY1 AH0 L
+charge CH AA1 R JH
+units Y UW1 N AH0 T S
+instead IH2 N S T EH1 D
+canadian K AH0 N EY1 D IY0 AH0 N
+cool K UW1 L
+normal N AO1 R M AH0 L
+wrote R OW1 T
+enterprise EH1 N T ER0 P R AY2 Z
+ships SH IH1 P S
+entire IH0 N T AY1 ER0
+educational EH2 JH AH0 K EY1 SH AH0 N AH0 L
+md EH2 M D IY1
+leading L IY1 D IH0 NG
+metal M EH1 T AH0 L
+positive P AA1 Z AH0 T IH0 V
+fitness F IH1 T N AH0 S
+chinese CH AY0 N IY1 Z
+opinion AH0 P IH1 N Y AH0 N
+asia EY1 ZH AH0
+football F UH1 T B AO2 L
+abstract AE0 B S T R AE1 K T
+uses Y UW1 S AH0 Z
+output AW1 T P UH2 T
+funds F AH1 N D Z
+mr M IH1 S T ER0
+greater G R EY1 T ER0
+likely L AY1 K L IY0
+develop D IH0 V EH1 L AH0 P
+employees EH0 M P L OY1 IY0 Z
+artists AA1 R T IH0 S T S
+alternative AO0 L T ER1 N AH0 T IH0 V
+processing P R AA1 S EH0 S IH0 NG
+responsibility R IY0 S P AA2 N S AH0 B IH1 L AH0 T IY0
+resolution R EH2 Z AH0 L UW1 SH AH0 N
+java JH AA1 V AH0
+guest G EH1 S T
+seems S IY1 M Z
+publication P AH2 B L IH0 K EY1 SH AH0 N
+pass P AE1 S
+relations R IY0 L EY1 SH AH0 N Z
+trust T R AH1 S T
+van V AE1 N
+contains K AH0 N T EY1 N Z
+session S EH1 SH AH0 N
+multi M AH1 L T IY0
+photography F AH0 T AA1 G R AH0 F IY0
+republic R IY0 P AH1 B L AH0 K
+fees F IY1 Z
+components K AH0 M P OW1 N AH0 N T S
+vacation V EY0 K EY1 SH AH0 N
+century S EH1 N CH ER0 IY0
+academic AE2 K AH0 D EH1 M IH0 K
+assistance AH0 S IH1 S T AH0 N S
+completed K AH0 M P L IY1 T AH0 D
+skin S K IH1 N
+graphics G R AE1 F IH0 K S
+indian IH1 N D IY0 AH0 N
+ads AE1 D Z
+mary M EH1 R IY0
+il IH1 L
+expected IH0 K S P EH1 K T AH0 D
+ring R IH1 NG
+grade G R EY1 D
+dating D EY1 T IH0 NG
+pacific P AH0 S IH1 F IH0 K
+mountain M AW1 N T AH0 N
+organizations AO2 R G AH0 N AH0 Z EY1 SH AH0 N Z
+pop P AA1 P
+filter F IH1 L T ER0
+mailing M EY1 L IH0 NG
+vehicle V IY1 HH IH0 K AH0 L
+longer L AO1 NG G ER0
+consider K AH0 N S IH1 D ER0
+northern N AO1 R DH ER0 N
+behind B IH0 HH AY1 N D
+panel P AE1 N AH0 L
+floor F L AO1 R
+german JH ER1 M AH0 N
+buying B AY1 IH0 NG
+match M AE1 CH
+proposed P R AH0 P OW1 Z D
+default D IH0 F AO1 L T
+require R IY2 K W AY1 ER0
+iraq IH2 R AA1 K
+boys B OY1 Z
+outdoor AW1 T D AO2 R
+deep D IY1 P
+morning M AO1 R N IH0 NG
+otherwise AH1 DH ER0 W AY2 Z
+allows AH0 L AW1 Z
+rest R EH1 S T
+protein P R OW1 T IY2 N
+plant P L AE1 N T
+reported R IY2 P AO1 R T IH0 D
+hit HH IH1 T
+transportation T R AE2 N S P ER0 T EY1 SH AH0 N
+mm M
+pool P UW1 L
+mini M IH1 N IY0
+politics P AA1 L AH0 T IH2 K S
+partner P AA1 R T N ER0
+disclaimer D IH0 S K L EY1 M ER0
+authors AO1 TH ER0 Z
+boards B AO1 R D Z
+faculty F AE1 K AH0 L T IY0
+parties P AA1 R T IY0 Z
+fish F IH1 SH
+membership M EH1 M B ER0 SH IH2 P
+mission M IH1 SH AH0 N
+eye AY1
+string S T R IH1 NG
+sense S EH1 N S
+modified M AA1 D AH0 F AY2 D
+pack P AE1 K
+released R IY0 L IY1 S T
+stage S T EY1 JH
+internal IH2 N T ER1 N AH0 L
+goods G UH1 D Z
+recommended R EH2 K AH0 M EH1 N D IH0 D
+born B AO1 R N
+unless AH0 N L EH1 S
+richard R IH1 CH ER0 D
+detailed D IH0 T EY1 L D
+japanese JH AE2 P AH0 N IY1 Z
+race R EY1 S
+approved AH0 P R UW1 V D
+background B AE1 K G R AW2 N D
+target T AA1 R G AH0 T
+except IH0 K S EH1 P T
+character K EH1 R IH0 K T ER0
+usb Y UW1 EH1 S B IY1
+maintenance M EY1 N T AH0 N AH0 N S
+ability AH0 B IH1 L AH0 T IY2
+maybe M EY1 B IY0
+functions F AH1 NG K SH AH0 N Z
+ed EH1 D
+moving M UW1 V IH0 NG
+brands B R AE1 N D Z
+places P L EY1 S AH0 Z
+php P IY1 EY1 CH P IY1
+pretty P R IH1 T IY0
+trademarks T R EY1 D M AA2 R K S
+spain S P EY1 N
+southern S AH1 DH ER0 N
+yourself Y ER0 S EH1 L F
+etc EH2 T S EH1 T ER0 AH0
+winter W IH1 N T ER0
+rape R EY1 P
+battery B AE1 T ER0 IY0
+youth Y UW1 TH
+pressure P R EH1 SH ER0
+submitted S AH0 B M IH1 T IH0 D
+boston B AA1 S T AH0 N
+incest IH1 N S EH2 S T
+debt D EH1 T
+keywords K IY1 W ER2 D Z
+medium M IY1 D IY0 AH0 M
+television T EH1 L AH0 V IH2 ZH AH0 N
+interested IH1 N T R AH0 S T IH0 D
+core K AO1 R
+break B R EY1 K
+purposes P ER1 P AH0 S AH0 Z
+throughout TH R UW0 AW1 T
+sets S EH1 T S
+dance D AE1 N S
+wood W UH1 D
+itself IH2 T S EH1 L F
+defined D IH0 F AY1 N D
+papers P EY1 P ER0 Z
+playing P L EY1 IH0 NG
+awards AH0 W AO1 R D Z
+fee F IY1
+studio S T UW1 D IY0 OW2
+reader R IY1 D ER0
+virtual V ER1 CH UW0 AH0 L
+device D IH0 V AY1 S
+established IH0 S T AE1 B L IH0 SH T
+answers AE1 N S ER0 Z
+rent R EH1 N T
+las L AA1 S
+remote R IH0 M OW1 T
+dark D AA1 R K
+programming P R OW1 G R AE2 M IH0 NG
+external IH0 K S T ER1 N AH0 L
+apple AE1 P AH0 L
+le L AH0
+regarding R IH0 G AA1 R D IH0 NG
+instructions IH2 N S T R AH1 K SH AH0 N Z
+min M IH1 N
+offered AO1 F ER0 D
+theory TH IH1 R IY0
+enjoy EH2 N JH OY1
+remove R IY0 M UW1 V
+aid EY1 D
+surface S ER1 F AH0 S
+minimum M IH1 N AH0 M AH0 M
+visual V IH1 ZH AH0 W AH0 L
+host HH OW1 S T
+variety V ER0 AY1 AH0 T IY0
+teachers T IY1 CH ER0 Z
+isbn AY2 EH2 S B IY2 EH1 N
+martin M AA1 R T AH0 N
+manual M AE1 N Y UW0 AH0 L
+block B L AA1 K
+subjects S AH1 B JH IH0 K T S
+agents EY1 JH AH0 N T S
+increased IH2 N K R IY1 S T
+repair R IH0 P EH1 R
+fair F EH1 R
+civil S IH1 V AH0 L
+steel S T IY1 L
+understanding AH2 N D ER0 S T AE1 N D IH0 NG
+songs S AO1 NG Z
+fixed F IH1 K S T
+wrong R AO1 NG
+beginning B IH0 G IH1 N IH0 NG
+hands HH AE1 N D Z
+associates AH0 S OW1 S IY0 AH0 T S
+finally F AY1 N AH0 L IY0
+updates AH0 P D EY1 T S
+desktop D EH1 S K T AA2 P
+classes K L AE1 S AH0 Z
+paris P EH1 R IH0 S
+ohio OW0 HH AY1 OW0
+gets G EH1 T S
+sector S EH1 K T ER0
+capacity K AH0 P AE1 S AH0 T IY0
+requires R IY0 K W AY1 ER0 Z
+jersey JH ER1 Z IY0
+un AH1 N
+fat F AE1 T
+fully F UH1 L IY0
+father F AA1 DH ER0
+electric IH0 L EH1 K T R IH0 K
+saw S AO1
+instruments IH1 N S T R AH0 M AH0 N T S
+quotes K W OW1 T S
+officer AO1 F AH0 S ER0
+driver D R AY1 V ER0
+businesses B IH1 Z N AH0 S AH0 Z
+dead D EH1 D
+respect R IH0 S P EH1 K T
+unknown AH0 N N OW1 N
+specified S P EH1 S AH0 F AY2 D
+restaurant R EH1 S T ER0 AA2 N T
+mike M AY1 K
+trip T R IH1 P
+worth W ER1 TH
+mi M IY1
+procedures P R AH0 S IY1 JH ER0 Z
+poor P UW1 R
+teacher T IY1 CH ER0
+eyes AY1 Z
+relationship R IY0 L EY1 SH AH0 N SH IH2 P
+workers W ER1 K ER0 Z
+farm F AA1 R M
+fucking F AH1 K IH0 NG
+georgia JH AO1 R JH AH0
+peace P IY1 S
+traditional T R AH0 D IH1 SH AH0 N AH0 L
+campus K AE1 M P AH0 S
+tom T AA1 M
+showing SH OW1 IH0 NG
+creative K R IY0 EY1 T IH0 V
+coast K OW1 S T
+benefit B EH1 N AH0 F IH0 T
+progress P R AA1 G R EH2 S
+funding F AH1 N D IH0 NG
+devices D IH0 V AY1 S AH0 Z
+lord L AO1 R D
+grant G R AE1 N T
+sub S AH1 B
+agree AH0 G R IY1
+fiction F IH1 K SH AH0 N
+hear HH IY1 R
+sometimes S AH0 M T AY1 M Z
+watches W AA1 CH AH0 Z
+careers K ER0 IH1 R Z
+beyond B IH0 AA1 N D
+goes G OW1 Z
+families F AE1 M AH0 L IY0 Z
+led L EH1 D
+museum M Y UW0 Z IY1 AH0 M
+themselves DH EH0 M S EH1 L V Z
+fan F AE1 N
+transport T R AE0 N S P AO1 R T
+interesting IH1 N T R AH0 S T IH0 NG
+blogs B L AO1 G Z
+wife W AY1 F
+evaluation IH0 V AE2 L Y UW0 EY1 SH AH0 N
+accepted AE0 K S EH1 P T IH0 D
+former F AO1 R M ER0
+implementation IH2 M P L AH0 M EH0 N T EY1 SH AH0 N
+ten T EH1 N
+hits HH IH1 T S
+zone Z OW1 N
+complex K AA1 M P L EH0 K S
+th T IY1 EY1 CH
+cat K AE1 T
+galleries G AE1 L ER0 IY0 Z
+references R EH1 F ER0 AH0 N S IH0 Z
+die D AY1
+presented P R IY0 Z EH1 N T IH0 D
+jack JH AE1 K
+flat F L AE1 T
+flow F L OW1
+agencies EY1 JH AH0 N S IY0 Z
+literature L IH1 T ER0 AH0 CH ER0
+respective R IH0 S P EH1 K T IH0 V
+parent P EH1 R AH0 N T
+spanish S P AE1 N IH0 SH
+michigan M IH1 SH IH0 G AH0 N
+columbia K AH0 L AH1 M B IY0 AH0
+setting S EH1 T IH0 NG
+dr D R AY1 V
+scale S K EY1 L
+stand S T AE1 N D
+economy IH0 K AA1 N AH0 M IY0
+highest HH AY1 AH0 S T
+helpful HH EH1 L P F AH0 L
+monthly M AH1 N TH L IY0
+critical K R IH1 T IH0 K AH0 L
+frame F R EY1 M
+musical M Y UW1 Z IH0 K AH0 L
+definition D EH2 F AH0 N IH1 SH AH0 N
+secretary S EH1 K R AH0 T EH2 R IY0
+angeles AE1 N JH AH0 L IH0 S
+networking N EH1 T W ER2 K IH0 NG
+path P AE1 TH
+australian AO0 S T R EY1 L Y AH0 N
+employee EH0 M P L OY1 IY0
+chief CH IY1 F
+gives G IH1 V Z
+bottom B AA1 T AH0 M
+magazines M AE1 G AH0 Z IY2 N Z
+packages P AE1 K AH0 JH AH0 Z
+detail D IH0 T EY1 L
+francisco F R AE0 N S IH1 S K OW0
+laws L AO1 Z
+changed CH EY1 N JH D
+pet P EH1 T
+heard HH ER1 D
+begin B IH0 G IH1 N
+individuals IH2 N D AH0 V IH1 JH AH0 W AH0 L Z
+colorado K AA2 L ER0 AA1 D OW0
+royal R OY1 AH0 L
+clean K L IY1 N
+switch S W IH1 CH
+russian R AH1 SH AH0 N
+largest L AA1 R JH AH0 S T
+african AE1 F R AH0 K AH0 N
+guy G AY1
+titles T AY1 T AH0 L Z
+relevant R EH1 L AH0 V AH0 N T
+guidelines G AY1 D L AY2 N Z
+justice JH AH1 S T AH0 S
+connect K AH0 N EH1 K T
+bible B AY1 B AH0 L
+dev D EH1 V
+cup K AH1 P
+basket B AE1 S K AH0 T
+applied AH0 P L AY1 D
+weekly W IY1 K L IY0
+installation IH2 N S T AH0 L EY1 SH AH0 N
+described D IH0 S K R AY1 B D
+demand D IH0 M AE1 N D
+suite S W IY1 T
+vegas V EY1 G AH0 S
+na N AA1
+square S K W EH1 R
+chris K R IH1 S
+attention AH0 T EH1 N SH AH0 N
+advance AH0 D V AE1 N S
+skip S K IH1 P
+diet D AY1 AH0 T
+army AA1 R M IY0
+auction AA1 K SH AH0 N
+gear G IH1 R
+lee L IY1
+os AA1 S
+difference D IH1 F ER0 AH0 N S
+allowed AH0 L AW1 D
+correct K ER0 EH1 K T
+charles CH AA1 R L Z
+nation N EY1 SH AH0 N
+selling S EH1 L IH0 NG
+lots L AA1 T S
+piece P IY1 S
+sheet SH IY1 T
+firm F ER1 M
+seven S EH1 V AH0 N
+older OW1 L D ER0
+illinois IH2 L AH0 N OY1
+regulations R EH2 G Y AH0 L EY1 SH AH0 N Z
+elements EH1 L AH0 M AH0 N T S
+species S P IY1 SH IY0 Z
+jump JH AH1 M P
+cells S EH1 L Z
+module M AA1 JH UW0 L
+resort R IH0 Z AO1 R T
+facility F AH0 S IH1 L IH0 T IY0
+random R AE1 N D AH0 M
+pricing P R AY1 S IH0 NG
+dvds D IY2 V IY2 D IY1 Z
+certificate S ER0 T IH1 F IH0 K AH0 T
+minister M IH1 N AH0 S T ER0
+motion M OW1 SH AH0 N
+looks L UH1 K S
+fashion F AE1 SH AH0 N
+directions D ER0 EH1 K SH AH0 N Z
+visitors V IH1 Z IH0 T ER0 Z
+documentation D AA2 K Y AH0 M EH0 N T EY1 SH AH0 N
+monitor M AA1 N AH0 T ER0
+trading T R EY1 D IH0 NG
+forest F AO1 R AH0 S T
+calls K AO1 L Z
+whose HH UW1 Z
+coverage K AH1 V ER0 AH0 JH
+couple K AH1 P AH0 L
+giving G IH1 V IH0 NG
+chance CH AE1 N S
+vision V IH1 ZH AH0 N
+ball B AO1 L
+ending EH1 N D IH0 NG
+clients K L AY1 AH0 N T S
+actions AE1 K SH AH0 N Z
+listen L IH1 S AH0 N
+discuss D IH0 S K AH1 S
+accept AE0 K S EH1 P T
+automotive AO2 T AH0 M OW1 T IH0 V
+naked N EY1 K AH0 D
+goal G OW1 L
+successful S AH0 K S EH1 S F AH0 L
+sold S OW1 L D
+wind W AY1 N D
+communities K AH0 M Y UW1 N AH0 T IY0 Z
+clinical K L IH1 N AH0 K AH0 L
+situation S IH2 CH UW0 EY1 SH AH0 N
+sciences S AY1 AH0 N S AH0 Z
+markets M AA1 R K AH0 T S
+lowest L OW1 AH0 S T
+highly HH AY1 L IY0
+publishing P AH1 B L IH0 SH IH0 NG
+appear AH0 P IH1 R
+emergency IH0 M ER1 JH AH0 N S IY0
+developing D IH0 V EH1 L AH0 P IH0 NG
+lives L IH1 V Z
+currency K ER1 AH0 N S IY0
+leather L EH1 DH ER0
+determine D AH0 T ER1 M AH0 N
+temperature T EH1 M P R AH0 CH ER0
+palm P AA1 M
+announcements AH0 N AW1 N S M AH0 N T S
+patient P EY1 SH AH0 N T
+actual AE1 K CH AH0 W AH0 L
+historical HH IH0 S T AO1 R IH0 K AH0 L
+stone S T OW1 N
+bob B AA1 B
+commerce K AA1 M ER0 S
+perhaps P ER0 HH AE1 P S
+persons P ER1 S AH0 N Z
+difficult D IH1 F AH0 K AH0 L T
+scientific S AY2 AH0 N T IH1 F IH0 K
+satellite S AE1 T AH0 L AY2 T
+fit F IH1 T
+tests T EH1 S T S
+village V IH1 L AH0 JH
+accounts AH0 K AW1 N T S
+amateur AE1 M AH0 T ER2
+ex EH1 K S
+met M EH1 T
+pain P EY1 N
+xbox EH1 K S B AA2 K S
+particularly P AA2 R T IH1 K Y AH0 L ER0 L IY0
+factors F AE1 K T ER0 Z
+coffee K AA1 F IY0
+settings S EH1 T IH0 NG Z
+cum K AH1 M
+buyer B AY1 ER0
+cultural K AH1 L CH ER0 AH0 L
+steve S T IY1 V
+easily IY1 Z AH0 L IY0
+oral AO1 R AH0 L
+ford F AO1 R D
+poster P OW1 S T ER0
+edge EH1 JH
+functional F AH1 NG K SH AH0 N AH0 L
+root R UW1 T
+au OW1
+fi F AY1
+closed K L OW1 Z D
+holidays HH AA1 L AH0 D EY2 Z
+ice AY1 S
+pink P IH1 NG K
+zealand Z IY1 L AH0 N D
+balance B AE1 L AH0 N S
+monitoring M AA1 N AH0 T ER0 IH0 NG
+graduate G R AE1 JH AH0 W AH0 T
+replies R IH0 P L AY1 Z
+shot SH AA1 T
+architecture AA1 R K AH0 T EH2 K CH ER0
+initial IH2 N IH1 SH AH0 L
+label L EY1 B AH0 L
+thinking TH IH1 NG K IH0 NG
+scott S K AA1 T
+llc EH2 L EH2 L S IY2
+sec S EH1 K
+recommend R EH2 K AH0 M EH1 N D
+canon K AE1 N AH0 N
+hardcore HH AA1 R D K AO1 R
+league L IY1 G
+waste W EY1 S T
+minute M IH1 N AH0 T
+bus B AH1 S
+provider P R AH0 V AY1 D ER0
+optional AA1 P SH AH0 N AH0 L
+dictionary D IH1 K SH AH0 N EH2 R IY0
+cold K OW1 L D
+accounting AH0 K AW1 N T IH0 NG
+manufacturing M AE2 N Y AH0 F AE1 K CH ER0 IH0 NG
+sections S EH1 K SH AH0 N Z
+chair CH EH1 R
+fishing F IH1 SH IH0 NG
+effort EH1 F ER0 T
+phase F EY1 Z
+fields F IY1 L D Z
+bag B AE1 G
+fantasy F AE1 N T AH0 S IY0
+po P OW1
+letters L EH1 T ER0 Z
+motor M OW1 T ER0
+professor P R AH0 F EH1 S ER0
+context K AA1 N T EH0 K S T
+install IH2 N S T AO1 L
+shirt SH ER1 T
+apparel AH0 P AE1 R AH0 L
+generally JH EH1 N ER0 AH0 L IY0
+continued K AH0 N T IH1 N Y UW0 D
+foot F UH1 T
+mass M AE1 S
+crime K R AY1 M
+count K AW1 N T
+breast B R EH1 S T
+techniques T EH0 K N IY1 K S
+ibm AY1 B IY2 EH2 M
+johnson JH AA1 N S AH0 N
+quickly K W IH1 K L IY0
+dollars D AA1 L ER0 Z
+websites W EH1 B S AY2 T S
+religion R IH0 L IH1 JH AH0 N
+claim K L EY1 M
+driving D R AY1 V IH0 NG
+permission P ER0 M IH1 SH AH0 N
+surgery S ER1 JH ER0 IY0
+patch P AE1 CH
+heat HH IY1 T
+wild W AY1 L D
+measures M EH1 ZH ER0 Z
+generation JH EH2 N ER0 EY1 SH AH0 N
+kansas K AE1 N Z AH0 S
+miss M IH1 S
+chemical K EH1 M AH0 K AH0 L
+doctor D AA1 K T ER0
+task T AE1 S K
+reduce R AH0 D UW1 S
+brought B R AO1 T
+himself HH IH0 M S EH1 L F
+nor N AO1 R
+component K AH0 M P OW1 N AH0 N T
+enable EH0 N EY1 B AH0 L
+exercise EH1 K S ER0 S AY2 Z
+bug B AH1 G
+santa S AE1 N T AH0
+mid M IH1 D
+guarantee G EH2 R AH0 N T IY1
+leader L IY1 D ER0
+diamond D AY1 M AH0 N D
+israel IH1 Z R IY0 AH0 L
+se S EY1
+processes P R AA1 S EH0 S AH0 Z
+soft S AA1 F T
+servers S ER1 V ER0 Z
+alone AH0 L OW1 N
+meetings M IY1 T IH0 NG Z
+seconds S EH1 K AH0 N D Z
+jones JH OW1 N Z
+arizona EH2 R IH0 Z OW1 N AH0
+keyword K IY1 W ER2 D
+interests IH1 N T R AH0 S T S
+flight F L AY1 T
+congress K AA1 NG G R AH0 S
+fuel F Y UW1 AH0 L
+username Y UW1 Z ER0 N EY2 M
+walk W AO1 K
+fuck F AH1 K
+produced P R AH0 D UW1 S T
+italian IH2 T AE1 L Y AH0 N
+paperback P EY1 P ER0 B AE2 K
+classifieds K L AE1 S AH0 F AY2 D Z
+wait W EY1 T
+supported S AH0 P AO1 R T IH0 D
+pocket P AA1 K AH0 T
+saint S EY1 N T
+rose R OW1 Z
+freedom F R IY1 D AH0 M
+argument AA1 R G Y AH0 M AH0 N T
+competition K AA2 M P AH0 T IH1 SH AH0 N
+creating K R IY0 EY1 T IH0 NG
+jim JH IH1 M
+drugs D R AH1 G Z
+joint JH OY1 N T
+premium P R IY1 M IY0 AH0 M
+providers P R AH0 V AY1 D ER0 Z
+fresh F R EH1 SH
+characters K AE1 R AH0 K T ER0 Z
+attorney AH0 T ER1 N IY0
+upgrade AH0 P G R EY1 D
+di D IY1
+factor F AE1 K T ER0
+growing G R OW1 IH0 NG
+thousands TH AW1 Z AH0 N D Z
+stream S T R IY1 M
+apartments AH0 P AA1 R T M AH0 N T S
+pick P IH1 K
+hearing HH IY1 R IH0 NG
+eastern IY1 S T ER0 N
+auctions AA1 K SH AH0 N Z
+therapy TH EH1 R AH0 P IY0
+entries EH1 N T R IY0 Z
+dates D EY1 T S
+generated JH EH1 N ER0 EY2 T AH0 D
+signed S AY1 N D
+upper AH1 P ER0
+administrative AH0 D M IH1 N AH0 S T R EY2 T IH0 V
+serious S IH1 R IY0 AH0 S
+prime P R AY1 M
+samsung S AE1 M S AH2 NG
+limit L IH1 M AH0 T
+began B IH0 G AE1 N
+louis L UW1 IH0 S
+steps S T EH1 P S
+errors EH1 R ER0 Z
+shops SH AA1 P S
+bondage B AA1 N D IH0 JH
+del D EH1 L
+efforts EH1 F ER0 T S
+informed IH2 N F AO1 R M D
+ga G AA1
+ac EY1 S IY1
+thoughts TH AO1 T S
+creek K R IY1 K
+worked W ER1 K T
+quantity K W AA1 N T AH0 T IY0
+urban ER1 B AH0 N
+practices P R AE1 K T AH0 S AH0 Z
+sorted S AO1 R T IH0 D
+reporting R IY0 P AO1 R T IH0 NG
+essential EH0 S EH1 N SH AH0 L
+myself M AY2 S EH1 L F
+tours T UH1 R Z
+platform P L AE1 T F AO2 R M
+load L OW1 D
+affiliate AH0 F IH1 L IY0 EY2 T
+labor L EY1 B ER0
+immediately IH2 M IY1 D IY2 AH0 T L IY0
+admin AE1 D M IH0 N
+nursing N ER1 S IH0 NG
+defense D IH0 F EH1 N S
+machines M AH0 SH IY1 N Z
+designated D EH1 Z IH0 G N EY2 T IH0 D
+tags T AE1 G Z
+heavy HH EH1 V IY0
+covered K AH1 V ER0 D
+recovery R IH0 K AH1 V R IY0
+joe JH OW1
+guys G AY1 Z
+integrated IH1 N T AH0 G R EY2 T AH0 D
+configuration K AH0 N F IH2 G Y ER0 EY1 SH AH0 N
+cock K AA1 K
+merchant M ER1 CH AH0 N T
+comprehensive K AA2 M P R IY0 HH EH1 N S IH0 V
+expert EH1 K S P ER0 T
+universal Y UW2 N AH0 V ER1 S AH0 L
+protect P R AH0 T EH1 K T
+drop D R AA1 P
+solid S AA1 L AH0 D
+cds S IY2 D IY1 Z
+presentation P R EH2 Z AH0 N T EY1 SH AH0 N
+languages L AE1 NG G W AH0 JH AH0 Z
+became B IH0 K EY1 M
+orange AO1 R AH0 N JH
+compliance K AH0 M P L AY1 AH0 N S
+vehicles V IY1 HH IH0 K AH0 L Z
+prevent P R IH0 V EH1 N T
+theme TH IY1 M
+rich R IH1 CH
+im IH1 M
+campaign K AE0 M P EY1 N
+marine M ER0 IY1 N
+improvement IH2 M P R UW1 V M AH0 N T
+vs V IY1 EH1 S
+guitar G IH0 T AA1 R
+finding F AY1 N D IH0 NG
+pennsylvania P EH2 N S AH0 L V EY1 N Y AH0
+examples IH0 G Z AE1 M P AH0 L Z
+ipod AY1 P AA2 D
+saying S EY1 IH0 NG
+spirit S P IH1 R AH0 T
+ar AA1 R
+claims K L EY1 M Z
+porno P AO1 R N OW0
+challenge CH AE1 L AH0 N JH
+motorola M OW2 T ER0 OW1 L AH0
+acceptance AE0 K S EH1 P T AH0 N S
+strategies S T R AE1 T AH0 JH IY0 Z
+mo M OW1
+seem S IY1 M
+affairs AH0 F EH1 R Z
+touch T AH1 CH
+intended IH2 N T EH1 N D IH0 D
+towards T AH0 W AO1 R D Z
+sa S AA1
+goals G OW1 L Z
+hire HH AY1 ER0
+election IH0 L EH1 K SH AH0 N
+suggest S AH0 JH EH1 S T
+branch B R AE1 N CH
+charges CH AA1 R JH AH0 Z
+serve S ER1 V
+affiliates AH0 F IH1 L IY0 AH0 T S
+reasons R IY1 Z AH0 N Z
+magic M AE1 JH IH0 K
+mount M AW1 N T
+smart S M AA1 R T
+talking T AO1 K IH0 NG
+gave G EY1 V
+ones W AH1 N Z
+latin L AE1 T AH0 N
+multimedia M AH2 L T IY0 M IY1 D IY0 AH0
+tits T IH1 T S
+avoid AH0 V OY1 D
+certified S ER1 T AH0 F AY2 D
+manage M AE1 N AH0 JH
+corner K AO1 R N ER0
+rank R AE1 NG K
+computing K AH0 M P Y UW1 T IH0 NG
+oregon AO1 R AH0 G AH0 N
+element EH1 L AH0 M AH0 N T
+birth B ER1 TH
+virus V AY1 R AH0 S
+abuse AH0 B Y UW1 S
+interactive IH2 N T ER0 AE1 K T IH0 V
+requests R IH0 K W EH1 S T S
+separate S EH1 P ER0 EY2 T
+quarter K W AO1 R T ER0
+procedure P R AH0 S IY1 JH ER0
+leadership L IY1 D ER0 SH IH2 P
+tables T EY1 B AH0 L Z
+define D IH0 F AY1 N
+racing R EY1 S IH0 NG
+religious R IH0 L IH1 JH AH0 S
+facts F AE1 K T S
+breakfast B R EH1 K F AH0 S T
+kong K AO1 NG
+column K AA1 L AH0 M
+plants P L AE1 N T S
+faith F EY1 TH
+chain CH EY1 N
+developer D IH0 V EH1 L AH0 P ER0
+identify AY0 D EH1 N T AH0 F AY2
+avenue AE1 V AH0 N UW2
+missing M IH1 S IH0 NG
+died D AY1 D
+approximately AH0 P R AA1 K S AH0 M AH0 T L IY0
+domestic D AH0 M EH1 S T IH0 K
+recommendations R EH2 K AH0 M AH0 N D EY1 SH AH0 N Z
+moved M UW1 V D
+houston HH Y UW1 S T AH0 N
+reach R IY1 CH
+comparison K AH0 M P EH1 R AH0 S AH0 N
+mental M EH1 N T AH0 L
+viewed V Y UW1 D
+moment M OW1 M AH0 N T
+extended IH0 K S T EH1 N D AH0 D
+sequence S IY1 K W AH0 N S
+inch IH1 N CH
+attack AH0 T AE1 K
+sorry S AA1 R IY0
+centers S EH1 N T ER0 Z
+opening OW1 P AH0 N IH0 NG
+damage D AE1 M AH0 JH
+lab L AE1 B
+reserve R IH0 Z ER1 V
+recipes R EH1 S AH0 P IY0 Z
+gamma G AE1 M AH0
+plastic P L AE1 S T IH0 K
+produce P R AH0 D UW1 S
+snow S N OW1
+placed P L EY1 S T
+truth T R UW1 TH
+counter K AW1 N T ER0
+failure F EY1 L Y ER0
+follows F AA1 L OW0 Z
+eu IY1 Y UW2
+weekend W IY1 K EH2 N D
+dollar D AA1 L ER0
+camp K AE1 M P
+ontario AA0 N T EH1 R IY0 OW0
+automatically AO2 T AH0 M AE1 T IH0 K L IY0
+des D EH1 S
+minnesota M IH2 N IH0 S OW1 T AH0
+films F IH1 L M Z
+bridge B R IH1 JH
+native N EY1 T IH0 V
+fill F IH1 L
+williams W IH1 L Y AH0 M Z
+movement M UW1 V M AH0 N T
+printing P R IH1 N T IH0 NG
+baseball B EY1 S B AO1 L
+owned OW1 N D
+approval AH0 P R UW1 V AH0 L
+draft D R AE1 F T
+chart CH AA1 R T
+played P L EY1 D
+contacts K AA1 N T AE2 K T S
+cc S IY2 S IY1
+jesus JH IY1 Z AH0 S
+readers R IY1 D ER0 Z
+clubs K L AH1 B Z
+wa W AA1
+jackson JH AE1 K S AH0 N
+equal IY1 K W AH0 L
+adventure AE0 D V EH1 N CH ER0
+matching M AE1 CH IH0 NG
+offering AO1 F ER0 IH0 NG
+shirts SH ER1 T S
+profit P R AA1 F AH0 T
+leaders L IY1 D ER0 Z
+posters P OW1 S T ER0 Z
+institutions IH2 N S T IH0 T UW1 SH AH0 N Z
+assistant AH0 S IH1 S T AH0 N T
+variable V EH1 R IY0 AH0 B AH0 L
+ave AA1 V EY2
+dj D IY1 JH EY1
+advertisement AE0 D V ER1 T AH0 Z M AH0 N T
+expect IH0 K S P EH1 K T
+parking P AA1 R K IH0 NG
+headlines HH EH1 D L AY2 N Z
+yesterday Y EH1 S T ER0 D EY2
+compared K AH0 M P EH1 R D
+determined D IH0 T ER1 M AH0 N D
+wholesale HH OW1 L S EY2 L
+workshop W ER1 K SH AA2 P
+russia R AH1 SH AH0
+gone G AO1 N
+codes K OW1 D Z
+kinds K AY1 N D Z
+extension IH0 K S T EH1 N SH AH0 N
+seattle S IY0 AE1 T AH0 L
+statements S T EY1 T M AH0 N T S
+golden G OW1 L D AH0 N
+completely K AH0 M P L IY1 T L IY0
+teams T IY1 M Z
+fort F AO1 R T
+lighting L AY1 T IH0 NG
+senate S EH1 N AH0 T
+forces F AO1 R S IH0 Z
+funny F AH1 N IY0
+brother B R AH1 DH ER0
+gene JH IY1 N
+turned T ER1 N D
+portable P AO1 R T AH0 B AH0 L
+tried T R AY1 D
+electrical IH0 L EH1 K T R IH0 K AH0 L
+applicable AE1 P L AH0 K AH0 B AH0 L
+disc D IH1 S K
+returned R IH0 T ER1 N D
+pattern P AE1 T ER0 N
+ct K AO1 R T
+boat B OW1 T
+named N EY1 M D
+theatre TH IY1 AH0 T ER0
+laser L EY1 Z ER0
+earlier ER1 L IY0 ER0
+manufacturers M AE2 N Y AH0 F AE1 K CH ER0 ER0 Z
+sponsor S P AA1 N S ER0
+classical K L AE1 S IH0 K AH0 L
+icon AY1 K AA0 N
+warranty W AO1 R AH0 N T IY0
+dedicated D EH1 D AH0 K EY0 T AH0 D
+indiana IH2 N D IY0 AE1 N AH0
+direction D ER0 EH1 K SH AH0 N
+harry HH EH1 R IY0
+basketball B AE1 S K AH0 T B AO2 L
+objects AA1 B JH EH0 K T S
+ends EH1 N D Z
+delete D IH0 L IY1 T
+evening IY1 V N IH0 NG
+assembly AH0 S EH1 M B L IY0
+nuclear N UW1 K L IY0 ER0
+taxes T AE1 K S AH0 Z
+mouse M AW1 S
+signal S IH1 G N AH0 L
+criminal K R IH1 M AH0 N AH0 L
+issued IH1 SH UW0 D
+brain B R EY1 N
+sexual S EH1 K SH UW0 AH0 L
+wisconsin W IH0 S K AA1 N S AH0 N
+powerful P AW1 ER0 F AH0 L
+dream D R IY1 M
+obtained AH0 B T EY1 N D
+false F AO1 L S
+da D AA1
+cast K AE1 S T
+flower F L AW1 ER0
+felt F EH1 L T
+personnel P ER2 S AH0 N EH1 L
+passed P AE1 S T
+supplied S AH0 P L AY1 D
+identified AY0 D EH1 N T AH0 F AY2 D
+falls F AO1 L Z
+pic P IH1 K
+soul S OW1 L
+aids EY1 D Z
+opinions AH0 P IH1 N Y AH0 N Z
+promote P R AH0 M OW1 T
+stated S T EY1 T IH0 D
+stats S T AE1 T S
+hawaii HH AH0 W AY1 IY2
+professionals P R AH0 F EH1 SH AH0 N AH0 L Z
+appears AH0 P IH1 R Z
+carry K AE1 R IY0
+flag F L AE1 G
+decided D IH2 S AY1 D IH0 D
+covers K AH1 V ER0 Z
+hr EY1 CH AA1 R
+em EH1 M
+advantage AE0 D V AE1 N T IH0 JH
+hello HH AH0 L OW1
+designs D IH0 Z AY1 N Z
+maintain M EY0 N T EY1 N
+tourism T UH1 R IH2 Z AH0 M
+priority P R AY0 AO1 R AH0 T IY0
+newsletters N UW1 Z L EH2 T ER0 Z
+adults AH0 D AH1 L T S
+clips K L IH1 P S
+savings S EY1 V IH0 NG Z
+graphic G R AE1 F IH0 K
+atom AE1 T AH0 M
+payments P EY1 M AH0 N T S
+estimated EH1 S T AH0 M EY2 T AH0 D
+binding B AY1 N D IH0 NG
+brief B R IY1 F
+ended EH1 N D AH0 D
+winning W IH1 N IH0 NG
+eight EY1 T
+anonymous AH0 N AA1 N AH0 M AH0 S
+iron AY1 ER0 N
+straight S T R EY1 T
+script S K R IH1 P T
+served S ER1 V D
+wants W AA1 N T S
+miscellaneous M IH2 S AH0 L EY1 N IY0 AH0 S
+prepared P R IY0 P EH1 R D
+void V OY1 D
+dining D AY1 N IH0 NG
+alert AH0 L ER1 T
+integration IH2 N T AH0 G R EY1 SH AH0 N
+atlanta AE0 T L AE1 N T AH0
+dakota D AH0 K OW1 T AH0
+tag T AE1 G
+interview IH1 N T ER0 V Y UW2
+mix M IH1 K S
+framework F R EY1 M W ER2 K
+disk D IH1 S K
+installed IH2 N S T AO1 L D
+queen K W IY1 N
+credits K R EH1 D IH0 T S
+clearly K L IH1 R L IY0
+fix F IH1 K S
+handle HH AE1 N D AH0 L
+sweet S W IY1 T
+desk D EH1 S K
+criteria K R AY0 T IH1 R IY0 AH0
+dave D EY1 V
+massachusetts M AE2 S AH0 CH UW1 S AH0 T S
+diego D IY0 EY1 G OW0
+hong HH AO1 NG
+vice V AY1 S
+associate AH0 S OW1 S IY0 AH0 T
+ne N IY1
+truck T R AH1 K
+behavior B IH0 HH EY1 V Y ER0
+enlarge EH2 N L AA1 R JH
+ray R EY1
+frequently F R IY1 K W AH0 N T L IY0
+revenue R EH1 V AH0 N UW2
+measure M EH1 ZH ER0
+changing CH EY1 N JH IH0 NG
+votes V OW1 T S
+du D UW1
+duty D UW1 T IY0
+looked L UH1 K T
+discussions D IH0 S K AH1 SH AH0 N Z
+bear B EH1 R
+gain G EY1 N
+festival F EH1 S T AH0 V AH0 L
+laboratory L AE1 B R AH0 T AO2 R IY0
+ocean OW1 SH AH0 N
+flights F L AY1 T S
+experts EH1 K S P ER0 T S
+signs S AY1 N Z
+lack L AE1 K
+depth D EH1 P TH
+iowa AY1 AH0 W AH0
+whatever W AH2 T EH1 V ER0
+logged L AO1 G D
+laptop L AE1 P T AA2 P
+vintage V IH1 N T IH0 JH
+train T R EY1 N
+exactly IH0 G Z AE1 K T L IY0
+dry D R AY1
+explore IH0 K S P L AO1 R
+maryland M EH1 R AH0 L AH0 N D
+spa S P AA1
+concept K AA1 N S EH0 P T
+nearly N IH1 R L IY0
+eligible EH1 L AH0 JH AH0 B AH0 L
+checkout CH EH1 K AW2 T
+reality R IY2 AE1 L AH0 T IY2
+forgot F ER0 G AA1 T
+handling HH AE1 N D L IH0 NG
+origin AO1 R AH0 JH AH0 N
+knew N UW1
+gaming G EY1 M IH0 NG
+feeds F IY1 D Z
+billion B IH1 L Y AH0 N
+destination D EH2 S T AH0 N EY1 SH AH0 N
+scotland S K AA1 T L AH0 N D
+faster F AE1 S T ER0
+intelligence IH2 N T EH1 L AH0 JH AH0 N S
+dallas D AE1 L AH0 S
+bought B AA1 T
+con K AA1 N
+ups AH1 P S
+nations N EY1 SH AH0 N Z
+route R UW1 T
+followed F AA1 L OW0 D
+specifications S P EH2 S AH0 F AH0 K EY1 SH AH0 N Z
+broken B R OW1 K AH0 N
+frank F R AE1 NG K
+alaska AH0 L AE1 S K AH0
+zoom Z UW1 M
+blow B L OW1
+battle B AE1 T AH0 L
+residential R EH2 Z IH0 D EH1 N SH AH0 L
+anime AE2 N IH0 M EY1
+speak S P IY1 K
+decisions D IH0 S IH1 ZH AH0 N Z
+industries IH1 N D AH0 S T R IY0 Z
+protocol P R OW1 T AH0 K AA2 L
+query K W IY1 R IY0
+clip K L IH1 P
+partnership P AA1 R T N ER0 SH IH2 P
+editorial EH2 D AH0 T AO1 R IY0 AH0 L
+expression IH0 K S P R EH1 SH AH0 N
+es EH1 S
+equity EH1 K W AH0 T IY0
+provisions P R AH0 V IH1 ZH AH0 N Z
+speech S P IY1 CH
+wire W AY1 ER0
+principles P R IH1 N S AH0 P AH0 L Z
+suggestions S AH0 JH EH1 S CH AH0 N Z
+rural R UH1 R AH0 L
+shared SH EH1 R D
+sounds S AW1 N D Z
+replacement R IH0 P L EY1 S M AH0 N T
+tape T EY1 P
+strategic S T R AH0 T IY1 JH IH0 K
+judge JH AH1 JH
+spam S P AE1 M
+economics EH2 K AH0 N AA1 M IH0 K S
+acid AE1 S AH0 D
+bytes B AY1 T S
+cent S EH1 N T
+forced F AO1 R S T
+compatible K AH0 M P AE1 T AH0 B AH0 L
+fight F AY1 T
+apartment AH0 P AA1 R T M AH0 N T
+height HH AY1 T
+null N AH1 L
+zero Z IH1 R OW0
+speaker S P IY1 K ER0
+filed F AY1 L D
+netherlands N EH1 DH ER0 L AH0 N D Z
+obtain AH0 B T EY1 N
+bc B IY2 S IY1
+consulting K AH0 N S AH1 L T IH0 NG
+recreation R EH2 K R IY0 EY1 SH AH0 N
+offices AO1 F AH0 S AH0 Z
+designer D IH0 Z AY1 N ER0
+remain R IH0 M EY1 N
+managed M AE1 N AH0 JH D
+pr P IY1 AA1 R
+failed F EY1 L D
+marriage M EH1 R IH0 JH
+roll R OW1 L
+korea K AO2 R IY1 AH0
+banks B AE1 NG K S
+participants P AA0 R T IH1 S AH0 P AH0 N T S
+secret S IY1 K R AH0 T
+bath B AE1 TH
+kelly K EH1 L IY0
+leads L IY1 D Z
+negative N EH1 G AH0 T IH0 V
+austin AO1 S T AH0 N
+favorites F EY1 V ER0 IH0 T S
+toronto T ER0 AA1 N T OW0
+theater TH IY1 AH0 T ER0
+springs S P R IH1 NG Z
+missouri M AH0 Z UH1 R IY0
+andrew AE1 N D R UW0
+perform P ER0 F AO1 R M
+healthy HH EH1 L TH IY0
+translation T R AE0 N Z L EY1 SH AH0 N
+estimates EH1 S T AH0 M AH0 T S
+font F AA1 N T
+assets AE1 S EH2 T S
+injury IH1 N JH ER0 IY0
+mt M AW1 N T
+joseph JH OW1 S AH0 F
+ministry M IH1 N AH0 S T R IY0
+drivers D R AY1 V ER0 Z
+lawyer L AO1 Y ER0
+figures F IH1 G Y ER0 Z
+married M EH1 R IY0 D
+protected P R AH0 T EH1 K T IH0 D
+proposal P R AH0 P OW1 Z AH0 L
+sharing SH EH1 R IH0 NG
+philadelphia F IH2 L AH0 D EH1 L F IY0 AH0
+portal P AO1 R T AH0 L
+waiting W EY1 T IH0 NG
+birthday B ER1 TH D EY2
+beta B EY1 T AH0
+fail F EY1 L
+gratis G R AE1 T AH0 S
+banking B AE1 NG K IH0 NG
+officials AH0 F IH1 SH AH0 L Z
+brian B R AY1 AH0 N
+toward T AH0 W AO1 R D
+won W AH1 N
+slightly S L AY1 T L IY0
+assist AH0 S IH1 S T
+conduct K AA1 N D AH0 K T
+contained K AH0 N T EY1 N D
+lingerie L AA1 N ZH ER0 EY2
+legislation L EH2 JH AH0 S L EY1 SH AH0 N
+calling K AO1 L IH0 NG
+parameters P ER0 AE1 M AH0 T ER0 Z
+jazz JH AE1 Z
+serving S ER1 V IH0 NG
+bags B AE1 G Z
+profiles P R OW1 F AY2 L Z
+miami M AY0 AE1 M IY0
+comics K AA1 M IH0 K S
+matters M AE1 T ER0 Z
+houses HH AW1 S AH0 Z
+doc D AA1 K
+postal P OW1 S T AH0 L
+relationships R IY0 L EY1 SH AH0 N SH IH2 P S
+tennessee T EH2 N AH0 S IY1
+wear W EH1 R
+controls K AH0 N T R OW1 L Z
+breaking B R EY1 K IH0 NG
+combined K AH0 M B AY1 N D
+ultimate AH1 L T AH0 M AH0 T
+wales W EY1 L Z
+representative R EH2 P R AH0 Z EH1 N T AH0 T IH0 V
+frequency F R IY1 K W AH0 N S IY0
+introduced IH2 N T R AH0 D UW1 S T
+minor M AY1 N ER0
+finish F IH1 N IH0 SH
+departments D IH0 P AA1 R T M AH0 N T S
+residents R EH1 Z IH0 D AH0 N T S
+noted N OW1 T AH0 D
+displayed D IH0 S P L EY1 D
+mom M AA1 M
+reduced R AH0 D UW1 S T
+physics F IH1 Z IH0 K S
+rare R EH1 R
+spent S P EH1 N T
+performed P ER0 F AO1 R M D
+extreme EH0 K S T R IY1 M
+samples S AE1 M P AH0 L Z
+davis D EY1 V AH0 S
+daniel D AE1 N Y AH0 L
+bars B AA1 R Z
+reviewed R IY0 V Y UW1 D
+row R OW1
+oz AA1 Z
+forecast F AO1 R K AE2 S T
+removed R IY0 M UW1 V D
+helps HH EH1 L P S
+singles S IH1 NG G AH0 L Z
+administrator AH0 D M IH1 N AH0 S T R EY2 T ER0
+cycle S AY1 K AH0 L
+amounts AH0 M AW1 N T S
+contain K AH0 N T EY1 N
+accuracy AE1 K Y ER0 AH0 S IY0
+dual D UW1 AH0 L
+rise R AY1 Z
+sleep S L IY1 P
+mg EH2 M G IY1
+bird B ER1 D
+pharmacy F AA1 R M AH0 S IY0
+brazil B R AH0 Z IH1 L
+creation K R IY0 EY1 SH AH0 N
+static S T AE1 T IH0 K
+scene S IY1 N
+hunter HH AH1 N T ER0
+addresses AE1 D R EH1 S IH0 Z
+lady L EY1 D IY0
+crystal K R IH1 S T AH0 L
+famous F EY1 M AH0 S
+writer R AY1 T ER0
+chairman CH EH1 R M AH0 N
+violence V AY1 AH0 L AH0 N S
+fans F AE1 N Z
+oklahoma OW2 K L AH0 HH OW1 M AH0
+speakers S P IY1 K ER0 Z
+drink D R IH1 NG K
+academy AH0 K AE1 D AH0 M IY0
+dynamic D AY0 N AE1 M IH0 K
+gender JH EH1 N D ER0
+eat IY1 T
+permanent P ER1 M AH0 N AH0 N T
+agriculture AE1 G R IH0 K AH2 L CH ER0
+dell D EH1 L
+cleaning K L IY1 N IH0 NG
+constitutes K AA1 N S T AH0 T UW2 T S
+portfolio P AO0 R T F OW1 L IY0 OW2
+practical P R AE1 K T AH0 K AH0 L
+delivered D IH0 L IH1 V ER0 D
+collectibles K AH0 L EH1 K T AH0 B AH0 L Z
+infrastructure IH2 N F R AH0 S T R AH1 K CH ER0
+exclusive IH0 K S K L UW1 S IH0 V
+seat S IY1 T
+concerns K AH0 N S ER1 N Z
+colour K AH1 L ER0
+vendor V EH1 N D ER0
+originally ER0 IH1 JH AH0 N AH0 L IY0
+intel IH2 N T EH1 L
+utilities Y UW0 T IH1 L AH0 T IY0 Z
+philosophy F AH0 L AA1 S AH0 F IY0
+regulation R EH2 G Y AH0 L EY1 SH AH0 N
+officers AO1 F AH0 S ER0 Z
+reduction R AH0 D AH1 K SH AH0 N
+aim EY1 M
+bids B IH1 D Z
+referred R AH0 F ER1 D
+supports S AH0 P AO1 R T S
+nutrition N UW0 T R IH1 SH AH0 N
+recording R AH0 K AO1 R D IH0 NG
+regions R IY1 JH AH0 N Z
+junior JH UW1 N Y ER0
+toll T OW1 L
+les L EH1 S
+cape K EY1 P
+ann AE1 N
+rings R IH1 NG Z
+meaning M IY1 N IH0 NG
+tip T IH1 P
+secondary S EH1 K AH0 N D EH2 R IY0
+wonderful W AH1 N D ER0 F AH0 L
+mine M AY1 N
+ladies L EY1 D IY0 Z
+henry HH EH1 N R IY0
+ticket T IH1 K AH0 T
+announced AH0 N AW1 N S T
+guess G EH1 S
+agreed AH0 G R IY1 D
+prevention P R IY0 V EH1 N SH AH0 N
+whom HH UW1 M
+ski S K IY1
+soccer S AA1 K ER0
+math M AE1 TH
+import IH2 M P AO1 R T
+posting P OW1 S T IH0 NG
+presence P R EH1 Z AH0 N S
+instant IH1 N S T AH0 N T
+mentioned M EH1 N SH AH0 N D
+automatic AO2 T AH0 M AE1 T IH0 K
+healthcare HH EH1 L TH K EH2 R
+viewing V Y UW1 IH0 NG
+maintained M EY0 N T EY1 N D
+increasing IH2 N K R IY1 S IH0 NG
+majority M AH0 JH AO1 R AH0 T IY0
+connected K AH0 N EH1 K T IH0 D
+christ K R AY1 S T
+dan D AE1 N
+dogs D AA1 G Z
+directors D ER0 EH1 K T ER0 Z
+aspects AE1 S P EH2 K T S
+austria AO1 S T R IY0 AH0
+ahead AH0 HH EH1 D
+moon M UW1 N
+participation P AA0 R T IH2 S AH0 P EY1 SH AH0 N
+scheme S K IY1 M
+utility Y UW0 T IH1 L AH0 T IY0
+preview P R IY1 V Y UW2
+fly F L AY1
+manner M AE1 N ER0
+matrix M EY1 T R IH0 K S
+containing K AH0 N T EY1 N IH0 NG
+combination K AA2 M B AH0 N EY1 SH AH0 N
+amendment AH0 M EH1 N D M AH0 N T
+despite D IH0 S P AY1 T
+strength S T R EH1 NG K TH
+guaranteed G EH2 R AH0 N T IY1 D
+turkey T ER1 K IY0
+libraries L AY1 B R EH0 R IY2 Z
+proper P R AA1 P ER0
+distributed D IH0 S T R IH1 B Y AH0 T AH0 D
+degrees D IH0 G R IY1 Z
+singapore S IH1 NG AH0 P AO2 R
+enterprises EH1 N T ER0 P R AY2 Z IH0 Z
+delta D EH1 L T AH0
+fear F IH1 R
+seeking S IY1 K IH0 NG
+inches IH1 N CH AH0 Z
+phoenix F IY1 N IH0 K S
+convention K AH0 N V EH1 N SH AH0 N
+shares SH EH1 R Z
+principal P R IH1 N S AH0 P AH0 L
+daughter D AO1 T ER0
+standing S T AE1 N D IH0 NG
+voyeur V OY2 Y UW1 R
+comfort K AH1 M F ER0 T
+colors K AH1 L ER0 Z
+wars W AO1 R Z
+cisco S IH1 S K OW2
+ordering AO1 R D ER0 IH0 NG
+kept K EH1 P T
+alpha AE1 L F AH0
+appeal AH0 P IY1 L
+cruise K R UW1 Z
+bonus B OW1 N AH0 S
+certification S ER2 T AH0 F AH0 K EY1 SH AH0 N
+previously P R IY1 V IY0 AH0 S L IY0
+hey HH EY1
+bookmark B UH1 K M AA0 R K
+buildings B IH1 L D IH0 NG Z
+specials S P EH1 SH AH0 L Z
+beat B IY1 T
+disney D IH1 Z N IY0
+household HH AW1 S HH OW2 L D
+batteries B AE1 T ER0 IY0 Z
+adobe AH0 D OW1 B IY0
+smoking S M OW1 K IH0 NG
+bbc B IY2 B IY0 S IY1
+becomes B IH0 K AH1 M Z
+drives D R AY1 V Z
+arms AA1 R M Z
+alabama AE2 L AH0 B AE1 M AH0
+tea T IY1
+improved IH2 M P R UW1 V D
+trees T R IY1 Z
+achieve AH0 CH IY1 V
+positions P AH0 Z IH1 SH AH0 N Z
+dress D R EH1 S
+subscription S AH0 B S K R IH1 P SH AH0 N
+dealer D IY1 L ER0
+contemporary K AH0 N T EH1 M P ER0 EH2 R IY0
+sky S K AY1
+utah Y UW1 T AO2
+nearby N IH1 R B AY1
+rom R AA1 M
+carried K AE1 R IY0 D
+happen HH AE1 P AH0 N
+exposure IH0 K S P OW1 ZH ER0
+panasonic P AE2 N AH0 S AA1 N IH0 K
+hide HH AY1 D
+signature S IH1 G N AH0 CH ER0
+gambling G AE1 M B AH0 L IH0 NG
+refer R AH0 F ER1
+miller M IH1 L ER0
+provision P R AH0 V IH1 ZH AH0 N
+outdoors AW1 T D AO1 R Z
+clothes K L OW1 DH Z
+caused K AA1 Z D
+luxury L AH1 G ZH ER0 IY0
+babes B EY1 B Z
+frames F R EY1 M Z
+viagra V IY0 AE1 G R AH0
+certainly S ER1 T AH0 N L IY0
+indeed IH2 N D IY1 D
+newspaper N UW1 Z P EY2 P ER0
+toy T OY1
+circuit S ER1 K AH0 T
+layer L EY1 ER0
+printed P R IH1 N T IH0 D
+slow S L OW1
+removal R IH0 M UW1 V AH0 L
+easier IY1 Z IY0 ER0
+liability L AY2 AH0 B IH1 L IH0 T IY0
+trademark T R EY1 D M AA2 R K
+hip HH IH1 P
+printers P R IH1 N T ER0 Z
+nine N AY1 N
+adding AE1 D IH0 NG
+kentucky K AH0 N T AH1 K IY0
+mostly M OW1 S T L IY0
+eric EH1 R IH0 K
+spot S P AA1 T
+taylor T EY1 L ER0
+prints P R IH1 N T S
+spend S P EH1 N D
+factory F AE1 K T ER0 IY0
+interior IH2 N T IH1 R IY0 ER0
+revised R IH0 V AY1 Z D
+grow G R OW1
+americans AH0 M EH1 R AH0 K AH0 N Z
+optical AA1 P T IH0 K AH0 L
+promotion P R AH0 M OW1 SH AH0 N
+relative R EH1 L AH0 T IH0 V
+amazing AH0 M EY1 Z IH0 NG
+clock K L AA1 K
+dot D AA1 T
+hiv EY1 CH AY1 V IY1 # abbrev
+identity AY0 D EH1 N T IH0 T IY2
+suites S W IY1 T S
+conversion K AH0 N V ER1 ZH AH0 N
+feeling F IY1 L IH0 NG
+hidden HH IH1 D AH0 N
+reasonable R IY1 Z AH0 N AH0 B AH0 L
+victoria V IH0 K T AO1 R IY0 AH0
+serial S IH1 R IY2 AH0 L
+relief R IH0 L IY1 F
+revision R IY0 V IH1 ZH AH0 N
+broadband B R AO1 D B AE2 N D
+influence IH1 N F L UW0 AH0 N S
+ratio R EY1 SH IY0 OW2
+importance IH2 M P AO1 R T AH0 N S
+rain R EY1 N
+onto AA1 N T UW0
+planet P L AE1 N AH0 T
+webmaster W EH1 B M AE2 S T ER0
+copies K AA1 P IY0 Z
+recipe R EH1 S AH0 P IY0
+permit P ER0 M IH1 T
+seeing S IY1 IH0 NG
+proof P R UW1 F
+dna D IY1 EH2 N EY1
+diff D IH1 F
+tennis T EH1 N AH0 S
+bass B AE1 S
+prescription P R AH0 S K R IH1 P SH AH0 N
+bedroom B EH1 D R UW2 M
+empty EH1 M P T IY0
+instance IH1 N S T AH0 N S
+hole HH OW1 L
+pets P EH1 T S
+ride R AY1 D
+licensed L AY1 S AH0 N S T
+orlando AO0 R L AE1 N D OW2
+specifically S P AH0 S IH1 F IH0 K L IY0
+tim T IH1 M
+bureau B Y UH1 R OW0
+maine M EY1 N
+sql EH2 S K Y UW2 EH1 L
+represent R EH2 P R IH0 Z EH1 N T
+conservation K AA2 N S ER0 V EY1 SH AH0 N
+pair P EH1 R
+ideal AY0 D IY1 L
+specs S P EH1 K S
+recorded R AH0 K AO1 R D IH0 D
+don D AA1 N
+pieces P IY1 S AH0 Z
+finished F IH1 N IH0 SH T
+parks P AA1 R K S
+dinner D IH1 N ER0
+lawyers L AO1 Y ER0 Z
+sydney S IH1 D N IY0
+stress S T R EH1 S
+cream K R IY1 M
+ss EH1 S EH1 S
+runs R AH1 N Z
+trends T R EH1 N D Z
+yeah Y AE1
+discover D IH0 S K AH1 V ER0
+ap EY2 P IY1
+patterns P AE1 T ER0 N Z
+boxes B AA1 K S AH0 Z
+louisiana L UW0 IY2 Z IY0 AE1 N AH0
+hills HH IH1 L Z
+javascript JH AA1 V AH0 S K R IH2 P T
+fourth F AO1 R TH
+advisor AE0 D V AY1 Z ER0
+marketplace M AA1 R K AH0 T P L EY2 S
+evil IY1 V AH0 L
+aware AH0 W EH1 R
+wilson W IH1 L S AH0 N
+shape SH EY1 P
+evolution EH2 V AH0 L UW1 SH AH0 N
+irish AY1 R IH0 SH
+certificates S ER0 T IH1 F IH0 K AH0 T S
+objectives AH0 B JH EH1 K T IH0 V Z
+stations S T EY1 SH AH0 N Z
+suggested S AH0 JH EH1 S T IH0 D
+gps G IY1 P IY0 EH1 S
+op AA1 P
+remains R IH0 M EY1 N Z
+acc AY2 S IY2 S IY1
+greatest G R EY1 T AH0 S T
+firms F ER1 M Z
+concerned K AH0 N S ER1 N D
+euro Y UW1 R OW0
+operator AA1 P ER0 EY2 T ER0
+structures S T R AH1 K CH ER0 Z
+generic JH AH0 N EH1 R IH0 K
+encyclopedia IH0 N S AY2 K L AH0 P IY1 D IY0 AH0
+usage Y UW1 S AH0 JH
+cap K AE1 P
+ink IH1 NG K
+charts CH AA1 R T S
+continuing K AH0 N T IH1 N Y UW0 IH0 NG
+mixed M IH1 K S T
+census S EH1 N S AH0 S
+interracial IH2 N T ER0 R EY1 SH AH0 L
+peak P IY1 K
+competitive K AH0 M P EH1 T AH0 T IH0 V
+exist IH0 G Z IH1 S T
+wheel W IY1 L
+transit T R AE1 N Z IH0 T
+dick D IH1 K
+suppliers S AH0 P L AY1 ER0 Z
+salt S AO1 L T
+compact K AA1 M P AE0 K T
+poetry P OW1 AH0 T R IY0
+lights L AY1 T S
+tracking T R AE1 K IH0 NG
+angel EY1 N JH AH0 L
+bell B EH1 L
+keeping K IY1 P IH0 NG
+preparation P R EH2 P ER0 EY1 SH AH0 N
+attempt AH0 T EH1 M P T
+receiving R AH0 S IY1 V IH0 NG
+matches M AE1 CH AH0 Z
+accordance AH0 K AO1 R D AH0 N S
+width W IH1 D TH
+noise N OY1 Z
+engines EH1 N JH AH0 N Z
+forget F ER0 G EH1 T
+array ER0 EY1
+discussed D IH0 S K AH1 S T
+accurate AE1 K Y ER0 AH0 T
+stephen S T IY1 V AH0 N
+elizabeth IH0 L IH1 Z AH0 B AH0 TH
+climate K L AY1 M AH0 T
+reservations R EH2 Z ER0 V EY1 SH AH0 N Z
+pin P IH1 N
+playstation P L EY1 S T EY2 SH AH0 N
+alcohol AE1 L K AH0 HH AA2 L
+greek G R IY1 K
+instruction IH2 N S T R AH1 K SH AH0 N
+managing M AE1 N AH0 JH IH0 NG
+annotation AE2 N AH0 T EY1 SH AH0 N
+sister S IH1 S T ER0
+raw R AA1
+differences D IH1 F ER0 AH0 N S IH0 Z
+walking W AO1 K IH0 NG
+explain IH0 K S P L EY1 N
+smaller S M AO1 L ER0
+newest N UW1 AH0 S T
+establish IH0 S T AE1 B L IH0 SH
+gnu N UW1
+happened HH AE1 P AH0 N D
+expressed IH0 K S P R EH1 S T
+jeff JH EH1 F
+extent IH0 K S T EH1 N T
+sharp SH AA1 R P
+lesbians L EH1 Z B IY0 AH0 N Z
+ben B EH1 N
+lane L EY1 N
+paragraph P AE1 R AH0 G R AE2 F
+kill K IH1 L
+mathematics M AE2 TH AH0 M AE1 T IH0 K S
+aol EY1 OW1 EH1 L
+compensation K AA2 M P AH0 N S EY1 SH AH0 N
+ce S IY2 IY1
+export EH1 K S P AO0 R T
+managers M AE1 N AH0 JH ER0 Z
+aircraft EH1 R K R AE2 F T
+modules M AA1 JH UW0 L Z
+sweden S W IY1 D AH0 N
+conflict K AA1 N F L IH0 K T
+conducted K AH0 N D AH1 K T AH0 D
+versions V ER1 ZH AH0 N Z
+employer EH0 M P L OY1 ER0
+occur AH0 K ER1
+percentage P ER0 S EH1 N T AH0 JH
+knows N OW1 Z
+mississippi M IH2 S IH0 S IH1 P IY0
+describe D IH0 S K R AY1 B
+concern K AH0 N S ER1 N
+backup B AE1 K AH2 P
+requested R IH0 K W EH1 S T IH0 D
+citizens S IH1 T AH0 Z AH0 N Z
+connecticut K AH0 N EH1 T AH0 K AH0 T
+heritage HH EH1 R AH0 T AH0 JH
+personals P ER1 S IH0 N IH0 L Z
+immediate IH2 M IY1 D IY2 AH0 T
+holding HH OW1 L D IH0 NG
+trouble T R AH1 B AH0 L
+spread S P R EH1 D
+coach K OW1 CH
+kevin K EH1 V IH0 N
+agricultural AE2 G R AH0 K AH1 L CH ER0 AH0 L
+expand IH0 K S P AE1 N D
+supporting S AH0 P AO1 R T IH0 NG
+audience AA1 D IY0 AH0 N S
+assigned AH0 S AY1 N D
+jordan JH AO1 R D AH0 N
+collections K AH0 L EH1 K SH AH0 N Z
+ages EY1 JH AH0 Z
+participate P AA0 R T IH1 S AH0 P EY2 T
+plug P L AH1 G
+specialist S P EH1 SH AH0 L AH0 S T
+cook K UH1 K
+affect AH0 F EH1 K T
+virgin V ER1 JH IH0 N
+experienced IH0 K S P IH1 R IY0 AH0 N S T
+investigation IH2 N V EH2 S T AH0 G EY1 SH AH0 N
+raised R EY1 Z D
+hat HH AE1 T
+institution IH2 N S T IH0 T UW1 SH AH0 N
+directed D ER0 EH1 K T AH0 D
+dealers D IY1 L ER0 Z
+searching S ER1 CH IH0 NG
+sporting S P AO1 R T IH0 NG
+helping HH EH1 L P IH0 NG
+perl P ER1 L
+affected AH0 F EH1 K T IH0 D
+lib L IH1 B
+bike B AY1 K
+totally T OW1 T AH0 L IY0
+plate P L EY1 T
+expenses IH0 K S P EH1 N S AH0 Z
+indicate IH1 N D AH0 K EY2 T
+blonde B L AA1 N D
+ab AE1 B
+proceedings P R OW0 S IY1 D IH0 NG Z
+favourite F EY1 V ER0 IH0 T
+transmission T R AE0 N S M IH1 SH AH0 N
+anderson AE1 N D ER0 S AH0 N
+characteristics K EH2 R AH0 K T ER0 IH1 S T IH0 K S
+der D ER1
+lose L UW1 Z
+organic AO0 R G AE1 N IH0 K
+seek S IY1 K
+experiences IH0 K S P IH1 R IY0 AH0 N S IH0 Z
+albums AE1 L B AH0 M Z
+cheats CH IY1 T S
+extremely EH0 K S T R IY1 M L IY0
+contracts K AA1 N T R AE2 K T S
+guests G EH1 S T S
+hosted HH OW1 S T IH0 D
+diseases D IH0 Z IY1 Z AH0 Z
+concerning K AH0 N S ER1 N IH0 NG
+developers D IH0 V EH1 L AH0 P ER0 Z
+equivalent IH0 K W IH1 V AH0 L AH0 N T
+chemistry K EH1 M AH0 S T R IY0
+tony T OW1 N IY0
+neighborhood N EY1 B ER0 HH UH2 D
+nevada N AH0 V AA1 D AH0
+kits K IH1 T S
+thailand T AY1 L AE2 N D
+variables V EH1 R IY0 AH0 B AH0 L Z
+agenda AH0 JH EH1 N D AH0
+anyway EH1 N IY0 W EY2
+continues K AH0 N T IH1 N Y UW0 Z
+tracks T R AE1 K S
+advisory AE0 D V AY1 Z ER0 IY0
+cam K AE1 M
+curriculum K ER0 IH1 K Y AH0 L AH0 M
+logic L AA1 JH IH0 K
+template T EH1 M P L AH0 T
+prince P R IH1 N S
+circle S ER1 K AH0 L
+soil S OY1 L
+grants G R AE1 N T S
+anywhere EH1 N IY0 W EH2 R
+psychology S AY0 K AA1 L AH0 JH IY0
+responses R IH0 S P AA1 N S IH0 Z
+atlantic AH0 T L AE1 N T IH0 K
+wet W EH1 T
+circumstances S ER1 K AH0 M S T AE2 N S AH0 Z
+edward EH1 D W ER0 D
+investor IH2 N V EH1 S T ER0
+identification AY0 D EH2 N T AH0 F AH0 K EY1 SH AH0 N
+ram R AE1 M
+leaving L IY1 V IH0 NG
+wildlife W AY1 L D L AY2 F
+appliances AH0 P L AY1 AH0 N S AH0 Z
+matt M AE1 T
+elementary EH2 L AH0 M EH1 N T R IY0
+cooking K UH1 K IH0 NG
+speaking S P IY1 K IH0 NG
+sponsors S P AA1 N S ER0 Z
+fox F AA1 K S
+unlimited AH0 N L IH1 M AH0 T IH0 D
+respond R IH0 S P AA1 N D
+sizes S AY1 Z AH0 Z
+plain P L EY1 N
+exit EH1 G Z IH0 T
+entered EH1 N T ER0 D
+iran IH2 R AA1 N
+arm AA1 R M
+keys K IY1 Z
+launch L AO1 N CH
+wave W EY1 V
+checking CH EH1 K IH0 NG
+costa K AO1 S T AA0
+belgium B EH1 L JH AH0 M
+printable P R IH1 N T AH0 B AH0 L
+holy HH OW1 L IY0
+acts AE1 K T S
+guidance G AY1 D AH0 N S
+mesh M EH1 SH
+trail T R EY1 L
+enforcement EH0 N F AO1 R S M AH0 N T
+symbol S IH1 M B AH0 L
+crafts K R AE1 F T S
+highway HH AY1 W EY2
+buddy B AH1 D IY0
+hardcover HH AA1 R D K AH2 V ER0
+observed AH0 B Z ER1 V D
+dean D IY1 N
+setup S EH1 T AH2 P
+poll P OW1 L
+booking B UH1 K IH0 NG
+glossary G L AO1 S ER0 IY0
+fiscal F IH1 S K AH0 L
+celebrity S AH0 L EH1 B R IH0 T IY0
+styles S T AY1 L Z
+denver D EH1 N V ER0
+unix Y UW1 N IH0 K S
+filled F IH1 L D
+bond B AA1 N D
+channels CH AE1 N AH0 L Z
+ericsson EH1 R IH0 K S AH0 N
+appendix AH0 P EH1 N D IH0 K S
+notify N OW1 T AH0 F AY2
+blues B L UW1 Z
+chocolate CH AO1 K L AH0 T
+pub P AH1 B
+portion P AO1 R SH AH0 N
+scope S K OW1 P
+hampshire HH AE1 M P SH ER0
+supplier S AH0 P L AY1 ER0
+cables K EY1 B AH0 L Z
+cotton K AA1 T AH0 N
+bluetooth B L UW1 T UW2 TH
+controlled K AH0 N T R OW1 L D
+requirement R IH0 K W AY1 R M AH0 N T
+authorities AH0 TH AO1 R AH0 T IY0 Z
+biology B AY0 AA1 L AH0 JH IY0
+dental D EH1 N T AH0 L
+killed K IH1 L D
+border B AO1 R D ER0
+ancient EY1 N CH AH0 N T
+debate D AH0 B EY1 T
+representatives R EH2 P R AH0 Z EH1 N T AH0 T IH0 V Z
+starts S T AA1 R T S
+pregnancy P R EH1 G N AH0 N S IY0
+causes K AA1 Z AH0 Z
+arkansas AA1 R K AH0 N S AA2
+biography B AY0 AA1 G R AH0 F IY0
+leisure L EH1 ZH ER0
+attractions AH0 T R AE1 K SH AH0 N Z
+learned L ER1 N D
+transactions T R AE0 N Z AE1 K SH AH0 N Z
+notebook N OW1 T B UH2 K
+explorer IH0 K S P L AO1 R ER0
+historic HH IH0 S T AO1 R IH0 K
+attached AH0 T AE1 CH T
+opened OW1 P AH0 N D
+husband HH AH1 Z B AH0 N D
+disabled D IH0 S EY1 B AH0 L D
+authorized AO1 TH ER0 AY2 Z D
+crazy K R EY1 Z IY0
+upcoming AH1 P K AH2 M IH0 NG
+britain B R IH1 T AH0 N
+concert K AA1 N S ER0 T
+retirement R IY0 T AY1 ER0 M AH0 N T
+scores S K AO1 R Z
+financing F AH0 N AE1 N S IH0 NG
+efficiency IH0 F IH1 SH AH0 N S IY0
+comedy K AA1 M AH0 D IY0
+adopted AH0 D AA1 P T IH0 D
+efficient IH0 F IH1 SH AH0 N T
+linear L IH1 N IY0 ER0
+commitment K AH0 M IH1 T M AH0 N T
+specialty S P EH1 SH AH0 L T IY0
+bears B EH1 R Z
+jean JH IY1 N
+hop HH AA1 P
+carrier K AE1 R IY0 ER0
+edited EH1 D AH0 T AH0 D
+constant K AA1 N S T AH0 N T
+visa V IY1 Z AH0
+mouth M AW1 TH
+jewish JH UW1 IH0 SH
+meter M IY1 T ER0
+linked L IH1 NG K T
+portland P AO1 R T L AH0 N D
+interviews IH1 N T ER0 V Y UW2 Z
+concepts K AA1 N S EH0 P T S
+gun G AH1 N
+reflect R IH0 F L EH1 K T
+pure P Y UH1 R
+deliver D IH0 L IH1 V ER0
+wonder W AH1 N D ER0
+hell HH EH1 L
+lessons L EH1 S AH0 N Z
+fruit F R UW1 T
+begins B IH0 G IH1 N Z
+qualified K W AA1 L AH0 F AY2 D
+reform R AH0 F AO1 R M
+lens L EH1 N Z
+alerts AH0 L ER1 T S
+treated T R IY1 T IH0 D
+discovery D IH0 S K AH1 V ER0 IY0
+draw D R AO1
+classified K L AE1 S AH0 F AY2 D
+relating R IH0 L EY1 T IH0 NG
+assume AH0 S UW1 M
+confidence K AA1 N F AH0 D AH0 N S
+alliance AH0 L AY1 AH0 N S
+fm EH1 F EH1 M
+confirm K AH0 N F ER1 M
+warm W AO1 R M
+neither N IY1 DH ER0
+lewis L UW1 IH0 S
+howard HH AW1 ER0 D
+offline AO1 F L AY2 N
+leaves L IY1 V Z
+engineer EH1 N JH AH0 N IH1 R
+lifestyle L AY1 F S T AY2 L
+consistent K AH0 N S IH1 S T AH0 N T
+replace R IY2 P L EY1 S
+clearance K L IH1 R AH0 N S
+connections K AH0 N EH1 K SH AH0 N Z
+inventory IH2 N V AH0 N T AO1 R IY0
+converter K AH0 N V ER1 T ER0
+suck S AH1 K
+organisation AO2 R G AH0 N IH0 Z EY1 SH AH0 N
+babe B EY1 B
+checks CH EH1 K S
+reached R IY1 CH T
+becoming B IH0 K AH1 M IH0 NG
+blowjob B L OW1 JH AA2 B
+safari S AH0 F AA1 R IY0
+objective AH0 B JH EH1 K T IH0 V
+indicated IH1 N D AH0 K EY2 T AH0 D
+sugar SH UH1 G ER0
+crew K R UW1
+legs L EH1 G Z
+sam S AE1 M
+stick S T IH1 K
+securities S IH0 K Y UH1 R AH0 T IY0 Z
+allen AE1 L AH0 N
+relation R IY0 L EY1 SH AH0 N
+enabled EH0 N EY1 B AH0 L D
+genre ZH AA1 N R AH0
+slide S L AY1 D
+montana M AA0 N T AE1 N AH0
+volunteer V AA2 L AH0 N T IH1 R
+tested T EH1 S T IH0 D
+rear R IH1 R
+democratic D EH2 M AH0 K R AE1 T IH0 K
+enhance EH0 N HH AE1 N S
+switzerland S W IH1 T S ER0 L AH0 N D
+exact IH0 G Z AE1 K T
+bound B AW1 N D
+parameter P ER0 AE1 M AH0 T ER0
+adapter AH0 D AE1 P T ER0
+processor P R AA1 S EH2 S ER0
+node N OW1 D
+formal F AO1 R M AH0 L
+dimensions D IH0 M EH1 N SH AH0 N Z
+contribute K AH0 N T R IH1 B Y UW0 T
+lock L AA1 K
+hockey HH AA1 K IY0
+storm S T AO1 R M
+micro M AY1 K R OW2
+colleges K AA1 L IH0 JH IH0 Z
+laptops L AE1 P T AA2 P S
+mile M AY1 L
+showed SH OW1 D
+challenges CH AE1 L AH0 N JH IH0 Z
+editors EH1 D IH0 T ER0 Z
+mens M EH1 N Z
+threads TH R EH1 D Z
+bowl B OW1 L
+supreme S AH0 P R IY1 M
+brothers B R AH1 DH ER0 Z
+recognition R EH2 K AH0 G N IH1 SH AH0 N
+presents P R EH1 Z AH0 N T S
+ref R EH1 F
+tank T AE1 NG K
+submission S AH0 B M IH1 SH AH0 N
+dolls D AA1 L Z
+estimate EH1 S T AH0 M AH0 T
+encourage EH0 N K ER1 IH0 JH
+navy N EY1 V IY0
+kid K IH1 D
+regulatory R EH1 G Y AH0 L AH0 T AO2 R IY0
+inspection IH2 N S P EH1 K SH AH0 N
+consumers K AH0 N S UW1 M ER0 Z
+cancel K AE1 N S AH0 L
+limits L IH1 M AH0 T S
+territory T EH1 R IH0 T AO2 R IY0
+transaction T R AE0 N Z AE1 K SH AH0 N
+manchester M AE1 N CH EH2 S T ER0
+weapons W EH1 P AH0 N Z
+paint P EY1 N T
+delay D IH0 L EY1
+pilot P AY1 L AH0 T
+outlet AW1 T L EH2 T
+contributions K AA2 N T R AH0 B Y UW1 SH AH0 N Z
+continuous K AH0 N T IH1 N Y UW0 AH0 S
+czech CH EH1 K
+resulting R IH0 Z AH1 L T IH0 NG
+cambridge K EY1 M B R IH0 JH
+initiative IH2 N IH1 SH AH0 T IH0 V
+novel N AA1 V AH0 L
+pan P AE1 N
+execution EH2 K S AH0 K Y UW1 SH AH0 N
+disability D IH2 S AH0 B IH1 L IH0 T IY0
+increases IH0 N K R IY1 S AH0 Z
+ultra AH1 L T R AH0
+winner W IH1 N ER0
+idaho AY1 D AH0 HH OW2
+contractor K AA1 N T R AE2 K T ER0
+ph P IY1 EY1 CH
+episode EH1 P AH0 S OW2 D
+examination IH0 G Z AE2 M AH0 N EY1 SH AH0 N
+potter P AA1 T ER0
+dish D IH1 SH
+plays P L EY1 Z
+bulletin B UH1 L IH0 T AH0 N
+ia IY1 AH0
+indicates IH1 N D IH0 K EY2 T S
+modify M AA1 D AH0 F AY2
+oxford AA1 K S F ER0 D
+adam AE1 D AH0 M
+truly T R UW1 L IY0
+painting P EY1 N T IH0 NG
+committed K AH0 M IH1 T IH0 D
+extensive IH0 K S T EH1 N S IH0 V
+affordable AH0 F AO1 R D AH0 B AH0 L
+universe Y UW1 N AH0 V ER2 S
+candidate K AE1 N D AH0 D EY0 T
+databases D EY1 T AH0 B EY2 S IH0 Z
+patent P AE1 T AH0 N T
+slot S L AA1 T
+outstanding AW2 T S T AE1 N D IH0 NG
+ha HH AA1
+eating IY1 T IH0 NG
+perspective P ER0 S P EH1 K T IH0 V
+planned P L AE1 N D
+watching W AA1 CH IH0 NG
+lodge L AA1 JH
+messenger M EH1 S AH0 N JH ER0
+mirror M IH1 R ER0
+tournament T UH1 R N AH0 M AH0 N T
+consideration K AH0 N S IH2 D ER0 EY1 SH AH0 N
+discounts D IH0 S K AW1 N T S
+sterling S T ER1 L IH0 NG
+sessions S EH1 SH AH0 N Z
+kernel K ER1 N AH0 L
+boobs B UW1 B Z
+stocks S T AA1 K S
+buyers B AY1 ER0 Z
+journals JH ER1 N AH0 L Z
+gray G R EY1
+catalogue K AE1 T AH0 L AO2 G
+jennifer JH EH1 N AH0 F ER0
+antonio AE0 N T OW1 N IY2 OW0
+charged CH AA1 R JH D
+broad B R AO1 D
+taiwan T AY1 W AA1 N
+und AH1 N D
+chosen CH OW1 Z AH0 N
+demo D EH1 M OW0
+greece G R IY1 S
+swiss S W IH1 S
+sarah S EH1 R AH0
+clark K L AA1 R K
+labour L EY1 B ER0
+hate HH EY1 T
+terminal T ER1 M AH0 N AH0 L
+publishers P AH1 B L IH0 SH ER0 Z
+nights N AY1 T S
+behalf B IH0 HH AE1 F
+caribbean K ER0 IH1 B IY0 AH0 N
+liquid L IH1 K W AH0 D
+rice R AY1 S
+nebraska N AH0 B R AE1 S K AH0
+loop L UW1 P
+salary S AE1 L ER0 IY0
+reservation R EH2 Z ER0 V EY1 SH AH0 N
+foods F UW1 D Z
+gourmet G UH1 R M EY2
+guard G AA1 R D
+properly P R AA1 P ER0 L IY0
+orleans AO1 R L IY0 AH0 N Z
+saving S EY1 V IH0 NG
+nfl EH1 N EH2 F EH1 L
+remaining R IH0 M EY1 N IH0 NG
+empire EH1 M P AY0 ER0
+resume R IH0 Z UW1 M
+twenty T W EH1 N T IY0
+newly N UW1 L IY0
+raise R EY1 Z
+prepare P R IY0 P EH1 R
+avatar AE1 V AH0 T AA2 R
+gary G EH1 R IY0
+depending D IH0 P EH1 N D IH0 NG
+illegal IH2 L IY1 G AH0 L
+expansion IH0 K S P AE1 N SH AH0 N
+vary V EH1 R IY0
+hundreds HH AH1 N D R AH0 D Z
+rome R OW1 M
+arab AE1 R AH0 B
+lincoln L IH1 NG K AH0 N
+helped HH EH1 L P T
+premier P R EH0 M IH1 R
+tomorrow T AH0 M AA1 R OW2
+purchased P ER1 CH AH0 S T
+milk M IH1 L K
+decide D IH2 S AY1 D
+consent K AH0 N S EH1 N T
+drama D R AA1 M AH0
+visiting V IH1 Z IH0 T IH0 NG
+performing P ER0 F AO1 R M IH0 NG
+downtown D AW1 N T AW1 N
+keyboard K IY1 B AO2 R D
+contest K AA1 N T EH0 S T
+collected K AH0 L EH1 K T AH0 D
+bands B AE1 N D Z
+boot B UW1 T
+suitable S UW1 T AH0 B AH0 L
+absolutely AE2 B S AH0 L UW1 T L IY0
+millions M IH1 L Y AH0 N Z
+lunch L AH1 N CH
+dildo D IH1 L D OW2
+audit AO1 D IH0 T
+push P UH1 SH
+chamber CH EY1 M B ER0
+guinea G IH1 N IY0
+findings F AY1 N D IH0 NG Z
+muscle M AH1 S AH0 L
+featuring F IY1 CH ER0 IH0 NG
+implement IH1 M P L AH0 M AH0 N T
+clicking K L IH1 K IH0 NG
+scheduled S K EH1 JH UH0 L D
+polls P OW1 L Z
+typical T IH1 P AH0 K AH0 L
+tower T AW1 ER0
+yours Y UH1 R Z
+sum S AH1 M
+calculator K AE1 L K Y AH0 L EY2 T ER0
+significantly S IH0 G N IH1 F IH0 K AH0 N T L IY0
+chicken CH IH1 K AH0 N
+temporary T EH1 M P ER0 EH2 R IY0
+attend AH0 T EH1 N D
+shower SH AW1 ER0
+alan AE1 L AH0 N
+sending S EH1 N D IH0 NG
+jason JH EY1 S AH0 N
+tonight T AH0 N AY1 T
+dear D IH1 R
+sufficient S AH0 F IH1 SH AH0 N T
+shell SH EH1 L
+province P R AA1 V AH0 N S
+catholic K AE1 TH L IH0 K
+oak OW1 K
+vat V AE1 T
+awareness AH0 W EH1 R N AH0 S
+vancouver V AE0 N K UW1 V ER0
+governor G AH1 V ER0 N ER0
+beer B IH1 R
+seemed S IY1 M D
+contribution K AA2 N T R AH0 B Y UW1 SH AH0 N
+measurement M EH1 ZH ER0 M AH0 N T
+swimming S W IH1 M IH0 NG
+spyware S P AY1 W EH2 R
+formula F AO1 R M Y AH0 L AH0
+constitution K AA2 N S T AH0 T UW1 SH AH0 N
+packaging P AE1 K IH0 JH IH0 NG
+solar S OW1 L ER0
+jose HH OW2 Z EY1
+catch K AE1 CH
+jane JH EY1 N
+pakistan P AE1 K IH0 S T AE2 N
+reliable R IH0 L AY1 AH0 B AH0 L
+consultation K AA2 N S AH0 L T EY1 SH AH0 N
+northwest N AO2 R TH W EH1 S T
+sir S ER1
+doubt D AW1 T
+earn ER1 N
+finder F AY1 N D ER0
+unable AH0 N EY1 B AH0 L
+periods P IH1 R IY0 AH0 D Z
+classroom K L AE1 S R UW2 M
+tasks T AE1 S K S
+democracy D IH0 M AA1 K R AH0 S IY0
+attacks AH0 T AE1 K S
+kim K IH1 M
+wallpaper W AO1 L P EY2 P ER0
+merchandise M ER1 CH AH0 N D AY2 Z
+resistance R IH0 Z IH1 S T AH0 N S
+doors D AO1 R Z
+symptoms S IH1 M P T AH0 M Z
+resorts R IH0 Z AO1 R T S
+biggest B IH1 G AH0 S T
+memorial M AH0 M AO1 R IY0 AH0 L
+visitor V IH1 Z IH0 T ER0
+twin T W IH1 N
+forth F AO1 R TH
+insert IH2 N S ER1 T
+baltimore B AO1 L T AH0 M AO2 R
+gateway G EY1 T W EY2
+alumni AH0 L AH1 M N AY2
+drawing D R AO1 IH0 NG
+candidates K AE1 N D AH0 D EY0 T S
+charlotte SH AA1 R L AH0 T
+ordered AO1 R D ER0 D
+biological B AY2 AH0 L AA1 JH IH0 K AH0 L
+fighting F AY1 T IH0 NG
+transition T R AE0 N Z IH1 SH AH0 N
+happens HH AE1 P AH0 N Z
+preferences P R EH1 F ER0 AH0 N S IH0 Z
+spy S P AY1
+romance R OW0 M AE1 N S
+instrument IH1 N S T R AH0 M AH0 N T
+bruce B R UW1 S
+split S P L IH1 T
+themes TH IY1 M Z
+powers P AW1 ER0 Z
+heaven HH EH1 V AH0 N
+bits B IH1 T S
+pregnant P R EH1 G N AH0 N T
+twice T W AY1 S
+classification K L AE2 S AH0 F AH0 K EY1 SH AH0 N
+focused F OW1 K AH0 S T
+egypt IY1 JH AH0 P T
+physician F AH0 Z IH1 SH AH0 N
+hollywood HH AA1 L IY0 W UH2 D
+bargain B AA1 R G AH0 N
+wikipedia W IH1 K IY0 P IY2 D IY2 AH0
+cellular S EH1 L Y AH0 L ER0
+norway N AO1 R W EY2
+vermont V ER0 M AA1 N T
+asking AE1 S K IH0 NG
+blocks B L AA1 K S
+normally N AO1 R M AH0 L IY0
+lo L OW1
+spiritual S P IH1 R IH0 CH UW2 AH0 L
+hunting HH AH1 N T IH0 NG
+diabetes D AY2 AH0 B IY1 T IY0 Z
+suit S UW1 T
+shift SH IH1 F T
+chip CH IH1 P
+res R EY1 Z
+sit S IH1 T
+bodies B AA1 D IY0 Z
+photographs F OW1 T AH0 G R AE2 F S
+cutting K AH1 T IH0 NG
+wow W AW1
+simon S AY1 M AH0 N
+writers R AY1 T ER0 Z
+marks M AA1 R K S
+flexible F L EH1 K S AH0 B AH0 L
+loved L AH1 V D
+mapping M AE1 P IH0 NG
+numerous N UW1 M ER0 AH0 S
+relatively R EH1 L AH0 T IH0 V L IY0
+birds B ER1 D Z
+satisfaction S AE2 T AH0 S F AE1 K SH AH0 N
+represents R EH2 P R IH0 Z EH1 N T S
+char CH AA1 R
+indexed IH1 N D EH0 K S T
+pittsburgh P IH1 T S B ER0 G
+superior S UW0 P IH1 R IY0 ER0
+preferred P R AH0 F ER1 D
+saved S EY1 V D
+paying P EY1 IH0 NG
+cartoon K AA0 R T UW1 N
+shots SH AA1 T S
+intellectual IH2 N T AH0 L EH1 K CH UW0 AH0 L
+moore M UH1 R
+granted G R AE1 N T AH0 D
+choices CH OY1 S AH0 Z
+carbon K AA1 R B AH0 N
+spending S P EH1 N D IH0 NG
+comfortable K AH1 M F ER0 T AH0 B AH0 L
+magnetic M AE0 G N EH1 T IH0 K
+interaction IH2 N T ER0 AE1 K SH AH0 N
+listening L IH1 S AH0 N IH0 NG
+effectively IH0 F EH1 K T IH0 V L IY0
+registry R EH1 JH IH0 S T R IY0
+crisis K R AY1 S AH0 S
+outlook AW1 T L UH2 K
+massive M AE1 S IH0 V
+denmark D EH1 N M AA2 R K
+employed EH0 M P L OY1 D
+bright B R AY1 T
+treat T R IY1 T
+header HH EH1 D ER0
+poverty P AA1 V ER0 T IY0
+formed F AO1 R M D
+piano P IY0 AE1 N OW0
+echo EH1 K OW0
+que K Y UW1
+grid G R IH1 D
+sheets SH IY1 T S
+patrick P AE1 T R IH0 K
+experimental IH0 K S P EH2 R IH0 M EH1 N T AH0 L
+puerto P W EH1 R T OW2
+revolution R EH2 V AH0 L UW1 SH AH0 N
+consolidation K AH0 N S AA2 L AH0 D EY1 SH AH0 N
+displays D IH0 S P L EY1 Z
+plasma P L AE1 Z M AH0
+allowing AH0 L AW1 IH0 NG
+earnings ER1 N IH0 NG Z
+mystery M IH1 S T ER0 IY0
+landscape L AE1 N D S K EY2 P
+dependent D IH0 P EH1 N D AH0 N T
+mechanical M AH0 K AE1 N IH0 K AH0 L
+journey JH ER1 N IY0
+delaware D EH1 L AH0 W EH2 R
+bidding B IH1 D IH0 NG
+consultants K AH0 N S AH1 L T AH0 N T S
+risks R IH1 S K S
+banner B AE1 N ER0
+applicant AE1 P L IH0 K AH0 N T
+charter CH AA1 R T ER0
+fig F IH1 G
+barbara B AA1 R B ER0 AH0
+cooperation K OW0 AA2 P ER0 EY1 SH AH0 N
+counties K AW1 N T IY0 Z
+acquisition AE2 K W AH0 Z IH1 SH AH0 N
+ports P AO1 R T S
+implemented IH1 M P L AH0 M EH2 N T AH0 D
+directories D AY0 R EH1 K T ER0 IY0 Z
+recognized R EH1 K AH0 G N AY2 Z D
+dreams D R IY1 M Z
+blogger B L AO1 G ER0
+notification N OW2 T AH0 F AH0 K EY1 SH AH0 N
+licensing L AY1 S AH0 N S IH0 NG
+stands S T AE1 N D Z
+teach T IY1 CH
+occurred AH0 K ER1 D
+textbooks T EH1 K S T B UH2 K S
+rapid R AE1 P AH0 D
+pull P UH1 L
+hairy HH EH1 R IY0
+diversity D IH0 V ER1 S IH0 T IY0
+cleveland K L IY1 V L AH0 N D
+reverse R IH0 V ER1 S
+deposit D AH0 P AA1 Z IH0 T
+seminar S EH1 M AH0 N AA2 R
+investments IH2 N V EH1 S T M AH0 N T S
+latina L AA0 T IY1 N AH0
+nasa N AE1 S AH0
+wheels W IY1 L Z
+specify S P EH1 S AH0 F AY2
+accessibility AE2 K S EH0 S AH0 B IH1 L IH0 T IY0
+dutch D AH1 CH
+sensitive S EH1 N S AH0 T IH0 V
+templates T EH1 M P L AH0 T S
+formats F AO1 R M AE2 T S
+tab T AE1 B
+depends D IH0 P EH1 N D Z
+boots B UW1 T S
+holds HH OW1 L D Z
+router R UW1 T ER0
+concrete K AH0 N K R IY1 T
+si S IY1
+editing EH1 D AH0 T IH0 NG
+poland P OW1 L AH0 N D
+folder F OW1 L D ER0
+completion K AH0 M P L IY1 SH AH0 N
+upload AH1 P L OW2 D
+pulse P AH1 L S
+universities Y UW2 N AH0 V ER1 S AH0 T IY0 Z
+technique T EH0 K N IY1 K
+contractors K AA1 N T R AE2 K T ER0 Z
+voting V OW1 T IH0 NG
+courts K AO1 R T S
+notices N OW1 T AH0 S AH0 Z
+subscriptions S AH0 B S K R IH1 P SH AH0 N Z
+calculate K AE1 L K Y AH0 L EY2 T
+mc M IH0 K
+detroit D IH0 T R OY1 T
+alexander AE2 L AH0 G Z AE1 N D ER0
+broadcast B R AO1 D K AE2 S T
+converted K AH0 N V ER1 T IH0 D
+metro M EH1 T R OW2
+toshiba T OW0 SH IY1 B AH0
+anniversary AE2 N AH0 V ER1 S ER0 IY0
+improvements IH2 M P R UW1 V M AH0 N T S
+strip S T R IH1 P
+specification S P EH2 S IH0 F IH0 K EY1 SH AH0 N
+pearl P ER1 L
+accident AE1 K S AH0 D AH0 N T
+nick N IH1 K
+accessible AE0 K S EH1 S AH0 B AH0 L
+accessory AE0 K S EH1 S ER0 IY0
+resident R EH1 Z IH0 D AH0 N T
+plot P L AA1 T
+possibly P AA1 S AH0 B L IY0
+airline EH1 R L AY2 N
+typically T IH1 P IH0 K L IY0
+representation R EH2 P R AH0 Z EH0 N T EY1 SH AH0 N
+regard R IH0 G AA1 R D
+pump P AH1 M P
+exists IH0 G Z IH1 S T S
+arrangements ER0 EY1 N JH M AH0 N T S
+smooth S M UW1 DH
+conferences K AA1 N F ER0 AH0 N S AH0 Z
+strike S T R AY1 K
+consumption K AH0 N S AH1 M P SH AH0 N
+birmingham B ER1 M IH0 NG HH AE2 M
+flashing F L AE1 SH IH0 NG
+lp EH1 L P IY1
+narrow N EH1 R OW0
+afternoon AE2 F T ER0 N UW1 N
+threat TH R EH1 T
+surveys S ER0 V EY1 Z
+sitting S IH1 T IH0 NG
+putting P AH1 T IH0 NG
+consultant K AH0 N S AH1 L T AH0 N T
+controller K AH0 N T R OW1 L ER0
+ownership OW1 N ER0 SH IH2 P
+committees K AH0 M IH1 T IY0 Z
+penis P IY1 N IH0 S
+legislative L EH1 JH AH0 S L EY2 T IH0 V
+researchers R IY1 S ER0 CH ER0 Z
+vietnam V IY0 EH2 T N AA1 M
+trailer T R EY1 L ER0
+anne AE1 N
+castle K AE1 S AH0 L
+gardens G AA1 R D AH0 N Z
+missed M IH1 S T
+malaysia M AH0 L EY1 ZH AH0
+unsubscribe AH0 N S AH0 B S K R AY1 B
+antique AE0 N T IY1 K
+labels L EY1 B AH0 L Z
+willing W IH1 L IH0 NG
+bio B AY2 OW1
+molecular M AH0 L EH1 K Y AH0 L ER0
+acting AE1 K T IH0 NG
+heads HH EH1 D Z
+stored S T AO1 R D
+exam IH0 G Z AE1 M
+logos L OW1 G OW2 Z
+residence R EH1 Z IH0 D AH0 N S
+attorneys AH0 T ER1 N IY0 Z
+antiques AE0 N T IY1 K S
+density D EH1 N S AH0 T IY0
+hundred HH AH1 N D R AH0 D
+ryan R AY1 AH0 N
+operators AA1 P ER0 EY2 T ER0 Z
+strange S T R EY1 N JH
+sustainable S AH0 S T EY1 N AH0 B AH0 L
+philippines F IH1 L AH0 P IY2 N Z
+statistical S T AH0 T IH1 S T IH0 K AH0 L
+beds B EH1 D Z
+breasts B R EH1 S T S
+mention M EH1 N SH AH0 N
+innovation IH2 N AH0 V EY1 SH AH0 N
+pcs P IY1 S IY1 Z
+employers EH0 M P L OY1 ER0 Z
+grey G R EY1
+parallel P EH1 R AH0 L EH2 L
+honda HH AO1 N D AH0
+amended AH0 M EH1 N D IH0 D
+operate AA1 P ER0 EY2 T
+bills B IH1 L Z
+bold B OW1 L D
+bathroom B AE1 TH R UW2 M
+stable S T EY1 B AH0 L
+opera AA1 P R AH0
+definitions D EH2 F AH0 N IH1 SH AH0 N Z
+von V AO1 N
+doctors D AA1 K T ER0 Z
+lesson L EH1 S AH0 N
+cinema S IH1 N AH0 M AH0
+asset AE1 S EH2 T
+ag AE1 G
+scan S K AE1 N
+elections IH0 L EH1 K SH AH0 N Z
+drinking D R IH1 NG K IH0 NG
+blowjobs B L OW1 JH AA2 B Z
+reaction R IY0 AE1 K SH AH0 N
+blank B L AE1 NG K
+enhanced EH0 N HH AE1 N S T
+entitled EH0 N T AY1 T AH0 L D
+severe S AH0 V IH1 R
+generate JH EH1 N ER0 EY2 T
+stainless S T EY1 N L AH0 S
+newspapers N UW1 Z P EY2 P ER0 Z
+hospitals HH AA1 S P IH2 T AH0 L Z
+vi V AY1
+deluxe D AH0 L AH1 K S
+humor HH Y UW1 M ER0
+aged EY1 JH D
+monitors M AA1 N AH0 T ER0 Z
+exception IH0 K S EH1 P SH AH0 N
+lived L IH1 V D
+duration D UH1 R EY1 SH AH0 N
+bulk B AH1 L K
+successfully S AH0 K S EH1 S F AH0 L IY0
+indonesia IH2 N D OW0 N IY1 ZH AH0
+pursuant P ER0 S UW1 AH0 N T
+sci S IY1
+fabric F AE1 B R IH0 K
+visits V IH1 Z IH0 T S
+primarily P R AY0 M EH1 R AH0 L IY0
+tight T AY1 T
+domains D OW0 M EY1 N Z
+capabilities K EY2 P AH0 B IH1 L AH0 T IY0 Z
+contrast K AA1 N T R AE0 S T
+recommendation R EH2 K AH0 M AH0 N D EY1 SH AH0 N
+flying F L AY1 IH0 NG
+recruitment R AH0 K R UW1 T M AH0 N T
+sin S IH1 N
+berlin B ER0 L IH1 N
+cute K Y UW1 T
+organized AO1 R G AH0 N AY2 Z D
+ba B IY2 EY1
+para P EH1 R AH0
+siemens S IY1 M AH0 N Z
+adoption AH0 D AA1 P SH AH0 N
+improving IH2 M P R UW1 V IH0 NG
+expensive IH0 K S P EH1 N S IH0 V
+meant M EH1 N T
+capture K AE1 P CH ER0
+pounds P AW1 N D Z
+buffalo B AH1 F AH0 L OW2
+organisations AO2 R G AH0 N IH0 Z EY1 SH AH0 N Z
+plane P L EY1 N
+explained IH0 K S P L EY1 N D
+seed S IY1 D
+desire D IH0 Z AY1 ER0
+expertise EH2 K S P ER0 T IY1 Z
+mechanism M EH1 K AH0 N IH2 Z AH0 M
+camping K AE1 M P IH0 NG
+ee IY1
+meets M IY1 T S
+welfare W EH1 L F EH2 R
+peer P IH1 R
+caught K AA1 T
+eventually IH0 V EH1 N CH AH0 W AH0 L IY0
+marked M AA1 R K T
+driven D R IH1 V AH0 N
+measured M EH1 ZH ER0 D
+bottle B AA1 T AH0 L
+agreements AH0 G R IY1 M AH0 N T S
+considering K AH0 N S IH1 D ER0 IH0 NG
+innovative IH1 N AH0 V EY2 T IH0 V
+marshall M AA1 R SH AH0 L
+massage M AH0 S AA1 ZH
+rubber R AH1 B ER0
+conclusion K AH0 N K L UW1 ZH AH0 N
+closing K L OW1 Z IH0 NG
+tampa T AE1 M P AH0
+thousand TH AW1 Z AH0 N D
+meat M IY1 T
+legend L EH1 JH AH0 N D
+grace G R EY1 S
+susan S UW1 Z AH0 N
+ing IH1 NG
+adams AE1 D AH0 M Z
+python P AY1 TH AA0 N
+monster M AA1 N S T ER0
+alex AE1 L AH0 K S
+bang B AE1 NG
+villa V IH1 L AH0
+bone B OW1 N
+columns K AA1 L AH0 M Z
+disorders D IH0 S AO1 R D ER0 Z
+bugs B AH1 G Z
+collaboration K AH0 L AE2 B ER0 EY1 SH AH0 N
+hamilton HH AE1 M AH0 L T AH0 N
+detection D IH0 T EH1 K SH AH0 N
+ftp EH2 F T IY2 P IY1
+cookies K UH1 K IY0 Z
+inner IH1 N ER0
+formation F AO0 R M EY1 SH AH0 N
+tutorial T UW0 T AO1 R IY0 AH0 L
+med M EH1 D
+engineers EH1 N JH AH0 N IH1 R Z
+entity EH1 N T AH0 T IY0
+cruises K R UW1 Z IH0 Z
+gate G EY1 T
+holder HH OW1 L D ER0
+proposals P R AH0 P OW1 Z AH0 L Z
+moderator M AA1 D ER0 EY2 T ER0
+tutorials T UW0 T AO1 R IY0 AH0 L Z
+settlement S EH1 T AH0 L M AH0 N T
+portugal P AO1 R CH AH0 G AH0 L
+lawrence L AO1 R AH0 N S
+roman R OW1 M AH0 N
+duties D UW1 T IY0 Z
+valuable V AE1 L Y AH0 B AH0 L
+erotic IH0 R AA1 T IH0 K
+tone T OW1 N
+ethics EH1 TH IH0 K S
+forever F ER0 EH1 V ER0
+dragon D R AE1 G AH0 N
+busy B IH1 Z IY0
+captain K AE1 P T AH0 N
+fantastic F AE0 N T AE1 S T IH0 K
+imagine IH2 M AE1 JH AH0 N
+brings B R IH1 NG Z
+heating HH IY1 T IH0 NG
+leg L EH1 G
+neck N EH1 K
+wing W IH1 NG
+governments G AH1 V ER0 M AH0 N T S
+purchasing P ER1 CH AH0 S IH0 NG
+scripts S K R IH1 P T S
+abc EY1 B IY2 S IY2
+stereo S T EH1 R IY0 OW2
+appointed AH0 P OY1 N T IH0 D
+taste T EY1 S T
+dealing D IY1 L IH0 NG
+commit K AH0 M IH1 T
+tiny T AY1 N IY0
+operational AA2 P ER0 EY1 SH AH0 N AH0 L
+rail R EY1 L
+airlines EH1 R L AY2 N Z
+liberal L IH1 B ER2 AH0 L
+jay JH EY1
+trips T R IH1 P S
+gap G AE1 P
+sides S AY1 D Z
+tube T UW1 B
+turns T ER1 N Z
+corresponding K AO2 R AH0 S P AA1 N D IH0 NG
+descriptions D IH0 S K R IH1 P SH AH0 N Z
+cache K AE1 SH
+belt B EH1 L T
+jacket JH AE1 K AH0 T
+determination D IH0 T ER2 M AH0 N EY1 SH AH0 N
+animation AE2 N AH0 M EY1 SH AH0 N
+oracle AO1 R AH0 K AH0 L
+er ER0
+matthew M AE1 TH Y UW0
+lease L IY1 S
+productions P R AH0 D AH1 K SH AH0 N Z
+aviation EY2 V IY0 EY1 SH AH0 N
+hobbies HH AA1 B IY0 Z
+proud P R AW1 D
+excess EH1 K S EH2 S
+disaster D IH0 Z AE1 S T ER0
+console K AA1 N S OW0 L
+commands K AH0 M AE1 N D Z
+jr JH UW1 N Y ER0
+telecommunications T EH2 L AH0 K AH0 M Y UW2 N AH0 K EY1 SH AH0 N Z
+instructor IH2 N S T R AH1 K T ER0
+giant JH AY1 AH0 N T
+achieved AH0 CH IY1 V D
+injuries IH1 N JH ER0 IY0 Z
+shipped SH IH1 P T
+bestiality B EH0 S CH AE1 L IH0 T IY0
+seats S IY1 T S
+approaches AH0 P R OW1 CH AH0 Z
+biz B IH1 Z
+alarm AH0 L AA1 R M
+voltage V OW1 L T AH0 JH
+anthony AE1 N TH AH0 N IY0
+nintendo N IH0 N T EH1 N D OW0
+usual Y UW1 ZH AH0 W AH0 L
+loading L OW1 D IH0 NG
+stamps S T AE1 M P S
+appeared AH0 P IH1 R D
+franklin F R AE1 NG K L IH0 N
+angle AE1 NG G AH0 L
+rob R AA1 B
+vinyl V AY1 N AH0 L
+highlights HH AY1 L AY2 T S
+mining M AY1 N IH0 NG
+designers D IH0 Z AY1 N ER0 Z
+melbourne M EH1 L B ER0 N
+ongoing AA1 N G OW2 IH0 NG
+worst W ER1 S T
+imaging IH1 M IH0 JH IH0 NG
+betting B EH1 T IH0 NG
+scientists S AY1 AH0 N T IH0 S T S
+liberty L IH1 B ER0 T IY2
+wyoming W AY2 OW1 M IH0 NG
+blackjack B L AE1 K JH AE2 K
+argentina AA2 R JH AH0 N T IY1 N AH0
+era EH1 R AH0
+convert K AA1 N V ER0 T
+possibility P AA2 S AH0 B IH1 L AH0 T IY2
+analyst AE1 N AH0 L IH0 S T
+commissioner K AH0 M IH1 SH AH0 N ER0
+dangerous D EY1 N JH ER0 AH0 S
+garage G ER0 AA1 ZH
+exciting IH0 K S AY1 T IH0 NG
+reliability R IY0 L AY2 AH0 B IH1 L AH0 T IY0
+unfortunately AH0 N F AO1 R CH AH0 N AH0 T L IY0
+respectively R IH0 S P EH1 K T IH0 V L IY0
+volunteers V AA2 L AH0 N T IH1 R Z
+attachment AH0 T AE1 CH M AH0 N T
+finland F IH1 N L AE2 N D
+morgan M AO1 R G AH0 N
+derived D ER0 AY1 V D
+pleasure P L EH1 ZH ER0
+honor AA1 N ER0
+asp AE1 S P
+oriented AO1 R IY0 EH2 N T AH0 D
+eagle IY1 G AH0 L
+desktops D EH1 S K T AA2 P S
+pants P AE1 N T S
+columbus K AH0 L AH1 M B AH0 S
+nurse N ER1 S
+prayer P R EH1 R
+appointment AH0 P OY1 N T M AH0 N T
+workshops W ER1 K SH AA2 P S
+hurricane HH ER1 AH0 K EY2 N
+quiet K W AY1 AH0 T
+luck L AH1 K
+postage P OW1 S T AH0 JH
+producer P R AH0 D UW1 S ER0
+represented R EH2 P R IH0 Z EH1 N T IH0 D
+mortgages M AO1 R G AH0 JH AH0 Z
+dial D AY1 AH0 L
+responsibilities R IY0 S P AA2 N S AH0 B IH1 L AH0 T IY0 Z
+cheese CH IY1 Z
+comic K AA1 M IH0 K
+carefully K EH1 R F AH0 L IY0
+jet JH EH1 T
+productivity P R OW2 D AH0 K T IH1 V AH0 T IY0
+investors IH2 N V EH1 S T ER0 Z
+crown K R AW1 N
+par P AA1 R
+underground AH1 N D ER0 G R AW2 N D
+diagnosis D AY2 AH0 G N OW1 S AH0 S
+maker M EY1 K ER0
+crack K R AE1 K
+principle P R IH1 N S AH0 P AH0 L
+picks P IH1 K S
+vacations V EY0 K EY1 SH AH0 N Z
+gang G AE1 NG
+semester S AH0 M EH1 S T ER0
+calculated K AE1 L K Y AH0 L EY2 T IH0 D
+fetish F EH1 T IH0 SH
+applies AH0 P L AY1 Z
+casinos K AH0 S IY1 N OW0 Z
+appearance AH0 P IH1 R AH0 N S
+smoke S M OW1 K
+apache AH0 P AE1 CH IY0
+filters F IH1 L T ER0 Z
+incorporated IH2 N K AO1 R P ER0 EY2 T IH0 D
+craft K R AE1 F T
+cake K EY1 K
+notebooks N OW1 T B UH2 K S
+apart AH0 P AA1 R T
+fellow F EH1 L OW0
+blind B L AY1 N D
+lounge L AW1 N JH
+mad M AE1 D
+algorithm AE1 L G ER0 IH2 DH AH0 M
+semi S EH1 M IY0
+coins K OY1 N Z
+andy AE1 N D IY0
+gross G R OW1 S
+strongly S T R AO1 NG L IY0
+cafe K AH0 F EY1
+valentine V AE1 L AH0 N T AY2 N
+hilton HH IH1 L T AH0 N
+ken K EH1 N
+proteins P R OW1 T IY2 N Z
+horror HH AO1 R ER0
+su S UW1
+familiar F AH0 M IH1 L Y ER0
+capable K EY1 P AH0 B AH0 L
+douglas D AH1 G L AH0 S
+debian D EH1 B IY2 AH0 N
+till T IH1 L
+involving IH2 N V AA1 L V IH0 NG
+pen P EH1 N
+investing IH2 N V EH1 S T IH0 NG
+christopher K R IH1 S T AH0 F ER0
+admission AE0 D M IH1 SH AH0 N
+epson EH1 P S AH0 N
+shoe SH UW1
+elected IH0 L EH1 K T AH0 D
+carrying K AE1 R IY0 IH0 NG
+victory V IH1 K T ER0 IY0
+sand S AE1 N D
+madison M AE1 D AH0 S AH0 N
+terrorism T EH1 R ER0 IH2 Z AH0 M
+joy JH OY1
+editions IH0 D IH1 SH AH0 N Z
+cpu S IY2 P IY2 Y UW1
+mainly M EY1 N L IY0
+ethnic EH1 TH N IH0 K
+ran R AE1 N
+parliament P AA1 R L AH0 M AH0 N T
+actor AE1 K T ER0
+finds F AY1 N D Z
+seal S IY1 L
+situations S IH2 CH UW0 EY1 SH AH0 N Z
+fifth F IH1 F TH
+allocated AE1 L AH0 K EY2 T IH0 D
+citizen S IH1 T AH0 Z AH0 N
+vertical V ER1 T IH0 K AH0 L
+corrections K ER0 EH1 K SH AH0 N Z
+structural S T R AH1 K CH ER0 AH0 L
+municipal M Y UW0 N IH1 S AH0 P AH0 L
+describes D IH0 S K R AY1 B Z
+prize P R AY1 Z
+sr S IY1 N Y ER0
+occurs AH0 K ER1 Z
+jon JH AA1 N
+absolute AE1 B S AH0 L UW2 T
+disabilities D IH0 S AH0 B IH1 L AH0 T IY0 Z
+consists K AH0 N S IH1 S T S
+anytime EH1 N IY0 T AY2 M
+substance S AH1 B S T AH0 N S
+prohibited P R OW0 HH IH1 B AH0 T AH0 D
+addressed AH0 D R EH1 S T
+lies L AY1 Z
+pipe P AY1 P
+soldiers S OW1 L JH ER0 Z
+guardian G AA1 R D IY0 AH0 N
+lecture L EH1 K CH ER0
+simulation S IH2 M Y AH0 L EY1 SH AH0 N
+layout L EY1 AW2 T
+initiatives IH2 N IH1 SH AH0 T IH0 V Z
+ill IH1 L
+concentration K AA2 N S AH0 N T R EY1 SH AH0 N
+classics K L AE1 S IH0 K S
+lbs P AW1 N D Z
+lay L EY1
+interpretation IH2 N T ER2 P R IH0 T EY1 SH AH0 N
+horses HH AO1 R S AH0 Z
+lol L AO1 L
+dirty D ER1 T IY0
+deck D EH1 K
+wayne W EY1 N
+donate D OW1 N EY2 T
+taught T AO1 T
+bankruptcy B AE1 NG K R AH0 P S IY0
+worker W ER1 K ER0
+optimization AA0 P T AH0 M AH0 Z EY1 SH AH0 N
+alive AH0 L AY1 V
+temple T EH1 M P AH0 L
+substances S AH1 B S T AH0 N S AH0 Z
+prove P R UW1 V
+discovered D IH0 S K AH1 V ER0 D
+wings W IH1 NG Z
+breaks B R EY1 K S
+genetic JH AH0 N EH1 T IH0 K
+restrictions R IY0 S T R IH1 K SH AH0 N Z
+participating P AA0 R T IH1 S AH0 P EY2 T IH0 NG
+waters W AO1 T ER0 Z
+promise P R AA1 M AH0 S
+thin TH IH1 N
+exhibition EH2 K S AH0 B IH1 SH AH0 N
+prefer P R AH0 F ER1
+ridge R IH1 JH
+cabinet K AE1 B AH0 N AH0 T
+modem M OW1 D AH0 M
+harris HH EH1 R IH0 S
+mph EH1 M P IY1 EY1 CH
+bringing B R IH1 NG IH0 NG
+sick S IH1 K
+dose D OW1 S
+evaluate IH0 V AE1 L Y UW0 EY2 T
+tiffany T IH1 F AH0 N IY0
+tropical T R AA1 P IH0 K AH0 L
+collect K AH0 L EH1 K T
+bet B EH1 T
+composition K AA2 M P AH0 Z IH1 SH AH0 N
+toyota T OW0 Y OW1 T AH0
+streets S T R IY1 T S
+nationwide N EY1 SH AH0 N W AY1 D
+vector V EH1 K T ER0
+definitely D EH1 F AH0 N AH0 T L IY0
+shaved SH EY1 V D
+turning T ER1 N IH0 NG
+buffer B AH1 F ER0
+purple P ER1 P AH0 L
+existence EH0 G Z IH1 S T AH0 N S
+commentary K AA1 M AH0 N T EH2 R IY0
+larry L EH1 R IY0
+limousines L IH1 M AH0 Z IY2 N Z
+developments D IH0 V EH1 L AH0 P M AH0 N T S
+immigration IH2 M AH0 G R EY1 SH AH0 N
+destinations D EH2 S T AH0 N EY1 SH AH0 N Z
+lets L EH1 T S
+mutual M Y UW1 CH UW0 AH0 L
+pipeline P AY1 P L AY2 N
+necessarily N EH2 S AH0 S EH1 R AH0 L IY0
+syntax S IH1 N T AE2 K S
+li L IY1
+attribute AE1 T R AH0 B Y UW2 T
+prison P R IH1 Z AH0 N
+skill S K IH1 L
+chairs CH EH1 R Z
+everyday EH1 V R IY0 D EY1
+apparently AH0 P EH1 R AH0 N T L IY0
+surrounding S ER0 AW1 N D IH0 NG
+mountains M AW1 N T AH0 N Z
+moves M UW1 V Z
+popularity P AA2 P Y AH0 L EH1 R AH0 T IY0
+inquiry IH2 N K W AY1 R IY2
+ethernet IY1 TH ER0 N EH2 T
+checked CH EH1 K T
+exhibit IH0 G Z IH1 B IH0 T
+throw TH R OW1
+trend T R EH1 N D
+sierra S IY0 EH1 R AH0
+visible V IH1 Z AH0 B AH0 L
+cats K AE1 T S
+desert D EH1 Z ER0 T
+ya Y AA1
+oldest OW1 L D AH0 S T
+rhode R OW1 D
+nba EH1 N B IY2 EY1
+busty B AH1 S T IY0
+coordinator K OW0 AO1 R D AH0 N EY2 T ER0
+obviously AA1 B V IY0 AH0 S L IY0
+mercury M ER1 K Y ER0 IY0
+steven S T IY1 V AH0 N
+handbook HH AE1 N D B UH2 K
+greg G R EH1 G
+navigate N AE1 V AH0 G EY2 T
+worse W ER1 S
+summit S AH1 M AH0 T
+victims V IH1 K T AH0 M Z
+epa IY2 P IY2 EY1
+spaces S P EY1 S AH0 Z
+fundamental F AH2 N D AH0 M EH1 N T AH0 L
+burning B ER1 N IH0 NG
+escape IH0 S K EY1 P
+coupons K UW1 P AO2 N Z
+somewhat S AH1 M W AH1 T
+receiver R AH0 S IY1 V ER0
+substantial S AH0 B S T AE1 N SH AH0 L
+progressive P R AH0 G R EH1 S IH0 V
+cialis S IY2 AA1 L AH0 S
+boats B OW1 T S
+glance G L AE1 N S
+scottish S K AA1 T IH0 SH
+championship CH AE1 M P IY0 AH0 N SH IH2 P
+arcade AA0 R K EY1 D
+richmond R IH1 CH M AH0 N D
+sacramento S AE2 K R AH0 M EH1 N T OW0
+impossible IH2 M P AA1 S AH0 B AH0 L
+ron R AA1 N
+russell R AH1 S AH0 L
+tells T EH1 L Z
+obvious AA1 B V IY0 AH0 S
+fiber F AY1 B ER0
+depression D IH0 P R EH1 SH AH0 N
+graph G R AE1 F
+covering K AH1 V ER0 IH0 NG
+platinum P L AE1 T N AH0 M
+judgment JH AH1 JH M AH0 N T
+bedrooms B EH1 D R UW2 M Z
+talks T AO1 K S
+filing F AY1 L IH0 NG
+foster F AA1 S T ER0
+modeling M AA1 D AH0 L IH2 NG
+passing P AE1 S IH0 NG
+awarded AH0 W AO1 R D IH0 D
+testimonials T EH2 S T AH0 M OW1 N IY0 AH0 L Z
+trials T R AY1 AH0 L Z
+tissue T IH1 S Y UW2
+memorabilia M EH2 M ER0 AH0 B IY1 L Y AH0
+clinton K L IH1 N T AH0 N
+masters M AE1 S T ER0 Z
+bonds B AA1 N D Z
+cartridge K AA1 R T R AH0 JH
+alberta AE0 L B ER1 T AH0
+explanation EH2 K S P L AH0 N EY1 SH AH0 N
+folk F OW1 K
+org AO1 R G
+commons K AA1 M AH0 N Z
+cincinnati S IH2 N S AH0 N AE1 T IY0
+subsection S AH1 B S EH0 K SH AH0 N
+fraud F R AO1 D
+electricity IH0 L EH2 K T R IH1 S AH0 T IY0
+permitted P ER0 M IH1 T IH0 D
+spectrum S P EH1 K T R AH0 M
+arrival ER0 AY1 V AH0 L
+okay OW2 K EY1
+pottery P AA1 T ER0 IY0
+emphasis EH1 M F AH0 S AH0 S
+roger R AA1 JH ER0
+aspect AE1 S P EH2 K T
+workplace W ER1 K P L EY2 S
+awesome AA1 S AH0 M
+mexican M EH1 K S AH0 K AH0 N
+confirmed K AH0 N F ER1 M D
+counts K AW1 N T S
+priced P R AY1 S T
+wallpapers W AO1 L P EY2 P ER0 Z
+crash K R AE1 SH
+lift L IH1 F T
+desired D IH0 Z AY1 ER0 D
+inter IH2 N T ER1
+closer K L OW1 S ER0
+assumes AH0 S UW1 M Z
+heights HH AY1 T S
+shadow SH AE1 D OW2
+riding R AY1 D IH0 NG
+infection IH2 N F EH1 K SH AH0 N
+firefox F AY1 ER0 F AO2 K S
+lisa L IY1 S AH0
+expense IH0 K S P EH1 N S
+grove G R OW1 V
+eligibility EH2 L IH0 JH AH0 B IH1 L IH0 T IY0
+venture V EH1 N CH ER0
+clinic K L IH1 N IH0 K
+korean K AO2 R IY1 AH0 N
+healing HH IY1 L IH0 NG
+princess P R IH1 N S EH0 S
+mall M AO1 L
+entering EH1 N T ER0 IH0 NG
+packet P AE1 K AH0 T
+spray S P R EY1
+studios S T UW1 D IY0 OW2 Z
+involvement IH2 N V AA1 L V M AH0 N T
+dad D AE1 D
+buttons B AH1 T AH0 N Z
+placement P L EY1 S M AH0 N T
+observations AA2 B Z ER0 V EY1 SH AH0 N Z
+funded F AH1 N D AH0 D
+thompson T AA1 M P S AH0 N
+winners W IH1 N ER0 Z
+extend IH0 K S T EH1 N D
+roads R OW1 D Z
+subsequent S AH1 B S AH0 K W AH0 N T
+pat P AE1 T
+dublin D AH1 B L IH0 N
+rolling R OW1 L IH0 NG
+fell F EH1 L
+motorcycle M OW1 T ER0 S AY2 K AH0 L
+yard Y AA1 R D
+disclosure D IH0 S K L OW1 ZH ER0
+establishment IH0 S T AE1 B L IH0 SH M AH0 N T
+memories M EH1 M ER0 IY0 Z
+nelson N EH1 L S AH0 N
+te T IY1
+arrived ER0 AY1 V D
+creates K R IY0 EY1 T S
+faces F EY1 S AH0 Z
+tourist T UH1 R AH0 S T
+cocks K AA1 K S
+av EY2 V IY1
+mayor M EY1 ER0
+murder M ER1 D ER0
+sean SH AO1 N
+adequate AE1 D AH0 K W AH0 T
+senator S EH1 N AH0 T ER0
+yield Y IY1 L D
+presentations P R EH2 Z AH0 N T EY1 SH AH0 N Z
+grades G R EY1 D Z
+cartoons K AA0 R T UW1 N Z
+pour P AO1 R
+digest D AY0 JH EH1 S T
+reg R EH1 G
+lodging L AA1 JH IH0 NG
+dust D AH1 S T
+hence HH EH1 N S
+wiki W IH1 K IY2
+entirely IH0 N T AY1 ER0 L IY0
+replaced R IY2 P L EY1 S T
+radar R EY1 D AA2 R
+rescue R EH1 S K Y UW0
+undergraduate AH2 N D ER0 G R AE1 JH AH0 W AH0 T
+losses L AO1 S AH0 Z
+combat K AA1 M B AE0 T
+reducing R AH0 D UW1 S IH0 NG
+stopped S T AA1 P T
+occupation AA2 K Y AH0 P EY1 SH AH0 N
+lakes L EY1 K S
+butt B AH1 T
+donations D OW0 N EY1 SH AH0 N Z
+associations AH0 S OW2 S IY0 EY1 SH AH0 N Z
+citysearch S IH1 T IY0 S ER2 CH
+closely K L OW1 S L IY0
+radiation R EY2 D IY0 EY1 SH AH0 N
+diary D AY1 ER0 IY0
+seriously S IH1 R IY0 AH0 S L IY0
+kings K IH1 NG Z
+shooting SH UW1 T IH0 NG
+kent K EH1 N T
+adds AE1 D Z
+ear IY1 R
+flags F L AE1 G Z
+baker B EY1 K ER0
+launched L AO1 N CH T
+elsewhere EH1 L S W EH2 R
+pollution P AH0 L UW1 SH AH0 N
+conservative K AH0 N S ER1 V AH0 T IH0 V
+shock SH AA1 K
+effectiveness IH0 F EH1 K T IH0 V N AH0 S
+walls W AO1 L Z
+abroad AH0 B R AO1 D
+ebony EH1 B AH0 N IY0
+tie T AY1
+ward W AO1 R D
+drawn D R AO1 N
+arthur AA1 R TH ER0
+ian IY1 AH0 N
+visited V IH1 Z IH0 T IH0 D
+roof R UW1 F
+walker W AO1 K ER0
+demonstrate D EH1 M AH0 N S T R EY2 T
+atmosphere AE1 T M AH0 S F IH2 R
+suggests S AH0 JH EH1 S T S
+kiss K IH1 S
+beast B IY1 S T
+ra R AA1
+operated AA1 P ER0 EY2 T AH0 D
+experiment IH0 K S P EH1 R AH0 M AH0 N T
+targets T AA1 R G AH0 T S
+overseas OW1 V ER0 S IY1 Z
+purchases P ER1 CH AH0 S AH0 Z
+dodge D AA1 JH
+counsel K AW1 N S AH0 L
+federation F EH2 D ER0 EY1 SH AH0 N
+pizza P IY1 T S AH0
+invited IH2 N V AY1 T AH0 D
+yards Y AA1 R D Z
+assignment AH0 S AY1 N M AH0 N T
+chemicals K EH1 M IH0 K AH0 L Z
+gordon G AO1 R D AH0 N
+mod M AO1 D
+farmers F AA1 R M ER0 Z
+queries K W IH1 R IY0 Z
+bmw B IY1 EH2 M D AH1 B AH0 L Y UW0
+rush R AH1 SH
+ukraine Y UW0 K R EY1 N
+absence AE1 B S AH0 N S
+nearest N IH1 R AH0 S T
+cluster K L AH1 S T ER0
+vendors V EH1 N D ER0 Z
+mpeg EH1 M P EH2 G
+whereas W EH0 R AE1 Z
+yoga Y OW1 G AH0
+serves S ER1 V Z
+woods W UH1 D Z
+surprise S ER0 P R AY1 Z
+lamp L AE1 M P
+rico R IY1 K OW0
+partial P AA1 R SH AH0 L
+shoppers SH AA1 P ER0 Z
+phil F IH1 L
+everybody EH1 V R IY0 B AA2 D IY0
+couples K AH1 P AH0 L Z
+nashville N AE1 SH V IH0 L
+ranking R AE1 NG K IH0 NG
+jokes JH OW1 K S
+http EY2 CH T IY2 T IY2 P IY1
+ceo S IY1 IY2 OW1
+simpson S IH1 M P S AH0 N
+sublime S AH0 B L AY1 M
+counseling K AW1 N S AH0 L IH0 NG
+palace P AE1 L AH0 S
+acceptable AE0 K S EH1 P T AH0 B AH0 L
+satisfied S AE1 T AH0 S F AY2 D
+glad G L AE1 D
+wins W IH1 N Z
+measurements M EH1 ZH ER0 M AH0 N T S
+verify V EH1 R AH0 F AY2
+globe G L OW1 B
+trusted T R AH1 S T IH0 D
+copper K AA1 P ER0
+milwaukee M IH0 L W AO1 K IY0
+rack R AE1 K
+medication M EH2 D AH0 K EY1 SH AH0 N
+warehouse W EH1 R HH AW2 S
+shareware SH EH1 R W EH2 R
+rep R EH1 P
+dicke D IH1 K
+kerry K EH1 R IY0
+receipt R IH0 S IY1 T
+supposed S AH0 P OW1 Z D
+ordinary AO1 R D AH0 N EH2 R IY0
+nobody N OW1 B AA2 D IY2
+ghost G OW1 S T
+violation V AY0 AH0 L EY1 SH AH0 N
+configure K AH0 N F IH1 G Y ER0
+stability S T AH0 B IH1 L IH0 T IY0
+mit EH1 M AY1 T IY1
+applying AH0 P L AY1 IH0 NG
+southwest S AW2 TH W EH1 S T
+boss B AA1 S
+pride P R AY1 D
+institutional IH2 N S T IH0 T UW1 SH AH0 N AH0 L
+expectations EH2 K S P EH0 K T EY1 SH AH0 N Z
+independence IH2 N D IH0 P EH1 N D AH0 N S
+knowing N OW1 IH0 NG
+reporter R IH0 P AO1 R T ER0
+metabolism M AH0 T AE1 B AH0 L IH2 Z AH0 M
+keith K IY1 TH
+champion CH AE1 M P IY0 AH0 N
+cloudy K L AW1 D IY0
+linda L IH1 N D AH0
+ross R AA1 S
+personally P ER1 S AH0 N AH0 L IY0
+chile CH IH1 L IY0
+anna AE1 N AH0
+plenty P L EH1 N T IY0
+solo S OW1 L OW2
+sentence S EH1 N T AH0 N S
+throat TH R OW1 T
+ignore IH2 G N AO1 R
+maria M ER0 IY1 AH0
+uniform Y UW1 N AH0 F AO2 R M
+excellence EH1 K S AH0 L AH0 N S
+wealth W EH1 L TH
+tall T AO1 L
+somewhere S AH1 M W EH2 R
+vacuum V AE1 K Y UW0 M
+dancing D AE1 N S IH0 NG
+attributes AE1 T R AH0 B Y UW2 T S
+recognize R EH1 K AH0 G N AY2 Z
+brass B R AE1 S
+writes R AY1 T S
+plaza P L AA1 Z AH0
+outcomes AW1 T K AH2 M Z
+survival S ER0 V AY1 V AH0 L
+quest K W EH1 S T
+publish P AH1 B L IH0 SH
+sri SH R IY1
+screening S K R IY1 N IH0 NG
+toe T OW1
+thumbnail TH AH1 M N EY2 L
+trans T R AE1 N Z
+jonathan JH AA1 N AH0 TH AH0 N
+whenever W EH0 N EH1 V ER0
+nova N OW1 V AH0
+lifetime L AY1 F T AY2 M
+api EY2 P IY2 AY1
+pioneer P AY2 AH0 N IH1 R
+booty B UW1 T IY0
+forgotten F ER0 G AA1 T AH0 N
+acrobat AE1 K R AH0 B AE2 T
+plates P L EY1 T S
+acres EY1 K ER0 Z
+venue V EH1 N Y UW0
+athletic AE0 TH L EH1 T IH0 K
+thermal TH ER1 M AH0 L
+essays EH0 S EY1 Z
+behaviour B IH0 HH EY1 V Y ER0
+vital V AY1 T AH0 L
+telling T EH1 L IH0 NG
+fairly F EH1 R L IY0
+coastal K OW1 S T AH0 L
+charity CH EH1 R IH0 T IY0
+intelligent IH2 N T EH1 L AH0 JH AH0 N T
+edinburgh EH1 D AH0 N B ER0 OW0
+excel IH0 K S EH1 L
+modes M OW1 D Z
+obligation AA2 B L AH0 G EY1 SH AH0 N
+campbell K AE1 M B AH0 L
+wake W EY1 K
+stupid S T UW1 P AH0 D
+harbor HH AA1 R B ER0
+hungary HH AH1 NG G ER0 IY0
+traveler T R AE1 V AH0 L ER0
+segment S EH1 G M AH0 N T
+realize R IY1 AH0 L AY2 Z
+regardless R AH0 G AA1 R D L AH0 S
+lan L AE1 N
+enemy EH1 N AH0 M IY0
+puzzle P AH1 Z AH0 L
+rising R AY1 Z IH0 NG
+aluminum AH0 L UW1 M AH0 N AH0 M
+wells W EH1 L Z
+wishlist W IH1 SH L IH0 S T
+opens OW1 P AH0 N Z
+insight IH1 N S AY2 T
+sms EH2 S EH2 M EH1 S
+shit SH IH1 T
+restricted R IY0 S T R IH1 K T AH0 D
+republican R IH0 P AH1 B L IH0 K AH0 N
+secrets S IY1 K R AH0 T S
+lucky L AH1 K IY0
+latter L AE1 T ER0
+merchants M ER1 CH AH0 N T S
+thick TH IH1 K
+trailers T R EY1 L ER0 Z
+repeat R IH0 P IY1 T
+syndrome S IH1 N D R OW2 M
+philips F IH1 L AH0 P S
+attendance AH0 T EH1 N D AH0 N S
+penalty P EH1 N AH0 L T IY0
+drum D R AH1 M
+glasses G L AE1 S AH0 Z
+enables EH0 N EY1 B AH0 L Z
+nec N EH1 K
+iraqi IH2 R AE1 K IY0
+builder B IH1 L D ER0
+vista V IH1 S T AH0
+jessica JH EH1 S IH0 K AH0
+chips CH IH1 P S
+terry T EH1 R IY0
+flood F L AH1 D
+ease IY1 Z
+arguments AA1 R G Y AH0 M AH0 N T S
+amsterdam AE1 M S T ER0 D AE2 M
+orgy AO1 R JH IY0
+arena ER0 IY1 N AH0
+adventures AE0 D V EH1 N CH ER0 Z
+pupils P Y UW1 P AH0 L Z
+stewart S T UW1 ER0 T
+announcement AH0 N AW1 N S M AH0 N T
+tabs T AE1 B Z
+outcome AW1 T K AH2 M
+appreciate AH0 P R IY1 SH IY0 EY2 T
+expanded IH0 K S P AE1 N D AH0 D
+casual K AE1 ZH AH0 W AH0 L
+grown G R OW1 N
+polish P AA1 L IH0 SH
+lovely L AH1 V L IY0
+extras EH1 K S T R AH0 Z
+gm JH IY2 EH1 M
+centres S EH1 N T ER0 Z
+jerry JH EH1 R IY0
+clause K L AO1 Z
+smile S M AY1 L
+lands L AE1 N D Z
+troops T R UW1 P S
+indoor IH1 N D AO2 R
+bulgaria B AH0 L G EH1 R IY0 AH0
+armed AA1 R M D
+broker B R OW1 K ER0
+charger CH AA1 R JH ER0
+regularly R EH1 G Y AH0 L ER0 L IY0
+believed B IH0 L IY1 V D
+pine P AY1 N
+cooling K UW1 L IH0 NG
+tend T EH1 N D
+gulf G AH1 L F
+rick R IH1 K
+trucks T R AH1 K S
+mechanisms M EH1 K AH0 N IH2 Z AH0 M Z
+divorce D IH0 V AO1 R S
+laura L AO1 R AH0
+shopper SH AA1 P ER0
+tokyo T OW1 K IY0 OW2
+partly P AA1 R T L IY0
+nikon N AY1 K AA2 N
+customize K AH1 S T AH0 M AY2 Z
+tradition T R AH0 D IH1 SH AH0 N
+candy K AE1 N D IY0
+pills P IH1 L Z
+tiger T AY1 G ER0
+donald D AA1 N AH0 L D
+folks F OW1 K S
+sensor S EH1 N S ER0
+exposed IH0 K S P OW1 Z D
+telecom T EH1 L AH0 K AA0 M
+hunt HH AH1 N T
+angels EY1 N JH AH0 L Z
+deputy D EH1 P Y AH0 T IY0
+indicators IH1 N D AH0 K EY2 T ER0 Z
+sealed S IY1 L D
+thai T AY1
+emissions IH0 M IH1 SH AH0 N Z
+physicians F AH0 Z IH1 SH AH0 N Z
+loaded L OW1 D IH0 D
+fred F R EH1 D
+complaint K AH0 M P L EY1 N T
+scenes S IY1 N Z
+experiments IH0 K S P EH1 R AH0 M AH0 N T S
+balls B AO1 L Z
+afghanistan AE0 F G AE1 N AH0 S T AE2 N
+boost B UW1 S T
+spanking S P AE1 NG K IH0 NG
+scholarship S K AA1 L ER0 SH IH2 P
+governance G AH1 V ER0 N AH0 N S
+mill M IH1 L
+founded F AW1 N D IH0 D
+supplements S AH1 P L AH0 M AH0 N T S
+chronic K R AA1 N IH0 K
+icons AY1 K AA2 N Z
+moral M AO1 R AH0 L
+den D EH1 N
+catering K EY1 T ER0 IH0 NG
+aud AO1 D
+finger F IH1 NG G ER0
+keeps K IY1 P S
+pound P AW1 N D
+locate L OW1 K EY2 T
+camcorder K AE1 M K AO2 R D ER0
+trained T R EY1 N D
+burn B ER1 N
+implementing IH1 M P L AH0 M EH2 N T IH0 NG
+roses R OW1 Z IH0 Z
+labs L AE1 B Z
+ourselves AW0 ER0 S EH1 L V Z
+bread B R EH1 D
+tobacco T AH0 B AE1 K OW2
+wooden W UH1 D AH0 N
+motors M OW1 T ER0 Z
+tough T AH1 F
+roberts R AA1 B ER0 T S
+incident IH1 N S AH0 D AH0 N T
+gonna G AA1 N AH0
+dynamics D AY0 N AE1 M IH0 K S
+lie L AY1
+crm S IY1 AA1 R EH1 M
+conversation K AA2 N V ER0 S EY1 SH AH0 N
+decrease D IH0 K R IY1 S
+chest CH EH1 S T
+pension P EH1 N SH AH0 N
+billy B IH1 L IY0
+revenues R EH1 V AH0 N UW2 Z
+emerging IH0 M ER1 JH IH0 NG
+worship W ER1 SH AH0 P
+bukkake B UW2 K AA1 K EH2
+capability K EY2 P AH0 B IH1 L AH0 T IY0
+fe F EY1
+craig K R EY1 G
+herself HH ER0 S EH1 L F
+producing P R AH0 D UW1 S IH0 NG
+churches CH ER1 CH IH0 Z
+precision P R IY0 S IH1 ZH AH0 N
+damages D AE1 M AH0 JH AH0 Z
+reserves R IH0 Z ER1 V Z
+contributed K AH0 N T R IH1 B Y UW0 T IH0 D
+solve S AA1 L V
+shorts SH AO1 R T S
+reproduction R IY2 P R AH0 D AH1 K SH AH0 N
+minority M AY0 N AO1 R AH0 T IY0
+diverse D AY0 V ER1 S
+amp AE1 M P
+ingredients IH2 N G R IY1 D IY0 AH0 N T S
+ah AA1
+johnny JH AA1 N IY0
+sole S OW1 L
+franchise F R AE1 N CH AY2 Z
+recorder R IH0 K AO1 R D ER0
+complaints K AH0 M P L EY1 N T S
+facing F EY1 S IH0 NG
+nancy N AE1 N S IY0
+promotions P R AH0 M OW1 SH AH0 N Z
+tones T OW1 N Z
+passion P AE1 SH AH0 N
+rehabilitation R IY2 HH AH0 B IH2 L AH0 T EY1 SH AH0 N
+maintaining M EY0 N T EY1 N IH0 NG
+sight S AY1 T
+laid L EY1 D
+clay K L EY1
+defence D IH0 F EH1 N S
+patches P AE1 CH AH0 Z
+weak W IY1 K
+refund R IH0 F AH1 N D
+towns T AW1 N Z
+environments IH0 N V AY1 R AH0 N M AH0 N T S
+divided D IH0 V AY1 D IH0 D
+blvd B UH1 L AH0 V AA2 R D
+reception R IH0 S EH1 P SH AH0 N
+amd EY1 EH2 M D IY1
+wise W AY1 Z
+emails IY0 M EY1 L Z
+cyprus S AY1 P R AH0 S
+odds AA1 D Z
+correctly K ER0 EH1 K T L IY0
+insider IH2 N S AY1 D ER0
+seminars S EH1 M AH0 N AA2 R Z
+consequences K AA1 N S AH0 K W EH2 N S AH0 Z
+makers M EY1 K ER0 Z
+hearts HH AA1 R T S
+geography JH IY0 AA1 G R AH0 F IY0
+appearing AH0 P IH1 R IH0 NG
+integrity IH2 N T EH1 G R AH0 T IY0
+worry W ER1 IY0
+discrimination D IH0 S K R IH2 M AH0 N EY1 SH AH0 N
+eve IY1 V
+carter K AA1 R T ER0
+legacy L EH1 G AH0 S IY0
+marc M AA1 R K
+pleased P L IY1 Z D
+danger D EY1 N JH ER0
+vitamin V AY1 T AH0 M AH0 N
+widely W AY1 D L IY0
+processed P R AA1 S EH0 S T
+phrase F R EY1 Z
+genuine JH EH1 N Y AH0 W AH0 N
+raising R EY1 Z IH0 NG
+implications IH2 M P L AH0 K EY1 SH AH0 N Z
+functionality F AH2 NG K SH AH0 N AE1 L IH0 T IY0
+paradise P EH1 R AH0 D AY2 S
+hybrid HH AY1 B R AH0 D
+reads R IY1 D Z
+roles R OW1 L Z
+intermediate IH2 N T ER0 M IY1 D IY0 IH0 T
+emotional IH0 M OW1 SH AH0 N AH0 L
+sons S AH1 N Z
+leaf L IY1 F
+pad P AE1 D
+glory G L AO1 R IY0
+platforms P L AE1 T F AO2 R M Z
+ja Y AA1
+bigger B IH1 G ER0
+billing B IH1 L IH0 NG
+diesel D IY1 S AH0 L
+versus V ER1 S AH0 S
+combine K AA1 M B AY0 N
+overnight OW1 V ER0 N AY1 T
+geographic JH IY2 AH0 G R AE1 F IH0 K
+exceed IH0 K S IY1 D
+bs B IY2 EH1 S
+rod R AA1 D
+saudi S AO1 D IY0
+fault F AO1 L T
+cuba K Y UW1 B AH0
+preliminary P R IH0 L IH1 M AH0 N EH2 R IY0
+districts D IH1 S T R IH0 K T S
+introduce IH2 N T R AH0 D UW1 S
+silk S IH1 L K
+promotional P R AH0 M OW1 SH AH0 N AH0 L
+kate K EY1 T
+chevrolet SH EH2 V R AH0 L EY1
+babies B EY1 B IY0 Z
+bi B AY1
+karen K EH1 R AH0 N
+compiled K AH0 M P AY1 L D
+romantic R OW0 M AE1 N T IH0 K
+revealed R IH0 V IY1 L D
+specialists S P EH1 SH AH0 L AH0 S T S
+generator JH EH1 N ER0 EY2 T ER0
+albert AE1 L B ER0 T
+examine IH0 G Z AE1 M IH0 N
+jimmy JH IH1 M IY0
+graham G R EY1 AH0 M
+suspension S AH0 S P EH1 N SH AH0 N
+bristol B R IH1 S T AH0 L
+margaret M AA1 R G ER0 IH0 T
+compaq K AA1 M P AE2 K
+sad S AE1 D
+correction K ER0 EH1 K SH AH0 N
+wolf W UH1 L F
+slowly S L OW1 L IY0
+authentication AO0 TH EH2 N T AH0 K EY1 SH AH0 N
+communicate K AH0 M Y UW1 N AH0 K EY2 T
+rugby R AH1 G B IY0
+supplement S AH1 P L AH0 M AH0 N T
+cal K AE1 L
+portions P AO1 R SH AH0 N Z
+infant IH1 N F AH0 N T
+promoting P R AH0 M OW1 T IH0 NG
+sectors S EH1 K T ER0 Z
+samuel S AE1 M Y UW0 L
+fluid F L UW1 AH0 D
+grounds G R AW1 N D Z
+fits F IH1 T S
+kick K IH1 K
+regards R IH0 G AA1 R D Z
+meal M IY1 L
+ta T AA1
+hurt HH ER1 T
+machinery M AH0 SH IY1 N ER0 IY0
+bandwidth B AE1 N D W IH0 D TH
+unlike AH0 N L AY1 K
+equation IH0 K W EY1 ZH AH0 N
+baskets B AE1 S K AH0 T S
+probability P R AA2 B AH0 B IH1 L AH0 T IY2
+pot P AA1 T
+dimension D IH0 M EH1 N SH AH0 N
+wright R AY1 T
+barry B AE1 R IY0
+proven P R UW1 V AH0 N
+schedules S K EH1 JH UH0 L Z
+admissions AE0 D M IH1 SH AH0 N Z
+cached K AE1 SH T
+warren W AO1 R AH0 N
+slip S L IH1 P
+studied S T AH1 D IY0 D
+reviewer R IY0 V Y UW1 ER0
+involves IH2 N V AA1 L V Z
+quarterly K W AO1 R T ER0 L IY0
+rpm AA1 R P IY1 EH1 M
+profits P R AA1 F IH0 T S
+devil D EH1 V AH0 L
+grass G R AE1 S
+comply K AH0 M P L AY1
+marie M ER0 IY1
+florist F L AA1 R IH0 S T
+illustrated IH1 L AH0 S T R EY2 T AH0 D
+cherry CH EH1 R IY0
+continental K AA2 N T AH0 N EH1 N T AH0 L
+alternate AO1 L T ER0 N AH0 T
+deutsch D OY1 CH
+achievement AH0 CH IY1 V M AH0 N T
+limitations L IH2 M IH0 T EY1 SH AH0 N Z
+kenya K EH1 N Y AH0
+cuts K AH1 T S
+funeral F Y UW1 N ER0 AH0 L
+earrings IH1 R IH0 NG Z
+enjoyed EH2 N JH OY1 D
+automated AO1 T AH0 M EY2 T IH0 D
+chapters CH AE1 P T ER0 Z
+pee P IY1
+charlie CH AA1 R L IY0
+quebec K W AH0 B EH1 K
+nipples N IH1 P AH0 L Z
+passenger P AE1 S AH0 N JH ER0
+convenient K AH0 N V IY1 N Y AH0 N T
+dennis D EH1 N IH0 S
+mars M AA1 R Z
+francis F R AE1 N S AH0 S
+tvs T IY1 V IY1 Z
+sized S AY1 Z D
+manga M AE1 NG G AH0
+noticed N OW1 T AH0 S T
+socket S AA1 K AH0 T
+silent S AY1 L AH0 N T
+literary L IH1 T ER0 EH2 R IY0
+egg EH1 G
+signals S IH1 G N AH0 L Z
+caps K AE1 P S
+orientation AO2 R IY0 EH0 N T EY1 SH AH0 N
+pill P IH1 L
+theft TH EH1 F T
+childhood CH AY1 L D HH UH2 D
+swing S W IH1 NG
+symbols S IH1 M B AH0 L Z
+lat L AA1 T
+meta M IY1 T AH0
+humans HH Y UW1 M AH0 N Z
+analog AE1 N AH0 L AO2 G
+facial F EY1 SH AH0 L
+choosing CH UW1 Z IH0 NG
+talent T AE1 L AH0 N T
+dated D EY1 T IH0 D
+flexibility F L EH2 K S AH0 B IH1 L AH0 T IY0
+seeker S IY1 K ER0
+wisdom W IH1 Z D AH0 M
+shoot SH UW1 T
+boundary B AW1 N D ER0 IY0
+mint M IH1 N T
+packard P AE1 K ER0 D
+offset AO0 F S EH1 T
+payday P EY1 D EY2
+philip F IH1 L AH0 P
+elite IH0 L IY1 T
+spin S P IH1 N
+holders HH OW1 L D ER0 Z
+believes B IH0 L IY1 V Z
+swedish S W IY1 D IH0 SH
+poems P OW1 AH0 M Z
+deadline D EH1 D L AY2 N
+jurisdiction JH UH2 R AH0 S D IH1 K SH AH0 N
+robot R OW1 B AA2 T
+displaying D IH0 S P L EY1 IH0 NG
+witness W IH1 T N AH0 S
+collins K AA1 L IH0 N Z
+equipped IH0 K W IH1 P T
+stages S T EY1 JH AH0 Z
+encouraged EH0 N K ER1 IH0 JH D
+sur S ER1
+winds W IH1 N D Z
+powder P AW1 D ER0
+broadway B R AO1 D W EY2
+acquired AH0 K W AY1 ER0 D
+assess AH0 S EH1 S
+wash W AA1 SH
+cartridges K AA1 R T R AH0 JH AH0 Z
+stones S T OW1 N Z
+entrance EH1 N T R AH0 N S
+gnome N OW1 M
+roots R UW1 T S
+declaration D EH2 K L ER0 EY1 SH AH0 N
+losing L UW1 Z IH0 NG
+attempts AH0 T EH1 M P T S
+gadgets G AE1 JH AH0 T S
+noble N OW1 B AH0 L
+glasgow G L AE1 S K OW2
+automation AO0 T AH0 M EY1 SH AH0 N
+impacts IH2 M P AE1 K T S
+rev R EH1 V
+gospel G AA1 S P AH0 L
+advantages AE0 D V AE1 N T IH0 JH IH0 Z
+shore SH AO1 R
+loves L AH1 V Z
+induced IH2 N D UW1 S T
+knight N AY1 T
+preparing P R IY0 P EH1 R IH0 NG
+loose L UW1 S
+aims EY1 M Z
+recipient R AH0 S IH1 P IY0 AH0 N T
+linking L IH1 NG K IH0 NG
+extensions IH0 K S T EH1 N SH AH0 N Z
+appeals AH0 P IY1 L Z
+earned ER1 N D
+illness IH1 L N AH0 S
+islamic IH2 Z L AA1 M IH0 K
+athletics AE0 TH L EH1 T IH0 K S
+southeast S AW2 TH IY1 S T
+ieee AY2 T R IH2 P L AH0 IY1
+ho HH OW1
+alternatives AO0 L T ER1 N AH0 T IH0 V Z
+pending P EH1 N D IH0 NG
+parker P AA1 R K ER0
+determining D IH0 T ER1 M AH0 N IH0 NG
+lebanon L EH1 B AH0 N AH0 N
+corp K AO1 R P
+personalized P ER1 S AH0 N AH0 L AY2 Z D
+kennedy K EH1 N AH0 D IY0
+sh SH
+conditioning K AH0 N D IH1 SH AH0 N IH0 NG
+teenage T IY1 N EY2 JH
+soap S OW1 P
+ae EY1
+triple T R IH1 P AH0 L
+cooper K UW1 P ER0
+vincent V IH1 N S AH0 N T
+jam JH AE1 M
+secured S IH0 K Y UH1 R D
+unusual AH0 N Y UW1 ZH UW2 AH0 L
+answered AE1 N S ER0 D
+partnerships P AA1 R T N ER0 SH IH2 P S
+destruction D IH0 S T R AH1 K SH AH0 N
+slots S L AA1 T S
+increasingly IH0 N K R IY1 S IH0 NG L IY0
+migration M AY0 G R EY1 SH AH0 N
+disorder D IH0 S AO1 R D ER0
+routine R UW0 T IY1 N
+toolbar T UW1 L B AA2 R
+basically B EY1 S IH0 K L IY0
+rocks R AA1 K S
+conventional K AH0 N V EH1 N SH AH0 N AH0 L
+titans T AY1 T AH0 N Z
+applicants AE1 P L IH0 K AH0 N T S
+wearing W EH1 R IH0 NG
+axis AE1 K S AH0 S
+sought S AO1 T
+genes JH IY1 N Z
+mounted M AW1 N T AH0 D
+habitat HH AE1 B AH0 T AE2 T
+firewall F AY1 R W AA0 L
+median M IY1 D IY0 AH0 N
+guns G AH1 N Z
+scanner S K AE1 N ER0
+herein HH IH0 R IH1 N
+occupational AA0 K Y AH0 P EY1 SH AH0 N AH0 L
+animated AE1 N AH0 M EY2 T IH0 D
+horny HH AO1 R N IY0
+judicial JH UW0 D IH1 SH AH0 L
+rio R IY1 OW0
+adjustment AH0 JH AH1 S T M AH0 N T
+hero HH IH1 R OW0
+integer IH1 N T AH0 JH ER0
+treatments T R IY1 T M AH0 N T S
+bachelor B AE1 CH AH0 L ER0
+attitude AE1 T AH0 T UW2 D
+camcorders K AE1 M K AO2 R D ER0 Z
+engaged EH0 N G EY1 JH D
+falling F AA1 L IH0 NG
+basics B EY1 S IH0 K S
+montreal M AH2 N T R IY0 AO1 L
+carpet K AA1 R P AH0 T
+lenses L EH1 N Z AH0 Z
+binary B AY1 N ER0 IY0
+genetics JH AH0 N EH1 T IH0 K S
+attended AH0 T EH1 N D IH0 D
+difficulty D IH1 F AH0 K AH0 L T IY0
+punk P AH1 NG K
+collective K AH0 L EH1 K T IH0 V
+coalition K OW2 AH0 L IH1 SH AH0 N
+pi P AY1
+dropped D R AA1 P T
+enrollment EH0 N R OW1 L M AH0 N T
+duke D UW1 K
+walter W AO1 L T ER0
+ai AY1
+pace P EY1 S
+besides B IH0 S AY1 D Z
+wage W EY1 JH
+producers P R AH0 D UW1 S ER0 Z
+ot AO1 T
+collector K AH0 L EH1 K T ER0
+arc AA1 R K
+hosts HH OW1 S T S
+interfaces IH1 N T ER0 F EY2 S IH0 Z
+advertisers AE1 D V ER0 T AY2 Z ER0 Z
+moments M OW1 M AH0 N T S
+atlas AE1 T L AH0 S
+strings S T R IH1 NG Z
+dawn D AO1 N
+representing R EH2 P R IH0 Z EH1 N T IH0 NG
+observation AA2 B Z ER0 V EY1 SH AH0 N
+feels F IY1 L Z
+torture T AO1 R CH ER0
+carl K AA1 R L
+deleted D IH0 L IY1 T AH0 D
+coat K OW1 T
+mitchell M IH1 CH AH0 L
+mrs M IH1 S IH0 Z
+rica R IY1 K AH0
+restoration R EH2 S T ER0 EY1 SH AH0 N
+convenience K AH0 N V IY1 N Y AH0 N S
+returning R IH0 T ER1 N IH0 NG
+ralph R AE1 L F
+opposition AA2 P AH0 Z IH1 SH AH0 N
+container K AH0 N T EY1 N ER0
+defendant D IH0 F EH1 N D AH0 N T
+warner W AO1 R N ER0
+confirmation K AA2 N F ER0 M EY1 SH AH0 N
+app AE1 P
+embedded EH0 M B EH1 D IH0 D
+inkjet IH1 NG K JH EH2 T
+supervisor S UW1 P ER0 V AY2 Z ER0
+wizard W IH1 Z ER0 D
+corps K AO1 R
+actors AE1 K T ER0 Z
+liver L IH1 V ER0
+peripherals P ER0 IH1 F ER0 AH0 L Z
+liable L AY1 AH0 B AH0 L
+brochure B R OW0 SH UH1 R
+morris M AO1 R AH0 S
+bestsellers B EH1 S T S EH1 L ER0 Z
+petition P AH0 T IH1 SH AH0 N
+eminem EH1 M AH0 N AH0 M
+recall R IY1 K AO2 L
+antenna AE0 N T EH1 N AH0
+picked P IH1 K T
+assumed AH0 S UW1 M D
+departure D IH0 P AA1 R CH ER0
+minneapolis M IH2 N IY0 AE1 P AH0 L IH0 S
+belief B IH0 L IY1 F
+killing K IH1 L IH0 NG
+bikini B IH0 K IY1 N IY0
+memphis M EH1 M F AH0 S
+shoulder SH OW1 L D ER0
+decor D IH0 K AO1 R
+lookup L UH1 K AH0 P
+texts T EH1 K S T S
+harvard HH AA1 R V ER0 D
+brokers B R OW1 K ER0 Z
+roy R OY1
+ion AY1 AH0 N
+diameter D AY0 AE1 M AH0 T ER0
+ottawa AA1 T AH0 W AA2
+doll D AA1 L
+podcast P AO1 D K AE2 S T
+tit T IH1 T
+seasons S IY1 Z AH0 N Z
+peru P ER0 UW1
+interactions IH2 N T ER0 AE1 K SH AH0 N Z
+refine R AH0 F AY1 N
+bidder B IH1 D ER0
+singer S IH1 NG ER0
+evans EH1 V AH0 N Z
+herald HH EH1 R AH0 L D
+literacy L IH1 T ER0 AH0 S IY0
+fails F EY1 L Z
+aging EY1 JH IH0 NG
+nike N AY1 K IY0
+intervention IH2 N T ER0 V EH1 N SH AH0 N
+pissing P IH1 S IH2 NG
+fed F EH1 D
+plugin P L AH1 G IH0 N
+attraction AH0 T R AE1 K SH AH0 N
+diving D AY1 V IH0 NG
+invite IH2 N V AY1 T
+modification M AA2 D AH0 F AH0 K EY1 SH AH0 N
+alice AE1 L AH0 S
+suppose S AH0 P OW1 Z
+customized K AH1 S T AH0 M AY2 Z D
+reed R IY1 D
+involve IH2 N V AA1 L V
+moderate M AA1 D ER0 AH0 T
+terror T EH1 R ER0
+younger Y AH1 NG G ER0
+thirty TH ER1 D IY2
+mice M AY1 S
+opposite AA1 P AH0 Z AH0 T
+understood AH2 N D ER0 S T UH1 D
+rapidly R AE1 P AH0 D L IY0
+ban B AE1 N
+temp T EH1 M P
+intro IH1 N T R OW0
+mercedes M ER0 S EY1 D IY0 Z
+assurance AH0 SH UH1 R AH0 N S
+clerk K L ER1 K
+happening HH AE1 P AH0 N IH0 NG
+vast V AE1 S T
+mills M IH1 L Z
+outline AW1 T L AY2 N
+amendments AH0 M EH1 N D M AH0 N T S
+holland HH AA1 L AH0 N D
+receives R AH0 S IY1 V Z
+jeans JH IY1 N Z
+metropolitan M EH2 T R AH0 P AA1 L AH0 T AH0 N
+compilation K AA2 M P AH0 L EY1 SH AH0 N
+verification V EH2 R AH0 F AH0 K EY1 SH AH0 N
+fonts F AA1 N T S
+ent EH1 N T
+odd AA1 D
+wrap R AE1 P
+refers R AH0 F ER1 Z
+mood M UW1 D
+favor F EY1 V ER0
+veterans V EH1 T ER0 AH0 N Z
+quiz K W IH1 Z
+sigma S IH1 G M AH0
+attractive AH0 T R AE1 K T IH0 V
+occasion AH0 K EY1 ZH AH0 N
+recordings R IH0 K AO1 R D IH0 NG Z
+jefferson JH EH1 F ER0 S AH0 N
+victim V IH1 K T AH0 M
+demands D IH0 M AE1 N D Z
+sleeping S L IY1 P IH0 NG
+careful K EH1 R F AH0 L
+beam B IY1 M
+gardening G AA1 R D AH0 N IH0 NG
+obligations AA2 B L AH0 G EY1 SH AH0 N Z
+arrive ER0 AY1 V
+orchestra AO1 R K AH0 S T R AH0
+sunset S AH1 N S EH2 T
+tracked T R AE1 K T
+moreover M AO0 R OW1 V ER0
+minimal M IH1 N AH0 M AH0 L
+polyphonic P AA2 L IH2 F AA1 N IH0 K
+lottery L AA1 T ER0 IY0
+tops T AA1 P S
+framed F R EY1 M D
+aside AH0 S AY1 D
+outsourcing AW2 T S AO1 R S IH0 NG
+licence L AY1 S AH0 N S
+adjustable AH0 JH AH1 S T AH0 B AH0 L
+allocation AE2 L AH0 K EY1 SH AH0 N
+michelle M IH0 SH EH1 L
+essay EH0 S EY1
+discipline D IH1 S AH0 P L AH0 N
+amy EY1 M IY0
+ts T IY1 EH1 S
+demonstrated D EH1 M AH0 N S T R EY2 T IH0 D
+dialogue D AY1 AH0 L AO2 G
+identifying AY0 D EH1 N T AH0 F AY2 IH0 NG
+alphabetical AE2 L F AH0 B EH1 T IH0 K AH0 L
+camps K AE1 M P S
+declared D IH0 K L EH1 R D
+dispatched D IH0 S P AE1 CH T
+aaron EH1 R AH0 N
+handheld HH AE1 N D HH EH1 L D
+trace T R EY1 S
+disposal D IH0 S P OW1 Z AH0 L
+shut SH AH1 T
+florists F L AO1 R IH0 S T S
+packs P AE1 K S
+installing IH2 N S T AO1 L IH0 NG
+switches S W IH1 CH AH0 Z
+romania R OW0 M EY1 N IY0 AH0
+voluntary V AA1 L AH0 N T EH0 R IY0
+thou DH AW1
+consult K AH0 N S AH1 L T
+phd P IY1 EY2 CH D IY1
+greatly G R EY1 T L IY0
+blogging B L AO1 G IH0 NG
+mask M AE1 S K
+cycling S AY1 K AH0 L IH0 NG
+midnight M IH1 D N AY2 T
+ng EH1 NG
+commonly K AA1 M AH0 N L IY0
+photographer F AH0 T AA1 G R AH0 F ER0
+inform IH2 N F AO1 R M
+turkish T ER1 K IH0 SH
+coal K OW1 L
+cry K R AY1
+messaging M EH1 S IH0 JH IH0 NG
+pentium P EH1 N T IY0 AH0 M
+quantum K W AA1 N T AH0 M
+murray M ER1 IY0
+intent IH2 N T EH1 N T
+zoo Z UW1
+largely L AA1 R JH L IY0
+pleasant P L EH1 Z AH0 N T
+announce AH0 N AW1 N S
+constructed K AH0 N S T R AH1 K T AH0 D
+additions AH0 D IH1 SH AH0 N Z
+requiring R IY0 K W AY1 ER0 IH0 NG
+spoke S P OW1 K
+aka AA1 K AH0
+arrow AE1 R OW0
+engagement EH0 N G EY1 JH M AH0 N T
+sampling S AE1 M P L IH0 NG
+rough R AH1 F
+weird W IH1 R D
+tee T IY1
+refinance R IY2 F AH0 N AE1 N S
+lion L AY1 AH0 N
+inspired IH2 N S P AY1 ER0 D
+holes HH OW1 L Z
+weddings W EH1 D IH0 NG Z
+blade B L EY1 D
+suddenly S AH1 D AH0 N L IY0
+oxygen AA1 K S AH0 JH AH0 N
+cookie K UH1 K IY0
+meals M IY1 L Z
+canyon K AE1 N Y AH0 N
+goto G OW1 T UW2
+meters M IY1 T ER0 Z
+merely M IH1 R L IY0
+calendars K AE1 L AH0 N D ER0 Z
+arrangement ER0 EY1 N JH M AH0 N T
+conclusions K AH0 N K L UW1 ZH AH0 N Z
+passes P AE1 S AH0 Z
+bibliography B IH2 B L IY0 AA1 G R AH0 F IY0
+pointer P OY1 N T ER0
+compatibility K AH0 M P AE2 T AH0 B IH1 L AH0 T IY2
+stretch S T R EH1 CH
+durham D ER1 AH0 M
+furthermore F ER1 DH ER0 M AO2 R
+permits P ER0 M IH1 T S
+cooperative K OW0 AA1 P ER0 EY2 T IH0 V
+muslim M AH1 Z L AH0 M
+neil N IY1 L
+sleeve S L IY1 V
+netscape N EH1 T S K EY2 P
+cleaner K L IY1 N ER0
+cricket K R IH1 K AH0 T
+beef B IY1 F
+feeding F IY1 D IH0 NG
+stroke S T R OW1 K
+township T AW1 N SH IH0 P
+rankings R AE1 NG K IH0 NG Z
+measuring M EH1 ZH ER0 IH0 NG
+cad K AE1 D
+hats HH AE1 T S
+robin R AA1 B AH0 N
+robinson R AA1 B AH0 N S AH0 N
+jacksonville JH AE1 K S AH0 N V IH2 L
+strap S T R AE1 P
+headquarters HH EH1 D K W AO2 R T ER0 Z
+sharon SH AE1 R AH0 N
+crowd K R AW1 D
+transfers T R AE0 N S F ER1 Z
+surf S ER1 F
+olympic OW0 L IH1 M P IH0 K
+transformation T R AE2 N S F ER0 M EY1 SH AH0 N
+remained R IH0 M EY1 N D
+attachments AH0 T AE1 CH M AH0 N T S
+entities EH1 N T IH0 T IY0 Z
+customs K AH1 S T AH0 M Z
+administrators AE0 D M IH1 N IH0 S T R EY2 T ER0 Z
+personality P ER2 S AH0 N AE1 L IH0 T IY0
+rainbow R EY1 N B OW2
+hook HH UH1 K
+roulette R UW0 L EH1 T
+decline D IH0 K L AY1 N
+gloves G L AH1 V Z
+israeli IH2 Z R EY1 L IY0
+medicare M EH1 D AH0 K EH2 R
+cord K AO1 R D
+skiing S K IY1 IH0 NG
+cloud K L AW1 D
+facilitate F AH0 S IH1 L AH0 T EY2 T
+subscriber S AH0 B S K R AY1 B ER0
+valve V AE1 L V
+val V AE1 L
+hewlett HH Y UW1 L IH0 T
+explains IH0 K S P L EY1 N Z
+proceed P R AH0 S IY1 D
+flickr F L IH1 K ER0
+feelings F IY1 L IH0 NG Z
+knife N AY1 F
+jamaica JH AH0 M EY1 K AH0
+priorities P R AY0 AO1 R AH0 T IY0 Z
+shelf SH EH1 L F
+bookstore B UH1 K S T AO2 R
+timing T AY1 M IH0 NG
+liked L AY1 K T
+parenting P EH1 R AH0 N T IH0 NG
+adopt AH0 D AA1 P T
+denied D IH0 N AY1 D
+incredible IH2 N K R EH1 D AH0 B AH0 L
+britney B R IY1 T N IY2
+freeware F R IY1 W EH2 R
+fucked F AH1 K T
+donation D OW0 N EY1 SH AH0 N
+outer AW1 T ER0
+crop K R AA1 P
+deaths D EH1 TH S
+rivers R IH1 V ER0 Z
+commonwealth K AA1 M AH0 N W EH2 L TH
+pharmaceutical F AA2 R M AH0 S UW1 T IH0 K AH0 L
+manhattan M AE0 N HH AE1 T AH0 N
+tales T EY1 L Z
+katrina K AH0 T R IY1 N AH0
+workforce W ER1 K F AO2 R S
+islam IH2 S L AA1 M
+nodes N OW1 D Z
+tu T UW1
+thumbs TH AH1 M Z
+seeds S IY1 D Z
+cited S AY1 T AH0 D
+lite L AY1 T
+hub HH AH1 B
+targeted T AA1 R G AH0 T IH0 D
+organizational AO2 R G AH0 N AH0 Z EY1 SH AH0 N AH0 L
+skype S K AY1 P
+realized R IY1 AH0 L AY2 Z D
+twelve T W EH1 L V
+founder F AW1 N D ER0
+decade D EH0 K EY1 D
+dispute D IH0 S P Y UW1 T
+portuguese P AO1 R CH AH0 G IY2 Z
+tired T AY1 ER0 D
+adverse AE0 D V ER1 S
+everywhere EH1 V R IY0 W EH2 R
+excerpt EH1 K S ER0 P T
+eng EH1 NG
+steam S T IY1 M
+discharge D IH0 S CH AA1 R JH
+drinks D R IH1 NG K S
+ace EY1 S
+voices V OY1 S AH0 Z
+acute AH0 K Y UW1 T
+halloween HH AE2 L AH0 W IY1 N
+climbing K L AY1 M IH0 NG
+stood S T UH1 D
+sing S IH1 NG
+tons T AH1 N Z
+perfume P ER0 F Y UW1 M
+carol K AE1 R AH0 L
+honest AA1 N AH0 S T
+albany AO1 L B AH0 N IY0
+hazardous HH AE1 Z ER0 D AH0 S
+restore R IH0 S T AO1 R
+stack S T AE1 K
+methodology M EH2 TH AH0 D AA1 L AH0 JH IY0
+somebody S AH1 M B AA2 D IY0
+sue S UW1
+housewares HH AW1 S W EH2 R Z
+reputation R EH2 P Y AH0 T EY1 SH AH0 N
+resistant R IH0 Z IH1 S T AH0 N T
+democrats D EH1 M AH0 K R AE2 T S
+recycling R IY0 S AY1 K AH0 L IH0 NG
+hang HH AE1 NG
+curve K ER1 V
+creator K R IY0 EY1 T ER0
+amber AE1 M B ER0
+qualifications K W AA2 L AH0 F AH0 K EY1 SH AH0 N Z
+museums M Y UW0 Z IY1 AH0 M Z
+coding K OW1 D IH0 NG
+tracker T R AE1 K ER0
+variation V EH2 R IY0 EY1 SH AH0 N
+passage P AE1 S AH0 JH
+transferred T R AE0 N S F ER1 D
+trunk T R AH1 NG K
+hiking HH AY1 K IH0 NG
+lb P AW1 N D
+damn D AE1 M
+pierre P IY0 EH1 R
+headset HH EH1 D S EH2 T
+photograph F OW1 T AH0 G R AE2 F
+oakland OW1 K L AH0 N D
+colombia K AH0 L AH1 M B IY0 AH0
+waves W EY1 V Z
+camel K AE1 M AH0 L
+distributor D IH0 S T R IH1 B Y AH0 T ER0
+lamps L AE1 M P S
+underlying AH2 N D ER0 L AY1 IH0 NG
+hood HH UH1 D
+wrestling R EH1 S L IH0 NG
+suicide S UW1 AH0 S AY2 D
+archived AA1 R K AY2 V D
+photoshop F OW1 T OW2 SH AA2 P
+chi K AY1
+bt B IY1 T IY1
+arabia AH0 R EY1 B IY0 AH0
+gathering G AE1 DH ER0 IH0 NG
+projection P R AH0 JH EH1 K SH AH0 N
+juice JH UW1 S
+chase CH EY1 S
+mathematical M AE2 TH AH0 M AE1 T IH0 K AH0 L
+logical L AA1 JH IH0 K AH0 L
+sauce S AO1 S
+fame F EY1 M
+extract EH1 K S T R AE2 K T
+specialized S P EH1 SH AH0 L AY2 Z D
+diagnostic D AY2 AH0 G N AA1 S T IH0 K
+panama P AE1 N AH0 M AA2
+indianapolis IH2 N D IY0 AH0 N AE1 P AH0 L IH0 S
+payable P EY1 AH0 B AH0 L
+corporations K AO2 R P ER0 EY1 SH AH0 N Z
+courtesy K ER1 T AH0 S IY0
+criticism K R IH1 T IH0 S IH2 Z AH0 M
+automobile AO1 T AH0 M OW0 B IY2 L
+confidential K AA2 N F AH0 D EH1 N SH AH0 L
+statutory S T AE1 CH AH0 T AO2 R IY0
+accommodations AH0 K AA2 M AH0 D EY1 SH AH0 N Z
+athens AE1 TH AH0 N Z
+northeast N AO2 R TH IY1 S T
+downloaded D AW1 N L OW2 D IH0 D
+judges JH AH1 JH IH0 Z
+seo S IY1 OW0
+retired R IH0 T AY1 R D
+remarks R IH0 M AA1 R K S
+detected D IH0 T EH1 K T AH0 D
+decades D EH0 K EY1 D Z
+paintings P EY1 N T IH0 NG Z
+walked W AO1 K T
+arising ER0 AY1 Z IH0 NG
+nissan N IY1 S AA0 N
+bracelet B R EY1 S L AH0 T
+ins IH1 N Z
+eggs EH1 G Z
+juvenile JH UW1 V AH0 N AH0 L
+injection IH2 N JH EH1 K SH AH0 N
+yorkshire Y AO1 R K SH ER0
+populations P AA2 P Y AH0 L EY1 SH AH0 N Z
+protective P R AH0 T EH1 K T IH0 V
+afraid AH0 F R EY1 D
+acoustic AH0 K UW1 S T IH0 K
+railway R EY1 L W EY2
+cassette K AH0 S EH1 T
+initially IH2 N IH1 SH AH0 L IY0
+indicator IH1 N D AH0 K EY2 T ER0
+pointed P OY1 N T IH0 D
+causing K AA1 Z IH0 NG
+mistake M IH0 S T EY1 K
+norton N AO1 R T AH0 N
+locked L AA1 K T
+eliminate IH0 L IH1 M AH0 N EY2 T
+fusion F Y UW1 ZH AH0 N
+mineral M IH1 N ER0 AH0 L
+sunglasses S AH1 N G L AE2 S IH0 Z
+ruby R UW1 B IY0
+steering S T IH1 R IH0 NG
+beads B IY1 D Z
+fortune F AO1 R CH AH0 N
+preference P R EH1 F ER0 AH0 N S
+canvas K AE1 N V AH0 S
+threshold TH R EH1 SH OW2 L D
+parish P AE1 R IH0 SH
+claimed K L EY1 M D
+screens S K R IY1 N Z
+cemetery S EH1 M AH0 T EH2 R IY0
+planner P L AE1 N ER0
+croatia K R OW0 EY1 SH AH0
+flows F L OW1 Z
+stadium S T EY1 D IY0 AH0 M
+venezuela V EH2 N IH0 Z W EY1 L AH0
+exploration EH2 K S P L ER0 EY1 SH AH0 N
+fewer F Y UW1 ER0
+sequences S IY1 K W AH0 N S AH0 Z
+coupon K UW1 P AO2 N
+nurses N ER1 S AH0 Z
+stem S T EH1 M
+proxy P R AA1 K S IY0
+astronomy AH0 S T R AA1 N AH0 M IY0
+lanka L AE1 NG K AH0
+opt AA1 P T
+edwards EH1 D W ER0 D Z
+drew D R UW1
+contests K AA1 N T EH0 S T S
+flu F L UW1
+translate T R AE0 N Z L EY1 T
+announces AH0 N AW1 N S IH0 Z
+costume K AA0 S T UW1 M
+tagged T AE1 G D
+berkeley B ER1 K L IY0
+voted V OW1 T IH0 D
+killer K IH1 L ER0
+bikes B AY1 K S
+gates G EY1 T S
+adjusted AH0 JH AH1 S T IH0 D
+rap R AE1 P
+tune T UW1 N
+bishop B IH1 SH AH0 P
+pulled P UH1 L D
+corn K AO1 R N
+shaped SH EY1 P T
+compression K AH0 M P R EH1 SH AH0 N
+seasonal S IY1 Z AH0 N AH0 L
+establishing IH0 S T AE1 B L IH0 SH IH0 NG
+farmer F AA1 R M ER0
+counters K AW1 N T ER0 Z
+puts P UH1 T S
+constitutional K AA2 N S T AH0 T UW1 SH AH0 N AH0 L
+grew G R UW1
+perfectly P ER1 F AH0 K T L IY0
+tin T IH1 N
+slave S L EY1 V
+instantly IH1 N S T AH0 N T L IY0
+cultures K AH1 L CH ER0 Z
+norfolk N AO1 R F AH0 K
+coaching K OW1 CH IH0 NG
+examined IH0 G Z AE1 M AH0 N D
+trek T R EH1 K
+encoding EH0 N K OW1 D IH0 NG
+litigation L IH2 T AH0 G EY1 SH AH0 N
+submissions S AH0 B M IH1 SH AH0 N Z
+heroes HH IH1 R OW0 Z
+painted P EY1 N T IH0 D
+lycos L AY1 K OW0 S
+broadcasting B R AO1 D K AE2 S T IH0 NG
+horizontal HH AO2 R AH0 Z AA1 N T AH0 L
+artwork AA1 R T W ER2 K
+cosmetic K AA0 Z M EH1 T IH0 K
+resulted R IH0 Z AH1 L T IH0 D
+portrait P AO1 R T R AH0 T
+terrorist T EH1 R ER0 IH0 S T
+informational IH2 N F ER0 M EY1 SH AH0 N AH0 L
+ethical EH1 TH IH0 K AH0 L
+carriers K AE1 R IY0 ER0 Z
+mobility M OW0 B IH1 L AH0 T IY0
+floral F L AO1 R AH0 L
+builders B IH1 L D ER0 Z
+ties T AY1 Z
+struggle S T R AH1 G AH0 L
+schemes S K IY1 M Z
+suffering S AH1 F ER0 IH0 NG
+neutral N UW1 T R AH0 L
+fisher F IH1 SH ER0
+rat R AE1 T
+spears S P IH1 R Z
+prospective P R AH0 S P EH1 K T IH0 V
+dildos D IH1 L D OW2 Z
+bedding B EH1 D IH0 NG
+ultimately AH1 L T AH0 M AH0 T L IY0
+joining JH OY1 N IH0 NG
+heading HH EH1 D IH0 NG
+equally IY1 K W AH0 L IY0
+artificial AA2 R T AH0 F IH1 SH AH0 L
+bearing B EH1 R IH0 NG
+spectacular S P EH0 K T AE1 K Y AH0 L ER0
+coordination K OW0 AO2 R D AH0 N EY1 SH AH0 N
+connector K AH0 N EH1 K T ER0
+brad B R AE1 D
+combo K AA1 M B OW2
+seniors S IY1 N Y ER0 Z
+worlds W ER1 L D Z
+guilty G IH1 L T IY0
+affiliated AH0 F IH1 L IY0 EY2 T IH0 D
+activation AE2 K T AH0 V EY1 SH AH0 N
+naturally N AE1 CH ER0 AH0 L IY0
+haven HH EY1 V AH0 N
+tablet T AE1 B L AH0 T
+jury JH UH1 R IY0
+dos D AO1 S
+tail T EY1 L
+subscribers S AH0 B S K R AY1 B ER0 Z
+charm CH AA1 R M
+lawn L AO1 N
+violent V AY1 AH0 L AH0 N T
+mitsubishi M IH2 T S UW2 B IY1 SH IY0
+underwear AH1 N D ER0 W EH2 R
+basin B EY1 S AH0 N
+soup S UW1 P
+potentially P AH0 T EH1 N SH AH0 L IY0
+ranch R AE1 N CH
+constraints K AH0 N S T R EY1 N T S
+crossing K R AO1 S IH0 NG
+inclusive IH2 N K L UW1 S IH0 V
+dimensional D IH0 M EH1 N SH AH0 N AH0 L
+cottage K AA1 T AH0 JH
+drunk D R AH1 NG K
+considerable K AH0 N S IH1 D ER0 AH0 B AH0 L
+crimes K R AY1 M Z
+resolved R IY0 Z AA1 L V D
+byte B AY1 T
+toner T OW1 N ER0
+nose N OW1 Z
+latex L EY1 T EH2 K S
+branches B R AE1 N CH AH0 Z
+anymore EH2 N IY0 M AO1 R
+delhi D EH1 L IY0
+holdings HH OW1 L D IH0 NG Z
+alien EY1 L IY0 AH0 N
+locator L OW1 K EY2 T ER0
+selecting S AH0 L EH1 K T IH0 NG
+processors P R AA1 S EH2 S ER0 Z
+pantyhose P AE1 N T IY0 HH OW2 Z
+broke B R OW1 K
+nepal N AH0 P AO1 L
+zimbabwe Z IH0 M B AA1 B W EY0
+difficulties D IH1 F AH0 K AH0 L T IY0 Z
+juan W AA1 N
+complexity K AH0 M P L EH1 K S AH0 T IY0
+constantly K AA1 N S T AH0 N T L IY0
+browsing B R AW1 Z IH0 NG
+resolve R IY0 Z AA1 L V
+barcelona B AA2 R S IH0 L OW1 N AH0
+presidential P R EH2 Z AH0 D EH1 N SH AH0 L
+documentary D AA2 K Y AH0 M EH1 N T ER0 IY0
+cod K AA1 D
+territories T EH1 R AH0 T AO2 R IY0 Z
+melissa M AH0 L IH1 S AH0
+moscow M AA1 S K OW2
+thesis TH IY1 S AH0 S
+thru TH R UW1
+jews JH UW1 Z
+nylon N AY1 L AA2 N
+palestinian P AE2 L IH0 S T IH1 N IY0 AH0 N
+discs D IH1 S K S
+rocky R AA1 K IY0
+bargains B AA1 R G AH0 N Z
+frequent F R IY1 K W AH0 N T
+trim T R IH1 M
+nigeria N AY0 JH IH1 R IY0 AH0
+ceiling S IY1 L IH0 NG
+pixels P IH1 K S AH0 L Z
+ensuring EH0 N SH UH1 R IH0 NG
+hispanic HH IH0 S P AE1 N IH0 K
+cv S IY2 V IY1
+cb S IY2 B IY1
+legislature L EH1 JH AH0 S L EY2 CH ER0
+hospitality HH AA2 S P AH0 T AE1 L AH0 T IY0
+gen JH EH1 N
+anybody EH1 N IY0 B AH0 D IY0
+procurement P R OW0 K Y UH1 R M AH0 N T
+diamonds D AY1 M AH0 N D Z
+espn IY1 EH1 S P IY1 EH1 N
+fleet F L IY1 T
+bunch B AH1 N CH
+totals T OW1 T AH0 L Z
+marriott M EH1 R IY0 AH0 T
+singing S IH1 NG IH0 NG
+theoretical TH IY2 ER0 EH1 T IH0 K AH0 L
+afford AH0 F AO1 R D
+exercises EH1 K S ER0 S AY2 Z AH0 Z
+starring S T AA1 R IH0 NG
+referral R IH0 F ER1 AH0 L
+surveillance S ER0 V EY1 L AH0 N S
+optimal AA1 P T AH0 M AH0 L
+quit K W IH1 T
+distinct D IH0 S T IH1 NG K T
+protocols P R OW1 T AH0 K AO2 L Z
+lung L AH1 NG
+highlight HH AY1 L AY2 T
+substitute S AH1 B S T AH0 T UW2 T
+inclusion IH2 N K L UW1 ZH AH0 N
+hopefully HH OW1 P F AH0 L IY0
+brilliant B R IH1 L Y AH0 N T
+turner T ER1 N ER0
+sucking S AH1 K IH0 NG
+cents S EH1 N T S
+reuters R OY1 T ER0 Z
+ti T IY1
+gel JH EH1 L
+todd T AA1 D
+spoken S P OW1 K AH0 N
+omega OW0 M EH1 G AH0
+evaluated IH0 V AE1 L Y UW0 EY2 T AH0 D
+stayed S T EY1 D
+civic S IH1 V IH0 K
+assignments AH0 S AY1 N M AH0 N T S
+manuals M AE1 N Y UW0 AH0 L Z
+doug D AH1 G
+sees S IY1 Z
+termination T ER0 M AH0 N EY1 SH AH0 N
+watched W AA1 CH T
+saver S EY1 V ER0
+thereof DH EH2 R AH1 V
+grill G R IH1 L
+households HH AW1 S HH OW2 L D Z
+redeem R IH0 D IY1 M
+rogers R AA1 JH ER0 Z
+grain G R EY1 N
+aaa T R IH2 P AH0 L EY1
+authentic AH0 TH EH1 N T IH0 K
+regime R AH0 ZH IY1 M
+wanna W AA1 N AH0
+wishes W IH1 SH IH0 Z
+bull B UH1 L
+montgomery M AA0 N T G AH1 M R IY0
+architectural AA2 R K AH0 T EH1 K CH ER0 AH0 L
+louisville L UW1 IY0 V IH2 L
+depend D IH0 P EH1 N D
+differ D IH1 F ER0
+macintosh M AE1 K AH0 N T AO2 SH
+movements M UW1 V M AH0 N T S
+ranging R EY1 N JH IH0 NG
+monica M AA1 N IH0 K AH0
+repairs R IH0 P EH1 R Z
+breath B R EH1 TH
+amenities AH0 M EH1 N AH0 T IY0 Z
+virtually V ER1 CH UW0 AH0 L IY0
+cole K OW1 L
+mart M AA1 R T
+candle K AE1 N D AH0 L
+hanging HH AE1 NG IH0 NG
+colored K AH1 L ER0 D
+authorization AO2 TH ER0 AH0 Z EY1 SH AH0 N
+tale T EY1 L
+verified V EH1 R AH0 F AY2 D
+lynn L IH1 N
+formerly F AO1 R M ER0 L IY0
+projector P R AH0 JH EH1 K T ER0
+bp B IY2 P IY1
+situated S IH1 CH UW0 EY2 T IH0 D
+comparative K AH0 M P EH1 R AH0 T IH0 V
+seeks S IY1 K S
+herbal ER1 B AH0 L
+loving L AH1 V IH0 NG
+strictly S T R IH1 K T L IY0
+routing R AW1 T IH0 NG
+docs D AA1 K S
+stanley S T AE1 N L IY0
+psychological S AY2 K AH0 L AA1 JH IH0 K AH0 L
+surprised S ER0 P R AY1 Z D
+retailer R IY1 T EY2 L ER0
+vitamins V AY1 T AH0 M AH0 N Z
+elegant EH1 L AH0 G AH0 N T
+gains G EY1 N Z
+renewal R IH0 N UW1 AH0 L
+genealogy JH IY2 N IY0 AA1 L AH0 JH IY0
+opposed AH0 P OW1 Z D
+deemed D IY1 M D
+scoring S K AO1 R IH0 NG
+expenditure IH0 K S P EH1 N D AH0 CH ER0
+panties P AE1 N T IY0 Z
+brooklyn B R UH1 K L AH0 N
+liverpool L IH1 V ER0 P UW2 L
+sisters S IH1 S T ER0 Z
+critics K R IH1 T IH0 K S
+connectivity K AH0 N EH0 K T IH1 V IH0 T IY0
+spots S P AA1 T S
+algorithms AE1 L G ER0 IH2 DH AH0 M Z
+hacker HH AE1 K ER0
+madrid M AH0 D R IH1 D
+similarly S IH1 M AH0 L ER0 L IY0
+margin M AA1 R JH AH0 N
+coin K OY1 N
+solely S OW1 AH0 L IY0
+fake F EY1 K
+salon S AH0 L AA1 N
+collaborative K AH0 L AE1 B ER0 EY2 T IH0 V
+norman N AO1 R M AH0 N
+fda EH2 F D IY2 EY1
+excluding IH0 K S K L UW1 D IH0 NG
+turbo T ER1 B OW0
+headed HH EH1 D AH0 D
+voters V OW1 T ER0 Z
+cure K Y UH1 R
+madonna M AH0 D AA1 N AH0
+commander K AH0 M AE1 N D ER0
+arch AA1 R CH
+ni N IY1
+murphy M ER1 F IY0
+thinks TH IH1 NG K S
+suggestion S AH0 JH EH1 S CH AH0 N
+soldier S OW1 L JH ER0
+phillips F IH1 L IH0 P S
+aimed EY1 M D
+justin JH AH1 S T AH0 N
+bomb B AA1 M
+harm HH AA1 R M
+interval IH1 N T ER0 V AH0 L
+mirrors M IH1 R ER0 Z
+spotlight S P AA1 T L AY2 T
+tricks T R IH1 K S
+reset R IY0 S EH1 T
+brush B R AH1 SH
+investigate IH2 N V EH1 S T AH0 G EY2 T
+thy DH AY1
+panels P AE1 N AH0 L Z
+repeated R IH0 P IY1 T IH0 D
+assault AH0 S AO1 L T
+connecting K AH0 N EH1 K T IH0 NG
+spare S P EH1 R
+logistics L AH0 JH IH1 S T IH0 K S
+deer D IH1 R
+kodak K OW1 D AE2 K
+tongue T AH1 NG
+bowling B OW1 L IH0 NG
+tri T R AY1
+danish D EY1 N IH0 SH
+pal P AE1 L
+monkey M AH1 NG K IY0
+proportion P R AH0 P AO1 R SH AH0 N
+filename F AY1 L N EY2 M
+skirt S K ER1 T
+florence F L AO1 R AH0 N S
+invest IH2 N V EH1 S T
+honey HH AH1 N IY0
+um AH1 M
+analyses AH0 N AE1 L AH0 S IY2 Z
+drawings D R AO1 IH0 NG Z
+significance S AH0 G N IH1 F IH0 K AH0 N S
+scenario S IH0 N EH1 R IY0 OW0
+ye Y IY1
+fs F S
+lovers L AH1 V ER0 Z
+atomic AH0 T AA1 M IH0 K
+symposium S IH0 M P OW1 Z IY0 AH0 M
+arabic AE1 R AH0 B IH0 K
+gauge G EY1 JH
+essentials EH0 S EH1 N SH AH0 L Z
+junction JH AH1 NG K SH AH0 N
+protecting P R AH0 T EH1 K T IH0 NG
+faced F EY1 S T
+mat M AE1 T
+rachel R EY1 CH AH0 L
+solving S AA1 L V IH0 NG
+transmitted T R AE0 N S M IH1 T IH0 D
+weekends W IY1 K EH2 N D Z
+screenshots S K R IY1 N SH AA2 T S
+produces P R AH0 D UW1 S AH0 Z
+oven AH1 V AH0 N
+ted T EH1 D
+intensive IH2 N T EH1 N S IH0 V
+chains CH EY1 N Z
+kingston K IH1 NG S T AH0 N
+sixth S IH1 K S TH
+engage EH0 N G EY1 JH
+deviant D IY1 V IY0 AH0 N T
+noon N UW1 N
+switching S W IH1 CH IH0 NG
+quoted K W OW1 T IH0 D
+adapters AH0 D AE1 P T ER0 Z
+correspondence K AO2 R AH0 S P AA1 N D AH0 N S
+farms F AA1 R M Z
+imports IH2 M P AO1 R T S
+supervision S UW2 P ER0 V IH1 ZH AH0 N
+cheat CH IY1 T
+bronze B R AA1 N Z
+expenditures IH0 K S P EH1 N D AH0 CH ER0 Z
+sandy S AE1 N D IY0
+separation S EH2 P ER0 EY1 SH AH0 N
+testimony T EH1 S T AH0 M OW2 N IY0
+suspect S AH0 S P EH1 K T
+celebrities S AH0 L EH1 B R IH0 T IY0 Z
+macro M AE1 K R OW0
+sender S EH1 N D ER0
+mandatory M AE1 N D AH0 T AO2 R IY0
+boundaries B AW1 N D ER0 IY0 Z
+crucial K R UW1 SH AH0 L
+syndication S IH2 N D IH0 K EY1 SH AH0 N
+gym JH IH1 M
+celebration S EH2 L AH0 B R EY1 SH AH0 N
+adjacent AH0 JH EY1 S AH0 N T
+filtering F IH1 L T ER0 IH0 NG
+tuition T Y UW0 IH1 SH AH0 N
+spouse S P AW1 S
+exotic IH0 G Z AA1 T IH0 K
+viewer V Y UW1 ER0
+threats TH R EH1 T S
+luxembourg L AH1 K S AH0 M B AO2 R G
+puzzles P AH1 Z AH0 L Z
+reaching R IY1 CH IH0 NG
+damaged D AE1 M AH0 JH D
+cams K AE1 M Z
+receptor R IY0 S EH1 P T ER0
+piss P IH1 S
+laugh L AE1 F
+joel JH OW1 AH0 L
+surgical S ER1 JH IH0 K AH0 L
+destroy D IH0 S T R OY1
+citation S AY0 T EY1 SH AH0 N
+pitch P IH1 CH
+autos AO1 T OW0 Z
+yo Y OW1
+premises P R EH1 M AH0 S AH0 Z
+perry P EH1 R IY0
+proved P R UW1 V D
+offensive AH0 F EH1 N S IH0 V
+imperial IH2 M P IH1 R IY0 AH0 L
+dozen D AH1 Z AH0 N
+benjamin B EH1 N JH AH0 M AH0 N
+deployment D IH0 P L OY1 M AH0 N T
+teeth T IY1 TH
+cloth K L AO1 TH
+studying S T AH1 D IY0 IH0 NG
+colleagues K AA1 L IY0 G Z
+stamp S T AE1 M P
+lotus L OW1 T AH0 S
+salmon S AE1 M AH0 N
+olympus OW0 L IH1 M P AH0 S
+separated S EH1 P ER0 EY2 T IH0 D
+cargo K AA1 R G OW2
+tan T AE1 N
+directive D ER0 EH1 K T IH0 V
+salem S EY1 L AH0 M
+mate M EY1 T
+starter S T AA1 R T ER0
+upgrades AH0 P G R EY1 D Z
+likes L AY1 K S
+butter B AH1 T ER0
+pepper P EH1 P ER0
+weapon W EH1 P AH0 N
+luggage L AH1 G AH0 JH
+burden B ER1 D AH0 N
+chef SH EH1 F
+tapes T EY1 P S
+zones Z OW1 N Z
+races R EY1 S AH0 Z
+isle AY1 L
+stylish S T AY1 L IH0 SH
+slim S L IH1 M
+maple M EY1 P AH0 L
+luke L UW1 K
+grocery G R OW1 S ER0 IY0
+offshore AO1 F SH AO1 R
+governing G AH1 V ER0 N IH0 NG
+retailers R IY1 T EY2 L ER0 Z
+depot D IY1 P OW0
+kenneth K EH1 N IH0 TH
+comp K AA1 M P
+alt AA1 L T
+pie P AY1
+blend B L EH1 N D
+harrison HH EH1 R IH0 S AH0 N
+ls EH1 L EH1 S
+julie JH UW1 L IY0
+occasionally AH0 K EY1 ZH AH0 N AH0 L IY0
+cbs S IY2 B IY2 EH1 S
+attending AH0 T EH1 N D IH0 NG
+emission IH0 M IH1 SH AH0 N
+pete P IY1 T
+spec S P EH1 K
+finest F AY1 N AH0 S T
+realty R IY1 AH0 L T IY2
+janet JH AE1 N AH0 T
+bow B AW1
+penn P EH1 N
+recruiting R AH0 K R UW1 T IH0 NG
+apparent AH0 P EH1 R AH0 N T
+instructional IH2 N S T R AH1 K SH AH0 N AH0 L
+autumn AO1 T AH0 M
+traveling T R AE1 V AH0 L IH0 NG
+probe P R OW1 B
+midi M IY1 D IY0
+permissions P ER0 M IH1 SH AH0 N Z
+biotechnology B AY2 OW0 T EH2 K N AA1 L AH0 JH IY0
+toilet T OY1 L AH0 T
+ranked R AE1 NG K T
+jackets JH AE1 K IH0 T S
+routes R UW1 T S
+packed P AE1 K T
+excited IH0 K S AY1 T AH0 D
+outreach AW1 T R IY2 CH
+helen HH EH1 L AH0 N
+mounting M AW1 N T IH0 NG
+recover R IH0 K AH1 V ER0
+tied T AY1 D
+lopez L OW1 P EH0 Z
+balanced B AE1 L AH0 N S T
+prescribed P R IY0 S K R AY1 B D
+catherine K AE1 TH ER0 AH0 N
+timely T AY1 M L IY0
+talked T AO1 K T
+debug D IY0 B AH1 G
+delayed D IH0 L EY1 D
+chuck CH AH1 K
+reproduced R IY2 P R AH0 D UW1 S T
+hon HH AA1 N
+dale D EY1 L
+explicit IH0 K S P L IH1 S AH0 T
+calculation K AE2 L K Y AH0 L EY1 SH AH0 N
+villas V IH1 L AH0 Z
+consolidated K AH0 N S AA1 L AH0 D EY2 T AH0 D
+boob B UW1 B
+exclude IH0 K S K L UW1 D
+peeing P IY1 IH0 NG
+occasions AH0 K EY1 ZH AH0 N Z
+brooks B R UH1 K S
+equations IH0 K W EY1 ZH AH0 N Z
+newton N UW1 T AH0 N
+oils OY1 L Z
+sept S EH1 P T
+exceptional IH0 K S EH1 P SH AH0 N AH0 L
+anxiety AE0 NG Z AY1 AH0 T IY0
+bingo B IH1 NG G OW0
+whilst W AY1 L S T
+spatial S P EY1 SH AH0 L
+respondents R IH0 S P AA1 N D AH0 N T S
+unto AH1 N T UW0
+ceramic S ER0 AE1 M IH0 K
+prompt P R AA1 M P T
+precious P R EH1 SH AH0 S
+minds M AY1 N D Z
+annually AE1 N Y UW0 AH0 L IY0
+considerations K AH0 N S IH2 D ER0 EY1 SH AH0 N Z
+scanners S K AE1 N ER0 Z
+atm EY1 T IY2 EH1 M
+xanax Z AE1 N AE0 K S
+pays P EY1 Z
+cox K AA1 K S
+fingers F IH1 NG G ER0 Z
+sunny S AH1 N IY0
+delivers D IH0 L IH1 V ER0 Z
+je JH IY1
+queensland K W IY1 N Z L AE2 N D
+necklace N EH1 K L AH0 S
+musicians M Y UW0 Z IH1 SH AH0 N Z
+leeds L IY1 D Z
+composite K AH0 M P AA1 Z AH0 T
+unavailable AH2 N AH0 V EY1 L AH0 B AH0 L
+cedar S IY1 D ER0
+arranged ER0 EY1 N JH D
+lang L AE1 NG
+theaters TH IY1 AH0 T ER0 Z
+advocacy AE1 D V AH0 K AH0 S IY0
+raleigh R AO1 L IY0
+stud S T AH1 D
+fold F OW1 L D
+essentially EH0 S EH1 N SH AH0 L IY0
+designing D IH0 Z AY1 N IH0 NG
+threaded TH R EH1 D IH0 D
+uv Y UW1 V IY1
+qualify K W AA1 L AH0 F AY2
+fingering F IH1 NG G ER0 IH0 NG
+blair B L EH1 R
+hopes HH OW1 P S
+assessments AH0 S EH1 S M AH0 N T S
+mason M EY1 S AH0 N
+diagram D AY1 AH0 G R AE2 M
+burns B ER1 N Z
+pumps P AH1 M P S
+slut S L AH1 T
+ejaculation IY0 JH AE2 K Y UW0 L EY1 SH AH0 N
+footwear F UH1 T W EH2 R
+vic V IH1 K
+beijing B EY2 ZH IH1 NG
+peoples P IY1 P AH0 L Z
+victor V IH1 K T ER0
+mario M AA1 R IY0 OW0
+pos P AA1 S
+attach AH0 T AE1 CH
+licenses L AY1 S AH0 N S IH0 Z
+removing R IY0 M UW1 V IH0 NG
+advised AE0 D V AY1 Z D
+brunswick B R AH1 N Z W IH0 K
+spider S P AY1 D ER0
+ranges R EY1 N JH AH0 Z
+pairs P EH1 R Z
+sensitivity S EH2 N S IH0 T IH1 V IH0 T IY0
+trails T R EY1 L Z
+preservation P R EH2 Z ER0 V EY1 SH AH0 N
+hudson HH AH1 D S AH0 N
+isolated AY1 S AH0 L EY2 T AH0 D
+calgary K AE1 L G ER0 IY0
+interim IH1 N T ER0 AH0 M
+assisted AH0 S IH1 S T IH0 D
+divine D IH0 V AY1 N
+streaming S T R IY1 M IH0 NG
+approve AH0 P R UW1 V
+chose CH OW1 Z
+compound K AA1 M P AW0 N D
+intensity IH0 N T EH1 N S AH0 T IY0
+technological T EH2 K N AH0 L AA1 JH IH0 K AH0 L
+syndicate S IH1 N D IH0 K AH0 T
+abortion AH0 B AO1 R SH AH0 N
+dialog D AY1 AH0 L AO0 G
+venues V EH1 N UW0 Z
+blast B L AE1 S T
+wellness W EH1 L N AH0 S
+calcium K AE1 L S IY0 AH0 M
+newport N UW1 P AO0 R T
+antivirus AE2 N T IY0 V AY1 R AH0 S
+addressing AH0 D R EH1 S IH0 NG
+pole P OW1 L
+discounted D IH1 S K AW2 N T IH0 D
+indians IH1 N D IY0 AH0 N Z
+shield SH IY1 L D
+harvest HH AA1 R V AH0 S T
+membrane M EH1 M B R EY2 N
+prague P R AA1 G
+previews P R IY1 V Y UW2 Z
+bangladesh B AE1 NG L AH0 D EH2 SH
+constitute K AA1 N S T AH0 T UW2 T
+locally L OW1 K AH0 L IY0
+concluded K AH0 N K L UW1 D AH0 D
+pickup P IH1 K AH2 P
+desperate D EH1 S P R IH0 T
+mothers M AH1 DH ER0 Z
+nascar N AE1 S K AA2 R
+iceland AY1 S L AH0 N D
+demonstration D EH2 M AH0 N S T R EY1 SH AH0 N
+governmental G AH1 V ER0 M EH2 N T AH0 L
+manufactured M AE2 N Y AH0 F AE1 K CH ER0 D
+candles K AE1 N D AH0 L Z
+graduation G R AE2 JH UW0 EY1 SH AH0 N
+mega M EH1 G AH0
+bend B EH1 N D
+sailing S EY1 L IH0 NG
+variations V EH2 R IY0 EY1 SH AH0 N Z
+moms M AA1 M Z
+sacred S EY1 K R AH0 D
+addiction AH0 D IH1 K SH AH0 N
+morocco M ER0 AA1 K OW0
+chrome K R OW1 M
+tommy T AA1 M IY0
+springfield S P R IH1 NG F IY2 L D
+refused R AH0 F Y UW1 Z D
+brake B R EY1 K
+exterior IH0 K S T IH1 R IY0 ER0
+greeting G R IY1 T IH0 NG
+ecology IH0 K AA1 L AH0 JH IY0
+oliver AA1 L AH0 V ER0
+congo K AA1 NG G OW0
+glen G L EH1 N
+botswana B AA0 T S W AA1 N AH0
+nav N AE1 V
+delays D IH0 L EY1 Z
+synthesis S IH1 N TH AH0 S AH0 S
+olive AA1 L AH0 V
+undefined AH2 N D IH0 F AY1 N D
+unemployment AH2 N IH0 M P L OY1 M AH0 N T
+cyber S AY1 B ER0
+verizon V EH2 R AY1 Z AH0 N
+scored S K AO1 R D
+enhancement EH0 N HH AE1 N S M AH0 N T
+newcastle N UW1 K AE2 S AH0 L
+clone K L OW1 N
+dicks D IH1 K S
+velocity V AH0 L AA1 S AH0 T IY0
+lambda L AE1 M D AH0
+relay R IY1 L EY2
+composed K AH0 M P OW1 Z D
+tears T EH1 R Z
+performances P ER0 F AO1 R M AH0 N S AH0 Z
+oasis OW0 EY1 S IH0 S
+baseline B EY1 S L AY2 N
+cab K AE1 B
+angry AE1 NG G R IY0
+societies S AH0 S AY1 AH0 T IY0 Z
+silicon S IH1 L AH0 K AH0 N
+brazilian B R AH0 Z IH1 L Y AH0 N
+identical AY0 D EH1 N T IH0 K AH0 L
+petroleum P AH0 T R OW1 L IY0 AH0 M
+compete K AH0 M P IY1 T
+norwegian N AO2 R W IY1 JH AH0 N
+lover L AH1 V ER0
+belong B IH0 L AO1 NG
+honolulu HH AA2 N AH0 L UW1 L UW0
+beatles B IY1 T AH0 L Z
+lips L IH1 P S
+escort EH0 S K AO1 R T
+retention R IY0 T EH1 N SH AH0 N
+exchanges IH0 K S CH EY1 N JH AH0 Z
+pond P AA1 N D
+rolls R OW1 L Z
+thomson T AA1 M S AH0 N
+barnes B AA1 R N Z
+soundtrack S AW1 N D T R AE2 K
+wondering W AH1 N D ER0 IH0 NG
+malta M AO1 L T AH0
+daddy D AE1 D IY0
+ferry F EH1 R IY0
+rabbit R AE1 B AH0 T
+profession P R AH0 F EH1 SH AH0 N
+seating S IY1 T IH0 NG
+dam D AE1 M
+cnn S IY1 EH1 N EH1 N
+separately S EH1 P ER0 AH0 T L IY0
+physiology F IH2 Z IY0 AA1 L AH0 JH IY0
+lil L IH1 L
+collecting K AH0 L EH1 K T IH0 NG
+das D AE1 S
+exports EH1 K S P AO0 R T S
+omaha OW1 M AH0 HH AA2
+tire T AY1 ER0
+participant P AA0 R T IH1 S AH0 P AH0 N T
+scholarships S K AA1 L ER0 SH IH2 P S
+recreational R EH2 K R IY0 EY1 SH AH0 N AH0 L
+dominican D AH0 M IH1 N AH0 K AH0 N
+chad CH AE1 D
+electron IH2 L EH1 K T R AA0 N
+loads L OW1 D Z
+friendship F R EH1 N D SH IH0 P
+heather HH EH1 DH ER0
+passport P AE1 S P AO2 R T
+motel M OW0 T EH1 L
+unions Y UW1 N Y AH0 N Z
+treasury T R EH1 ZH ER0 IY0
+warrant W AO1 R AH0 N T
+solaris S OW0 L EH1 R IH0 S
+frozen F R OW1 Z AH0 N
+occupied AA1 K Y AH0 P AY2 D
+josh JH AA1 SH
+royalty R OY1 AH0 L T IY0
+scales S K EY1 L Z
+rally R AE1 L IY0
+observer AH0 B Z ER1 V ER0
+sunshine S AH1 N SH AY2 N
+strain S T R EY1 N
+drag D R AE1 G
+ceremony S EH1 R AH0 M OW2 N IY0
+somehow S AH1 M HH AW2
+arrested ER0 EH1 S T IH0 D
+expanding IH0 K S P AE1 N D IH0 NG
+provincial P R AH0 V IH1 N SH AH0 L
+investigations IH2 N V EH2 S T AH0 G EY1 SH AH0 N Z
+ripe R AY1 P
+yamaha Y AA1 M AA0 HH AA2
+rely R IH0 L AY1
+medications M EH2 D AH0 K EY1 SH AH0 N Z
+hebrew HH IY1 B R UW0
+gained G EY1 N D
+rochester R AA1 CH EH2 S T ER0
+dying D AY1 IH0 NG
+laundry L AO1 N D R IY0
+stuck S T AH1 K
+solomon S AA1 L AH0 M AH0 N
+placing P L EY1 S IH0 NG
+stops S T AA1 P S
+homework HH OW1 M W ER2 K
+adjust AH0 JH AH1 S T
+assessed AH0 S EH1 S T
+advertiser AE1 D V ER0 T AY2 Z ER0
+enabling EH0 N EY1 B AH0 L IH0 NG
+encryption EH0 N K R IH1 P SH AH0 N
+filling F IH1 L IH0 NG
+sophisticated S AH0 F IH1 S T AH0 K EY2 T IH0 D
+imposed IH2 M P OW1 Z D
+silence S AY1 L AH0 N S
+scsi S K UH1 Z IY2
+focuses F OW1 K AH0 S IH0 Z
+soviet S OW1 V IY0 AH0 T
+possession P AH0 Z EH1 SH AH0 N
+laboratories L AE1 B R AH0 T AO2 R IY0 Z
+treaty T R IY1 T IY0
+vocal V OW1 K AH0 L
+trainer T R EY1 N ER0
+organ AO1 R G AH0 N
+stronger S T R AO1 NG ER0
+volumes V AA1 L Y UW0 M Z
+advances AH0 D V AE1 N S AH0 Z
+vegetables V EH1 JH T AH0 B AH0 L Z
+lemon L EH1 M AH0 N
+toxic T AA1 K S IH0 K
+dns D IY2 EH2 N EH1 S
+darkness D AA1 R K N AH0 S
+pty T AY1
+ws D AH1 B AH0 L Y UW0 EH1 S
+nuts N AH1 T S
+nail N EY1 L
+bizrate B IH1 Z EY2 T
+vienna V IY0 EH1 N AH0
+implied IH2 M P L AY1 D
+span S P AE1 N
+stanford S T AE1 N F ER0 D
+sox S AA1 K S
+stockings S T AA1 K IH0 NG Z
+joke JH OW1 K
+respondent R IH0 S P AA1 N D AH0 N T
+packing P AE1 K IH0 NG
+statute S T AE1 CH UW0 T
+rejected R IH0 JH EH1 K T IH0 D
+satisfy S AE1 T AH0 S F AY2
+destroyed D IH0 S T R OY1 D
+shelter SH EH1 L T ER0
+chapel CH AE1 P AH0 L
+manufacture M AE2 N Y AH0 F AE1 K CH ER0
+layers L EY1 ER0 Z
+wordpress W ER1 D P R IH0 S
+guided G AY1 D AH0 D
+vulnerability V AH2 L N ER0 AH0 B IH1 L IH0 T IY0
+accountability AH0 K AW1 N T AH0 B IH2 L IH0 T IY0
+celebrate S EH1 L AH0 B R EY2 T
+accredited AH0 K R EH1 D IH0 T IH0 D
+appliance AH0 P L AY1 AH0 N S
+compressed K AH0 M P R EH1 S T
+bahamas B AH0 HH AA1 M AH0 Z
+powell P AW1 AH0 L
+mixture M IH1 K S CH ER0
+bench B EH1 N CH
+tub T AH1 B
+rider R AY1 D ER0
+scheduling S K EH1 JH UH0 L IH0 NG
+radius R EY1 D IY0 AH0 S
+perspectives P ER0 S P EH1 K T IH0 V Z
+mortality M AO0 R T AE1 L AH0 T IY0
+logging L AO1 G IH0 NG
+hampton HH AE1 M P T AH0 N
+christians K R IH1 S CH AH0 N Z
+borders B AO1 R D ER0 Z
+therapeutic TH EH2 R AH0 P Y UW1 T IH0 K
+pads P AE1 D Z
+butts B AH1 T S
+inns IH1 N Z
+bobby B AA1 B IY0
+impressive IH2 M P R EH1 S IH0 V
+sheep SH IY1 P
+accordingly AH0 K AO1 R D IH0 NG L IY0
+architect AA1 R K AH0 T EH2 K T
+railroad R EY1 L R OW2 D
+lectures L EH1 K CH ER0 Z
+challenging CH AE1 L AH0 N JH IH0 NG
+wines W AY1 N Z
+nursery N ER1 S ER0 IY0
+harder HH AA1 R D ER0
+cups K AH1 P S
+ash AE1 SH
+microwave M AY1 K R AH0 W EY2 V
+cheapest CH IY1 P AH0 S T
+accidents AE1 K S AH0 D AH0 N T S
+relocation R IY2 L OW1 K EY1 SH AH0 N
+stuart S T UW1 ER0 T
+contributors K AH0 N T R IH1 B Y AH0 T ER0 Z
+salvador S AE1 L V AH0 D AO2 R
+ali AA1 L IY0
+salad S AE1 L AH0 D
+monroe M AH0 N R OW1
+tender T EH1 N D ER0
+violations V AY0 AH0 L EY1 SH AH0 N Z
+foam F OW1 M
+temperatures T EH1 M P R AH0 CH ER0 Z
+paste P EY1 S T
+clouds K L AW1 D Z
+competitions K AA2 M P AH0 T IH1 SH AH0 N Z
+discretion D IH0 S K R EH1 SH AH0 N
+tanzania T AE0 N Z EY1 N IY0 AH0
+preserve P R AH0 Z ER1 V
+poem P OW1 AH0 M
+vibrator V AY1 B R EY0 T ER0
+unsigned AH0 N S AY1 N D
+staying S T EY1 IH0 NG
+cosmetics K AA0 Z M EH1 T IH0 K S
+easter IY1 S T ER0
+theories TH IH1 R IY0 Z
+repository R IY0 P AA1 Z AH0 T AO2 R IY0
+praise P R EY1 Z
+jeremy JH EH1 R AH0 M IY2
+venice V EH1 N AH0 S
+jo JH OW1
+concentrations K AA2 N S AH0 N T R EY1 SH AH0 N Z
+vibrators V AY1 B R EY0 T ER0 Z
+estonia EH0 S T OW1 N IY0 AH0
+christianity K R IH2 S CH IY0 AE1 N IH0 T IY0
+veteran V EH1 T ER0 AH0 N
+streams S T R IY1 M Z
+landing L AE1 N D IH0 NG
+signing S AY1 N IH0 NG
+executed EH1 K S AH0 K Y UW2 T IH0 D
+katie K EY1 T IY0
+negotiations N AH0 G OW2 SH IY0 EY1 SH AH0 N Z
+realistic R IY2 AH0 L IH1 S T IH0 K
+cgi S IY2 G IY2 AY1
+showcase SH OW1 K EY2 S
+integral IH1 N T AH0 G R AH0 L
+asks AE1 S K S
+relax R IH0 L AE1 K S
+namibia N AH0 M IH1 B IY0 AH0
+generating JH EH1 N ER0 EY2 T IH0 NG
+christina K R IH0 S T IY1 N AH0
+congressional K AH0 N G R EH1 SH AH0 N AH0 L
+synopsis S IH0 N AA1 P S IH0 S
+hardly HH AA1 R D L IY0
+prairie P R EH1 R IY0
+reunion R IY0 UW1 N Y AH0 N
+composer K AH0 M P OW1 Z ER0
+bean B IY1 N
+sword S AO1 R D
+absent AE1 B S AH0 N T
+photographic F OW2 T AH0 G R AE1 F IH0 K
+sells S EH1 L Z
+ecuador EH1 K W AH0 D AO2 R
+hoping HH OW1 P IH0 NG
+accessed AE1 K S EH2 S T
+spirits S P IH1 R IH0 T S
+modifications M AA2 D AH0 F AH0 K EY1 SH AH0 N Z
+coral K AO1 R AH0 L
+pixel P IH1 K S AH0 L
+float F L OW1 T
+colin K OW1 L IH0 N
+bias B AY1 AH0 S
+imported IH2 M P AO1 R T IH0 D
+paths P AE1 DH Z
+bubble B AH1 B AH0 L
+por P AO1 R
+acquire AH0 K W AY1 ER0
+contrary K AA1 N T R EH0 R IY0
+millennium M AH0 L EH1 N IY0 AH0 M
+tribune T R IH1 B Y UW0 N
+vessel V EH1 S AH0 L
+acids AE1 S AH0 D Z
+focusing F OW1 K AH0 S IH0 NG
+viruses V AY1 R AH0 S AH0 Z
+cheaper CH IY1 P ER0
+admitted AH0 D M IH1 T IH0 D
+dairy D EH1 R IY0
+admit AH0 D M IH1 T
+fancy F AE1 N S IY0
+equality IH0 K W AA1 L AH0 T IY0
+samoa S AH0 M OW1 AH0
+achieving AH0 CH IY1 V IH0 NG
+tap T AE1 P
+stickers S T IH1 K ER0 Z
+fisheries F IH1 SH ER0 IY0 Z
+exceptions IH0 K S EH1 P SH AH0 N Z
+reactions R IY0 AE1 K SH AH0 N Z
+leasing L IY1 S IH0 NG
+lauren L AO1 R AH0 N
+beliefs B IH0 L IY1 F S
+macromedia M AE2 K R OW0 M IY1 D IY0 AH0
+companion K AH0 M P AE1 N Y AH0 N
+squad S K W AA1 D
+analyze AE1 N AH0 L AY2 Z
+ashley AE1 SH L IY0
+scroll S K R OW1 L
+relate R IH0 L EY1 T
+divisions D IH0 V IH1 ZH AH0 N Z
+swim S W IH1 M
+wages W EY1 JH AH0 Z
+additionally AH0 D IH1 SH AH0 N AH2 L IY0
+suffer S AH1 F ER0
+forests F AO1 R AH0 S T S
+fellowship F EH1 L OW0 SH IH2 P
+nano N AA1 N OW0
+invalid IH1 N V AH0 L AH0 D
+concerts K AA1 N S ER0 T S
+martial M AA1 R SH AH0 L
+males M EY1 L Z
+victorian V IH0 K T AO1 R IY0 AH0 N
+retain R IH0 T EY1 N
+colours K AH1 L ER0 Z
+execute EH1 K S AH0 K Y UW2 T
+tunnel T AH1 N AH0 L
+genres ZH AA1 N R AH0 Z
+cambodia K AE2 M B OW1 D IY0 AH0
+patents P AE1 T AH0 N T S
+copyrights K AA1 P IY0 R AY2 T S
+chaos K EY1 AA0 S
+lithuania L IH2 TH AH0 W EY1 N IY0 AH0
+mastercard M AE1 S T ER0 K AA2 R D
+wheat W IY1 T
+chronicles K R AA1 N IH0 K AH0 L Z
+obtaining AH0 B T EY1 N IH0 NG
+beaver B IY1 V ER0
+updating AH0 P D EY1 T IH0 NG
+distribute D IH0 S T R IH1 B Y UW0 T
+readings R IY1 D IH0 NG Z
+decorative D EH1 K R AH0 T IH0 V
+confused K AH0 N F Y UW1 Z D
+compiler K AH0 M P AY1 L ER0
+enlargement IH0 N L AA1 R JH M AH0 N T
+eagles IY1 G AH0 L Z
+bases B EY1 S AH0 Z
+accused AH0 K Y UW1 Z D
+bee B IY1
+campaigns K AE0 M P EY1 N Z
+unity Y UW1 N AH0 T IY0
+loud L AW1 D
+conjunction K AH0 N JH AH1 NG K SH AH0 N
+bride B R AY1 D
+rats R AE1 T S
+defines D IH0 F AY1 N Z
+airports EH1 R P AO2 R T S
+instances IH1 N S T AH0 N S AH0 Z
+indigenous IH2 N D IH1 JH AH0 N AH0 S
+begun B IH0 G AH1 N
+brunette B R UW0 N EH1 T
+packets P AE1 K IH0 T S
+anchor AE1 NG K ER0
+socks S AA1 K S
+validation V AE2 L AH0 D EY1 SH AH0 N
+parade P ER0 EY1 D
+corruption K ER0 AH1 P SH AH0 N
+stat S T AE1 T
+trigger T R IH1 G ER0
+incentives IH2 N S EH1 N T IH0 V Z
+cholesterol K AH0 L EH1 S T ER0 AO2 L
+gathered G AE1 DH ER0 D
+essex EH1 S IH0 K S
+slovenia S L OW2 V IY1 N IY0 AH0
+notified N OW1 T AH0 F AY2 D
+differential D IH2 F ER0 EH1 N SH AH0 L
+beaches B IY1 CH AH0 Z
+folders F OW1 L D ER0 Z
+dramatic D R AH0 M AE1 T IH0 K
+surfaces S ER1 F AH0 S AH0 Z
+terrible T EH1 R AH0 B AH0 L
+routers R UW1 T ER0 Z
+cruz K R UW1 Z
+pendant P EH1 N D AH0 N T
+dresses D R EH1 S AH0 Z
+baptist B AE1 P T AH0 S T
+scientist S AY1 AH0 N T IH0 S T
+hiring HH AY1 R IH0 NG
+clocks K L AA1 K S
+arthritis AA0 R TH R AY1 T AH0 S
+bios B AY1 OW0 S
+females F IY1 M EY2 L Z
+wallace W AO1 L AH0 S
+nevertheless N EH2 V ER0 DH AH0 L EH1 S
+reflects R IH0 F L EH1 K T S
+taxation T AE0 K S EY1 SH AH0 N
+fever F IY1 V ER0
+cuisine K W IH0 Z IY1 N
+surely SH UH1 R L IY0
+practitioners P R AE0 K T IH1 SH AH0 N ER0 Z
+transcript T R AE1 N S K R IH2 P T
+myspace M AY1 S P EY2 S
+theorem TH IH1 R AH0 M
+inflation IH2 N F L EY1 SH AH0 N
+thee DH IY1
+ruth R UW1 TH
+pray P R EY1
+stylus S T AY1 L AH0 S
+compounds K AA1 M P AW0 N D Z
+pope P OW1 P
+drums D R AH1 M Z
+contracting K AA1 N T R AE0 K T IH0 NG
+topless T AA1 P L AH0 S
+arnold AA1 R N AH0 L D
+structured S T R AH1 K CH ER0 D
+reasonably R IY1 Z AH0 N AH0 B L IY0
+jeep JH IY1 P
+chicks CH IH1 K S
+bare B EH1 R
+hung HH AH1 NG
+cattle K AE1 T AH0 L
+mba EH1 M B IY1 EY1
+radical R AE1 D AH0 K AH0 L
+graduates G R AE1 JH AH0 W AH0 T S
+rover R OW1 V ER0
+recommends R EH2 K AH0 M EH1 N D Z
+controlling K AH0 N T R OW1 L IH0 NG
+treasure T R EH1 ZH ER0
+reload R IY0 L OW1 D
+distributors D IH0 S T R IH1 B Y AH0 T ER0 Z
+flame F L EY1 M
+tanks T AE1 NG K S
+assuming AH0 S UW1 M IH0 NG
+monetary M AA1 N AH0 T EH2 R IY0
+elderly EH1 L D ER0 L IY0
+pit P IH1 T
+arlington AA1 R L IH0 NG T AH0 N
+mono M OW1 N OW0
+particles P AA1 R T AH0 K AH0 L Z
+floating F L OW1 T IH0 NG
+extraordinary EH2 K S T R AH0 AO1 R D AH0 N EH2 R IY0
+tile T AY1 L
+indicating IH1 N D AH0 K EY2 T IH0 NG
+bolivia B AH0 L IH1 V IY0 AH0
+spell S P EH1 L
+hottest HH AA1 T AH0 S T
+stevens S T IY1 V AH0 N Z
+coordinate K OW0 AO1 R D AH0 N AH0 T
+kuwait K UW0 W EY1 T
+exclusively IH0 K S K L UW1 S IH0 V L IY0
+emily EH1 M IH0 L IY0
+alleged AH0 L EH1 JH D
+limitation L IH2 M IH0 T EY1 SH AH0 N
+compile K AH0 M P AY1 L
+squirting S K W ER1 T IH0 NG
+webster W EH1 B S T ER0
+struck S T R AH1 K
+illustration IH2 L AH0 S T R EY1 SH AH0 N
+plymouth P L IH1 M AH0 TH
+warnings W AO1 R N IH0 NG Z
+construct K AH0 N S T R AH1 K T
+apps AE1 P S
+inquiries IH2 N K W AY1 ER0 IY0 Z
+bridal B R AY1 D AH0 L
+annex AE1 N EH2 K S
+mag M AE1 G
+inspiration IH2 N S P ER0 EY1 SH AH0 N
+tribal T R AY1 B AH0 L
+curious K Y UH1 R IY0 AH0 S
+affecting AH0 F EH1 K T IH0 NG
+freight F R EY1 T
+rebate R IY1 B EY2 T
+meetup M IY1 T AH2 P
+eclipse IH0 K L IH1 P S
+sudan S UW0 D AE1 N
+downloading D AW1 N L OW2 D IH0 NG
+rec R EH1 K
+shuttle SH AH1 T AH0 L
+aggregate AE1 G R AH0 G AH0 T
+stunning S T AH1 N IH0 NG
+cycles S AY1 K AH0 L Z
+affects AH0 F EH1 K T S
+forecasts F AO0 R K AE1 S T S
+detect D IH0 T EH1 K T
+sluts S L AH1 T S
+actively AE1 K T IH0 V L IY0
+ciao CH AW1
+knee N IY1
+prep P R EH1 P
+complicated K AA1 M P L AH0 K EY2 T AH0 D
+chem K EH1 M
+fastest F AE1 S T AH0 S T
+butler B AH1 T L ER0
+injured IH1 N JH ER0 D
+decorating D EH1 K ER0 EY2 T IH0 NG
+payroll P EY1 R OW2 L
+cookbook K UH1 K B UH2 K
+expressions IH0 K S P R EH1 SH AH0 N Z
+ton T AH1 N
+courier K ER1 IY0 ER0
+uploaded AH1 P L OW2 D IH0 D
+shakespeare SH EY1 K S P IY2 R
+hints HH IH1 N T S
+collapse K AH0 L AE1 P S
+americas AH0 M EH1 R AH0 K AH0 Z
+connectors K AH0 N EH1 K T ER0 Z
+unlikely AH0 N L AY1 K L IY0
+pros P R OW1 Z
+conflicts K AH0 N F L IH1 K T S
+techno T EH1 K N OW0
+beverage B EH1 V ER0 IH0 JH
+tribute T R IH1 B Y UW0 T
+wired W AY1 ER0 D
+elvis EH1 L V IH0 S
+immune IH2 M Y UW1 N
+latvia L AE1 T V IY0 AH0
+travelers T R AE1 V AH0 L ER0 Z
+forestry F AO1 R AH0 S T R IY0
+barriers B AE1 R IY0 ER0 Z
+cant K AE1 N T
+rarely R EH1 R L IY0
+infected IH2 N F EH1 K T IH0 D
+offerings AO1 F ER0 IH0 NG Z
+martha M AA1 R TH AH0
+genesis JH EH1 N AH0 S AH0 S
+barrier B AE1 R IY0 ER0
+argue AA1 R G Y UW0
+incorrect IH2 N K ER0 EH1 K T
+trains T R EY1 N Z
+metals M EH1 T AH0 L Z
+bicycle B AY1 S IH0 K AH0 L
+furnishings F ER1 N IH0 SH IH0 NG Z
+letting L EH1 T IH0 NG
+arise ER0 AY1 Z
+guatemala G W AA2 T AH0 M AA1 L AH0
+celtic S EH1 L T IH0 K
+thereby DH EH1 R B AY1
+jamie JH EY1 M IY0
+particle P AA1 R T AH0 K AH0 L
+perception P ER0 S EH1 P SH AH0 N
+minerals M IH1 N ER0 AH0 L Z
+advise AE0 D V AY1 Z
+humidity HH Y UW0 M IH1 D AH0 T IY0
+bottles B AA1 T AH0 L Z
+boxing B AA1 K S IH0 NG
+wy W EY1
+bangkok B AE0 NG K AA1 K
+renaissance R EH2 N AH0 S AA1 N S
+pathology P AH0 TH AA1 L AH0 JH IY0
+sara S EH1 R AH0
+bra B R AA1
+ordinance AO1 R D AH0 N AH0 N S
+hughes HH Y UW1 Z
+photographers F AH0 T AA1 G R AH0 F ER0 Z
+bitch B IH1 CH
+infections IH2 N F EH1 K SH AH0 N Z
+jeffrey JH EH1 F R IY0
+chess CH EH1 S
+operates AA1 P ER0 EY2 T S
+brisbane B R IH1 Z B EY2 N
+configured K AH0 N F IH1 G Y ER0 D
+survive S ER0 V AY1 V
+oscar AO1 S K ER0
+festivals F EH1 S T AH0 V AH0 L Z
+menus M EH1 N Y UW0 Z
+joan JH OW1 N
+possibilities P AA2 S AH0 B IH1 L AH0 T IY0 Z
+duck D AH1 K
+reveal R IH0 V IY1 L
+canal K AH0 N AE1 L
+amino AH0 M IY1 N OW0
+phi F AY1
+contributing K AH0 N T R IH1 B Y UW0 T IH0 NG
+herbs ER1 B Z
+clinics K L IH1 N IH0 K S
+cow K AW1
+manitoba M AE2 N IH0 T OW1 B AH0
+analytical AE2 N AH0 L IH1 T IH0 K AH0 L
+missions M IH1 SH AH0 N Z
+watson W AA1 T S AH0 N
+lying L AY1 IH0 NG
+costumes K AA0 S T UW1 M Z
+strict S T R IH1 K T
+dive D AY1 V
+saddam S AA1 D AH0 M
+circulation S ER1 K Y AH0 L EY2 SH AH0 N
+drill D R IH1 L
+offense AH0 F EH1 N S
+threesome TH R IY1 S AH0 M
+bryan B R AY1 AH0 N
+protest P R OW1 T EH2 S T
+assumption AH0 S AH1 M P SH AH0 N
+jerusalem JH ER0 UW1 S AH0 L AH0 M
+hobby HH AA1 B IY0
+tries T R AY1 Z
+invention IH2 N V EH1 N SH AH0 N
+nickname N IH1 K N EY2 M
+fiji F IY1 JH IY0
+technician T EH0 K N IH1 SH AH0 N
+inline IH2 N L AY1 N
+executives IH0 G Z EH1 K Y AH0 T IH0 V Z
+washing W AA1 SH IH0 NG
+audi AO1 D IY0
+staffing S T AE1 F IH0 NG
+cognitive K AA1 G N IH0 T IH0 V
+exploring IH0 K S P L AO1 R IH0 NG
+trick T R IH1 K
+enquiry IH0 N K W AY1 R IY2
+closure K L OW1 ZH ER0
+raid R EY1 D
+timber T IH1 M B ER0
+volt V OW1 L T
+intense IH2 N T EH1 N S
+playlist P L EY1 L IH0 S T
+registrar R EH1 JH IH0 S T R AA2 R
+showers SH AW1 ER0 Z
+supporters S AH0 P AO1 R T ER0 Z
+ruling R UW1 L IH0 NG
+steady S T EH1 D IY0
+dirt D ER1 T
+statutes S T AE1 CH UW0 T S
+withdrawal W IH0 DH D R AO1 AH0 L
+myers M AY1 ER0 Z
+drops D R AA1 P S
+predicted P R IH0 D IH1 K T IH0 D
+wider W AY1 D ER0
+saskatchewan S AE0 S K AE1 CH AH0 W AO2 N
+cancellation K AE2 N S AH0 L EY1 SH AH0 N
+plugins P L AH1 G IH0 N Z
+enrolled EH0 N R OW1 L D
+sensors S EH1 N S ER0 Z
+screw S K R UW1
+ministers M IH1 N AH0 S T ER0 Z
+publicly P AH1 B L IH0 K L IY0
+hourly AW1 R L IY0
+blame B L EY1 M
+geneva JH AH0 N IY1 V AH0
+veterinary V EH1 T R AH0 N EH2 R IY0
+acer EY1 S ER0
+reseller R IY0 S EH1 L ER0
+handed HH AE1 N D AH0 D
+suffered S AH1 F ER0 D
+intake IH1 N T EY2 K
+informal IH2 N F AO1 R M AH0 L
+relevance R EH1 L AH0 V AH0 N S
+incentive IH2 N S EH1 N T IH0 V
+butterfly B AH1 T ER0 F L AY2
+tucson T UW1 S AA2 N
+mechanics M AH0 K AE1 N IH0 K S
+heavily HH EH1 V AH0 L IY0
+swingers S W IH1 NG ER0 Z
+fifty F IH1 F T IY0
+headers HH EH1 D ER0 Z
+mistakes M IH0 S T EY1 K S
+numerical N UW0 M EH1 R AH0 K AH0 L
+ons AA1 N Z
+geek G IY1 K
+uncle AH1 NG K AH0 L
+defining D IH0 F AY1 N IH0 NG
+counting K AW1 N T IH0 NG
+reflection R IH0 F L EH1 K SH AH0 N
+sink S IH1 NG K
+accompanied AH0 K AH1 M P AH0 N IY0 D
+assure AH0 SH UH1 R
+invitation IH2 N V IH0 T EY1 SH AH0 N
+devoted D IH0 V OW1 T IH0 D
+princeton P R IH1 N S T AH0 N
+jacob JH EY1 K AH0 B
+sodium S OW1 D IY0 AH0 M
+randy R AE1 N D IY0
+spirituality S P IH2 R IH0 CH UW2 AE1 L AH0 T IY2
+hormone HH AO1 R M OW2 N
+meanwhile M IY1 N W AY2 L
+proprietary P R AH0 P R AY1 AH0 T EH2 R IY0
+timothy T IH1 M AH0 TH IY0
+childrens CH IH1 L D R AH0 N Z
+brick B R IH1 K
+grip G R IH1 P
+naval N EY1 V AH0 L
+medieval M IH0 D IY1 V AH0 L
+porcelain P AO1 R S AH0 L AH0 N
+avi AA1 V IY2
+bridges B R IH1 JH AH0 Z
+captured K AE1 P CH ER0 D
+watt W AA1 T
+decent D IY1 S AH0 N T
+casting K AE1 S T IH0 NG
+dayton D EY1 T AH0 N
+translated T R AE0 N Z L EY1 T IH0 D
+shortly SH AO1 R T L IY0
+cameron K AE1 M ER0 AH0 N
+columnists K AA1 L AH0 M N AH0 S T S
+pins P IH1 N Z
+carlos K AA1 R L OW0 S
+reno R IY1 N OW0
+donna D AA1 N AH0
+andreas AA0 N D R EY1 AH0 S
+warrior W AO1 R IY0 ER0
+diploma D IH0 P L OW1 M AA0
+cabin K AE1 B AH0 N
+innocent IH1 N AH0 S AH0 N T
+scanning S K AE1 N IH0 NG
+ide AY1 D
+consensus K AH0 N S EH1 N S AH0 S
+polo P OW1 L OW0
+valium V EY1 L IY0 AH0 M
+copying K AA1 P IY0 IH0 NG
+delivering D IH0 L IH1 V ER0 IH0 NG
+cordless K AO1 R D L AH0 S
+patricia P AH0 T R IH1 SH AH0
+horn HH AO1 R N
+eddie EH1 D IY0
+uganda Y UW0 G AE1 N D AA0
+fired F AY1 ER0 D
+journalism JH ER1 N AH0 L IH2 Z AH0 M
+trivia T R IH1 V IY0 AH0
+adidas AH0 D IY1 D AH0 S
+perth P ER1 TH
+frog F R AA1 G
+grammar G R AE1 M ER0
+intention IH2 N T EH1 N CH AH0 N
+syria S IH1 R IY0 AH0
+disagree D IH0 S AH0 G R IY1
+klein K L AY1 N
+harvey HH AA1 R V IY0
+tires T AY1 ER0 Z
+logs L AO1 G Z
+undertaken AH1 N D ER0 T EY2 K AH0 N
+hazard HH AE1 Z ER0 D
+retro R EH1 T R OW0
+leo L IY1 OW0
+statewide S T EY1 T W AY2 D
+semiconductor S EH2 M IY0 K AH0 N D AH1 K T ER0
+gregory G R EH1 G ER0 IY0
+episodes EH1 P AH0 S OW2 D Z
+boolean B UW0 L IY1 AH0 N
+circular S ER1 K Y AH0 L ER0
+anger AE1 NG G ER0
+mainland M EY1 N L AE2 N D
+illustrations IH2 L AH0 S T R EY1 SH AH0 N Z
+suits S UW1 T S
+chances CH AE1 N S AH0 Z
+interact IH2 N T ER0 AE1 K T
+snap S N AE1 P
+happiness HH AE1 P IY0 N AH0 S
+substantially S AH0 B S T AE1 N SH AH0 L IY0
+bizarre B AH0 Z AA1 R
+glenn G L EH1 N
+ur ER1
+auckland AA1 K L AH0 N D
+olympics OW0 L IH1 M P IH0 K S
+fruits F R UW1 T S
+identifier AY0 D EH1 N T AH0 F AY2 ER0
+geo JH IY1 OW0
+ribbon R IH1 B AH0 N
+calculations K AE2 L K Y AH0 L EY1 SH AH0 N Z
+doe D OW1
+conducting K AH0 N D AH1 K T IH0 NG
+startup S T AA1 R T AH2 P
+suzuki S AH0 Z UW1 K IY0
+trinidad T R IH1 N IH0 D AE2 D
+ati EY2 T IY2 AY1
+kissing K IH1 S IH0 NG
+wal W AO1 L
+handy HH AE1 N D IY0
+swap S W AA1 P
+exempt IH0 G Z EH1 M P T
+crops K R AA1 P S
+reduces R AH0 D UW1 S AH0 Z
+accomplished AH0 K AA1 M P L IH0 SH T
+calculators K AE1 L K Y AH0 L EY2 T ER0 Z
+geometry JH IY0 AA1 M AH0 T R IY0
+impression IH2 M P R EH1 SH AH0 N
+abs EY1 B IY1 EH1 S
+slovakia S L OW2 V AA1 K IY2 AH0
+flip F L IH1 P
+guild G IH1 L D
+correlation K AO2 R AH0 L EY1 SH AH0 N
+gorgeous G AO1 R JH AH0 S
+capitol K AE1 P IH0 T AH0 L
+sim S IH1 M
+dishes D IH1 SH AH0 Z
+rna AA2 R EH2 N EY1
+barbados B AA0 R B EY1 D OW0 S
+chrysler K R AY1 S L ER0
+nervous N ER1 V AH0 S
+refuse R AH0 F Y UW1 Z
+extends IH0 K S T EH1 N D Z
+fragrance F R EY1 G R AH0 N S
+mcdonald M AH0 K D AA1 N AH0 L D
+replica R EH1 P L IH0 K AH0
+plumbing P L AH1 M IH0 NG
+brussels B R AH1 S AH0 L Z
+tribe T R AY1 B
+neighbors N EY1 B ER0 Z
+trades T R EY1 D Z
+superb S UH0 P ER1 B
+buzz B AH1 Z
+transparent T R AE0 N S P EH1 R AH0 N T
+nuke N UW1 K
+rid R IH1 D
+trinity T R IH1 N AH0 T IY0
+charleston CH AA1 R L S T AH0 N
+handled HH AE1 N D AH0 L D
+legends L EH1 JH AH0 N D Z
+boom B UW1 M
+calm K AA1 M
+champions CH AE1 M P IY0 AH0 N Z
+floors F L AO1 R Z
+selections S AH0 L EH1 K SH AH0 N Z
+projectors P R AH0 JH EH1 K T ER0 Z
+inappropriate IH2 N AH0 P R OW1 P R IY0 IH0 T
+exhaust IH0 G Z AO1 S T
+comparing K AH0 M P EH1 R IH0 NG
+shanghai SH AE1 NG HH AY1
+speaks S P IY1 K S
+burton B ER1 T AH0 N
+vocational V OW0 K EY1 SH AH0 N AH0 L
+davidson D EY1 V IH0 D S AH0 N
+copied K AA1 P IY0 D
+scotia S K OW1 SH AH0
+farming F AA1 R M IH0 NG
+gibson G IH1 B S AH0 N
+pharmacies F AA1 R M AH0 S IY0 Z
+fork F AO1 R K
+troy T R OY1
+ln L EY1 N
+roller R OW1 L ER0
+introducing IH2 N T R AH0 D UW1 S IH0 NG
+batch B AE1 CH
+organize AO1 R G AH0 N AY2 Z
+appreciated AH0 P R IY1 SH IY0 EY2 T IH0 D
+alter AO1 L T ER0
+nicole N IH0 K OW1 L
+latino L AA0 T IY1 N OW0
+ghana G AE1 N AH0
+edges EH1 JH AH0 Z
+mixing M IH1 K S IH0 NG
+handles HH AE1 N D AH0 L Z
+skilled S K IH1 L D
+fitted F IH1 T AH0 D
+albuquerque AE1 L B AH0 K ER0 K IY0
+harmony HH AA1 R M AH0 N IY0
+distinguished D IH0 S T IH1 NG G W IH0 SH T
+asthma AE1 Z M AH0
+projected P R AH0 JH EH1 K T AH0 D
+assumptions AH0 S AH1 M P SH AH0 N Z
+shareholders SH EH1 R HH OW2 L D ER0 Z
+twins T W IH1 N Z
+developmental D IH0 V EH2 L AH0 P M EH1 N T AH0 L
+rip R IH1 P
+regulated R EH1 G Y AH0 L EY2 T IH0 D
+triangle T R AY1 AE2 NG G AH0 L
+amend AH0 M EH1 N D
+anticipated AE0 N T IH1 S AH0 P EY2 T IH0 D
+oriental AO2 R IY0 EH1 N T AH0 L
+reward R IH0 W AO1 R D
+windsor W IH1 N Z ER0
+zambia Z AE1 M B IY0 AH0
+completing K AH0 M P L IY1 T IH0 NG
+gmbh G AH0 M
+hydrogen HH AY1 D R AH0 JH AH0 N
+sprint S P R IH1 N T
+comparable K AA1 M P ER0 AH0 B AH0 L
+chick CH IH1 K
+advocate AE1 D V AH0 K AH0 T
+sims S IH1 M Z
+confusion K AH0 N F Y UW1 ZH AH0 N
+copyrighted K AA1 P IY0 R AY2 T IH0 D
+tray T R EY1
+inputs IH1 N P UH2 T S
+warranties W AO1 R AH0 N T IY0 Z
+genome JH IY1 N OW2 M
+escorts EH1 S K AO0 R T S
+documented D AA1 K Y AH0 M EH2 N T AH0 D
+thong TH AO1 NG
+medal M EH1 D AH0 L
+paperbacks P EY1 P ER0 B AE2 K S
+coaches K OW1 CH IH0 Z
+vessels V EH1 S AH0 L Z
+harbour HH AA1 R B ER0
+walks W AO1 K S
+sucks S AH1 K S
+sol S AA1 L
+keyboards K IY1 B AO2 R D Z
+sage S EY1 JH
+knives N AY1 V Z
+eco IY1 K OW0
+vulnerable V AH1 L N ER0 AH0 B AH0 L
+arrange ER0 EY1 N JH
+artistic AA0 R T IH1 S T IH0 K
+bat B AE1 T
+honors AA1 N ER0 Z
+booth B UW1 TH
+indie IH1 N D IY0
+reflected R IH0 F L EH1 K T IH0 D
+unified Y UW1 N AH0 F AY2 D
+bones B OW1 N Z
+breed B R IY1 D
+detector D IH0 T EH1 K T ER0
+ignored IH2 G N AO1 R D
+polar P OW1 L ER0
+fallen F AA1 L AH0 N
+precise P R IH0 S AY1 S
+sussex S AH1 S IH0 K S
+respiratory R EH1 S P ER0 AH0 T AO2 R IY0
+notifications N OW2 T AH0 F AH0 K EY1 SH AH0 N Z
+mainstream M EY1 N S T R IY2 M
+invoice IH1 N V OY0 S
+evaluating IH0 V AE1 L Y UW0 EY2 T IH0 NG
+lip L IH1 P
+subcommittee S AH1 B K AH0 M IH1 T IY0
+sap S AE1 P
+gather G AE1 DH ER0
+maternity M AH0 T ER1 N IH0 T IY0
+backed B AE1 K T
+alfred AE1 L F R AH0 D
+colonial K AH0 L OW1 N IY0 AH0 L
+carey K EH1 R IY0
+motels M OW0 T EH1 L Z
+forming F AO1 R M IH0 NG
+embassy EH1 M B AH0 S IY0
+cave K EY1 V
+journalists JH ER1 N AH0 L AH0 S T S
+danny D AE1 N IY0
+rebecca R AH0 B EH1 K AH0
+slight S L AY1 T
+proceeds P R AH0 S IY1 D Z
+indirect IH2 N D ER0 EH1 K T
+amongst AH0 M AH1 NG S T
+wool W UH1 L
+foundations F AW0 N D EY1 SH AH0 N Z
+arrest ER0 EH1 S T
+volleyball V AA1 L IY0 B AO2 L
+horizon HH ER0 AY1 Z AH0 N
+nu N UW1
+deeply D IY1 P L IY0
+toolbox T UW1 L B AO2 K S
+marina M ER0 IY1 N AH0
+liabilities L AY2 AH0 B IH1 L AH0 T IY0 Z
+prizes P R AY1 Z AH0 Z
+bosnia B AA1 Z N IY0 AH0
+browsers B R AW1 Z ER0 Z
+decreased D IH0 K R IY1 S T
+patio P AE1 T IY0 OW2
+tolerance T AA1 L ER0 AH0 N S
+surfing S ER1 F IH0 NG
+creativity K R IY2 EY0 T IH1 V AH0 T IY0
+lloyd L OY1 D
+describing D IH0 S K R AY1 B IH0 NG
+optics AA1 P T IH0 K S
+pursue P ER0 S UW1
+lightning L AY1 T N IH0 NG
+overcome OW1 V ER0 K AH2 M
+eyed AY1 D
+ou UW1
+quotations K W OW0 T EY1 SH AH0 N Z
+grab G R AE1 B
+inspector IH2 N S P EH1 K T ER0
+attract AH0 T R AE1 K T
+brighton B R AY1 T AH0 N
+beans B IY1 N Z
+bookmarks B UH1 K M AA0 R K S
+ellis EH1 L IH0 S
+disable D IH0 S EY1 B AH0 L
+snake S N EY1 K
+succeed S AH0 K S IY1 D
+leonard L EH1 N ER0 D
+lending L EH1 N D IH0 NG
+oops UW1 P S
+reminder R IY0 M AY1 N D ER0
+nipple N IH1 P AH0 L
+xi SH IY1
+searched S ER1 CH T
+behavioral B IH0 HH EY1 V Y ER0 AH0 L
+riverside R IH1 V ER0 S AY2 D
+bathrooms B AE1 TH R UW2 M Z
+plains P L EY1 N Z
+raymond R EY1 M AH0 N D
+insights IH1 N S AY2 T S
+abilities AH0 B IH1 L AH0 T IY2 Z
+initiated IH2 N IH1 SH IY0 EY2 T AH0 D
+sullivan S AH1 L AH0 V AH0 N
+midwest M IH2 D W EH1 S T
+karaoke K EH2 R IY0 OW1 K IY0
+trap T R AE1 P
+lonely L OW1 N L IY0
+fool F UW1 L
+ve V IY1
+nonprofit N AA0 N P R AA1 F AH0 T
+lancaster L AE1 N K AE2 S T ER0
+suspended S AH0 S P EH1 N D IH0 D
+hereby HH IH0 R B AY1
+observe AH0 B Z ER1 V
+julia JH UW1 L Y AH0
+containers K AH0 N T EY1 N ER0 Z
+attitudes AE1 T AH0 T UW2 D Z
+karl K AA1 R L
+berry B EH1 R IY0
+collar K AA1 L ER0
+simultaneously S AY2 M AH0 L T EY1 N IY0 AH0 S L IY0
+racial R EY1 SH AH0 L
+integrate IH1 N T AH0 G R EY2 T
+bermuda B ER0 M Y UW1 D AH0
+amanda AH0 M AE1 N D AH0
+sociology S OW2 S IY0 AA1 L AH0 JH IY0
+mobiles M OW1 B AH0 L Z
+screenshot S K R IY1 N SH AA2 T
+exhibitions EH2 K S AH0 B IH1 SH AH0 N Z
+confident K AA1 N F AH0 D AH0 N T
+retrieved R IY0 T R IY1 V D
+exhibits IH0 G Z IH1 B AH0 T S
+officially AH0 F IH1 SH AH0 L IY0
+consortium K AH0 N S AO1 R SH IY0 AH0 M
+dies D AY1 Z
+terrace T EH1 R AH0 S
+bacteria B AE0 K T IH1 R IY0 AH0
+replied R IH0 P L AY1 D
+seafood S IY1 F UW2 D
+novels N AA1 V AH0 L Z
+recipients R IH0 S IH1 P IY0 AH0 N T S
+playboy P L EY1 B OY2
+ought AO1 T
+delicious D IH0 L IH1 SH AH0 S
+traditions T R AH0 D IH1 SH AH0 N Z
+jail JH EY1 L
+safely S EY1 F L IY0
+finite F AY1 N AY2 T
+kidney K IH1 D N IY0
+periodically P IY2 R IY0 AA1 D IH0 K AH0 L IY0
+fixes F IH1 K S IH0 Z
+sends S EH1 N D Z
+durable D UH1 R AH0 B AH0 L
+mazda M AA1 Z D AH0
+allied AH0 L AY1 D
+throws TH R OW1 Z
+moisture M OY1 S CH ER0
+hungarian HH AH0 NG G EH1 R IY0 AH0 N
+roster R AA1 S T ER0
+referring R IH0 F ER1 IH0 NG
+symantec S IH0 M AE1 N T EH2 K
+spencer S P EH1 N S ER0
+wichita W IH1 CH AH0 T AO2
+nasdaq N AE1 Z D AE0 K
+uruguay Y ER1 AH0 G W EY2
+hz HH ER1 T Z
+transform T R AE0 N S F AO1 R M
+timer T AY1 M ER0
+tablets T AE1 B L AH0 T S
+tuning T UW1 N IH0 NG
+gotten G AA1 T AH0 N
+educators EH1 JH AH0 K EY2 T ER0 Z
+tyler T AY1 L ER0
+futures F Y UW1 CH ER0 Z
+vegetable V EH1 JH T AH0 B AH0 L
+verse V ER1 S
+highs HH AY1 Z
+humanities HH Y UW0 M AE1 N IH0 T IY0 Z
+independently IH2 N D IH0 P EH1 N D AH0 N T L IY0
+wanting W AA1 N T IH0 NG
+custody K AH1 S T AH0 D IY0
+scratch S K R AE1 CH
+launches L AO1 N CH AH0 Z
+alignment AH0 L AY1 N M AH0 N T
+masturbating M AE1 S T ER0 B EY2 T IH0 NG
+henderson HH EH1 N D ER0 S AH0 N
+britannica B R IH0 T AE1 N IH0 K AH0
+comm K AA1 M
+ellen EH1 L AH0 N
+competitors K AH0 M P EH1 T AH0 T ER0 Z
+rocket R AA1 K AH0 T
+aye AY1
+bullet B UH1 L AH0 T
+towers T AW1 ER0 Z
+racks R AE1 K S
+lace L EY1 S
+nasty N AE1 S T IY0
+visibility V IH2 Z AH0 B IH1 L IH0 T IY0
+latitude L AE1 T AH0 T UW2 D
+consciousness K AA1 N SH AH0 S N AH0 S
+tumor T UW1 M ER0
+ugly AH1 G L IY0
+deposits D AH0 P AA1 Z IH0 T S
+beverly B EH1 V ER0 L IY0
+mistress M IH1 S T R AH0 S
+encounter IH0 N K AW1 N T ER0
+trustees T R AH2 S T IY1 Z
+watts W AA1 T S
+duncan D AH1 NG K AH0 N
+reprints R IY0 P R IH1 N T S
+hart HH AA1 R T
+bernard B ER0 N AA1 R D
+resolutions R EH2 Z AH0 L UW1 SH AH0 N Z
+accessing AE1 K S EH2 S IH0 NG
+forty F AO1 R T IY0
+tubes T UW1 B Z
+attempted AH0 T EH1 M P T IH0 D
+midlands M IH1 D L AE2 N D Z
+priest P R IY1 S T
+floyd F L OY1 D
+ronald R AA1 N AH0 L D
+analysts AE1 N AH0 L IH0 S T S
+queue K Y UW1
+trance T R AE1 N S
+locale L OW0 K AE1 L
+nicholas N IH1 K AH0 L AH0 S
+yu Y UW1
+bundle B AH1 N D AH0 L
+hammer HH AE1 M ER0
+invasion IH2 N V EY1 ZH AH0 N
+witnesses W IH1 T N AH0 S AH0 Z
+runner R AH1 N ER0
+rows R OW1 Z
+administered AH0 D M IH1 N AH0 S T ER0 D
+notion N OW1 SH AH0 N
+skins S K IH1 N Z
+mailed M EY1 L D
+fujitsu F UW0 JH IH1 T S UW0
+spelling S P EH1 L IH0 NG
+arctic AA1 R K T IH0 K
+exams IH0 G Z AE1 M Z
+rewards R IH0 W AO1 R D Z
+beneath B IH0 N IY1 TH
+strengthen S T R EH1 NG TH AH0 N
+defend D IH0 F EH1 N D
+frederick F R EH1 D R IH0 K
+medicaid M EH1 D AH0 K EY2 D
+infrared IH2 N F R ER0 EH1 D
+seventh S EH1 V AH0 N TH
+gods G AA1 D Z
+welsh W EH1 L CH
+belly B EH1 L IY0
+aggressive AH0 G R EH1 S IH0 V
+tex T EH1 K S
+advertisements AE1 D V ER0 T AY2 Z M AH0 N T S
+quarters K W AO1 R T ER0 Z
+stolen S T OW1 L AH0 N
+cia S IY1 AY1 EY1
+soonest S UW1 N AH0 S T
+haiti HH EY1 T IY0
+disturbed D IH0 S T ER1 B D
+determines D AH0 T ER1 M AH0 N Z
+sculpture S K AH1 L P CH ER0
+poly P AA1 L IY0
+ears IH1 R Z
+fist F IH1 S T
+neo N IY1 OW0
+motivation M OW2 T AH0 V EY1 SH AH0 N
+lenders L EH1 N D ER0 Z
+pharmacology F AA2 R M AH0 K AA1 L AH0 JH IY0
+fitting F IH1 T IH0 NG
+fixtures F IH1 K S CH ER0 Z
+bloggers B L AO1 G ER0 Z
+mere M IH1 R
+agrees AH0 G R IY1 Z
+passengers P AE1 S AH0 N JH ER0 Z
+quantities K W AA1 N T AH0 T IY0 Z
+petersburg P IY1 T ER0 Z B ER0 G
+consistently K AH0 N S IH1 S T AH0 N T L IY0
+powerpoint P AW1 ER0 P OY2 N T
+cons K AA1 N Z
+surplus S ER1 P L AH0 S
+elder EH1 L D ER0
+sonic S AA1 N IH0 K
+obituaries OW0 B IH1 CH UW0 EH2 R IY0 Z
+cheers CH IH1 R Z
+dig D IH1 G
+taxi T AE1 K S IY0
+punishment P AH1 N IH0 SH M AH0 N T
+appreciation AH0 P R IY2 SH IY0 EY1 SH AH0 N
+subsequently S AH1 B S AH0 K W AH0 N T L IY0
+om AO1 M
+belarus B EH0 L AA1 R AH0 S
+nat N AE1 T
+zoning Z OW1 N IH0 NG
+gravity G R AE1 V AH0 T IY0
+providence P R AA1 V AH0 D AH0 N S
+thumb TH AH1 M
+restriction R IY0 S T R IH1 K SH AH0 N
+incorporate IH2 N K AO1 R P ER0 EY2 T
+backgrounds B AE1 K G R AW2 N D Z
+treasurer T R EH1 ZH ER0 ER0
+guitars G IH0 T AA1 R Z
+essence EH1 S AH0 N S
+flooring F L AO1 R IH0 NG
+lightweight L AY1 T W EY1 T
+ethiopia IY2 TH IY0 OW1 P IY0 AH0
+mighty M AY1 T IY0
+athletes AE1 TH L IY2 T S
+humanity HH Y UW0 M AE1 N IH0 T IY0
+transcription T R AE2 N S K R IH1 P SH AH0 N
+holmes HH OW1 M Z
+complications K AA2 M P L AH0 K EY1 SH AH0 N Z
+scholars S K AA1 L ER0 Z
+remembered R IH0 M EH1 M B ER0 D
+galaxy G AE1 L AH0 K S IY0
+chester CH EH1 S T ER0
+snapshot S N AE1 P SH AA2 T
+caring K EH1 R IH0 NG
+worn W AO1 R N
+synthetic S IH0 N TH EH1 T IH0 K
+shaw SH AO1
+vp V IY2 P IY1
+segments S EH1 G M AH0 N T S
+testament T EH1 S T AH0 M AH0 N T
+expo EH1 K S P OW0
+dominant D AA1 M AH0 N AH0 N T
+twist T W IH1 S T
+specifics S P IH0 S IH1 F IH0 K S
+itunes AY1 T UW2 N Z
+stomach S T AH1 M AH0 K
+partially P AA1 R SH AH0 L IY0
+buried B EH1 R IY0 D
+newbie N UW1 B IY2
+minimize M IH1 N AH0 M AY2 Z
+darwin D AA1 R W IH0 N
+ranks R AE1 NG K S
+wilderness W IH1 L D ER0 N AH0 S
+debut D EY0 B Y UW1
+generations JH EH2 N ER0 EY1 SH AH0 N Z
+tournaments T ER1 N AH0 M AH0 N T S
+bradley B R AE1 D L IY0
+deny D IH0 N AY1
+anatomy AH0 N AE1 T AH0 M IY0
+bali B AA1 L IY0
+judy JH UW1 D IY0
+sponsorship S P AA1 N S ER0 SH IH2 P
+headphones HH EH1 D F OW2 N Z
+fraction F R AE1 K SH AH0 N
+trio T R IY1 OW2
+proceeding P R AH0 S IY1 D IH0 NG
+cube K Y UW1 B
+defects D IY1 F EH0 K T S
+volkswagen V OW1 L K S W AE2 G AH0 N
+uncertainty AH0 N S ER1 T AH0 N T IY0
+breakdown B R EY1 K D AW2 N
+milton M IH1 L T AH0 N
+marker M AA1 R K ER0
+reconstruction R IY2 K AH0 N S T R AH1 K SH AH0 N
+subsidiary S AH0 B S IH1 D IY0 EH2 R IY0
+strengths S T R EH1 NG K TH S
+clarity K L EH1 R AH0 T IY0
+rugs R AH1 G Z
+sandra S AE1 N D R AH0
+adelaide AE1 D AH0 L EY2 D
+encouraging EH0 N K ER1 IH0 JH IH0 NG
+furnished F ER1 N IH0 SH T
+monaco M AA1 N AH0 K OW2
+settled S EH1 T AH0 L D
+folding F OW1 L D IH0 NG
+emirates EH1 M ER0 AH0 T S
+terrorists T EH1 R ER0 AH0 S T S
+airfare EH1 R F EH2 R
+comparisons K AH0 M P EH1 R AH0 S AH0 N Z
+beneficial B EH2 N AH0 F IH1 SH AH0 L
+distributions D IH2 S T R AH0 B Y UW1 SH AH0 N Z
+vaccine V AE2 K S IY1 N
+belize B EH0 L IY1 Z
+crap K R AE1 P
+fate F EY1 T
+promised P R AA1 M AH0 S T
+volvo V OW1 L V OW0
+penny P EH1 N IY0
+robust R OW0 B AH1 S T
+bookings B UH1 K IH0 NG Z
+threatened TH R EH1 T AH0 N D
+minolta M IH0 N AA1 L T AH2
+republicans R IH0 P AH1 B L IH0 K AH0 N Z
+discusses D IH0 S K AH1 S AH0 Z
+porter P AO1 R T ER0
+gras G R AE1 S
+jungle JH AH1 NG G AH0 L
+ver V ER1
+responded R IH0 S P AA1 N D IH0 D
+rim R IH1 M
+abstracts AE1 B S T R AE0 K T S
+zen Z EH1 N
+ivory AY1 V ER0 IY0
+alpine AE1 L P AY2 N
+dis D IH1 S
+prediction P R IY0 D IH1 K SH AH0 N
+pharmaceuticals F AA2 R M AH0 S UW1 T IH0 K AH0 L Z
+fabulous F AE1 B Y AH0 L AH0 S
+alias EY1 L IY0 AH0 S
+thesaurus TH AH0 S AO1 R AH0 S
+individually IH2 N D IH0 V IH1 JH UW0 AH0 L IY0
+battlefield B AE1 T AH0 L F IY2 L D
+literally L IH1 T ER0 AH0 L IY0
+newer N UW1 ER0
+kay K EY1
+ecological IY0 K AH0 L AA1 JH IH0 K AH0 L
+spice S P AY1 S
+oval OW1 V AH0 L
+implies IH2 M P L AY1 Z
+soma S OW1 M AA0
+cooler K UW1 L ER0
+appraisal AH0 P R EY1 Z AH0 L
+consisting K AH0 N S IH1 S T IH0 NG
+maritime M EH1 R AH0 T AY2 M
+periodic P IH2 R IY0 AA1 D IH0 K
+submitting S AH0 B M IH1 T IH0 NG
+overhead OW1 V ER0 HH EH1 D
+ascii AE1 S K IY0
+prospect P R AA1 S P EH0 K T
+shipment SH IH1 P M AH0 N T
+breeding B R IY1 D IH0 NG
+citations S AY0 T EY1 SH AH0 N Z
+geographical JH IY2 AH0 G R AE1 F IH0 K AH0 L
+donor D OW1 N ER0
+mozambique M OW2 Z AE0 M B IY1 K
+tension T EH1 N SH AH0 N
+benz B EH1 N Z
+trash T R AE1 SH
+shapes SH EY1 P S
+wifi W AY1 F AY2
+tier T IY1 R
+earl ER1 L
+manor M AE1 N ER0
+envelope EH1 N V AH0 L OW2 P
+diane D AY0 AE1 N
+homeland HH OW1 M L AE2 N D
+disclaimers D IH0 S K L EY1 M ER0 Z
+championships CH AE1 M P IY0 AH0 N SH IH2 P S
+excluded IH0 K S K L UW1 D AH0 D
+andrea AE1 N D R IY2 AH0
+breeds B R IY1 D Z
+rapids R AE1 P AH0 D Z
+disco D IH1 S K OW0
+sheffield SH EH1 F IY0 L D
+bailey B EY1 L IY0
+aus AW1 Z
+finishing F IH1 N IH0 SH IH0 NG
+emotions IH0 M OW1 SH AH0 N Z
+wellington W EH1 L IH0 NG T AH0 N
+incoming IH1 N K AH2 M IH0 NG
+prospects P R AA1 S P EH0 K T S
+lexmark L EH1 K S M AA2 R K
+cleaners K L IY1 N ER0 Z
+bulgarian B AH0 L G EH1 R IY0 AH0 N
+eternal IH0 T ER1 N AH0 L
+cashiers K AE2 SH IH1 R Z
+guam G W AA1 M
+cite S AY1 T
+aboriginal AE2 B ER0 IH1 JH AH0 N AH0 L
+remarkable R IH0 M AA1 R K AH0 B AH0 L
+rotation R OW0 T EY1 SH AH0 N
+nam N AE1 M
+preventing P R IH0 V EH1 N T IH0 NG
+productive P R AH0 D AH1 K T IH0 V
+boulevard B UH1 L AH0 V AA2 R D
+eugene Y UW0 JH IY1 N
+gdp G IY1 D IY1 P IY1 # abbrev
+pig P IH1 G
+metric M EH1 T R IH0 K
+compliant K AH0 M P L AY1 AH0 N T
+minus M AY1 N AH0 S
+penalties P EH1 N AH0 L T IY0 Z
+bennett B EH1 N AH0 T
+imagination IH2 M AE2 JH AH0 N EY1 SH AH0 N
+hotmail HH AA1 T M EY2 L
+refurbished R IY0 F ER1 B IH0 SH T
+joshua JH AA1 SH UW2 AH0
+armenia AA0 R M IY1 N IY0 AH0
+varied V EH1 R IY0 D
+grande G R AE1 N D
+closest K L OW1 S AH0 S T
+activated AE1 K T AH0 V EY2 T IH0 D
+actress AE1 K T R AH0 S
+mess M EH1 S
+conferencing K AA1 N F R AH0 N S IH0 NG
+assign AH0 S AY1 N
+armstrong AA1 R M S T R AA2 NG
+politicians P AA2 L AH0 T IH1 SH AH0 N Z
+lit L IH1 T
+accommodate AH0 K AA1 M AH0 D EY2 T
+tigers T AY1 G ER0 Z
+aurora ER0 AO1 R AH0
+una UW1 N AH0
+slides S L AY1 D Z
+milan M AH0 L AA1 N
+premiere P R EH0 M IH1 R
+lender L EH1 N D ER0
+villages V IH1 L AH0 JH AH0 Z
+shade SH EY1 D
+chorus K AO1 R AH0 S
+christine K R IH0 S T IY1 N
+rhythm R IH1 DH AH0 M
+digit D IH1 JH AH0 T
+argued AA1 R G Y UW0 D
+dietary D AY1 AH0 T EH2 R IY0
+symphony S IH1 M F AH0 N IY0
+clarke K L AA1 R K
+sudden S AH1 D AH0 N
+accepting AE0 K S EH1 P T IH0 NG
+precipitation P R IH0 S IH2 P IH0 T EY1 SH AH0 N
+marilyn M EH1 R AH0 L AH0 N
+lions L AY1 AH0 N Z
+ada EY1 D AH0
+pools P UW1 L Z
+tb T IY1 B IY1
+lyric L IH1 R IH0 K
+claire K L EH1 R
+isolation AY2 S AH0 L EY1 SH AH0 N
+speeds S P IY1 D Z
+sustained S AH0 S T EY1 N D
+matched M AE1 CH T
+approximate AH0 P R AA1 K S AH0 M AH0 T
+rope R OW1 P
+carroll K AE1 R AH0 L
+rational R AE1 SH AH0 N AH0 L
+programmer P R OW1 G R AE2 M ER0
+fighters F AY1 T ER0 Z
+chambers CH EY1 M B ER0 Z
+dump D AH1 M P
+greetings G R IY1 T IH0 NG Z
+inherited IH2 N HH EH1 R AH0 T IH0 D
+warming W AO1 R M IH0 NG
+incomplete IH2 N K AH0 M P L IY1 T
+vocals V OW1 K AH0 L Z
+chronicle K R AA1 N IH0 K AH0 L
+fountain F AW1 N T AH0 N
+chubby CH AH1 B IY0
+grave G R EY1 V
+legitimate L AH0 JH IH1 T AH0 M AH0 T
+biographies B AY0 AA1 G R AH0 F IY0 Z
+burner B ER1 N ER0
+foo F UW1
+investigator IH2 N V EH1 S T AH0 G EY2 T ER0
+plaintiff P L EY1 N T AH0 F
+finnish F IH1 N IH0 SH
+gentle JH EH1 N T AH0 L
+prisoners P R IH1 Z AH0 N ER0 Z
+deeper D IY1 P ER0
+muslims M AH1 Z L AH0 M Z
+hose HH OW1 Z
+mediterranean M EH2 D AH0 T ER0 EY1 N IY0 AH0 N
+nightlife N AY1 T L AY2 F
+footage F UH1 T IH0 JH
+worthy W ER1 DH IY0
+reveals R IH0 V IY1 L Z
+architects AA1 R K AH0 T EH2 K T S
+saints S EY1 N T S
+entrepreneur AA2 N T R AH0 P R AH0 N ER1
+carries K AE1 R IY0 Z
+sig S IH1 G
+freelance F R IY1 L AE2 N S
+duo D UW1 OW0
+excessive IH0 K S EH1 S IH0 V
+devon D EH1 V AH0 N
+helena HH EH1 L AH0 N AH0
+saves S EY1 V Z
+regarded R IH0 G AA1 R D IH0 D
+valuation V AE0 L Y UW0 EY1 SH AH0 N
+unexpected AH2 N IH0 K S P EH1 K T IH0 D
+cigarette S IH2 G ER0 EH1 T
+fog F AA1 G
+characteristic K EH2 R AH0 K T ER0 IH1 S T IH0 K
+marion M EH1 R IY0 AH0 N
+lobby L AA1 B IY0
+egyptian IH0 JH IH1 P SH AH0 N
+tunisia T UW2 N IY1 ZH AH0
+metallica M AH0 T AE1 L IH0 K AH0
+outlined AW1 T L AY2 N D
+consequently K AA1 N S AH0 K W AH0 N T L IY0
+headline HH EH1 D L AY2 N
+treating T R IY1 T IH0 NG
+punch P AH1 N CH
+appointments AH0 P OY1 N T M AH0 N T S
+gotta G AA1 T AH0
+cowboy K AW1 B OY2
+narrative N AE1 R AH0 T IH0 V
+bahrain B AA0 R EY1 N
+enormous IH0 N AO1 R M AH0 S
+karma K AA1 R M AH0
+consist K AH0 N S IH1 S T
+betty B EH1 T IY0
+queens K W IY1 N Z
+academics AE2 K AH0 D EH1 M IH0 K S
+pubs P AH1 B Z
+quantitative K W AA1 N T IH0 T EY2 T IH0 V
+lucas L UW1 K AH0 S
+subdivision S AH1 B D IH0 V IH2 ZH AH0 N
+tribes T R AY1 B Z
+vip V IY2 AY2 P IY1
+defeat D IH0 F IY1 T
+clicks K L IH1 K S
+distinction D IH0 S T IH1 NG K SH AH0 N
+honduras HH AA0 N D UH1 R AH0 S
+naughty N AO1 T IY0
+hazards HH AE1 Z ER0 D Z
+insured IH2 N SH UH1 R D
+harper HH AA1 R P ER0
+livestock L AY1 V S T AA2 K
+mardi M AA1 R D IY0
+exemption IH0 G Z EH1 M P SH AH0 N
+tenant T EH1 N AH0 N T
+sustainability S AH0 S T EY2 N AH0 B IH1 L IH0 T IY0
+cabinets K AE1 B AH0 N AH0 T S
+tattoo T AE2 T UW1
+shake SH EY1 K
+algebra AE1 L JH AH0 B R AH0
+shadows SH AE1 D OW2 Z
+holly HH AA1 L IY0
+formatting F AO1 R M AE2 T IH0 NG
+silly S IH1 L IY0
+nutritional N UW0 T R IH1 SH AH0 N AH0 L
+yea Y EY1
+mercy M ER1 S IY0
+hartford HH AA1 R T F ER0 D
+freely F R IY1 L IY0
+marcus M AA1 R K AH0 S
+sunrise S AH1 N R AY2 Z
+wrapping R AE1 P IH0 NG
+mild M AY1 L D
+fur F ER1
+nicaragua N IH2 K ER0 AA1 G W AH0
+timeline T AY1 M L AY0 N
+tar T AA1 R
+belongs B IH0 L AO1 NG Z
+readily R EH1 D AH0 L IY0
+affiliation AH0 F IH2 L IY0 EY1 SH AH0 N
+fence F EH1 N S
+nudist N UW1 D IH0 S T
+infinite IH1 N F AH0 N AH0 T
+diana D AY0 AE1 N AH0
+ensures EH0 N SH UH1 R Z
+relatives R EH1 L AH0 T IH0 V Z
+lindsay L IH1 N D Z IY0
+clan K L AE1 N
+legally L IY1 G AH0 L IY0
+shame SH EY1 M
+satisfactory S AE2 T AH0 S F AE1 K T R IY0
+revolutionary R EH2 V AH0 L UW1 SH AH0 N EH2 R IY0
+bracelets B R EY1 S L IH0 T S
+sync S IH1 NG K
+civilian S AH0 V IH1 L Y AH0 N
+telephony T EH1 L AH0 F OW2 N IY0
+mesa M EY1 S AH0
+fatal F EY1 T AH0 L
+remedy R EH1 M AH0 D IY0
+realtors R IY1 AH0 L T ER0 Z
+breathing B R IY1 DH IH0 NG
+briefly B R IY1 F L IY0
+thickness TH IH1 K N AH0 S
+adjustments AH0 JH AH1 S T M AH0 N T S
+graphical G R AE1 F IH0 K AH0 L
+genius JH IY1 N Y AH0 S
+discussing D IH0 S K AH1 S IH0 NG
+aerospace EH1 R OW0 S P EY2 S
+fighter F AY1 T ER0
+meaningful M IY1 N IH0 NG F AH0 L
+flesh F L EH1 SH
+retreat R IY0 T R IY1 T
+adapted AH0 D AE1 P T IH0 D
+barely B EH1 R L IY0
+wherever W EH0 R EH1 V ER0
+estates IH0 S T EY1 T S
+rug R AH1 G
+democrat D EH1 M AH0 K R AE2 T
+borough B ER1 OW2
+maintains M EY0 N T EY1 N Z
+failing F EY1 L IH0 NG
+shortcuts SH AO1 R T K AH2 T S
+ka K AA1
+retained R IH0 T EY1 N D
+pamela P AE1 M AH0 L AH0
+andrews AE1 N D R UW2 Z
+marble M AA1 R B AH0 L
+extending IH0 K S T EH1 N D IH0 NG
+jesse JH EH1 S IY0
+specifies S P EH1 S AH0 F AY2 Z
+hull HH AH1 L
+surrey S ER1 IY0
+briefing B R IY1 F IH0 NG
+belkin B EH1 L K IH0 N
+accreditation AH0 K R EH2 D AH0 T EY1 SH AH0 N
+blackberry B L AE1 K B EH2 R IY0
+highland HH AY1 L AH0 N D
+meditation M EH2 D AH0 T EY1 SH AH0 N
+modular M AA1 JH AH0 L ER0
+microphone M AY1 K R AH0 F OW2 N
+macedonia M AE2 S AH0 D OW1 N IY0 AH0
+combining K AH0 M B AY1 N IH0 NG
+brandon B R AE1 N D AH0 N
+instrumental IH2 N S T R AH0 M EH1 N T AH0 L
+giants JH AY1 AH0 N T S
+organizing AO1 R G AH0 N AY2 Z IH0 NG
+shed SH EH1 D
+balloon B AH0 L UW1 N
+moderators M AA1 D ER0 EY2 T ER0 Z
+winston W IH1 N S T AH0 N
+memo M EH1 M OW2
+ham HH AE1 M
+solved S AA1 L V D
+tide T AY1 D
+kazakhstan K AA2 Z AA0 K S T AA1 N
+hawaiian HH AH0 W AY1 AH0 N
+standings S T AE1 N D IH0 NG Z
+partition P AA0 R T IH1 SH AH0 N
+invisible IH2 N V IH1 Z AH0 B AH0 L
+consoles K AH0 N S OW1 L Z
+funk F AH1 NG K
+fbi EH1 F B IY1 AY1
+qatar K AH2 T AA1 R
+magnet M AE1 G N AH0 T
+translations T R AE0 N Z L EY1 SH AH0 N Z
+porsche P AO1 R SH AH0
+cayman K EY1 M AH0 N
+jaguar JH AE1 G W AA2 R
+reel R IY1 L
+sheer SH IH1 R
+commodity K AH0 M AA1 D AH0 T IY0
+posing P OW1 Z IH0 NG
+wang W AE1 NG
+kilometers K AH0 L AA1 M AH2 T ER0 Z
+bind B AY1 N D
+thanksgiving TH AE2 NG K S G IH1 V IH0 NG
+rand R AE1 N D
+hopkins HH AA1 P K IH0 N Z
+urgent ER1 JH AH0 N T
+guarantees G EH2 R AH0 N T IY1 Z
+infants IH1 N F AH0 N T S
+gothic G AA1 TH IH0 K
+cylinder S IH1 L AH0 N D ER0
+witch W IH1 CH
+buck B AH1 K
+indication IH2 N D AH0 K EY1 SH AH0 N
+eh EH1
+congratulations K AH0 N G R AE2 CH AH0 L EY1 SH AH0 N Z
+cohen K OW1 AH0 N
+sie S IY1
+puppy P AH1 P IY0
+kathy K AE1 TH IY0
+acre EY1 K ER0
+graphs G R AE1 F S
+surround S ER0 AW1 N D
+cigarettes S IH2 G ER0 EH1 T S
+revenge R IY0 V EH1 N JH
+expires IH0 K S P AY1 ER0 Z
+enemies EH1 N AH0 M IY0 Z
+lows L OW1 Z
+controllers K AH0 N T R OW1 L ER0 Z
+aqua AE1 K W AH0
+chen CH EH1 N
+emma EH1 M AH0
+consultancy K AH0 N S AH1 L T AH0 N S IY0
+finances F IH0 N AE1 N S IH0 Z
+accepts AE0 K S EH1 P T S
+enjoying EH2 N JH OY1 IH0 NG
+conventions K AH0 N V EH1 N SH AH0 N Z
+eva EY1 V AH0
+patrol P AH0 T R OW1 L
+smell S M EH1 L
+pest P EH1 S T
+italiano IH2 T AA0 L IY0 AA1 N OW0
+coordinates K OW0 AO1 R D AH0 N AH0 T S
+rca AA2 R S IY2 EY1
+carnival K AA1 R N AH0 V AH0 L
+roughly R AH1 F L IY0
+sticker S T IH1 K ER0
+promises P R AA1 M AH0 S AH0 Z
+responding R IH0 S P AA1 N D IH0 NG
+reef R IY1 F
+physically F IH1 Z IH0 K AH0 L IY0
+divide D IH0 V AY1 D
+stakeholders S T EY1 K HH OW2 L D ER0 Z
+consecutive K AH0 N S EH1 K Y AH0 T IH0 V
+cornell K AO0 R N EH1 L
+satin S AE1 T AH0 N
+bon B AA1 N
+deserve D IH0 Z ER1 V
+attempting AH0 T EH1 M P T IH0 NG
+promo P R OW1 M OW2
+representations R EH2 P R AH0 Z AH0 N T EY1 SH AH0 N Z
+chan CH AE1 N
+worried W ER1 IY0 D
+tunes T UW1 N Z
+garbage G AA1 R B IH0 JH
+competing K AH0 M P IY1 T IH0 NG
+combines K AH0 M B AY1 N Z
+mas M AA1 Z
+beth B EH1 TH
+bradford B R AE1 D F ER0 D
+len L EH1 N
+phrases F R EY1 Z AH0 Z
+kai K AY1
+peninsula P AH0 N IH1 N S AH0 L AH0
+chelsea CH EH1 L S IY0
+boring B AO1 R IH0 NG
+reynolds R EH1 N AH0 L D Z
+dom D AA1 M
+jill JH IH1 L
+accurately AE1 K Y ER0 AH0 T L IY0
+speeches S P IY1 CH AH0 Z
+reaches R IY1 CH AH0 Z
+schema S K IY1 M AH0
+considers K AH0 N S IH1 D ER0 Z
+sofa S OW1 F AH0
+catalogs K AE1 T AH0 L AA0 G Z
+ministries M IH1 N IH0 S T R IY0 Z
+vacancies V EY1 K AH0 N S IY0 Z
+quizzes K W IH1 Z IH0 Z
+parliamentary P AA2 R L AH0 M EH1 N T ER0 IY0
+prefix P R IY1 F IH0 K S
+lucia L UW1 SH AH0
+savannah S AH0 V AE1 N AH0
+barrel B AE1 R AH0 L
+typing T AY1 P IH0 NG
+nerve N ER1 V
+planets P L AE1 N AH0 T S
+deficit D EH1 F AH0 S AH0 T
+boulder B OW1 L D ER0
+pointing P OY1 N T IH0 NG
+renew R IH0 N UW1
+coupled K AH1 P AH0 L D
+myanmar M Y AA1 N M AA1 R
+harold HH EH1 R AH0 L D
+circuits S ER1 K AH0 T S
+floppy F L AA1 P IY0
+texture T EH1 K S CH ER0
+handbags HH AE1 N D B AE2 G Z
+jar JH AA1 R
+ev EH1 V
+somerset S AH1 M ER0 S EH2 T
+incurred IH2 N K ER1 D
+acknowledge AE0 K N AA1 L IH0 JH
+thoroughly TH ER1 OW0 L IY0
+antigua AE0 N T IY1 G W AH0
+nottingham N AA1 T IH0 NG HH AE2 M
+thunder TH AH1 N D ER0
+tent T EH1 N T
+caution K AA1 SH AH0 N
+identifies AY0 D EH1 N T AH0 F AY2 Z
+questionnaire K W EH2 S CH AH0 N EH1 R
+qualification K W AA2 L AH0 F AH0 K EY1 SH AH0 N
+locks L AA1 K S
+modelling M AA1 D AH0 L IH2 NG
+namely N EY1 M L IY0
+miniature M IH1 N IY0 AH0 CH UH2 R
+hack HH AE1 K
+dare D EH1 R
+euros Y UW1 R OW2 Z
+interstate IH2 N T ER0 S T EY1 T
+pirates P AY1 R AH0 T S
+aerial EH1 R IY0 AH0 L
+hawk HH AO1 K
+consequence K AA1 N S AH0 K W AH0 N S
+rebel R EH1 B AH0 L
+systematic S IH2 S T AH0 M AE1 T IH0 K
+perceived P ER0 S IY1 V D
+origins AO1 R AH0 JH IH0 N Z
+hired HH AY1 ER0 D
+makeup M EY1 K AH2 P
+textile T EH1 K S T AY2 L
+lamb L AE1 M
+madagascar M AE2 D AH0 G AE1 S K ER0
+nathan N EY1 TH AH0 N
+tobago T AH0 B EY1 G OW0
+presenting P R IH0 Z EH1 N T IH0 NG
+cos K AO1 S
+troubleshooting T R AH1 B AH0 L SH UW2 T IH0 NG
+uzbekistan UW0 Z B EH1 K IH0 S T AE2 N
+indexes IH1 N D EH0 K S IH0 Z
+pac P AE1 K
+centuries S EH1 N CH ER0 IY0 Z
+magnitude M AE1 G N AH0 T UW2 D
+ui Y UW1 AY1
+richardson R IH1 CH ER0 D S AH0 N
+hindu HH IH1 N D UW2
+fragrances F R EY1 G R AH0 N S AH0 Z
+vocabulary V OW0 K AE1 B Y AH0 L EH2 R IY0
+licking L IH1 K IH0 NG
+earthquake ER1 TH K W EY2 K
+fundraising F AH1 N D R EY2 S IH0 NG
+fcc EH2 F S IY2 S IY1
+markers M AA1 R K ER0 Z
+weights W EY1 T S
+albania AE0 L B EY1 N IY0 AH0
+geological JH IY2 AH0 L AA1 JH IH0 K AH0 L
+assessing AH0 S EH1 S IH0 NG
+lasting L AE1 S T IH0 NG
+wicked W IH1 K AH0 D
+introduces IH2 N T R AH0 D UW1 S IH0 Z
+kills K IH1 L Z
+roommate R UW1 M EY2 T
+pushed P UH1 SH T
+webmasters W EH1 B M AE2 S T ER0 Z
+ro R OW1
+computational K AA2 M P Y UW0 T EY1 SH AH0 N AH0 L
+participated P AA0 R T IH1 S AH0 P EY2 T IH0 D
+junk JH AH1 NG K
+wax W AE1 K S
+lucy L UW1 S IY0
+answering AE1 N S ER0 IH0 NG
+hans HH AA1 N S
+impressed IH2 M P R EH1 S T
+slope S L OW1 P
+reggae R EH1 G EY2
+failures F EY1 L Y ER0 Z
+poet P OW1 AH0 T
+conspiracy K AH0 N S P IH1 R AH0 S IY0
+surname S ER1 N EY2 M
+theology TH IY0 AA1 L AH0 JH IY0
+nails N EY1 L Z
+evident EH1 V AH0 D AH0 N T
+whats W AH0 T S
+rides R AY1 D Z
+rehab R IY0 HH AE0 B
+epic EH1 P IH0 K
+saturn S AE1 T ER0 N
+organizer AO1 R G AH0 N AY2 Z ER0
+nut N AH1 T
+allergy AE1 L ER0 JH IY0
+sake S EY1 K
+twisted T W IH1 S T IH0 D
+combinations K AA2 M B AH0 N EY1 SH AH0 N Z
+preceding P R IY0 S IY1 D IH0 NG
+merit M EH1 R AH0 T
+enzyme EH1 N Z AY2 M
+cumulative K Y UW1 M Y AH0 L AH0 T IH0 V
+planes P L EY1 N Z
+edmonton EH1 D M AH0 N T AH0 N
+tackle T AE1 K AH0 L
+disks D IH1 S K S
+condo K AA1 N D OW0
+pokemon P OW1 K EY0 M AH0 N
+amplifier AE1 M P L AH0 F AY2 ER0
+ambien AE1 M B IY0 EH2 N
+arbitrary AA1 R B AH0 T R EH2 R IY0
+prominent P R AA1 M AH0 N AH0 N T
+retrieve R IH0 T R IY1 V
+lexington L EH1 K S IH0 NG T AH0 N
+vernon V ER1 N AH0 N
+sans S AE1 N Z
+titanium T AY0 T EY1 N IY0 AH0 M
+irs AY1 AA2 R EH1 S
+fairy F EH1 R IY0
+builds B IH1 L D Z
+contacted K AA1 N T AE2 K T IH0 D
+shaft SH AE1 F T
+lean L IY1 N
+bye B AY1
+recorders R IH0 K AO1 R D ER0 Z
+occasional AH0 K EY1 ZH AH0 N AH0 L
+leslie L EH1 S L IY0
+casio K AE1 S IY0 OW0
+deutsche D OY1 CH
+ana AA1 N AH0
+postings P OW1 S T IH0 NG Z
+innovations IH2 N AH0 V EY1 SH AH0 N Z
+kitty K IH1 T IY0
+postcards P OW1 S T K AA2 R D Z
+dude D UW1 D
+drain D R EY1 N
+monte M AA1 N T IY0
+fires F AY1 ER0 Z
+algeria AE0 L JH IH1 R IY0 AH0
+blessed B L EH1 S T
+luis L UW0 IY1 S
+reviewing R IY0 V Y UW1 IH0 NG
+cardiff K AA1 R D IH0 F
+cornwall K AO1 R N W AO0 L
+favors F EY1 V ER0 Z
+potato P AH0 T EY1 T OW2
+panic P AE1 N IH0 K
+explicitly IH0 K S P L IH1 S AH0 T L IY0
+sticks S T IH1 K S
+leone L IY0 OW1 N
+transsexual T R AE0 N S EH1 K SH Y UW0 AH0 L
+citizenship S IH1 T IH0 Z AH0 N SH IH2 P
+excuse IH0 K S K Y UW1 S
+reforms R AH0 F AO1 R M Z
+basement B EY1 S M AH0 N T
+onion AH1 N Y AH0 N
+strand S T R AE1 N D
+sandwich S AE1 N D W IH0 CH
+lawsuit L AO1 S UW2 T
+alto AE1 L T OW0
+informative IH2 N F AO1 R M AH0 T IH0 V
+girlfriend G ER1 L F R EH2 N D
+bloomberg B L UW1 M B ER0 G
+cheque CH EH1 K
+hierarchy HH AY1 ER0 AA2 R K IY0
+influenced IH1 N F L UW0 AH0 N S T
+banners B AE1 N ER0 Z
+reject R IH0 JH EH1 K T
+eau OW1
+abandoned AH0 B AE1 N D AH0 N D
+circles S ER1 K AH0 L Z
+italic AY0 T AE1 L IH0 K
+beats B IY1 T S
+merry M EH1 R IY0
+mil M IH1 L
+scuba S K UW1 B AH0
+gore G AO1 R
+complement K AA1 M P L AH0 M AH0 N T
+cult K AH1 L T
+dash D AE1 SH
+passive P AE1 S IH0 V
+mauritius M AO0 R IH1 T IY0 AH0 S
+valued V AE1 L Y UW0 D
+cage K EY1 JH
+checklist CH EH1 K L IH2 S T
+requesting R IH0 K W EH1 S T IH0 NG
+courage K ER1 AH0 JH
+verde V ER1 D IY0
+lauderdale L AO1 D ER0 D EY2 L
+scenarios S IH0 N EH1 R IY0 OW0 Z
+gazette G AH0 Z EH1 T
+hitachi HH IH0 T AA1 CH IY0
+extraction EH0 K S T R AE1 K SH AH0 N
+batman B AE1 T M AE2 N
+elevation EH2 L AH0 V EY1 SH AH0 N
+hearings HH IY1 R IH0 NG Z
+coleman K OW1 L M AH0 N
+hugh HH Y UW1
+lap L AE1 P
+utilization Y UW2 T AH0 L AH0 Z EY1 SH AH0 N
+beverages B EH1 V R IH0 JH IH0 Z
+calibration K AE2 L AH0 B R EY1 SH AH0 N
+jake JH EY1 K
+efficiently IH0 F IH1 SH AH0 N T L IY0
+anaheim AE1 N AH0 HH AY2 M
+ping P IH1 NG
+textbook T EH1 K S T B UH2 K
+dried D R AY1 D
+entertaining EH2 N T ER0 T EY1 N IH0 NG
+prerequisite P R IY0 R EH1 K W AH0 Z AH0 T
+luther L UW1 TH ER0
+frontier F R AH0 N T IH1 R
+settle S EH1 T AH0 L
+stopping S T AA1 P IH0 NG
+refugees R EH1 F Y UW2 JH IY0 Z
+knights N AY1 T S
+hypothesis HH AY0 P AA1 TH AH0 S AH0 S
+palmer P AA1 M ER0
+medicines M EH1 D AH0 S AH0 N Z
+flux F L AH1 K S
+derby D ER1 B IY0
+sao S AW1
+peaceful P IY1 S F AH0 L
+altered AO1 L T ER0 D
+pontiac P AA1 N T IY0 AE2 K
+regression R AH0 G R EH1 SH AH0 N
+doctrine D AA1 K T R AH0 N
+scenic S IY1 N IH0 K
+trainers T R EY1 N ER0 Z
+enhancements EH0 N HH AE1 N S M AH0 N T S
+renewable R IY0 N UW1 AH0 B AH0 L
+intersection IH2 N T ER0 S EH1 K SH AH0 N
+passwords P AE1 S W ER2 D Z
+sewing S OW1 IH0 NG
+consistency K AH0 N S IH1 S T AH0 N S IY0
+collectors K AH0 L EH1 K T ER0 Z
+conclude K AH0 N K L UW1 D
+recognised R EH1 K AH0 G N AY2 Z D
+munich M Y UW1 N IH0 K
+oman OW0 M AA1 N
+celebs S AH0 L EH1 B Z
+propose P R AH0 P OW1 Z
+azerbaijan AA2 Z ER0 B AY0 JH AA1 N
+lighter L AY1 T ER0
+rage R EY1 JH
+adsl EY2 D IY2 EH2 S EH1 L
+uh AH1
+prix P R IY1
+astrology AH0 S T R AA1 L AH0 JH IY0
+advisors AE0 D V AY1 Z ER0 Z
+pavilion P AH0 V IH1 L Y AH0 N
+tactics T AE1 K T IH0 K S
+trusts T R AH1 S T S
+occurring AH0 K ER1 IH0 NG
+supplemental S AH2 P L AH0 M EH1 N T AH0 L
+travelling T R AE1 V AH0 L IH0 NG
+talented T AE1 L AH0 N T IH0 D
+annie AE1 N IY0
+pillow P IH1 L OW0
+induction IH2 N D AH1 K SH AH0 N
+derek D EH1 R IH0 K
+precisely P R IH0 S AY1 S L IY0
+shorter SH AO1 R T ER0
+harley HH AA1 R L IY0
+spreading S P R EH1 D IH0 NG
+provinces P R AA1 V AH0 N S AH0 Z
+relying R IY0 L AY1 IH0 NG
+finals F AY1 N AH0 L Z
+paraguay P EH1 R AH0 G W EY2
+steal S T IY1 L
+parcel P AA1 R S AH0 L
+refined R AH0 F AY1 N D
+bo B OW1
+fifteen F IH0 F T IY1 N
+widespread W AY1 D S P R EH1 D
+incidence IH1 N S AH0 D AH0 N S
+fears F IH1 R Z
+predict P R IH0 D IH1 K T
+boutique B UW0 T IY1 K
+acrylic AH0 K R IH1 L IH0 K
+rolled R OW1 L D
+tuner T UW1 N ER0
+avon EY1 V AA0 N
+incidents IH1 N S AH0 D AH0 N T S
+peterson P IY1 T ER0 S AH0 N
+rays R EY1 Z
+shannon SH AE1 N AH0 N
+toddler T AA1 D L ER0
+enhancing EH0 N HH AE1 N S IH0 NG
+flavor F L EY1 V ER0
+alike AH0 L AY1 K
+walt W AO1 L T
+homeless HH OW1 M L AH0 S
+horrible HH AO1 R AH0 B AH0 L
+hungry HH AH1 NG G R IY0
+metallic M AH0 T AE1 L IH0 K
+acne AE1 K N IY0
+blocked B L AA1 K T
+interference IH2 N T ER0 F IH1 R AH0 N S
+warriors W AO1 R IY0 ER0 Z
+palestine P AE1 L AH0 S T AY2 N
+undo AH0 N D UW1
+cadillac K AE1 D AH0 L AE2 K
+atmospheric AE2 T M AH0 S F EH1 R IH0 K
+malawi M AH0 L AA1 W IY0
+wm W IH1 L Y AH0 M
+dana D EY1 N AH0
+halo HH EY1 L OW0
+ppm P IY1 P IY1 EH1 M
+curtis K ER1 T AH0 S
+parental P ER0 EH1 N T AH0 L
+referenced R EH1 F ER0 AH0 N S T
+strikes S T R AY1 K S
+lesser L EH1 S ER0
+publicity P AH0 B L IH1 S AH0 T IY0
+marathon M EH1 R AH0 TH AA2 N
+ant AE1 N T
+proposition P R AA2 P AH0 Z IH1 SH AH0 N
+gays G EY1 Z
+pressing P R EH1 S IH0 NG
+gasoline G AE1 S AH0 L IY2 N
+apt AE1 P T
+dressed D R EH1 S T
+scout S K AW1 T
+belfast B EH1 L F AE2 S T
+exec EH2 G Z EH1 K
+dealt D EH1 L T
+niagara N AY0 AE1 G R AH0
+eos IY1 AA0 S
+warcraft W AO1 R K R AE2 F T
+charms CH AA1 R M Z
+catalyst K AE1 T AH0 L AH0 S T
+trader T R EY1 D ER0
+bucks B AH1 K S
+allowance AH0 L AW1 AH0 N S
+denial D IH0 N AY1 AH0 L
+uri Y ER1 IY0
+designation D EH2 Z AH0 G N EY1 SH AH0 N
+thrown TH R OW1 N
+prepaid P R IY0 P EY1 D
+raises R EY1 Z AH0 Z
+gem JH EH1 M
+duplicate D UW1 P L AH0 K AH0 T
+electro IH0 L EH1 K T R OW0
+criterion K R AY0 T IH1 R IY0 AH0 N
+badge B AE1 JH
+wrist R IH1 S T
+civilization S IH2 V AH0 L IH0 Z EY1 SH AH0 N
+analyzed AE1 N AH0 L AY2 Z D
+vietnamese V IY0 EH2 T N AA0 M IY1 S
+heath HH IY1 TH
+tremendous T R AH0 M EH1 N D AH0 S
+ballot B AE1 L AH0 T
+lexus L EH1 K S AH0 S
+varying V EH1 R IY0 IH0 NG
+remedies R EH1 M AH0 D IY0 Z
+validity V AH0 L IH1 D AH0 T IY0
+trustee T R AH2 S T IY1
+maui M AW1 IY0
+weighted W EY1 T IH0 D
+angola AE0 NG G OW1 L AH0
+squirt S K W ER1 T
+performs P ER0 F AO1 R M Z
+plastics P L AE1 S T IH0 K S
+realm R EH1 L M
+corrected K ER0 EH1 K T AH0 D
+jenny JH EH1 N IY0
+helmet HH EH1 L M AH0 T
+salaries S AE1 L ER0 IY0 Z
+postcard P OW1 S T K AA2 R D
+elephant EH1 L AH0 F AH0 N T
+yemen Y EH1 M AH0 N
+encountered IH0 N K AW1 N T ER0 D
+tsunami T S UW0 N AA1 M IY0
+scholar S K AA1 L ER0
+nickel N IH1 K AH0 L
+internationally IH2 N T ER0 N AE1 SH AH0 N AH0 L IY0
+surrounded S ER0 AW1 N D IH0 D
+psi S AY1
+buses B AH1 S IH0 Z
+expedia EH0 K S P IY1 D IY0 AH0
+geology JH IY0 AA1 L AH0 JH IY0
+creatures K R IY1 CH ER0 Z
+coating K OW1 T IH0 NG
+commented K AA1 M EH0 N T AH0 D
+wallet W AO1 L AH0 T
+cleared K L IH1 R D
+accomplish AH0 K AA1 M P L IH0 SH
+boating B OW1 T IH0 NG
+drainage D R EY1 N AH0 JH
+shakira SH AE2 K IY1 R AH0
+corners K AO1 R N ER0 Z
+broader B R AO1 D ER0
+vegetarian V EH2 JH AH0 T EH1 R IY2 AH0 N
+rouge R UW1 ZH
+yeast Y IY1 S T
+yale Y EY1 L
+newfoundland N UW1 F AH0 N D L AH0 N D
+pas P AA1 Z
+clearing K L IH1 R IH0 NG
+investigated IH2 N V EH1 S T AH0 G EY2 T AH0 D
+dk D IY1 K EY1
+ambassador AE0 M B AE1 S AH0 D ER0
+coated K OW1 T AH0 D
+intend IH2 N T EH1 N D
+stephanie S T EH1 F AH0 N IY0
+contacting K AA1 N T AE2 K T IH0 NG
+vegetation V EH2 JH AH0 T EY1 SH AH0 N
+doom D UW1 M
+louise L UW0 IY1 Z
+kenny K EH1 N IY2
+specially S P EH1 SH AH0 L IY0
+owen OW1 AH0 N
+routines R UW0 T IY1 N Z
+hitting HH IH1 T IH0 NG
+yukon Y UW1 K AA2 N
+beings B IY1 IH0 NG Z
+bite B AY1 T
+aquatic AH0 K W AA1 T IH0 K
+reliance R IH0 L AY1 AH0 N S
+habits HH AE1 B AH0 T S
+striking S T R AY1 K IH0 NG
+myth M IH1 TH
+infectious IH2 N F EH1 K SH AH0 S
+singh S IH1 NG
+gig G IH1 G
+gilbert G IH1 L B ER0 T
+sas S AE1 S
+ferrari F ER0 AA1 R IY0
+continuity K AA2 N T AH0 N UW1 AH0 T IY0
+brook B R UH1 K
+fu F UW1
+outputs AW1 T P UH2 T S
+phenomenon F AH0 N AA1 M AH0 N AA2 N
+ensemble AA0 N S AA1 M B AH0 L
+insulin IH1 N S AH0 L AH0 N
+assured AH0 SH UH1 R D
+biblical B IH1 B L AH0 K AH0 L
+weed W IY1 D
+conscious K AA1 N SH AH0 S
+accent AH0 K S EH1 N T
+eleven IH0 L EH1 V AH0 N
+wives W AY1 V Z
+ambient AE1 M B IY0 AH0 N T
+utilize Y UW1 T AH0 L AY2 Z
+mileage M AY1 L AH0 JH
+oecd OW2 IY2 S IY2 D IY1
+prostate P R AA1 S T EY2 T
+adaptor AH0 D AE1 P T ER0
+auburn AA1 B ER0 N
+unlock AH0 N L AA1 K
+hyundai HH Y AH1 N D EY2
+pledge P L EH1 JH
+vampire V AE1 M P AY0 R
+angela AE1 N JH AH0 L AH0
+relates R IH0 L EY1 T S
+nitrogen N AY1 T R AH0 JH AH0 N
+xerox Z IH1 R AA0 K S
+dice D AY1 S
+merger M ER1 JH ER0
+softball S AO1 F T B AO2 L
+referrals R IH0 F ER1 AH0 L Z
+quad K W AA1 D
+dock D AA1 K
+differently D IH1 F R AH0 N T L IY0
+nextel N EH1 K S T EH2 L
+framing F R EY1 M IH0 NG
+musician M Y UW0 Z IH1 SH AH0 N
+blocking B L AA1 K IH0 NG
+rwanda R AH0 W AA1 N D AH0
+sorts S AO1 R T S
+integrating IH1 N T AH0 G R EY2 T IH0 NG
+limiting L IH1 M AH0 T IH0 NG
+dispatch D IH0 S P AE1 CH
+revisions R IY0 V IH1 ZH AH0 N Z
+papua P AE1 P Y UW0 AH0
+restored R IH0 S T AO1 R D
+hint HH IH1 N T
+armor AA1 R M ER0
+riders R AY1 D ER0 Z
+chargers CH AA1 R JH ER0 Z
+remark R IH0 M AA1 R K
+dozens D AH1 Z AH0 N Z
+varies V EH1 R IY0 Z
+reasoning R IY1 Z AH0 N IH0 NG
+liz L IH1 Z
+rendered R EH1 N D ER0 D
+picking P IH1 K IH0 NG
+charitable CH AE1 R AH0 T AH0 B AH0 L
+guards G AA1 R D Z
+annotated AE2 N AH0 T EY1 T IH0 D
+ccd S IY2 S IY2 D IY1
+convinced K AH0 N V IH1 N S T
+openings OW1 P AH0 N IH0 NG Z
+buys B AY1 Z
+burlington B ER1 L IH0 NG T AH0 N
+replacing R IH0 P L EY1 S IH0 NG
+researcher R IY1 S ER0 CH ER0
+watershed W AO1 T ER0 SH EH2 D
+councils K AW1 N S AH0 L Z
+occupations AA2 K Y AH0 P EY1 SH AH0 N Z
+acknowledged AE0 K N AA1 L IH0 JH D
+nudity N UW1 D IH0 T IY0
+kruger K R UW1 G ER0
+pockets P AA1 K AH0 T S
+granny G R AE1 N IY0
+pork P AO1 R K
+equilibrium IY2 K W AH0 L IH1 B R IY0 AH0 M
+viral V AY1 R AH0 L
+inquire IH2 N K W AY1 R
+pipes P AY1 P S
+characterized K EH1 R AH0 K T ER0 AY2 Z D
+laden L EY1 D AH0 N
+aruba ER0 UW1 B AH0
+cottages K AA1 T IH0 JH IH0 Z
+realtor R IY1 AH0 L T ER0
+merge M ER1 JH
+privilege P R IH1 V L AH0 JH
+edgar EH1 D G ER0
+develops D IH0 V EH1 L AH0 P S
+qualifying K W AA1 L AH0 F AY2 IH0 NG
+chassis CH AE1 S IY0
+dubai D UW0 B AY1
+estimation EH2 S T AH0 M EY1 SH AH0 N
+barn B AA1 R N
+pushing P UH1 SH IH0 NG
+fleece F L IY1 S
+pediatric P IY2 D IY0 AE1 T R IH0 K
+fare F EH1 R
+asus EY1 S AH0 S
+pierce P IH1 R S
+allan AE1 L AH0 N
+dressing D R EH1 S IH0 NG
+sperm S P ER1 M
+bald B AO1 L D
+craps K R AE1 P S
+fuji F UW1 JH IY0
+frost F R AO1 S T
+leon L IY1 AA0 N
+institutes IH1 N S T AH0 T UW2 T S
+mold M OW1 L D
+dame D EY1 M
+sally S AE1 L IY0
+yacht Y AA1 T
+tracy T R EY1 S IY0
+prefers P R AH0 F ER1 Z
+drilling D R IH1 L IH0 NG
+brochures B R OW0 SH UH1 R Z
+herb ER1 B
+alot AH0 L AA1 T
+ate EY1 T
+breach B R IY1 CH
+whale W EY1 L
+traveller T R AE1 V AH0 L ER0
+appropriations AH0 P R OW2 P R IY0 EY1 SH AH0 N Z
+suspected S AH0 S P EH1 K T IH0 D
+tomatoes T AH0 M EY1 T OW0 Z
+benchmark B EH1 N CH M AA2 R K
+beginners B IH0 G IH1 N ER0 Z
+instructors IH2 N S T R AH1 K T ER0 Z
+highlighted HH AY1 L AY2 T IH0 D
+bedford B EH1 D F ER0 D
+stationery S T EY1 SH AH0 N EH2 R IY0
+idle AY1 D AH0 L
+mustang M AH1 S T AE2 NG
+unauthorized AH0 N AO1 TH ER0 AY2 Z D
+clusters K L AH1 S T ER0 Z
+antibody AE1 N T IH0 B AA2 D IY0
+competent K AA1 M P AH0 T IH0 N T
+momentum M OW0 M EH1 N T AH0 M
+fin F IH1 N
+wiring W AY1 R IH0 NG
+io AY1 OW0
+pastor P AE1 S T ER0
+mud M AH1 D
+calvin K AE1 L V AH0 N
+uni Y UW1 N IY0
+shark SH AA1 R K
+contributor K AH0 N T R IH1 B Y AH0 T ER0
+demonstrates D EH1 M AH0 N S T R EY2 T S
+phases F EY1 Z AH0 Z
+grateful G R EY1 T F AH0 L
+emerald EH1 M R AH0 L D
+gradually G R AE1 JH UW0 AH0 L IY0
+laughing L AE1 F IH0 NG
+grows G R OW1 Z
+cliff K L IH1 F
+desirable D IH0 Z AY1 R AH0 B AH0 L
+tract T R AE1 K T
+ul Y UW1 EH1 L
+ballet B AE0 L EY1
+journalist JH ER1 N AH0 L AH0 S T
+abraham EY1 B R AH0 HH AE2 M
+bumper B AH1 M P ER0
+afterwards AE1 F T ER0 W ER0 D Z
+webpage W EH1 B P IH0 JH
+religions R IY0 L IH1 JH AH0 N Z
+garlic G AA1 R L IH0 K
+hostels HH AA1 S T AH0 L Z
+shine SH AY1 N
+senegal S EH2 N AH0 G AO1 L
+explosion IH0 K S P L OW1 ZH AH0 N
+banned B AE1 N D
+wendy W EH1 N D IY0
+briefs B R IY1 F S
+signatures S IH1 G N AH0 CH ER0 Z
+cove K OW1 V
+mumbai M UH2 M B AY1
+ozone OW1 Z OW2 N
+disciplines D IH1 S AH0 P L AH0 N Z
+casa K AA1 S AH0
+mu M UW1
+daughters D AO1 T ER0 Z
+conversations K AA2 N V ER0 S EY1 SH AH0 N Z
+radios R EY1 D IY0 OW2 Z
+tariff T EH1 R AH0 F
+nvidia EH1 N V IH1 D IY0 AH0
+opponent AH0 P OW1 N AH0 N T
+pasta P AA1 S T AH0
+simplified S IH1 M P L AH0 F AY2 D
+muscles M AH1 S AH0 L Z
+serum S IH1 R AH0 M
+wrapped R AE1 P T
+swift S W IH1 F T
+motherboard M AH1 DH ER0 B AO2 R D
+inbox IH1 N B AA2 K S
+focal F OW1 K AH0 L
+bibliographic B IH2 B L IY0 AA1 G R AA2 F IH0 K
+vagina V AH0 JH AY1 N AH0
+eden IY1 D AH0 N
+distant D IH1 S T AH0 N T
+champagne SH AE0 M P EY1 N
+ala AE1 L AH0
+decimal D EH1 S AH0 M AH0 L
+deviation D IY2 V IY0 EY1 SH AH0 N
+superintendent S UW2 P ER0 AH0 N T EH1 N D AH0 N T
+dip D IH1 P
+nbc EH1 N B IY2 S IY1
+samba S AA1 M B AH0
+hostel HH AA1 S T AH0 L
+housewives HH AW1 S W AY2 V Z
+employ EH0 M P L OY1
+mongolia M AA0 NG G OW1 L IY0 AH0
+penguin P EH1 NG G W AH0 N
+magical M AE1 JH IH0 K AH0 L
+influences IH1 N F L UW2 AH0 N S IH0 Z
+inspections IH2 N S P EH1 K SH AH0 N Z
+irrigation IH2 R AH0 G EY1 SH AH0 N
+miracle M IH1 R AH0 K AH0 L
+manually M AE1 N Y UW0 AH0 L IY0
+reprint R IY0 P R IH1 N T
+reid R IY1 D
+hydraulic HH AY0 D R AO1 L IH0 K
+centered S EH1 N T ER0 D
+robertson R AA1 B ER0 T S AH0 N
+flex F L EH1 K S
+yearly Y IH1 R L IY0
+penetration P EH2 N AH0 T R EY1 SH AH0 N
+wound W AW1 N D
+belle B EH1 L
+rosa R OW1 Z AH0
+conviction K AH0 N V IH1 K SH AH0 N
+hash HH AE1 SH
+omissions OW0 M IH1 SH AH0 N Z
+writings R AY1 T IH0 NG Z
+hamburg HH AE1 M B ER0 G
+lazy L EY1 Z IY0
+mpg EH1 M P IY1 JH IY1
+retrieval R IH0 T R IY1 V AH0 L
+qualities K W AA1 L AH0 T IY0 Z
+cindy S IH1 N D IY0
+lolita L OW0 L IY1 T AH0
+fathers F AA1 DH ER0 Z
+carb K AA1 R B
+charging CH AA1 R JH IH0 NG
+cas K AE1 S
+marvel M AA1 R V AH0 L
+lined L AY1 N D
+cio S IY2 AY2 OW1
+dow D AW1
+prototype P R OW1 T AH0 T AY2 P
+importantly IH2 M P AO1 R T AH0 N T L IY0
+petite P AH0 T IY1 T
+apparatus AE2 P ER0 AE1 T AH0 S
+terrain T ER0 EY1 N
+dui D IY1 Y UW1 AY1
+pens P EH1 N Z
+explaining IH0 K S P L EY1 N IH0 NG
+yen Y EH1 N
+strips S T R IH1 P S
+gossip G AA1 S AH0 P
+rangers R EY1 N JH ER0 Z
+nomination N AA2 M AH0 N EY1 SH AH0 N
+empirical EH2 M P IH1 R IH0 K AH0 L
+mh EH1 M EY1 CH
+rotary R OW1 T ER0 IY0
+worm W ER1 M
+dependence D IH0 P EH1 N D AH0 N S
+discrete D IH0 S K R IY1 T
+beginner B IH0 G IH1 N ER0
+boxed B AA1 K S T
+lid L IH1 D
+sexuality S EH2 K SH UW0 AE1 L AH0 T IY0
+polyester P AA2 L IY2 EH1 S T ER0
+cubic K Y UW1 B IH0 K
+deaf D EH1 F
+commitments K AH0 M IH1 T M AH0 N T S
+suggesting S AH0 JH EH1 S T IH0 NG
+sapphire S AE1 F AY0 ER0
+kinase K AY1 N EY2 Z
+skirts S K ER1 T S
+mats M AE1 T S
+remainder R IH0 M EY1 N D ER0
+crawford K R AO1 F ER0 D
+labeled L EY1 B AH0 L D
+privileges P R IH1 V L AH0 JH AH0 Z
+televisions T EH1 L AH0 V IH2 ZH AH0 N Z
+specializing S P EH1 SH AH0 L AY2 Z IH0 NG
+marking M AA1 R K IH0 NG
+commodities K AH0 M AA1 D AH0 T IY0 Z
+pvc P IY2 V IY2 S IY1
+serbia S ER1 B IY0 AH0
+sheriff SH EH1 R AH0 F
+griffin G R IH1 F IH0 N
+declined D IH0 K L AY1 N D
+guyana G AY2 AA1 N AH0
+spies S P AY1 Z
+blah B L AA1
+mime M AY1 M
+neighbor N EY1 B ER0
+motorcycles M OW1 T ER0 S AY2 K AH0 L Z
+elect IH0 L EH1 K T
+highways HH AY1 W EY2 Z
+thinkpad TH IH1 NG K P AE2 D
+concentrate K AA1 N S AH0 N T R EY2 T
+intimate IH1 N T AH0 M AH0 T
+reproductive R IY2 P R AH0 D AH1 K T IH0 V
+preston P R EH1 S T AH0 N
+deadly D EH1 D L IY0
+cunt K AH1 N T
+bunny B AH1 N IY0
+chevy SH EH1 V IY2
+molecules M AA1 L AH0 K Y UW2 L Z
+rounds R AW1 N D Z
+longest L AO1 NG G AH0 S T
+refrigerator R AH0 F R IH1 JH ER0 EY2 T ER0
+intervals IH1 N T ER0 V AH0 L Z
+sentences S EH1 N T AH0 N S AH0 Z
+dentists D EH1 N T AH0 S T S
+usda Y UW2 EH2 S D IY2 EY1
+exclusion IH0 K S K L UW1 ZH AH0 N
+workstation W ER1 K S T EY2 SH AH0 N
+holocaust HH AA1 L AH0 K AO2 S T
+keen K IY1 N
+flyer F L AY1 ER0
+peas P IY1 Z
+dosage D OW1 S AH0 JH
+receivers R AH0 S IY1 V ER0 Z
+urls Y UW1 AA1 R EH1 L Z
+disposition D IH2 S P AH0 Z IH1 SH AH0 N
+variance V EH1 R IY0 AH0 N S
+navigator N AE1 V AH0 G EY2 T ER0
+investigators IH2 N V EH1 S T AH0 G EY2 T ER0 Z
+cameroon K AE1 M ER0 UW2 N
+baking B EY1 K IH0 NG
+marijuana M EH2 R AH0 W AA1 N AH0
+adaptive AH0 D AE1 P T IH0 V
+computed K AH0 M P Y UW1 T AH0 D
+needle N IY1 D AH0 L
+baths B AE1 TH S
+cathedral K AH0 TH IY1 D R AH0 L
+brakes B R EY1 K S
+og AA1 G
+nirvana N IH0 R V AA1 N AH0
+ko K OW1
+fairfield F EH1 R F IY2 L D
+owns OW1 N Z
+til T IH1 L
+sticky S T IH1 K IY0
+destiny D EH1 S T AH0 N IY0
+generous JH EH1 N ER0 AH0 S
+madness M AE1 D N AH0 S
+emacs IY1 M AE2 K S
+climb K L AY1 M
+blowing B L OW1 IH0 NG
+fascinating F AE1 S AH0 N EY2 T IH0 NG
+landscapes L AE1 N D S K EY2 P S
+heated HH IY1 T AH0 D
+lafayette L AA2 F IY0 EH1 T
+jackie JH AE1 K IY0
+computation K AA2 M P Y AH0 T EY1 SH AH0 N
+hay HH EY1
+cardiovascular K AA2 R D IY0 OW0 V AE1 S K Y AH0 L ER0
+sparc S P AA1 R K
+cardiac K AA1 R D IY0 AE2 K
+salvation S AE0 L V EY1 SH AH0 N
+dover D OW1 V ER0
+adrian EY1 D R IY0 AH0 N
+predictions P R IY0 D IH1 K SH AH0 N Z
+accompanying AH0 K AH1 M P AH0 N IY0 IH0 NG
+vatican V AE1 T IH0 K AH0 N
+brutal B R UW1 T AH0 L
+learners L ER1 N ER0 Z
+selective S AH0 L EH1 K T IH0 V
+arbitration AA2 R B IH0 T R EY1 SH AH0 N
+configuring K AH0 N F IH1 G Y ER0 IH0 NG
+token T OW1 K AH0 N
+editorials EH2 D AH0 T AO1 R IY0 AH0 L Z
+zinc Z IH1 NG K
+sacrifice S AE1 K R AH0 F AY2 S
+seekers S IY1 K ER0 Z
+guru G UW1 R UW2
+isa IY1 S AH0
+removable R IH0 M UW1 V AH0 B AH0 L
+convergence K AH0 N V ER1 JH AH0 N S
+yields Y IY1 L D Z
+gibraltar JH IH0 B R AO1 L T ER0
+levy L EH1 V IY0
+suited S UW1 T IH0 D
+numeric N UW0 M EH1 R IH0 K
+anthropology AE2 N TH R AH0 P AA1 L AH0 JH IY0
+skating S K EY1 T IH0 NG
+kinda K IH1 N D AH0
+aberdeen AE1 B ER0 D IY2 N
+emperor EH1 M P ER0 ER0
+grad G R AE1 D
+malpractice M AE0 L P R AE1 K T AH0 S
+dylan D IH1 L AH0 N
+bras B R AE1 S
+belts B EH1 L T S
+blacks B L AE1 K S
+educated EH1 JH AH0 K EY2 T IH0 D
+rebates R IY1 B EY2 T S
+reporters R IH0 P AO1 R T ER0 Z
+burke B ER1 K
+proudly P R AW1 D L IY0
+pix P IH1 K S
+necessity N AH0 S EH1 S AH0 T IY0
+rendering R EH1 N D ER0 IH0 NG
+mic M IH1 K
+inserted IH2 N S ER1 T AH0 D
+pulling P UH1 L IH0 NG
+kyle K AY1 L
+obesity OW0 B IY1 S AH0 T IY0
+curves K ER1 V Z
+suburban S AH0 B ER1 B AH0 N
+touring T UH1 R IH0 NG
+clara K L AE1 R AH0
+vertex V ER1 T EH2 K S
+hepatitis HH EH2 P AH0 T AY1 T AH0 S
+nationally N AE1 SH AH0 N AH0 L IY0
+tomato T AH0 M EY1 T OW2
+andorra AE0 N D AO1 R AH0
+waterproof W AO1 T ER0 P R UW2 F
+expired IH0 K S P AY1 R D
+travels T R AE1 V AH0 L Z
+flush F L AH1 SH
+waiver W EY1 V ER0
+pale P EY1 L
+specialties S P EH1 SH AH0 L T IY0 Z
+hayes HH EY1 Z
+humanitarian HH Y UW2 M AE2 N AH0 T EH1 R IY0 AH0 N
+invitations IH2 N V IH0 T EY1 SH AH0 N Z
+functioning F AH1 NG K SH AH0 N IH0 NG
+delight D IH0 L AY1 T
+survivor S ER0 V AY1 V ER0
+garcia G AA2 R S IY1 AH0
+cingular S IH2 N G UW0 L ER2
+economies IH0 K AA1 N AH0 M IY0 Z
+alexandria AE2 L AH0 G Z AE1 N D R IY0 AH0
+bacterial B AE0 K T IH1 R IY0 AH0 L
+moses M OW1 Z AH0 S
+counted K AW1 N T IH0 D
+undertake AH1 N D ER0 T EY2 K
+declare D IH0 K L EH1 R
+continuously K AH0 N T IH1 N Y UW0 AH0 S L IY0
+johns JH AA1 N Z
+valves V AE1 L V Z
+gaps G AE1 P S
+impaired IH2 M P EH1 R D
+achievements AH0 CH IY1 V M AH0 N T S
+donors D OW1 N ER0 Z
+tear T EH1 R
+jewel JH UW1 AH0 L
+teddy T EH1 D IY0
+convertible K AH0 N V ER1 T AH0 B AH0 L
+ata AA1 T AH0
+teaches T IY1 CH AH0 Z
+ventures V EH1 N CH ER0 Z
+nil N IH1 L
+stranger S T R EY1 N JH ER0
+tragedy T R AE1 JH AH0 D IY0
+julian JH UW1 L IY0 AH0 N
+nest N EH1 S T
+pam P AE1 M
+dryer D R AY1 ER0
+painful P EY1 N F AH0 L
+velvet V EH1 L V AH0 T
+tribunal T R AH0 B Y UW1 N AH0 L
+ruled R UW1 L D
+nato N EY1 T OW0
+pensions P EH1 N SH AH0 N Z
+prayers P R EH1 R Z
+funky F AH1 NG K IY0
+secretariat S EH2 K R IH0 T EH1 R IY0 AH0 T
+nowhere N OW1 W EH2 R
+cop K AA1 P
+paragraphs P AE1 R AH0 G R AE2 F S
+gale G EY1 L
+joins JH OY1 N Z
+adolescent AE2 D AH0 L EH1 S AH0 N T
+nominations N AA2 M AH0 N EY1 SH AH0 N Z
+wesley W EH1 S L IY0
+dim D IH1 M
+lately L EY1 T L IY0
+cancelled K AE1 N S AH0 L D
+scary S K EH1 R IY0
+mattress M AE1 T R AH0 S
+brunei B R UW0 N AY1
+likewise L AY1 K W AY2 Z
+banana B AH0 N AE1 N AH0
+introductory IH2 N T R AH0 D AH1 K T ER0 IY0
+slovak S L OW1 V AE0 K
+cakes K EY1 K S
+stan S T AE1 N
+reservoir R EH1 Z AH0 V W AA2 R
+occurrence AH0 K ER1 AH0 N S
+idol AY1 D AH0 L
+bloody B L AH1 D IY0
+mixer M IH1 K S ER0
+remind R IY0 M AY1 N D
+worcester W UH1 S T ER0
+demographic D EH2 M AH0 G R AE1 F IH0 K
+charming CH AA1 R M IH0 NG
+mai M AY1
+tooth T UW1 TH
+disciplinary D IH1 S AH0 P L AH0 N EH2 R IY0
+annoying AH0 N OY1 IH0 NG
+respected R IH0 S P EH1 K T IH0 D
+stays S T EY1 Z
+disclose D IH0 S K L OW1 Z
+affair AH0 F EH1 R
+drove D R OW1 V
+washer W AA1 SH ER0
+upset AH0 P S EH1 T
+restrict R IY0 S T R IH1 K T
+springer S P R IH1 NG ER0
+beside B IH0 S AY1 D
+mines M AY1 N Z
+portraits P AO1 R T R AH0 T S
+rebound R IY0 B AW1 N D
+logan L OW1 G AH0 N
+mentor M EH1 N T AO2 R
+interpreted IH2 N T ER1 P R AH0 T AH0 D
+evaluations IH0 V AE2 L Y UW0 EY1 SH AH0 N Z
+fought F AO1 T
+baghdad B AE1 G D AE0 D
+elimination IH0 L IH2 M AH0 N EY1 SH AH0 N
+metres M IY1 T ER0 Z
+hypothetical HH AY2 P AH0 TH EH1 T AH0 K AH0 L
+immigrants IH1 M AH0 G R AH0 N T S
+complimentary K AA2 M P L AH0 M EH1 N T ER0 IY0
+helicopter HH EH1 L IH0 K AA2 P T ER0
+pencil P EH1 N S AH0 L
+freeze F R IY1 Z
+performer P ER0 F AO1 R M ER0
+abu AE1 B UW0
+titled T AY1 T AH0 L D
+commissions K AH0 M IH1 SH AH0 N Z
+sphere S F IH1 R
+moss M AO1 S
+ratios R EY1 SH IY0 OW2 Z
+concord K AA1 N K AO2 R D
+graduated G R AE1 JH UW0 EY2 T IH0 D
+endorsed EH0 N D AO1 R S T
+ty T AY1
+surprising S ER0 P R AY1 Z IH0 NG
+walnut W AO1 L N AH2 T
+lance L AE1 N S
+ladder L AE1 D ER0
+italia IY0 T AE1 L IY0 AH0
+unnecessary AH0 N N EH1 S AH0 S EH2 R IY0
+dramatically D R AH0 M AE1 T IH0 K L IY0
+liberia L AY2 B IH1 R IY2 AH0
+sherman SH ER1 M AH0 N
+cork K AO1 R K
+maximize M AE1 K S AH0 M AY2 Z
+hansen HH AE1 N S AH0 N
+senators S EH1 N AH0 T ER0 Z
+workout W ER1 K AW2 T
+mali M AA1 L IY0
+yugoslavia Y UW2 G OW0 S L AA1 V IY0 AH0
+bleeding B L IY1 D IH0 NG
+characterization K EH2 R AH0 K T ER0 IH0 Z EY1 SH AH0 N
+colon K OW1 L AH0 N
+likelihood L AY1 K L IY0 HH UH2 D
+lanes L EY1 N Z
+purse P ER1 S
+fundamentals F AH2 N D AH0 M EH1 N T AH0 L Z
+contamination K AH0 N T AE2 M AH0 N EY1 SH AH0 N
+mtv EH1 M T IY1 V IY1
+endangered EH0 N D EY1 N JH ER0 D
+compromise K AA1 M P R AH0 M AY2 Z
+masturbation M AE2 S T ER0 B EY1 SH AH0 N
+optimize AA1 P T AH0 M AY2 Z
+stating S T EY1 T IH0 NG
+dome D OW1 M
+caroline K EH1 R AH0 L AY2 N
+leu L UW1
+expiration EH2 K S P ER0 EY1 SH AH0 N
+align AH0 L AY1 N
+peripheral P ER0 IH1 F ER0 AH0 L
+bless B L EH1 S
+engaging EH0 N G EY1 JH IH0 NG
+negotiation N IH0 G OW2 SH IY0 EY1 SH AH0 N
+crest K R EH1 S T
+opponents AH0 P OW1 N AH0 N T S
+triumph T R AY1 AH0 M F
+nominated N AA1 M AH0 N EY2 T AH0 D
+confidentiality K AA2 N F AH0 D EH2 N SH IY0 AE1 L AH0 T IY0
+electoral IH0 L EH1 K T ER0 AH0 L
+welding W EH1 L D IH0 NG
+orgasm AO1 R G AE0 Z AH0 M
+deferred D IH0 F ER1 D
+alternatively AO0 L T ER1 N AH0 T IH0 V L IY0
+heel HH IY1 L
+alloy AE1 L OY2
+condos K AA1 N D OW0 Z
+plots P L AA1 T S
+polished P AA1 L IH0 SH T
+yang Y AE1 NG
+gently JH EH1 N T L IY0
+greensboro G R IY1 N Z B ER0 R OW0
+tulsa T AH1 L S AH0
+locking L AA1 K IH0 NG
+casey K EY1 S IY0
+controversial K AA2 N T R AH0 V ER1 SH AH0 L
+draws D R AO1 Z
+fridge F R IH1 JH
+blanket B L AE1 NG K AH0 T
+bloom B L UW1 M
+simpsons S IH1 M P S AH0 N Z
+lou L UW1
+elliott EH1 L IY0 AH0 T
+recovered R AH0 K AH1 V ER0 D
+fraser F R EY1 Z ER0
+justify JH AH1 S T AH0 F AY2
+upgrading AH0 P G R EY1 D IH0 NG
+blades B L EY1 D Z
+loops L UW1 P S
+surge S ER1 JH
+trauma T R AO1 M AH0
+aw AO1
+tahoe T AE1 HH OW0
+advert AE1 D V ER0 T
+possess P AH0 Z EH1 S
+demanding D IH0 M AE1 N D IH0 NG
+defensive D IH0 F EH1 N S IH0 V
+sip S IH1 P
+flashers F L AE1 SH ER0 Z
+subaru S UW1 B ER0 UW0
+forbidden F AO1 R B IH0 D AH0 N
+vanilla V AH0 N IH1 L AH0
+programmers P R OW1 G R AE2 M ER0 Z
+monitored M AA1 N AH0 T ER0 D
+installations IH2 N S T AH0 L EY1 SH AH0 N Z
+deutschland D OY1 CH L AE0 N D
+picnic P IH1 K N IH2 K
+souls S OW1 L Z
+arrivals ER0 AY1 V AH0 L Z
+spank S P AE1 NG K
+practitioner P R AE0 K T IH1 SH AH0 N ER0
+motivated M OW1 T AH0 V EY2 T AH0 D
+dumb D AH1 M
+smithsonian S M IH0 TH S OW1 N IY0 AH0 N
+hollow HH AA1 L OW0
+vault V AO1 L T
+securely S IH0 K Y UH1 R L IY0
+examining IH0 G Z AE1 M IH0 N IH0 NG
+groove G R UW1 V
+revelation R EH2 V AH0 L EY1 SH AH0 N
+pursuit P ER0 S UW1 T
+delegation D EH2 L AH0 G EY1 SH AH0 N
+wires W AY1 ER0 Z
+dictionaries D IH1 K SH AH0 N EH2 R IY0 Z
+mails M EY1 L Z
+backing B AE1 K IH0 NG
+greenhouse G R IY1 N HH AW2 S
+sleeps S L IY1 P S
+blake B L EY1 K
+transparency T R AE0 N S P EH1 R AH0 N S IY0
+dee D IY1
+travis T R AE1 V IH0 S
+endless EH1 N D L AH0 S
+figured F IH1 G Y ER0 D
+orbit AO1 R B AH0 T
+currencies K ER1 AH0 N S IY0 Z
+niger N AY1 JH ER0
+bacon B EY1 K AH0 N
+survivors S ER0 V AY1 V ER0 Z
+positioning P AH0 Z IH1 SH AH0 N IH0 NG
+heater HH IY1 T ER0
+colony K AA1 L AH0 N IY0
+cannon K AE1 N AH0 N
+circus S ER1 K AH0 S
+promoted P R AH0 M OW1 T IH0 D
+forbes F AO1 R B Z
+mae M EY1
+moldova M OW2 L D OW1 V AH0
+mel M EH1 L
+descending D IH0 S EH1 N D IH0 NG
+spine S P AY1 N
+trout T R AW1 T
+enclosed EH0 N K L OW1 Z D
+feat F IY1 T
+temporarily T EH2 M P ER0 EH1 R AH0 L IY0
+cooked K UH1 K T
+thriller TH R IH1 L ER0
+transmit T R AE0 N Z M IH1 T
+fatty F AE1 T IY0
+gerald JH EH1 R AH0 L D
+pressed P R EH1 S T
+frequencies F R IY1 K W AH0 N S IY0 Z
+scanned S K AE1 N D
+reflections R IH0 F L EH1 K SH AH0 N Z
+hunger HH AH1 NG G ER0
+mariah M ER0 AY1 AH0
+sic S IH1 K
+municipality M Y UW2 N IH0 S AH0 P AE1 L AH0 T IY0
+joyce JH OY1 S
+detective D IH0 T EH1 K T IH0 V
+surgeon S ER1 JH AH0 N
+cement S AH0 M EH1 N T
+experiencing IH0 K S P IH1 R IY0 AH0 N S IH0 NG
+fireplace F AY1 ER0 P L EY2 S
+endorsement EH0 N D AO1 R S M AH0 N T
+planners P L AE1 N ER0 Z
+disputes D IH0 S P Y UW1 T S
+textiles T EH1 K S T AY2 L Z
+missile M IH1 S AH0 L
+closes K L OW1 Z IH0 Z
+psychiatry S AY0 K AY1 AH0 T R IY0
+persistent P ER0 S IH1 S T AH0 N T
+deborah D EH1 B ER0 AH0
+marco M AA1 R K OW0
+assists AH0 S IH1 S T S
+summaries S AH1 M ER0 IY0 Z
+glow G L OW1
+gabriel G EY1 B R IY0 AH0 L
+auditor AO1 D IH0 T ER0
+aquarium AH0 K W EH1 R IY0 AH0 M
+violin V AY0 AH0 L IH1 N
+prophet P R AA1 F AH0 T
+bracket B R AE1 K IH0 T
+isaac AY1 Z AH0 K
+oxide AA1 K S AY2 D
+oaks OW1 K S
+magnificent M AE0 G N IH1 F AH0 S AH0 N T
+erik EH1 R IH0 K
+colleague K AA1 L IY0 G
+naples N EY1 P AH0 L Z
+promptly P R AA1 M P T L IY0
+modems M OW1 D AH0 M Z
+adaptation AE2 D AH0 P T EY1 SH AH0 N
+hu HH UW1
+harmful HH AA1 R M F AH0 L
+paintball P EY1 N T B AA2 L
+prozac P R OW1 Z AE2 K
+sexually S EH1 K SH UW0 AH0 L IY0
+enclosure EH0 N K L OW1 ZH ER0
+acm EY2 S IY2 EH1 M
+dividend D IH1 V IH0 D EH2 N D
+newark N UW1 ER0 K
+paso P AE1 S OW0
+glucose G L UW1 K OW2 S
+phantom F AE1 N T AH0 M
+norm N AO1 R M
+playback P L EY1 B AE2 K
+supervisors S UW2 P ER0 V AY1 Z ER0 Z
+westminster W EH2 S T M IH1 N S T ER0
+turtle T ER1 T AH0 L
+distances D IH1 S T AH0 N S AH0 Z
+absorption AH0 B Z AO1 R P SH AH0 N
+treasures T R EH1 ZH ER0 Z
+warned W AO1 R N D
+neural N UH1 R AH0 L
+ware W EH1 R
+fossil F AA1 S AH0 L
+mia M IY1 AH0
+hometown HH OW1 M T AW2 N
+badly B AE1 D L IY0
+transcripts T R AE1 N S K R IH2 P T S
+apollo AH0 P AA1 L OW0
+wan W AA1 N
+disappointed D IH2 S AH0 P OY1 N T IH0 D
+persian P ER1 ZH AH0 N
+continually K AH0 N T IH1 N Y UW0 AH0 L IY0
+communist K AA1 M Y AH0 N AH0 S T
+collectible K AH0 L EH1 K T AH0 B AH0 L
+handmade HH AE1 N D M EY1 D
+greene G R IY1 N
+entrepreneurs AA2 N T R AH0 P R AH0 N ER1 Z
+robots R OW1 B AA2 T S
+grenada G R IH0 N EY1 D AH0
+creations K R IY0 EY1 SH AH0 N Z
+jade JH EY1 D
+scoop S K UW1 P
+acquisitions AE2 K W AH0 Z IH1 SH AH0 N Z
+foul F AW1 L
+keno K IY1 N OW0
+earning ER1 N IH0 NG
+mailman M EY1 L M AE2 N
+sanyo S AA1 N Y OW0
+nested N EH1 S T AH0 D
+biodiversity B AY2 OW0 D AY0 V ER1 S AH0 T IY0
+excitement IH0 K S AY1 T M AH0 N T
+somalia S AH0 M AA1 L IY0 AH0
+movers M UW1 V ER0 Z
+verbal V ER1 B AH0 L
+blink B L IH1 NG K
+presently P R EH1 Z AH0 N T L IY0
+seas S IY1 Z
+carlo K AA1 R L OW0
+workflow W ER1 K F L OW2
+mysterious M IH0 S T IH1 R IY0 AH0 S
+novelty N AA1 V AH0 L T IY0
+bryant B R AY1 AH0 N T
+tiles T AY1 L Z
+librarian L AY0 B R EH1 R IY2 AH0 N
+subsidiaries S AH0 B S IH1 D IY0 EH2 R IY0 Z
+switched S W IH1 CH T
+stockholm S T AA1 K HH OW2 L M
+tamil T AH0 M IH1 L
+ru R UW1
+pose P OW1 Z
+fuzzy F AH1 Z IY0
+indonesian IH2 N D OW0 N IY1 ZH AH0 N
+grams G R AE1 M Z
+therapist TH EH1 R AH0 P AH0 S T
+richards R IH1 CH ER0 D Z
+budgets B AH1 JH IH0 T S
+promising P R AA1 M AH0 S IH0 NG
+relaxation R IY2 L AE0 K S EY1 SH AH0 N
+goat G OW1 T
+render R EH1 N D ER0
+carmen K AA1 R M AH0 N
+ira AY1 R AH0
+sen S EH1 N
+thereafter DH EH0 R AE1 F T ER0
+hardwood HH AA1 R D W UH2 D
+erotica IH0 R AA1 T IH0 K AH0
+temporal T EH1 M P ER0 AH0 L
+sail S EY1 L
+forge F AO1 R JH
+commissioners K AH0 M IH1 SH AH0 N ER0 Z
+dense D EH1 N S
+brave B R EY1 V
+forwarding F AO1 R W ER0 D IH0 NG
+awful AA1 F AH0 L
+nightmare N AY1 T M EH2 R
+airplane EH1 R P L EY2 N
+reductions R IY0 D AH1 K SH AH0 N Z
+southampton S AW2 TH HH AE1 M P T AH0 N
+istanbul IH2 S T AA0 N B UW1 L
+impose IH2 M P OW1 Z
+organisms AO1 R G AH0 N IH2 Z AH0 M Z
+sega S IY1 G AH0
+telescope T EH1 L AH0 S K OW2 P
+viewers V Y UW1 ER0 Z
+asbestos AE0 S B EH1 S T AH0 S
+portsmouth P AO1 R T S M AH0 TH
+meyer M AY1 ER0
+enters EH1 N T ER0 Z
+pod P AA1 D
+savage S AE1 V AH0 JH
+advancement AH0 D V AE1 N S M AH0 N T
+wu W UW1
+harassment HH ER0 AE1 S M AH0 N T
+willow W IH1 L OW2
+resumes R IH0 Z UW1 M Z
+bolt B OW1 L T
+gage G EY1 JH
+throwing TH R OW1 IH0 NG
+existed IH0 G Z IH1 S T AH0 D
+whore HH AO1 R
+generators JH EH1 N ER0 EY2 T ER0 Z
+lu L UW1
+wagon W AE1 G AH0 N
+barbie B AA1 R B IY0
+dat D AE1 T
+favour F EY1 V ER0
+knock N AA1 K
+urge ER1 JH
+generates JH EH1 N ER0 EY2 T S
+potatoes P AH0 T EY1 T OW0 Z
+thorough TH ER1 OW0
+replication R EH2 P L AH0 K EY1 SH AH0 N
+inexpensive IH2 N IH0 K S P EH1 N S IH0 V
+kurt K ER1 T
+receptors R AH0 S EH1 P T ER0 Z
+peers P IH1 R Z
+roland R OW1 L AH0 N D
+optimum AA1 P T AH0 M AH0 M
+neon N IY1 AA0 N
+interventions IH2 N T ER0 V EH1 N SH AH0 N Z
+quilt K W IH1 L T
+huntington HH AH1 N T IH0 NG T AH0 N
+creature K R IY1 CH ER0
+ours AW1 ER0 Z
+mounts M AW1 N T S
+syracuse S IH1 R AH0 K Y UW2 Z
+internship IH1 N T ER0 N SH IH2 P
+lone L OW1 N
+refresh R IH0 F R EH1 SH
+aluminium AH0 L UW1 M IH0 N AH0 M
+snowboard S N OW1 B AO2 R D
+michel M IH0 SH EH1 L
+evanescence EH2 V AH0 N EH1 S AH0 N S
+subtle S AH1 T AH0 L
+coordinated K OW0 AO1 R D AH0 N EY0 T IH0 D
+notre N OW1 T R AH0
+shipments SH IH1 P M AH0 N T S
+maldives M AO1 L D AY2 V Z
+stripes S T R AY1 P S
+firmware F ER1 M W EH2 R
+antarctica AE2 N T AA1 R K T IH0 K AH0
+cope K OW1 P
+shepherd SH EH1 P ER0 D
+canberra K AE2 N B EH1 R AH0
+cradle K R EY1 D AH0 L
+chancellor CH AE1 N S AH0 L ER0
+mambo M AA1 M B OW0
+lime L AY1 M
+kirk K ER1 K
+flour F L AW1 ER0
+controversy K AA1 N T R AH0 V ER2 S IY0
+legendary L EH1 JH AH0 N D EH2 R IY0
+sympathy S IH1 M P AH0 TH IY0
+choir K W AY1 ER0
+avoiding AH0 V OY1 D IH0 NG
+beautifully B Y UW1 T AH0 F L IY0
+blond B L AA1 N D
+expects IH0 K S P EH1 K T S
+cho CH OW1
+jumping JH AH1 M P IH0 NG
+fabrics F AE1 B R IH0 K S
+antibodies AE1 N T IH0 B AA2 D IY0 Z
+polymer P AA1 L AH0 M ER0
+hygiene HH AY1 JH IY2 N
+wit W IH1 T
+poultry P OW1 L T R IY0
+virtue V ER1 CH UW0
+burst B ER1 S T
+examinations IH0 G Z AE2 M AH0 N EY1 SH AH0 N Z
+surgeons S ER1 JH AH0 N Z
+bouquet B UW0 K EY1
+immunology IH2 M Y UW0 N AA1 L AH0 JH IY0
+promotes P R AH0 M OW1 T S
+mandate M AE1 N D EY2 T
+wiley W AY1 L IY0
+departmental D IH0 P AA2 R T M EH1 N AH0 L
+spas S P AA1 Z
+corpus K AO1 R P AH0 S
+johnston JH AA1 N S T AH0 N
+terminology T ER2 M IH0 N AA1 L AH0 JH IY0
+gentleman JH EH1 N T AH0 L M AH0 N
+fibre F AY1 B ER0
+reproduce R IY2 P R AH0 D UW1 S
+convicted K AH0 N V IH1 K T AH0 D
+shades SH EY1 D Z
+jets JH EH1 T S
+indices IH1 N D IH0 S IY2 Z
+roommates R UW1 M EY2 T S
+qui K IY1
+threatening TH R EH1 T AH0 N IH0 NG
+spokesman S P OW1 K S M AH0 N
+zoloft Z AA1 L AA0 F T
+activists AE1 K T AH0 V AH0 S T S
+frankfurt F R AE1 NG K F ER0 T
+prisoner P R IH1 Z AH0 N ER0
+daisy D EY1 Z IY0
+halifax HH AE1 L IH0 F AE2 K S
+encourages EH0 N K ER1 IH0 JH IH0 Z
+cursor K ER1 S ER0
+assembled AH0 S EH1 M B AH0 L D
+earliest ER1 L IY0 AH0 S T
+donated D OW1 N EY2 T IH0 D
+stuffed S T AH1 F T
+restructuring R IY0 S T R AH1 K CH ER0 IH0 NG
+insects IH1 N S EH2 K T S
+terminals T ER1 M AH0 N AH0 L Z
+crude K R UW1 D
+morrison M AO1 R IH0 S AH0 N
+maiden M EY1 D AH0 N
+simulations S IH2 M Y UW0 L EY1 SH AH0 N Z
+sufficiently S AH0 F IH1 SH AH0 N T L IY0
+examines IH0 G Z AE1 M AH0 N Z
+viking V AY1 K IH0 NG
+myrtle M ER1 T AH0 L
+bored B AO1 R D
+cleanup K L IY1 N AH2 P
+yarn Y AA1 R N
+knit N IH1 T
+conditional K AH0 N D IH1 SH AH0 N AH0 L
+mug M AH1 G
+crossword K R AO1 S W ER2 D
+bother B AA1 DH ER0
+budapest B UW1 D AH0 P EH2 S T
+conceptual K AH0 N S EH1 P CH UW0 AH0 L
+knitting N IH1 T IH0 NG
+attacked AH0 T AE1 K T
+bhutan B UW2 T AE1 N
+liechtenstein L IH1 K T AH0 N S T AY2 N
+mating M EY1 T IH0 NG
+compute K AH0 M P Y UW1 T
+redhead R EH1 D HH EH2 D
+arrives ER0 AY1 V Z
+translator T R AE0 N S L EY1 T ER0
+automobiles AO1 T AH0 M OW0 B IY2 L Z
+tractor T R AE1 K T ER0
+allah AA1 L AH0
+continent K AA1 N T AH0 N AH0 N T
+unwrap AH0 N R AE1 P
+fares F EH1 R Z
+longitude L AA1 N JH AH0 T UW2 D
+resist R IH0 Z IH1 S T
+challenged CH AE1 L AH0 N JH D
+hoped HH OW1 P T
+pike P AY1 K
+safer S EY1 F ER0
+insertion IH2 N S ER1 SH AH0 N
+instrumentation IH2 N S T R AH0 M EH2 N T EY1 SH AH0 N
+ids AY1 D IY1 Z
+hugo HH Y UW1 G OW0
+wagner W AE1 G N ER0
+constraint K AH0 N S T R EY1 N T
+groundwater G R AW1 N D W AA2 T ER0
+touched T AH1 CH T
+strengthening S T R EH1 NG TH AH0 N IH0 NG
+cologne K AH0 L OW1 N
+wishing W IH1 SH IH0 NG
+ranger R EY1 N JH ER0
+smallest S M AO1 L AH0 S T
+insulation IH2 N S AH0 L EY1 SH AH0 N
+newman N UW1 M AH0 N
+marsh M AA1 R SH
+ricky R IH1 K IY2
+scared S K EH1 R D
+theta TH EY1 T AH0
+infringement IH2 N F R IH1 N JH M AH0 N T
+bent B EH1 N T
+laos L AA1 OW0 S
+subjective S AH0 B JH EH1 K T IH0 V
+monsters M AA1 N S T ER0 Z
+asylum AH0 S AY1 L AH0 M
+robbie R AA1 B IY0
+stake S T EY1 K
+cocktail K AA1 K T EY2 L
+outlets AW1 T L EH2 T S
+swaziland S W AA1 Z IH0 L AH0 N D
+varieties V ER0 AY1 AH0 T IY0 Z
+arbor AA1 R B ER0
+configurations K AH0 N F IH2 G Y ER0 EY1 SH AH0 N Z
+poison P OY1 Z AH0 N
+`;
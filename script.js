@@ -12,6 +12,94 @@ const supportMessage = document.querySelector('#supportMessage');
 const recognizedOutput = document.querySelector('#recognizedOutput');
 const localeSelect = document.querySelector('#localeSelect');
 const sessionSummary = document.querySelector('#sessionSummary');
+const fuzzyMatchToggle = document.querySelector('#fuzzyMatchToggle');
+const characterMatchToggle = document.querySelector('#characterMatchToggle');
+const freeReadingToggle = document.querySelector('#freeReadingToggle');
+const engineSelect = document.querySelector('#engineSelect');
+const ttsControls = document.querySelector('#ttsControls');
+const playSentenceButton = document.querySelector('#playSentenceButton');
+const voiceSelect = document.querySelector('#voiceSelect');
+const rateInput = document.querySelector('#rateInput');
+const shadowingButton = document.querySelector('#shadowingButton');
+const shadowingAttemptsInput = document.querySelector('#shadowingAttemptsInput');
+const recordToggle = document.querySelector('#recordToggle');
+const voiceCommandsToggle = document.querySelector('#voiceCommandsToggle');
+const voiceCommandFields = document.querySelector('#voiceCommandFields');
+const voiceCommandFeedback = document.querySelector('#voiceCommandFeedback');
+const micLevelMeter = document.querySelector('#micLevelMeter');
+const micLevelBar = document.querySelector('#micLevelBar');
+const testMicButton = document.querySelector('#testMicButton');
+const micTestPanel = document.querySelector('#micTestPanel');
+const micTestResults = document.querySelector('#micTestResults');
+const waveformToggle = document.querySelector('#waveformToggle');
+const recordingsPanel = document.querySelector('#recordingsPanel');
+const recordingsList = document.querySelector('#recordingsList');
+const recordingsMessage = document.querySelector('#recordingsMessage');
+const segmentModeSelect = document.querySelector('#segmentModeSelect');
+const segmentNavigation = document.querySelector('#segmentNavigation');
+const prevSegmentButton = document.querySelector('#prevSegmentButton');
+const nextSegmentButton = document.querySelector('#nextSegmentButton');
+const segmentPosition = document.querySelector('#segmentPosition');
+const segmentOverview = document.querySelector('#segmentOverview');
+const segmentOverviewSummary = document.querySelector('#segmentOverviewSummary');
+const localEndpointInput = document.querySelector('#localEndpointInput');
+const historyButton = document.querySelector('#historyButton');
+const historyPanel = document.querySelector('#historyPanel');
+const historyLocaleSelect = document.querySelector('#historyLocaleSelect');
+const historyStats = document.querySelector('#historyStats');
+const historyTrend = document.querySelector('#historyTrend');
+const historyTroubleWords = document.querySelector('#historyTroubleWords');
+const clearHistoryButton = document.querySelector('#clearHistoryButton');
+const drillButton = document.querySelector('#drillButton');
+const drillContext = document.querySelector('#drillContext');
+const minimalPairsButton = document.querySelector('#minimalPairsButton');
+const pairContrastSelect = document.querySelector('#pairContrastSelect');
+const lessonTitleInput = document.querySelector('#lessonTitleInput');
+const lessonTagsInput = document.querySelector('#lessonTagsInput');
+const saveLessonButton = document.querySelector('#saveLessonButton');
+const lessonSearchInput = document.querySelector('#lessonSearchInput');
+const lessonList = document.querySelector('#lessonList');
+const libraryMessage = document.querySelector('#libraryMessage');
+const exportLessonsButton = document.querySelector('#exportLessonsButton');
+const importLessonsButton = document.querySelector('#importLessonsButton');
+const importLessonsInput = document.querySelector('#importLessonsInput');
+const sidebar = document.querySelector('#sidebar');
+const importFileButton = document.querySelector('#importFileButton');
+const importFileInput = document.querySelector('#importFileInput');
+const reportExport = document.querySelector('#reportExport');
+const reportFormatSelect = document.querySelector('#reportFormatSelect');
+const exportReportButton = document.querySelector('#exportReportButton');
+const shareButton = document.querySelector('#shareButton');
+const sharePanel = document.querySelector('#sharePanel');
+const shareLinkOutput = document.querySelector('#shareLinkOutput');
+const copyShareLinkButton = document.querySelector('#copyShareLinkButton');
+const resultCodeRow = document.querySelector('#resultCodeRow');
+const resultCodeOutput = document.querySelector('#resultCodeOutput');
+const copyResultCodeButton = document.querySelector('#copyResultCodeButton');
+const resultCodeInput = document.querySelector('#resultCodeInput');
+const checkResultCodeButton = document.querySelector('#checkResultCodeButton');
+const resultCodeDetails = document.querySelector('#resultCodeDetails');
+const phonemeFeedback = document.querySelector('#phonemeFeedback');
+const wordActions = document.querySelector('#wordActions');
+const wordActionsLabel = document.querySelector('#wordActionsLabel');
+const hearWordButton = document.querySelector('#hearWordButton');
+const practiceAgainButton = document.querySelector('#practiceAgainButton');
+const undoSkipButton = document.querySelector('#undoSkipButton');
+const markCorrectButton = document.querySelector('#markCorrectButton');
+const markIncorrectButton = document.querySelector('#markIncorrectButton');
+const closeWordActionsButton = document.querySelector('#closeWordActionsButton');
+const lexiconButton = document.querySelector('#lexiconButton');
+const variantPanel = document.querySelector('#variantPanel');
+const variantEditor = document.querySelector('#variantEditor');
+const variantWord = document.querySelector('#variantWord');
+const textVariantsInput = document.querySelector('#textVariantsInput');
+const localeVariantsInput = document.querySelector('#localeVariantsInput');
+const saveVariantsButton = document.querySelector('#saveVariantsButton');
+const variantMessage = document.querySelector('#variantMessage');
+const exportLexiconButton = document.querySelector('#exportLexiconButton');
+const importLexiconButton = document.querySelector('#importLexiconButton');
+const importLexiconInput = document.querySelector('#importLexiconInput');
+const phonemeFeedbackList = document.querySelector('#phonemeFeedbackList');
 
 // Optional "skip word" control (may or may not exist in the DOM)
 const skipWordButton = document.querySelector('#skipWordButton');
@@ -27,17 +115,162 @@ const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecogni
 // localStorage keys
 const STORAGE_KEY_TEXT = 'speechPronunciation_text';
 const STORAGE_KEY_LOCALE = 'speechPronunciation_locale';
+const STORAGE_KEY_FUZZY = 'speechPronunciation_fuzzy';
+const STORAGE_KEY_CHARACTER_MATCH = 'speechPronunciation_characterMatch';
+const STORAGE_KEY_FREE_READING = 'speechPronunciation_freeReading';
+const STORAGE_KEY_ENGINE = 'speechPronunciation_engine';
+const STORAGE_KEY_LOCAL_ENDPOINT = 'speechPronunciation_localEndpoint';
+const STORAGE_KEY_TTS_VOICE = 'speechPronunciation_ttsVoice';
+const STORAGE_KEY_TTS_RATE = 'speechPronunciation_ttsRate';
+const STORAGE_KEY_SHADOWING_ATTEMPTS = 'speechPronunciation_shadowingAttempts';
+const STORAGE_KEY_RECORDING = 'speechPronunciation_recording';
+const STORAGE_KEY_WAVEFORMS = 'speechPronunciation_waveforms';
+const STORAGE_KEY_SEGMENT_MODE = 'speechPronunciation_segmentMode';
+const STORAGE_KEY_TEXT_SEGMENT_MODE = 'speechPronunciation_textSegmentMode';
+const STORAGE_KEY_VOICE_COMMANDS = 'speechPronunciation_voiceCommands';
+const STORAGE_KEY_VOICE_COMMAND_PHRASES = 'speechPronunciation_voiceCommandPhrases';
 
-let recognition = null;
+// IndexedDB storage
+const DB_NAME = 'speechPronunciation';
+const DB_VERSION = 5;
+const STORE_RECORDINGS = 'recordings';
+const STORE_HISTORY = 'history';
+const STORE_DECK = 'deck';
+const STORE_LESSONS = 'lessons';
+const STORE_LEXICON = 'lexicon';
+let databasePromise = null;
+
+let recognition = null;      // Active recognition engine (see createRecognitionEngine)
 let targetWords = [];        // Normalized target words for comparison
 let displayWords = [];       // Original words for display
+let viewText = '';           // Raw text currently shown in the Text View (the current segment)
 let isListening = false;
 let currentMatchIndex = 0;   // Track the furthest matched position
-let rawTranscript = '';      // Store raw transcript for display
 let silenceTimer = null;     // Timer for detecting long silences
 const SILENCE_TIMEOUT = 10000; // 10 seconds of silence before prompting
 const skippedIndices = new Set(); // Track target word indices explicitly skipped by the user
-let lastRecognizedWords = []; // Cache last normalized recognition result for re-rendering (e.g., after skip)
+
+// Committed session progress. Finalized results are appended here and
+// survive engine auto-restarts, stop/start cycles and skips.
+let committedStatuses = [];   // Per target index: null or { status: 'match'|'close', confidence }
+let committedTranscript = []; // Finalized recognized tokens: { raw, word, match, details, at, run }
+let freeReadingStatuses = []; // Free reading, per target index: null, 'substituted' or 'omitted'
+let alignmentAnchor = null;   // Free reading, settled alignment: { spoken, target, alignment } or null
+let pairScoreCache = null;    // Scores of recognized words against target words, for the current settings
+let committedResultIndex = 0; // Results of the current engine run already committed
+let interimWords = [];        // Normalized words of the pending (non-final) hypothesis
+let interimDetails = [];      // Per-word confidence and alternatives matching interimWords
+let pendingWordTimes = [];    // When each uncommitted word of this engine run was first heard
+// First start, last stop and total listening time on the text in the view
+let sessionTiming = { startedAt: null, endedAt: null, listeningMs: 0, listeningSince: null, runs: 0, longSilences: 0 };
+// Manual changes made from the word chips, kept apart from recognition
+let wordOverrides = [];       // Per target index: null, 'correct', 'incorrect' or 'jumped' (passed over by a jump)
+let overrideLog = [];         // Every override in order: { action: 'jump'|'unskip'|'correct'|'incorrect', index, at }
+let selectedWordIndex = null; // Chip whose actions are shown
+
+// N-best recognition settings
+const MAX_ALTERNATIVES = 5;            // Hypotheses requested from the recognizer per result
+const MIN_ALTERNATIVE_CONFIDENCE = 0.05; // Alternatives below this are not considered plausible
+const LOW_CONFIDENCE_THRESHOLD = 0.6;  // Matches below this are shaded on the chip
+
+// Text-to-speech reference playback
+const TTS_DEFAULT_RATE = 0.9;
+let speakingUtterance = null; // Utterance currently being played, if any
+
+// Shadowing mode: listen to a sentence, then repeat it
+const SHADOWING_DEFAULT_ATTEMPTS = 3;
+const SHADOWING_PAUSE = 2500;            // Silence after speech that ends an attempt
+const SHADOWING_BASE_TIMEOUT = 5000;     // Max attempt length: base…
+const SHADOWING_TIMEOUT_PER_WORD = 800;  // …plus this per word
+const SHADOWING_NEXT_DELAY = 1200;       // Pause before the next playback
+let shadowing = null; // Active shadowing run, or null
+
+// Long texts are practiced one segment (sentence or paragraph) at a time;
+// progress snapshots of segments not in view are kept in `progress`
+let practiceSegments = { sourceText: '', mode: 'sentence', texts: [], index: 0, progress: [] };
+const SEGMENT_MODES = ['sentence', 'paragraph', 'text'];
+// Segment mode that goes with the sidebar text (an imported document is
+// split by paragraph), or null to use the selected one
+let textSegmentMode = null;
+
+// Learner recordings (one take per listening session)
+const MAX_RECORDINGS_PER_TEXT = 10;
+const MIN_RECORDING_MS = 500;   // Shorter takes are discarded
+let activeRecording = null;     // Take being recorded, or null
+let playingRecording = null;    // Audio element playing a take, or null
+let waveformContext = null;     // AudioContext used to decode takes for waveforms
+
+// Microphone diagnostics
+const MIC_TEST_DURATION = 3000;   // How long the test listens for speech
+const MIC_SILENT_PEAK = 0.01;     // Peak below this: nothing was picked up
+const MIC_QUIET_RMS = 0.03;       // Loudest moment below this: too quiet for recognition
+const MIC_CLIP_LEVEL = 0.99;      // Samples this close to full scale are clipped
+const MIC_CLIP_RATIO = 0.02;      // Share of clipped frames that calls for a lower input volume
+let levelMeter = null;            // Live input level while listening: { stream, context, frame }
+let micTestRunning = false;
+
+// Practice history (one record per listening session)
+const HISTORY_TREND_DAYS = 30;     // Practice days shown in the accuracy trend
+const HISTORY_TROUBLE_WORDS = 10;  // Most-missed words listed per locale
+let historySession = null;         // Listening session being collected, or null
+
+// Spaced-repetition drill of trouble words (SM-2 scheduling)
+const DRILL_MIN_MISSES = 2;     // Missed attempts that make a word a trouble word
+const DRILL_MAX_MISSES = 3;     // Missed attempts before a drilled word is failed
+const DRILL_SESSION_SIZE = 20;  // Due words drilled per session
+const DRILL_TIMEOUT = 8000;     // Give up on a word after this long
+const DRILL_NEXT_DELAY = 1500;  // Pause before the next word
+const SM2_DEFAULT_EASE = 2.5;
+const SM2_MIN_EASE = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+let drill = null; // Active drill run, or null
+
+// Minimal-pair drill (ship/sheep): say the prompted word of a pair
+const MINIMAL_PAIR_SESSION_SIZE = 12; // Trials per run
+const MINIMAL_PAIR_TIMEOUT = 6000;    // An attempt with neither word heard by then is unclear
+const MINIMAL_PAIR_NEXT_DELAY = 1500; // Pause before the next trial
+let minimalPairs = null; // Active minimal-pair run, or null
+
+// Accepted variants: recognizer outputs accepted for a word, for one
+// text ("text" scope) or for every text in a locale ("locale" scope)
+const LEXICON_BUNDLE_FORMAT = 'speechPronunciation.lexicon';
+let lexiconEntries = [];            // Stored entries for the text and locale in view
+let acceptedVariants = new Map();   // Target word → Set of accepted recognized forms
+let variantEditorIndex = null;      // Target index whose variants are being edited
+
+// Lesson library
+const LESSON_BUNDLE_FORMAT = 'speechPronunciation.lessons';
+const LESSON_TITLE_LENGTH = 40; // Untitled lessons are named after their first characters
+
+// Shareable assignments (#assignment=… links) and their result codes
+const ASSIGNMENT_VERSION = 1;
+const ASSIGNMENT_HASH_KEY = 'assignment';
+// Result code versions: R1 packs four statuses three to a character,
+// R2 adds self-marked and free-reading statuses and packs two
+const RESULT_CODE_VERSIONS = {
+  R1: { codes: ['m', 'c', 's', '-'], perChar: 3 },
+  R2: { codes: ['m', 'c', 's', '-', 'y', 'n', 'u', 'o'], perChar: 2 }
+};
+const RESULT_CODE_VERSION = 'R2';
+const RESULT_STATUS_NAMES = {
+  m: 'matched',
+  c: 'close',
+  s: 'skipped',
+  '-': 'not-done',
+  y: 'marked-correct',
+  n: 'marked-incorrect',
+  u: 'substituted',
+  o: 'omitted'
+};
+const RESULT_CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const RESULT_CHECKSUM_LENGTH = 6;
+let activeAssignment = null; // { id, completed } while an assignment link's text is in the view
+let applyingAssignmentLocale = false; // An assignment's language applies to the visit only and is not saved
+
+// Phoneme-level feedback (English, from the bundled lexicon in lexicon-en.js)
+const PHONEME_FEEDBACK_LANGUAGES = new Set(['en']);
+const MAX_PHONEME_FEEDBACK = 3; // Most recent mispronounced words explained
+let pronunciationLexicon = null; // Map of word → ARPAbet phonemes, built on first use
 
 /**
  * Debug logging helper
@@ -59,27 +292,13 @@ const debounce = (fn, delay = 100) => {
   };
 };
 
-// Queue for recognition rendering to avoid excessive DOM churn
-let pendingRecognition = null;
+// Rendering is debounced to avoid excessive DOM churn; recognition
+// results themselves are committed synchronously as they arrive.
 const renderRecognition = debounce(() => {
-  if (!pendingRecognition) return;
-
-  const { recognizedWords } = pendingRecognition;
-  pendingRecognition = null;
+  if (!isListening) return;
 
   updateSessionStatus('Listening…', 'status-listening');
-
-  if (!recognizedWords.length) {
-    setRecognizedMessage('Listening…');
-    return;
-  }
-
-  if (recognizedWords.length && targetWords.length) {
-    applyWordHighlights(recognizedWords);
-  } else {
-    // Fall back to raw transcript for readability when no targets
-    setRecognizedMessage(rawTranscript || recognizedWords.join(' '));
-  }
+  renderProgress();
 }, 100);
 
 /**
@@ -87,709 +306,7962 @@ const renderRecognition = debounce(() => {
  * Uses Unicode-aware regex to support international characters
  */
 const normalizeWord = word => {
-  // Remove non-letter/non-number characters, keeping Unicode letters
-  return word.replace(/[^\p{L}\p{N}]/gu, '').toLocaleLowerCase();
+  // Remove non-letter/non-number characters, keeping Unicode letters and
+  // combining marks (Thai and Indic vowel signs and tone marks are marks)
+  return word.replace(/[^\p{L}\p{M}\p{N}]/gu, '').toLocaleLowerCase();
 };
 
 /**
- * Split text into words, preserving original form and creating normalized version
+ * Locales whose words are written in Latin script, where a phonetic key
+ * (Metaphone) is a meaningful way to compare near-misses
  */
-const parseText = rawText => {
-  const words = rawText.trim().split(/\s+/).filter(Boolean);
-  return words.map(word => ({
-    original: word,
-    normalized: normalizeWord(word)
-  }));
-};
+const LATIN_SCRIPT_LANGUAGES = new Set(['en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'pl', 'tr']);
+
+// Languages written without spaces between words; these are split
+// with Intl.Segmenter instead of on whitespace
+const UNSPACED_LANGUAGES = new Set(['zh', 'ja', 'th', 'lo', 'km', 'my']);
+
+// Languages that can optionally be practiced character by character
+const CHARACTER_MATCH_LANGUAGES = new Set(['zh', 'ja', 'ko']);
+
+const CJK_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_CHARACTER_OR_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
 
 /**
- * Normalize raw text into array of lowercase words for comparison
+ * Get the currently selected practice locale
  */
-const normalizeWords = rawText => {
-  return rawText
-    .trim()
-    .split(/\s+/)
-    .map(word => normalizeWord(word))
-    .filter(Boolean);
+const getCurrentLocale = () => {
+  return (localeSelect && localeSelect.value) || (recognition && recognition.lang) || 'en-US';
 };
 
 /**
- * Create a word chip element for display
+ * Get the language subtag of a locale (e.g. "zh" for "zh-CN")
  */
-const createWordChip = (wordData, index) => {
-  const chip = document.createElement('span');
-  chip.className = 'word-chip';
-  chip.id = `word-${index}`;
-  chip.dataset.index = String(index);
-  chip.dataset.normalized = wordData.normalized;
-  chip.textContent = wordData.original;
-  chip.setAttribute('role', 'listitem');
-  return chip;
-};
+const getLanguage = locale => String(locale || '').split('-')[0].toLowerCase();
 
 /**
- * Render word chips in the container
+ * Check whether a locale uses Latin script
  */
-const renderWordCards = words => {
-  wordsContainer.innerHTML = '';
-  words.forEach((wordData, index) => {
-    wordsContainer.appendChild(createWordChip(wordData, index));
-  });
-};
+const isLatinScriptLocale = locale => LATIN_SCRIPT_LANGUAGES.has(getLanguage(locale));
 
 /**
- * Reset all word highlights to default state
+ * Check whether text in this locale is matched character by character
  */
-const resetWordHighlights = () => {
-  wordsContainer.querySelectorAll('.word-chip').forEach(chip => {
-    chip.classList.remove('word-match', 'word-mismatch', 'word-current');
-  });
+const isCharacterMatchLocale = locale => {
+  return matchSettings.characterMatch && CHARACTER_MATCH_LANGUAGES.has(getLanguage(locale));
 };
 
+// Intl.Segmenter instances are relatively expensive; keep one per locale
+const wordSegmenters = new Map();
+
 /**
- * Word matching algorithm with strict sequential alignment.
- * - You can only advance to the next target word if the
- *   current word was pronounced correctly OR explicitly skipped.
- * - Any spoken word while the current word is incorrect is
- *   treated as another attempt for that same position.
+ * Get a cached word segmenter for a locale, or null when unsupported
  */
-const matchWords = (targetWords, recognizedWords) => {
-  const n = targetWords.length;
-  const m = recognizedWords.length;
-
-  const targetMatched = new Array(n).fill(false);
-  const recognizedMatched = new Array(m).fill(null);
+const getWordSegmenter = locale => {
+  if (typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function') {
+    return null;
+  }
 
-  // No target text: treat all recognized words as extra
-  if (n === 0) {
-    for (let i = 0; i < m; i++) {
-      recognizedMatched[i] = { targetIndex: null, status: 'extra' };
+  if (!wordSegmenters.has(locale)) {
+    try {
+      wordSegmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+    } catch (e) {
+      debugLog('Failed to create segmenter for', locale, e);
+      wordSegmenters.set(locale, null);
     }
-    return { targetMatched, recognizedMatched, furthestMatch: -1 };
   }
+  return wordSegmenters.get(locale);
+};
 
-  // Target exists but nothing recognized yet: nothing attempted
-  if (m === 0) {
-    return { targetMatched, recognizedMatched, furthestMatch: -1 };
+/**
+ * Split a whitespace-free chunk into { text, isWord } pieces
+ */
+const getWordPieces = (chunk, locale) => {
+  const segmenter = getWordSegmenter(locale);
+  if (!segmenter) {
+    return [{ text: chunk, isWord: true }];
   }
 
-  let furthestMatch = -1;
-
-  // Helper: has this target index been "completed" already?
-  // A word is completed if it was matched in this pass, or
-  // the user explicitly skipped it.
-  const isCompleted = index => skippedIndices.has(index) || targetMatched[index];
-
-  let currentTargetIndex = 0;
-
-  for (let i = 0; i < m; i++) {
-    // Move to the next unfinished target index
-    while (currentTargetIndex < n && isCompleted(currentTargetIndex)) {
-      furthestMatch = Math.max(furthestMatch, currentTargetIndex);
-      currentTargetIndex++;
-    }
+  return Array.from(segmenter.segment(chunk), ({ segment, isWordLike }) => ({
+    text: segment,
+    isWord: Boolean(isWordLike)
+  }));
+};
 
-    // All target words completed – remaining recognitions are extras
-    if (currentTargetIndex >= n) {
-      recognizedMatched[i] = { targetIndex: null, status: 'extra' };
-      continue;
-    }
+/**
+ * Split word pieces containing CJK characters into one piece per
+ * character, keeping non-CJK runs (Latin words, numbers) together
+ */
+const splitCjkCharacters = pieces => {
+  return pieces.flatMap(piece => {
+    if (!piece.isWord || !CJK_CHARACTER.test(piece.text)) return [piece];
+    return piece.text.match(CJK_CHARACTER_OR_RUN).map(text => ({ text, isWord: true }));
+  });
+};
 
-    const spoken = recognizedWords[i];
-    const expected = targetWords[currentTargetIndex];
+/**
+ * Join pieces into display tokens, attaching punctuation to the
+ * preceding word so chips keep their original form
+ */
+const joinPieces = pieces => {
+  const tokens = [];
+  let prefix = '';
 
-    if (spoken === expected) {
-      // Correct pronunciation for the current target word
-      targetMatched[currentTargetIndex] = true;
-      recognizedMatched[i] = { targetIndex: currentTargetIndex, status: 'match' };
-      furthestMatch = Math.max(furthestMatch, currentTargetIndex);
-      currentTargetIndex++;
+  pieces.forEach(({ text, isWord }) => {
+    if (isWord) {
+      tokens.push(prefix + text);
+      prefix = '';
+    } else if (tokens.length) {
+      tokens[tokens.length - 1] += text;
     } else {
-      // Mismatch – stay on the same target index.
-      // Further words will continue to be attempts for this same word
-      // until it is either pronounced correctly or skipped.
-      recognizedMatched[i] = { targetIndex: currentTargetIndex, status: 'mismatch' };
-    }
-  }
-
-  // Ensure furthestMatch also includes any skipped indices beyond
-  // the last explicitly matched word.
-  skippedIndices.forEach(index => {
-    if (index >= 0 && index < n) {
-      furthestMatch = Math.max(furthestMatch, index);
+      prefix += text;
     }
   });
 
-  return { targetMatched, recognizedMatched, furthestMatch };
+  if (prefix) {
+    tokens.push(prefix);
+  }
+  return tokens;
 };
 
 /**
- * Apply highlights to word chips based on recognition results
+ * Split text into display tokens for the given locale. Spaced scripts
+ * split on whitespace; unspaced scripts (Chinese, Japanese, Thai) use
+ * Intl.Segmenter, or single characters when character matching is on.
  */
-const applyWordHighlights = recognizedWords => {
-  if (!targetWords.length) return;
+const segmentText = (rawText, locale = getCurrentLocale()) => {
+  const chunks = rawText.trim().split(/\s+/).filter(Boolean);
+  const byCharacter = isCharacterMatchLocale(locale);
 
-  debugLog('--- Recognition Update ---');
-  debugLog('Target words:', targetWords);
-  debugLog('Recognized words:', recognizedWords);
+  if (!byCharacter && !UNSPACED_LANGUAGES.has(getLanguage(locale))) {
+    return chunks;
+  }
 
-  const { targetMatched, recognizedMatched, furthestMatch } = matchWords(targetWords, recognizedWords);
+  return chunks.flatMap(chunk => {
+    const pieces = getWordPieces(chunk, locale);
+    return joinPieces(byCharacter ? splitCjkCharacters(pieces) : pieces);
+  });
+};
 
-  // Cache the last recognized words so we can re-run highlighting
-  // when the user skips a word without needing a new recognition event.
-  lastRecognizedWords = [...recognizedWords];
+/**
+ * Spell out a whole number in English ("twenty-one", "one hundred five")
+ */
+const EN_ONES = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const EN_ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
 
-  // Update the current match index for progress tracking
-  currentMatchIndex = furthestMatch;
+// Large-number scales shared by the spelling functions below
+const NUMBER_SCALES = [1e9, 1e6, 1e3];
 
-  debugLog('Target matched:', targetMatched);
-  debugLog('Recognized matched:', recognizedMatched);
-  debugLog('Furthest match:', furthestMatch);
+const englishCardinal = n => {
+  if (n < 20) return EN_ONES[n];
+  if (n < 100) return EN_TENS[Math.floor(n / 10)] + (n % 10 ? `-${EN_ONES[n % 10]}` : '');
+  if (n < 1000) return `${EN_ONES[Math.floor(n / 100)]} hundred${n % 100 ? ` ${englishCardinal(n % 100)}` : ''}`;
 
-  // Highlight target words
-  const chips = wordsContainer.querySelectorAll('.word-chip');
-  chips.forEach((chip, index) => {
-    chip.classList.remove('word-match', 'word-mismatch', 'word-current');
+  const names = { 1e9: 'billion', 1e6: 'million', 1e3: 'thousand' };
+  const scale = NUMBER_SCALES.find(value => n >= value);
+  const rest = n % scale;
+  return `${englishCardinal(Math.floor(n / scale))} ${names[scale]}${rest ? ` ${englishCardinal(rest)}` : ''}`;
+};
 
-    if (targetMatched[index]) {
-      chip.classList.add('word-match');
-    } else if (index <= furthestMatch && recognizedWords.length > 0) {
-      // Only mark as mismatch if we've passed this word (it was skipped)
-      chip.classList.add('word-mismatch');
-    } else if (index === furthestMatch + 1) {
-      // Highlight the next expected word
-      chip.classList.add('word-current');
-    }
-    // Words beyond furthestMatch+1 remain neutral (not yet evaluated)
+const englishOrdinal = n => {
+  const cardinal = englishCardinal(n);
+  return cardinal.replace(/[a-z]+$/, word => {
+    if (EN_ORDINAL_WORDS[word]) return EN_ORDINAL_WORDS[word];
+    return word.endsWith('y') ? `${word.slice(0, -1)}ieth` : `${word}th`;
   });
+};
 
-  // Update recognized output with highlighting
-  updateRecognizedDisplay(recognizedWords, recognizedMatched);
+/**
+ * Years are read in pairs in English: 1999 "nineteen ninety-nine",
+ * 1905 "nineteen oh five", 2025 "twenty twenty-five"
+ */
+const englishYear = n => {
+  if (n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) return englishCardinal(n);
 
-  // Update session summary
-  updateSessionSummary(targetMatched, recognizedWords.length);
+  const century = englishCardinal(Math.floor(n / 100));
+  const rest = n % 100;
+  if (rest === 0) return `${century} hundred`;
+  return rest < 10 ? `${century} oh ${EN_ONES[rest]}` : `${century} ${englishCardinal(rest)}`;
 };
 
+const ES_UNITS = [
+  'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+  'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis',
+  'veintisiete', 'veintiocho', 'veintinueve'
+];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = [
+  '', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos',
+  'seiscientos', 'setecientos', 'ochocientos', 'novecientos'
+];
+const ES_ORDINALS = ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno', 'décimo'];
+
 /**
- * Update the recognized output display with word tokens
- * Shows the raw transcript for readability
+ * "uno" is shortened before a noun or "mil": "veintiún mil", "un euro"
  */
-const updateRecognizedDisplay = (recognizedWords, recognizedMatched) => {
-  recognizedOutput.innerHTML = '';
+const spanishApocope = words => words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
 
-  if (!recognizedWords.length) {
-    recognizedOutput.textContent = 'Listening…';
-    return;
-  }
+const spanishCardinal = n => {
+  if (n < 30) return ES_UNITS[n];
+  if (n < 100) return ES_TENS[Math.floor(n / 10)] + (n % 10 ? ` y ${ES_UNITS[n % 10]}` : '');
+  if (n === 100) return 'cien';
+  if (n < 1000) return ES_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` ${spanishCardinal(n % 100)}` : '');
 
-  // Show raw transcript if available, otherwise show normalized words
-  if (rawTranscript) {
-    const rawWords = rawTranscript.trim().split(/\s+/);
-    rawWords.forEach((word, index) => {
-      const token = document.createElement('span');
-      token.className = 'recognized-word';
-      token.textContent = word;
-
-      // Map to the corresponding normalized word match status
-      if (index < recognizedMatched.length) {
-        const match = recognizedMatched[index];
-        if (match) {
-          if (match.status === 'match') {
-            token.classList.add('recognized-word-match');
-            if (match.targetIndex !== null && match.targetIndex !== undefined) {
-              token.dataset.targetIndex = String(match.targetIndex);
-            }
-          } else if (match.status === 'mismatch') {
-            token.classList.add('recognized-word-mismatch');
-          } else {
-            token.classList.add('recognized-word-extra');
-          }
-        }
-      }
+  const rest = n % 1e6 === n ? n % 1e3 : n % 1e6;
+  let head;
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1e3);
+    head = thousands === 1 ? 'mil' : `${spanishApocope(spanishCardinal(thousands))} mil`;
+  } else {
+    const millions = Math.floor(n / 1e6);
+    head = millions === 1 ? 'un millón' : `${spanishApocope(spanishCardinal(millions))} millones`;
+  }
+  return rest ? `${head} ${spanishCardinal(rest)}` : head;
+};
 
-      recognizedOutput.appendChild(token);
+const spanishOrdinal = (n, feminine) => {
+  if (n < 1 || n >= ES_ORDINALS.length) return spanishCardinal(n);
+  return feminine ? ES_ORDINALS[n].replace(/o$/, 'a') : ES_ORDINALS[n];
+};
 
-      if (index < rawWords.length - 1) {
-        recognizedOutput.appendChild(document.createTextNode(' '));
-      }
-    });
-  } else {
-    recognizedWords.forEach((word, index) => {
-      const token = document.createElement('span');
-      token.className = 'recognized-word';
-      token.textContent = word;
-
-      const match = recognizedMatched[index];
-      if (match) {
-        if (match.status === 'match') {
-          token.classList.add('recognized-word-match');
-          if (match.targetIndex !== null && match.targetIndex !== undefined) {
-            token.dataset.targetIndex = String(match.targetIndex);
-          }
-        } else if (match.status === 'mismatch') {
-          token.classList.add('recognized-word-mismatch');
-        } else {
-          token.classList.add('recognized-word-extra');
-        }
-      }
+const FR_UNITS = [
+  'zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'dix-sept', 'dix-huit', 'dix-neuf'
+];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante', 'soixante', 'quatre-vingt', 'quatre-vingt'];
 
-      recognizedOutput.appendChild(token);
+const frenchCardinal = n => {
+  if (n < 20) return FR_UNITS[n];
+  if (n < 100) {
+    const tens = Math.floor(n / 10);
+    // 70-79 and 90-99 count on from sixty and eighty: soixante-douze
+    const unit = n % 10 + (tens === 7 || tens === 9 ? 10 : 0);
+    if (unit === 0) return tens === 8 ? 'quatre-vingts' : FR_TENS[tens];
+    if ((unit === 1 || unit === 11) && tens < 8) return `${FR_TENS[tens]} et ${FR_UNITS[unit]}`;
+    return `${FR_TENS[tens]}-${FR_UNITS[unit]}`;
+  }
+  if (n < 1000) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const head = hundreds === 1 ? 'cent' : `${FR_UNITS[hundreds]} cent${rest ? '' : 's'}`;
+    return rest ? `${head} ${frenchCardinal(rest)}` : head;
+  }
 
-      if (index < recognizedWords.length - 1) {
-        recognizedOutput.appendChild(document.createTextNode(' '));
-      }
-    });
+  const scale = NUMBER_SCALES.find(value => n >= value);
+  const count = Math.floor(n / scale);
+  const rest = n % scale;
+  let head;
+  if (scale === 1e3) {
+    head = count === 1 ? 'mille' : `${frenchCardinal(count).replace(/(cent|vingt)s$/, '$1')} mille`;
+  } else {
+    const name = scale === 1e6 ? 'million' : 'milliard';
+    head = `${frenchCardinal(count)} ${name}${count > 1 ? 's' : ''}`;
   }
+  return rest ? `${head} ${frenchCardinal(rest)}` : head;
+};
+
+const frenchOrdinal = (n, feminine) => {
+  if (n === 1) return feminine ? 'première' : 'premier';
+  return frenchCardinal(n).replace(/[a-zéè]+$/, word => {
+    if (word === 'cinq') return 'cinquième';
+    if (word === 'neuf') return 'neuvième';
+    // Only the plural of "quatre-vingts" and "deux cents" loses its s
+    return `${word.replace(/^(vingt|cent)s$/, '$1').replace(/e$/, '')}ième`;
+  });
 };
 
+const DE_UNITS = [
+  'null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+  'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'
+];
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
 /**
- * Update session summary with match statistics
+ * German numbers below a million are one word: einundzwanzig, zweihundertdrei
  */
-const updateSessionSummary = (targetMatched, recognizedCount) => {
-  if (!sessionSummary) return;
-
-  const totalTarget = targetMatched.length;
-  const matchedCount = targetMatched.filter(Boolean).length;
-  const percent = totalTarget > 0 ? Math.round((matchedCount / totalTarget) * 100) : 0;
+const germanCardinal = n => {
+  if (n < 20) return DE_UNITS[n];
+  if (n < 100) {
+    const unit = n % 10;
+    return (unit ? `${unit === 1 ? 'ein' : DE_UNITS[unit]}und` : '') + DE_TENS[Math.floor(n / 10)];
+  }
+  if (n < 1000) {
+    const hundreds = Math.floor(n / 100);
+    return `${hundreds === 1 ? '' : DE_UNITS[hundreds]}hundert${n % 100 ? germanCardinal(n % 100) : ''}`;
+  }
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1e3);
+    const head = thousands === 1 ? 'tausend' : `${germanCardinal(thousands).replace(/eins$/, 'ein')}tausend`;
+    return head + (n % 1e3 ? germanCardinal(n % 1e3) : '');
+  }
 
-  sessionSummary.innerHTML = `
-    <span class="summary-stat">Progress: <strong>${matchedCount}/${totalTarget}</strong> words (${percent}%)</span>
-  `;
-  sessionSummary.hidden = false;
+  const scale = n >= 1e9 ? 1e9 : 1e6;
+  const count = Math.floor(n / scale);
+  const rest = n % scale;
+  const name = scale === 1e9 ? ['eine milliarde', 'milliarden'] : ['eine million', 'millionen'];
+  const head = count === 1 ? name[0] : `${germanCardinal(count)} ${name[1]}`;
+  return rest ? `${head} ${germanCardinal(rest)}` : head;
+};
 
-  // Check if session is complete
-  if (matchedCount === totalTarget && totalTarget > 0) {
-    showSessionComplete(matchedCount, totalTarget);
-  }
+const germanOrdinal = n => {
+  const special = { 1: 'erste', 3: 'dritte', 7: 'siebte', 8: 'achte' };
+  if (special[n]) return special[n];
+  return `${germanCardinal(n)}${n < 20 ? 'te' : 'ste'}`;
 };
 
 /**
- * Show session complete state
+ * German years before 2000 are read in hundreds: neunzehnhundertneunundneunzig
  */
-const showSessionComplete = (matched, total) => {
-  updateSessionStatus('Complete! 🎉', 'status-complete');
+const germanYear = n => {
+  if (n < 1100 || n > 1999) return germanCardinal(n);
+  return `${germanCardinal(Math.floor(n / 100))}hundert${n % 100 ? germanCardinal(n % 100) : ''}`;
+};
 
-  if (sessionSummary) {
-    sessionSummary.innerHTML = `
-      <span class="summary-stat summary-complete">✓ All ${total} words matched!</span>
-    `;
+const PT_UNITS = [
+  'zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove', 'dez',
+  'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'
+];
+// European Portuguese spellings of the teens that differ from Brazilian ones
+const PT_EUROPEAN_TEENS = { 14: 'catorze', 16: 'dezasseis', 17: 'dezassete', 19: 'dezanove' };
+const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const PT_HUNDREDS = [
+  '', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos',
+  'seiscentos', 'setecentos', 'oitocentos', 'novecentos'
+];
+const PT_ORDINALS = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono', 'décimo'];
+
+const portugueseCardinal = (n, locale) => {
+  const european = locale === 'pt-PT';
+  if (n < 20) return (european && PT_EUROPEAN_TEENS[n]) || PT_UNITS[n];
+  if (n < 100) return PT_TENS[Math.floor(n / 10)] + (n % 10 ? ` e ${PT_UNITS[n % 10]}` : '');
+  if (n === 100) return 'cem';
+  if (n < 1000) {
+    return PT_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` e ${portugueseCardinal(n % 100, locale)}` : '');
+  }
+
+  const scale = NUMBER_SCALES.find(value => n >= value);
+  const count = Math.floor(n / scale);
+  const rest = n % scale;
+  let head;
+  if (scale === 1e3) {
+    head = count === 1 ? 'mil' : `${portugueseCardinal(count, locale)} mil`;
+  } else {
+    const names = scale === 1e6 ? ['um milhão', 'milhões'] : ['um bilhão', 'bilhões'];
+    head = count === 1 ? names[0] : `${portugueseCardinal(count, locale)} ${names[1]}`;
   }
+  if (!rest) return head;
+  // "mil e quinhentos", "mil e vinte", but "mil duzentos e trinta"
+  const joiner = rest < 100 || rest % 100 === 0 ? ' e ' : ' ';
+  return `${head}${joiner}${portugueseCardinal(rest, locale)}`;
+};
+
+const portugueseOrdinal = (n, feminine, locale) => {
+  if (n < 1 || n >= PT_ORDINALS.length) return portugueseCardinal(n, locale);
+  return feminine ? PT_ORDINALS[n].replace(/o$/, 'a') : PT_ORDINALS[n];
 };
 
 /**
- * Reset session summary
+ * Normalization rules per language: how numbers, ordinals, dates,
+ * currency amounts, percentages, abbreviations and "&" are said.
+ * Abbreviations are keyed by their normalized form; `dottedAbbreviations`
+ * only apply when written with a period ("M." but not "m").
  */
-const resetSessionSummary = () => {
-  if (sessionSummary) {
-    sessionSummary.innerHTML = '';
-    sessionSummary.hidden = true;
+const TEXT_NORMALIZATION = {
+  en: {
+    cardinal: englishCardinal,
+    ordinal: englishOrdinal,
+    year: englishYear,
+    ordinalPattern: /^(\d+)(st|nd|rd|th)$/i,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    point: 'point',
+    spellDecimalDigits: true,
+    minus: 'minus',
+    percent: 'percent',
+    and: 'and',
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    formatDate: (day, month, year, locale) => locale === 'en-US'
+      ? `${month} ${englishOrdinal(day)} ${year}`
+      : `${englishOrdinal(day)} of ${month} ${year}`,
+    currencies: {
+      $: ['dollar', 'dollars', 'cent', 'cents'],
+      '€': ['euro', 'euros', 'cent', 'cents'],
+      '£': ['pound', 'pounds', 'penny', 'pence']
+    },
+    abbreviations: {
+      dr: 'doctor', mr: 'mister', mrs: 'missus', prof: 'professor', mt: 'mount',
+      jr: 'junior', etc: 'et cetera', vs: 'versus', eg: 'for example', ie: 'that is'
+    },
+    dottedAbbreviations: {}
+  },
+  es: {
+    cardinal: spanishCardinal,
+    ordinal: spanishOrdinal,
+    ordinalPattern: /^(\d+)\.?(º|ª|°|er)$/i,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    point: 'coma',
+    minus: 'menos',
+    percent: 'por ciento',
+    and: 'y',
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    formatDate: (day, month, year) => `${spanishCardinal(day)} de ${month} de ${year}`,
+    currencies: {
+      $: ['dólar', 'dólares', 'centavo', 'centavos'],
+      '€': ['euro', 'euros', 'céntimo', 'céntimos'],
+      '£': ['libra', 'libras', 'penique', 'peniques']
+    },
+    // Mexico writes pesos with the dollar sign
+    localCurrencies: { 'es-MX': { $: ['peso', 'pesos', 'centavo', 'centavos'] } },
+    countNoun: spanishApocope,
+    abbreviations: {
+      sr: 'señor', sra: 'señora', srta: 'señorita', dr: 'doctor', dra: 'doctora',
+      ud: 'usted', uds: 'ustedes', etc: 'etcétera', eeuu: 'estados unidos'
+    },
+    dottedAbbreviations: {}
+  },
+  fr: {
+    cardinal: frenchCardinal,
+    ordinal: frenchOrdinal,
+    ordinalPattern: /^(\d+)(er|re|ère|e|ème|è)$/i,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    point: 'virgule',
+    minus: 'moins',
+    percent: 'pour cent',
+    and: 'et',
+    months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+    formatDate: (day, month, year) => `${day === 1 ? 'premier' : frenchCardinal(day)} ${month} ${year}`,
+    currencies: {
+      $: ['dollar', 'dollars', 'cent', 'cents'],
+      '€': ['euro', 'euros', 'centime', 'centimes'],
+      '£': ['livre', 'livres', 'penny', 'pence']
+    },
+    abbreviations: { mme: 'madame', mmes: 'mesdames', mlle: 'mademoiselle', dr: 'docteur', etc: 'et cetera' },
+    dottedAbbreviations: { m: 'monsieur', mm: 'messieurs' }
+  },
+  de: {
+    cardinal: germanCardinal,
+    ordinal: germanOrdinal,
+    year: germanYear,
+    ordinalPattern: null, // "3." is also a number at the end of a sentence
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    point: 'komma',
+    spellDecimalDigits: true,
+    minus: 'minus',
+    percent: 'prozent',
+    and: 'und',
+    months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    formatDate: (day, month, year) => `${germanOrdinal(day)}r ${month} ${year}`,
+    currencies: {
+      $: ['dollar', 'dollar', 'cent', 'cent'],
+      '€': ['euro', 'euro', 'cent', 'cent'],
+      '£': ['pfund', 'pfund', 'penny', 'pence']
+    },
+    countNoun: words => words.replace(/eins$/, 'ein'),
+    abbreviations: {
+      dr: 'doktor', hr: 'herr', zb: 'zum beispiel', usw: 'und so weiter', bzw: 'beziehungsweise',
+      ca: 'circa', nr: 'nummer', str: 'straße', dh: 'das heißt'
+    },
+    dottedAbbreviations: { fr: 'frau' }
+  },
+  pt: {
+    cardinal: portugueseCardinal,
+    ordinal: portugueseOrdinal,
+    ordinalPattern: /^(\d+)\.?(º|ª|°)$/,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    point: 'vírgula',
+    minus: 'menos',
+    percent: 'por cento',
+    and: 'e',
+    months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+    formatDate: (day, month, year, locale) => {
+      const dayWords = day === 1 && locale !== 'pt-PT' ? 'primeiro' : portugueseCardinal(day, locale);
+      return `${dayWords} de ${month} de ${year}`;
+    },
+    currencies: {
+      'R$': ['real', 'reais', 'centavo', 'centavos'],
+      $: ['dólar', 'dólares', 'centavo', 'centavos'],
+      '€': ['euro', 'euros', 'cêntimo', 'cêntimos'],
+      '£': ['libra', 'libras', 'pêni', 'pence']
+    },
+    abbreviations: {
+      sr: 'senhor', sra: 'senhora', srta: 'senhorita', dr: 'doutor', dra: 'doutora',
+      prof: 'professor', profa: 'professora', etc: 'et cetera', av: 'avenida'
+    },
+    dottedAbbreviations: {}
   }
 };
 
+// English contractions that do not follow the regular patterns below
+const EN_CONTRACTIONS = {
+  "can't": 'can not', cannot: 'can not', "won't": 'will not', "shan't": 'shall not',
+  "ain't": 'is not', "let's": 'let us', "y'all": 'you all'
+};
+const EN_CONTRACTION_SUFFIXES = { re: 'are', ve: 'have', ll: 'will', d: 'would', m: 'am' };
+// Only these words take "'s" as "is"; elsewhere it is a possessive
+const EN_IS_CONTRACTIONS = new Set(['it', 'that', 'what', 'there', 'here', 'he', 'she', 'who', 'where', 'how']);
+
+const CURRENCY_SYMBOL = /^(R\$|US\$|\$|€|£)$/;
+const DATE_PATTERN = /^(\d{1,4})([./-])(\d{1,2})\2(\d{1,4})$/;
+
 /**
- * Update session status display
+ * Expand an English contraction ("don't" → "do not"), or return null
  */
-const updateSessionStatus = (label, variant = 'status-idle') => {
-  const allowedVariants = new Set([
-    'status-idle',
-    'status-ready',
-    'status-listening',
-    'status-error',
-    'status-complete'
-  ]);
+const expandEnglishContraction = word => {
+  if (EN_CONTRACTIONS[word]) return EN_CONTRACTIONS[word];
 
-  const appliedVariant = allowedVariants.has(variant) ? variant : 'status-idle';
-  sessionStatus.textContent = `Status: ${label}`;
-  sessionStatus.className = `status-indicator ${appliedVariant}`;
+  const match = word.match(/^([a-z]+)'([a-z]+)$/);
+  if (!match) return null;
+
+  const [, stem, suffix] = match;
+  if (suffix === 't' && stem.endsWith('n')) return `${stem.slice(0, -1)} not`;
+  if (EN_CONTRACTION_SUFFIXES[suffix]) return `${stem} ${EN_CONTRACTION_SUFFIXES[suffix]}`;
+  if (suffix === 's' && EN_IS_CONTRACTIONS.has(stem)) return `${stem} is`;
+  return null;
 };
 
 /**
- * Update button states based on listening state
+ * Read a written number in the language's notation ("1,250.5" in
+ * English, "1.250,5" elsewhere) as { negative, integer, fraction }
  */
-const setListeningState = listening => {
-  isListening = listening;
-  startSessionButton.disabled = listening;
-  stopSessionButton.disabled = !listening;
+const parseWrittenNumber = (text, rules) => {
+  const group = rules.groupSeparator === '.' ? '\\.' : rules.groupSeparator;
+  const decimal = rules.decimalSeparator === '.' ? '\\.' : rules.decimalSeparator;
+  const match = text.match(new RegExp(`^([-−]?)(\\d{1,3}(?:${group}\\d{3})+|\\d+)(?:${decimal}(\\d+))?$`));
+  if (!match) return null;
+
+  const integer = Number(match[2].split(rules.groupSeparator).join(''));
+  if (!Number.isSafeInteger(integer) || integer >= 1e12) return null;
+  return { negative: Boolean(match[1]), integer, fraction: match[3] || '', plain: /^\d+$/.test(text) };
 };
 
 /**
- * Set a simple text message in recognized output
+ * Spell out a parsed number; plain four-digit numbers are read as years
+ * where the language reads years differently
  */
-const setRecognizedMessage = message => {
-  recognizedOutput.textContent = message;
+const spellNumber = (number, rules, locale) => {
+  const { negative, integer, fraction, plain } = number;
+  let words = plain && rules.year && integer >= 1000 && integer < 10000
+    ? rules.year(integer, locale)
+    : rules.cardinal(integer, locale);
+
+  if (fraction) {
+    const digits = rules.spellDecimalDigits || fraction.startsWith('0')
+      ? [...fraction].map(digit => rules.cardinal(Number(digit), locale)).join(' ')
+      : rules.cardinal(Number(fraction), locale);
+    words += ` ${rules.point} ${digits}`;
+  }
+  return negative ? `${rules.minus} ${words}` : words;
 };
 
 /**
- * Add text from input to the view
+ * Spell out a currency amount: "$5.50" → "five dollars fifty cents"
  */
-const addTextToView = () => {
-  stopListening();
+const spellCurrency = (symbol, amountText, rules, locale) => {
+  const number = parseWrittenNumber(amountText, rules);
+  const names = (rules.localCurrencies?.[locale] || {})[symbol.replace(/^US/, '')] ||
+    rules.currencies[symbol.replace(/^US/, '')];
+  if (!number || !names) return null;
 
-  const rawText = textInput.value.trim();
-  if (!rawText) {
-    updateSessionStatus('Enter some text first', 'status-error');
-    return;
-  }
+  const countWords = n => (rules.countNoun || (words => words))(rules.cardinal(n, locale));
+  let words = `${countWords(number.integer)} ${number.integer === 1 ? names[0] : names[1]}`;
 
-  const parsedWords = parseText(rawText);
-  if (!parsedWords.length) {
-    updateSessionStatus('No valid words found', 'status-error');
-    setRecognizedMessage(idleRecognizedMessage);
-    return;
+  const cents = number.fraction ? Number(number.fraction.padEnd(2, '0').slice(0, 2)) : 0;
+  if (cents) {
+    words += ` ${countWords(cents)} ${cents === 1 ? names[2] : names[3]}`;
   }
+  return number.negative ? `${rules.minus} ${words}` : words;
+};
 
-  // Filter out empty normalized words
-  const validWords = parsedWords.filter(w => w.normalized.length > 0);
-  if (!validWords.length) {
-    updateSessionStatus('No valid words found', 'status-error');
-    return;
+/**
+ * Spell out a numeric date (14/3/2025, 3/14/2025 in en-US, 14.3.2025, 2025-03-14)
+ */
+const spellDate = (match, rules, locale) => {
+  const [, first, , second, third] = match;
+  let day;
+  let month;
+  let year;
+  if (first.length === 4) {
+    [year, month, day] = [first, second, third];
+  } else if (locale === 'en-US') {
+    [month, day, year] = [first, second, third];
+  } else {
+    [day, month, year] = [first, second, third];
   }
 
-  displayWords = validWords;
-  targetWords = validWords.map(w => w.normalized);
-
-  renderWordCards(displayWords);
-  resetWordHighlights();
-  setRecognizedMessage(readyRecognizedMessage);
-  updateSessionStatus('Ready', 'status-ready');
-  resetSessionSummary();
-  currentMatchIndex = -1;
-  rawTranscript = '';
+  const [dayNumber, monthNumber, yearNumber] = [day, month, year].map(Number);
+  if (monthNumber < 1 || monthNumber > 12 || dayNumber < 1 || dayNumber > 31 || year.length === 3) return null;
 
-  // Save to localStorage
-  saveToStorage();
+  const yearWords = (year.length === 4 && rules.year ? rules.year : rules.cardinal)(yearNumber, locale);
+  return rules.formatDate(dayNumber, rules.months[monthNumber - 1], yearWords, locale);
 };
 
 /**
- * Clear the sidebar input
+ * Spell out a written token the way it is said in the locale, e.g.
+ * "21" → "twenty-one", "Dr." → "doctor", "don't" → "do not". Returns
+ * null when the token is read as written. `next`, `previous` and
+ * `beforePrevious` are the neighbouring tokens, for currency and percent
+ * signs written apart ("5 €", "50 %", "R$ 1.500,00"). A sign between two
+ * amounts ("5 € 10") goes with the one before it.
  */
-const clearSidebarInput = () => {
-  textInput.value = '';
+const spellOutToken = (token, locale, next = '', previous = '', beforePrevious = '') => {
+  const rules = TEXT_NORMALIZATION[getLanguage(locale)];
+  if (!rules) return null;
+
+  const trimToken = text => text
+    .replace(/^[^\p{L}\p{M}\p{N}$€£&−-]+/u, '')
+    .replace(/[^\p{L}\p{M}\p{N}$€£&%ºª°]+$/u, '');
+  // A neighbour is a sign written apart only when it is nothing else
+  const signOf = text => text.replace(/[^\p{L}\p{N}$€£%]/gu, '');
+  const isAmount = text => Boolean(parseWrittenNumber(trimToken(text), rules));
+  const core = trimToken(token);
+  const nextSign = signOf(next);
+  const previousSign = isAmount(beforePrevious) ? '' : signOf(previous);
+  if (!core) return null;
+  if (core === '&') return rules.and;
+
+  // A symbol is said with its amount, so on its own it is silent
+  if (CURRENCY_SYMBOL.test(core)) {
+    return isAmount(previous) || spellCurrency(core, trimToken(next), rules, locale) ? '' : null;
+  }
+
+  if (!/\d/.test(core)) {
+    const word = core.toLocaleLowerCase(locale).replace(/’/g, "'");
+    const contraction = getLanguage(locale) === 'en' ? expandEnglishContraction(word) : null;
+    if (contraction) return contraction;
+
+    const key = normalizeWord(core);
+    const dotted = /^[^\s]*\p{L}\.[^\p{L}\p{N}]*$/u.test(token);
+    if (dotted && rules.dottedAbbreviations[key]) return rules.dottedAbbreviations[key];
+    return rules.abbreviations[key] || null;
+  }
+
+  const date = core.match(DATE_PATTERN);
+  if (date) return spellDate(date, rules, locale);
+
+  const currency = core.match(/^(R\$|US\$|\$|€|£)(.+)$/) || core.match(/^(.+?)(R\$|\$|€|£)$/);
+  if (currency) {
+    const [symbol, amount] = CURRENCY_SYMBOL.test(currency[1]) ? [currency[1], currency[2]] : [currency[2], currency[1]];
+    return spellCurrency(symbol, amount, rules, locale);
+  }
+  if (CURRENCY_SYMBOL.test(nextSign)) {
+    return spellCurrency(nextSign, core, rules, locale);
+  }
+  if (CURRENCY_SYMBOL.test(previousSign)) {
+    return spellCurrency(previousSign, core, rules, locale);
+  }
+
+  const percent = core.match(/^(.+)%$/) || (nextSign === '%' ? [core, core] : null);
+  if (percent) {
+    const number = parseWrittenNumber(percent[1], rules);
+    return number ? `${spellNumber(number, rules, locale)} ${rules.percent}` : null;
+  }
+
+  const ordinal = rules.ordinalPattern && core.match(rules.ordinalPattern);
+  if (ordinal) {
+    const feminine = /^(ª|re|ère)$/i.test(ordinal[2]);
+    return rules.ordinal(Number(ordinal[1]), feminine, locale);
+  }
+
+  const number = parseWrittenNumber(core, rules);
+  return number ? spellNumber(number, rules, locale) : null;
+};
+
+/**
+ * Normalize one written token into the words it is spoken as. Most
+ * tokens give one word; numbers, dates, currency, abbreviations and
+ * contractions may give several, or none for bare punctuation.
+ */
+const normalizeToken = (token, locale = getCurrentLocale(), next = '', previous = '', beforePrevious = '') => {
+  const spoken = spellOutToken(token, locale, next, previous, beforePrevious);
+  if (spoken === null) {
+    const word = normalizeWord(token);
+    return word ? [word] : [];
+  }
+  return spoken.split(/[\s-]+/).map(normalizeWord).filter(Boolean);
+};
+
+/**
+ * Split text into words, preserving original form and creating normalized version.
+ * A word spoken as several words ("21", "don't") keeps them in one
+ * space-separated normalized form, so its chip still shows the original.
+ */
+const parseText = (rawText, locale = getCurrentLocale()) => {
+  const words = segmentText(rawText, locale);
+  return words.map((word, index) => ({
+    original: word,
+    normalized: normalizeToken(word, locale, words[index + 1], words[index - 1], words[index - 2]).join(' ')
+  }));
+};
+
+/**
+ * Normalize raw text into array of lowercase words for comparison
+ */
+const normalizeWords = (rawText, locale = getCurrentLocale()) => {
+  const words = segmentText(rawText, locale);
+  return words.flatMap((word, index) => (
+    normalizeToken(word, locale, words[index + 1], words[index - 1], words[index - 2])
+  ));
+};
+
+/**
+ * Split a recognized transcript into spoken words, each with the token it
+ * came from (`source`, `sourceIndex`). A token spoken as several words
+ * is shown as those words.
+ */
+const splitTranscriptWords = (transcript, locale = getCurrentLocale()) => {
+  const tokens = segmentText(transcript, locale);
+  return tokens.flatMap((token, index) => {
+    const words = normalizeToken(token, locale, tokens[index + 1], tokens[index - 1], tokens[index - 2]);
+    return words.map(word => ({
+      original: words.length === 1 ? token : word,
+      source: token,
+      sourceIndex: index,
+      normalized: word
+    }));
+  });
+};
+
+/**
+ * Join runs of recognized words that spell a multi-word or hyphenated
+ * target (or a multi-word accepted variant) together, so "twenty one",
+ * "twenty-one" or "21" all match a target "21" ("twenty one"), and
+ * "well known" matches "well-known"
+ */
+const mergeTargetPhrases = words => {
+  const phrases = new Map();
+  let maxLength = 0;
+  targetWords.forEach((target, index) => {
+    const { original } = displayWords[index];
+    if (target.includes(' ') || original.includes('-')) {
+      phrases.set(target.replace(/ /g, ''), target);
+      maxLength = Math.max(maxLength, target.split(' ').length, original.split('-').length);
+    }
+
+    // Accepted variants of several words ("new in" for "Nguyen")
+    (acceptedVariants.get(target) || []).forEach(variant => {
+      if (!variant.includes(' ')) return;
+      phrases.set(variant.replace(/ /g, ''), target);
+      maxLength = Math.max(maxLength, variant.split(' ').length);
+    });
+  });
+  if (!phrases.size) return words;
+
+  const merged = [];
+  for (let i = 0; i < words.length;) {
+    let compact = '';
+    let length = 0;
+    let phrase = null;
+    for (let k = 1; k <= maxLength && i + k <= words.length; k++) {
+      compact += words[i + k - 1].normalized.replace(/ /g, '');
+      if (phrases.has(compact) && (k > 1 || phrases.get(compact) !== words[i].normalized)) {
+        length = k;
+        phrase = phrases.get(compact);
+      }
+    }
+
+    if (length) {
+      // Words split from the same token show that token once
+      const parts = words.slice(i, i + length)
+        .filter((word, k, all) => k === 0 || word.sourceIndex !== all[k - 1].sourceIndex);
+      const source = parts.map(word => word.source).join(' ');
+      merged.push({ original: source, source, sourceIndex: parts[0].sourceIndex, normalized: phrase });
+      i += length;
+    } else {
+      merged.push(words[i]);
+      i++;
+    }
+  }
+  return merged;
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,        // deletion
+        current[j - 1] + 1,     // insertion
+        previous[j - 1] + cost  // substitution
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Compute a Metaphone phonetic key for a Latin-script word.
+ * Diacritics are folded first so "café" and "cafe" share a key.
+ */
+const metaphone = word => {
+  const w = word
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toUpperCase()
+    .replace(/[^A-Z]/g, '');
+
+  if (!w) return '';
+
+  const isVowel = ch => 'AEIOU'.includes(ch);
+  const at = index => w[index] || '';
+
+  let start = 0;
+  let key = '';
+
+  // Initial letter exceptions
+  const prefix = w.slice(0, 2);
+  if (['AE', 'GN', 'KN', 'PN', 'WR'].includes(prefix)) {
+    start = 1;
+  } else if (w[0] === 'X') {
+    key = 'S';
+    start = 1;
+  } else if (prefix === 'WH') {
+    key = 'W';
+    start = 2;
+  }
+
+  for (let i = start; i < w.length; i++) {
+    const ch = w[i];
+    const prev = at(i - 1);
+    const next = at(i + 1);
+
+    // Skip duplicate adjacent letters, except C
+    if (ch === prev && ch !== 'C') continue;
+
+    switch (ch) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+        if (i === 0) key += ch;
+        break;
+      case 'B':
+        if (!(prev === 'M' && i === w.length - 1)) key += 'B';
+        break;
+      case 'C':
+        if (next === 'I' && at(i + 2) === 'A') {
+          key += 'X';
+        } else if (next === 'H') {
+          key += prev === 'S' ? 'K' : 'X';
+          i++;
+        } else if ('IEY'.includes(next) && next) {
+          if (prev !== 'S') key += 'S';
+        } else {
+          key += 'K';
+        }
+        break;
+      case 'D':
+        if (next === 'G' && 'EIY'.includes(at(i + 2)) && at(i + 2)) {
+          key += 'J';
+          i++;
+        } else {
+          key += 'T';
+        }
+        break;
+      case 'G':
+        if (next === 'H' && !(i + 2 >= w.length || isVowel(at(i + 2)))) {
+          break;
+        }
+        if (next === 'N' && (i + 2 === w.length || w.slice(i + 1) === 'NED')) {
+          break;
+        }
+        if ('IEY'.includes(next) && next && prev !== 'G') {
+          key += 'J';
+        } else {
+          key += 'K';
+        }
+        break;
+      case 'H':
+        if (isVowel(next) && !'CGPST'.includes(prev || '-')) key += 'H';
+        break;
+      case 'K':
+        if (prev !== 'C') key += 'K';
+        break;
+      case 'P':
+        key += next === 'H' ? 'F' : 'P';
+        break;
+      case 'Q':
+        key += 'K';
+        break;
+      case 'S':
+        if (next === 'H' || (next === 'I' && 'OA'.includes(at(i + 2)) && at(i + 2))) {
+          key += 'X';
+        } else {
+          key += 'S';
+        }
+        break;
+      case 'T':
+        if (next === 'I' && 'OA'.includes(at(i + 2)) && at(i + 2)) {
+          key += 'X';
+        } else if (next === 'H') {
+          key += '0';
+        } else if (!(next === 'C' && at(i + 2) === 'H')) {
+          key += 'T';
+        }
+        break;
+      case 'V':
+        key += 'F';
+        break;
+      case 'W':
+      case 'Y':
+        if (isVowel(next)) key += ch;
+        break;
+      case 'X':
+        key += 'KS';
+        break;
+      case 'Z':
+        key += 'S';
+        break;
+      default:
+        key += ch;
+    }
+  }
+
+  return key;
+};
+
+// Matcher configuration; `fuzzy` is toggled from the UI
+const matchSettings = {
+  fuzzy: true,
+  phonetic: true,
+  maxEditRatio: 0.2,    // Allowed edits as a fraction of the target word length, rounded down
+  minFuzzyLength: 5,    // Shorter words must match exactly; one letter often is another word
+  characterMatch: false, // Match Chinese/Japanese/Korean one character at a time
+  freeReading: false,    // Align the whole transcript instead of word by word
+  exactOnly: false       // Only the top hypothesis, spelled exactly, counts (minimal pairs)
+};
+
+// Free-reading alignment scores; a substitution beats a deletion plus an insertion
+const ALIGNMENT_SCORES = { match: 2, close: 1, mismatch: -1, gap: -1 };
+// Free reading aligns only the unsettled end of the transcript: spoken
+// words further back than ALIGNMENT_SETTLE are settled at the last word
+// matched before them, and target words more than ALIGNMENT_LOOKAHEAD
+// past the unsettled speech are not considered
+const ALIGNMENT_SETTLE = 24;
+const ALIGNMENT_LOOKAHEAD = 40;
+const ALIGNMENT_CHUNK = ALIGNMENT_SETTLE * 3; // Spoken words per step when realigning a long transcript
+
+// Fluency metrics
+const PAUSE_THRESHOLD = 1000;   // Gaps between words from this long count as pauses
+const MAX_REPORTED_PAUSES = 3;
+const MAX_RESTART_LENGTH = 3;   // Longest repeated phrase counted as a restart
+
+// Hesitation fillers per language; they are reported as extra words and
+// never count as attempts at a target word
+const FILLER_WORDS = {
+  en: new Set(['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'hmm', 'mm', 'ah']),
+  es: new Set(['eh', 'em', 'ehm', 'mm', 'mmm']),
+  fr: new Set(['euh', 'heu', 'hum', 'hmm', 'bah']),
+  de: new Set(['äh', 'ähm', 'öh', 'öhm', 'hm', 'hmm']),
+  pt: new Set(['hã', 'ahn', 'hum', 'hmm', 'éh']),
+  it: new Set(['ehm', 'eh', 'mmm', 'uhm']),
+  nl: new Set(['eh', 'ehm', 'uh', 'uhm']),
+  ja: new Set(['えー', 'えーと', 'えっと', 'あのー', 'うーん']),
+  zh: new Set(['嗯', '呃', '额'])
+};
+
+/**
+ * Whether two words share a phonetic key. A dropped final G is tolerated
+ * ("walkin" WLKN for "walking" WLKNK).
+ */
+const phoneticKeysAgree = (a, b) => {
+  const key = word => metaphone(word).replace(/NK$/, 'N');
+  return key(a) === key(b);
+};
+
+/**
+ * Score a spoken word against the expected target word.
+ * Returns 'match' for an exact match, 'close' for a near-miss, otherwise
+ * 'mismatch'. A near-miss is a small edit distance on a longer word, and
+ * where phonetic keys apply they must agree as well: a sound-alike on its
+ * own ("sheep" for "ship") is often a different word and never counts.
+ */
+const scoreWordMatch = (spoken, expected) => {
+  if (spoken === expected || isAcceptedVariant(spoken, expected)) return 'match';
+  if (!matchSettings.fuzzy || matchSettings.exactOnly || !spoken || !expected) return 'mismatch';
+  if (expected.length < matchSettings.minFuzzyLength) return 'mismatch';
+
+  const allowedEdits = Math.floor(expected.length * matchSettings.maxEditRatio);
+  if (editDistance(spoken, expected) > allowedEdits) return 'mismatch';
+
+  if (matchSettings.phonetic && isLatinScriptLocale(getCurrentLocale()) && !phoneticKeysAgree(spoken, expected)) {
+    return 'mismatch';
+  }
+
+  return 'close';
+};
+
+/**
+ * Create a word chip element for display
+ */
+const createWordChip = (wordData, index) => {
+  const chip = document.createElement('span');
+  chip.className = 'word-chip';
+  chip.id = `word-${index}`;
+  chip.dataset.index = String(index);
+  chip.dataset.normalized = wordData.normalized;
+  chip.textContent = wordData.original;
+  chip.setAttribute('role', 'listitem');
+  chip.tabIndex = 0; // Focusable so the word can be selected with Enter/Space
+  return chip;
+};
+
+/**
+ * Render word chips in the container
+ */
+const renderWordCards = words => {
+  wordsContainer.innerHTML = '';
+  words.forEach((wordData, index) => {
+    wordsContainer.appendChild(createWordChip(wordData, index));
+  });
+};
+
+/**
+ * Reset all word highlights to default state
+ */
+const resetWordHighlights = () => {
+  wordsContainer.querySelectorAll('.word-chip').forEach(chip => {
+    chip.classList.remove('word-match', 'word-close', 'word-mismatch', 'word-current');
+    applyChipConfidence(chip, null);
+  });
+};
+
+/**
+ * Find the best plausible recognizer alternative for the expected word.
+ * Returns { word, score, confidence } or null when no alternative fits.
+ */
+const findAlternativeMatch = (details, expected) => {
+  if (!details || !details.alternatives.length) return null;
+
+  let best = null;
+  for (const alternative of details.alternatives) {
+    const score = scoreWordMatch(alternative.word, expected);
+    if (score === 'match') {
+      return { ...alternative, score };
+    }
+    if (score === 'close' && !best) {
+      best = { ...alternative, score };
+    }
+  }
+  return best;
+};
+
+/**
+ * Check whether a target word was committed or skipped earlier in the session
+ */
+const isTargetCompleted = index => {
+  return skippedIndices.has(index) || Boolean(committedStatuses[index]) || Boolean(freeReadingStatuses[index]) ||
+    Boolean(wordOverrides[index]);
+};
+
+/**
+ * Index of the word currently being attempted (first word not yet
+ * committed or skipped); equals targetWords.length when all are done
+ */
+const getCurrentTargetIndex = () => {
+  let index = 0;
+  while (index < targetWords.length && isTargetCompleted(index)) {
+    index++;
+  }
+  return index;
+};
+
+/**
+ * Clear all committed progress for the current text
+ */
+const resetSessionProgress = () => {
+  sessionTiming = { startedAt: null, endedAt: null, listeningMs: 0, listeningSince: null, runs: 0, longSilences: 0 };
+  committedStatuses = new Array(targetWords.length).fill(null);
+  freeReadingStatuses = new Array(targetWords.length).fill(null);
+  alignmentAnchor = null;
+  committedTranscript = [];
+  committedResultIndex = 0;
+  interimWords = [];
+  interimDetails = [];
+  pendingWordTimes = [];
+  skippedIndices.clear();
+  wordOverrides = new Array(targetWords.length).fill(null);
+  overrideLog = [];
+  currentMatchIndex = -1;
+  closeWordActions();
+};
+
+/**
+ * Score one recognized word against a target word, falling back to
+ * the recognizer's other alternatives for it
+ */
+const scoreRecognizedWord = (spoken, details, expected) => {
+  let score = scoreWordMatch(spoken, expected);
+  let confidence = details ? details.confidence : null;
+  let alternative = null;
+
+  if (score !== 'match' && !matchSettings.exactOnly) {
+    // The top hypothesis may have picked a homophone; accept the
+    // word if another plausible hypothesis heard it more exactly.
+    const alternativeMatch = findAlternativeMatch(details, expected);
+    if (alternativeMatch && (score === 'mismatch' || alternativeMatch.score === 'match')) {
+      score = alternativeMatch.score;
+      confidence = alternativeMatch.confidence;
+      alternative = alternativeMatch.word;
+    }
+  }
+
+  return { score, confidence, alternative };
+};
+
+/**
+ * scoreRecognizedWord, remembered per recognized token (its details
+ * object, or the word when it has none) and target word until a
+ * matcher setting, the language or the accepted variants change
+ */
+const scoreRecognizedPair = (spoken, details, expected) => {
+  const settings = [
+    matchSettings.fuzzy,
+    matchSettings.phonetic,
+    matchSettings.exactOnly,
+    matchSettings.maxEditRatio,
+    matchSettings.minFuzzyLength,
+    getCurrentLocale()
+  ].join('|');
+  if (!pairScoreCache || pairScoreCache.settings !== settings || pairScoreCache.variants !== acceptedVariants) {
+    pairScoreCache = { settings, variants: acceptedVariants, byDetails: new WeakMap(), byWord: new Map() };
+  }
+
+  const { byDetails, byWord } = pairScoreCache;
+  const key = details || spoken;
+  const store = details ? byDetails : byWord;
+  if (!store.has(key)) {
+    store.set(key, new Map());
+  }
+
+  const scores = store.get(key);
+  if (!scores.has(expected)) {
+    scores.set(expected, scoreRecognizedWord(spoken, details, expected));
+  }
+  return scores.get(expected);
+};
+
+/**
+ * Word matching algorithm with strict sequential alignment.
+ * - You can only advance to the next target word if the
+ *   current word was pronounced correctly OR explicitly skipped.
+ * - Any spoken word while the current word is incorrect is
+ *   treated as another attempt for that same position.
+ * - When the top hypothesis misses, the recognizer's other
+ *   alternatives for that word (recognizedDetails) are consulted.
+ */
+const matchWords = (targetWords, recognizedWords, recognizedDetails = []) => {
+  const n = targetWords.length;
+  const m = recognizedWords.length;
+
+  const targetMatched = new Array(n).fill(false);
+  const targetClose = new Array(n).fill(false);
+  const targetConfidence = new Array(n).fill(null);
+  const recognizedMatched = new Array(m).fill(null);
+
+  // No target text: treat all recognized words as extra
+  if (n === 0) {
+    for (let i = 0; i < m; i++) {
+      recognizedMatched[i] = { targetIndex: null, status: 'extra' };
+    }
+    return { targetMatched, targetClose, targetConfidence, recognizedMatched, furthestMatch: -1 };
+  }
+
+  // Target exists but nothing recognized yet: nothing attempted
+  if (m === 0) {
+    return { targetMatched, targetClose, targetConfidence, recognizedMatched, furthestMatch: -1 };
+  }
+
+  let furthestMatch = -1;
+
+  // Helper: has this target index been "completed" already?
+  // A word is completed if it was committed earlier in the session,
+  // matched (exactly or closely) in this pass, or skipped.
+  const isCompleted = index => isTargetCompleted(index) || targetMatched[index] || targetClose[index];
+
+  let currentTargetIndex = 0;
+
+  for (let i = 0; i < m; i++) {
+    // Move to the next unfinished target index
+    while (currentTargetIndex < n && isCompleted(currentTargetIndex)) {
+      furthestMatch = Math.max(furthestMatch, currentTargetIndex);
+      currentTargetIndex++;
+    }
+
+    // All target words completed – remaining recognitions are extras
+    if (currentTargetIndex >= n) {
+      recognizedMatched[i] = { targetIndex: null, status: 'extra' };
+      continue;
+    }
+
+    const spoken = recognizedWords[i];
+    const expected = targetWords[currentTargetIndex];
+
+    // Hesitations are not attempts at the current word
+    if (spoken !== expected && isFillerWord(spoken)) {
+      recognizedMatched[i] = { targetIndex: null, status: 'extra', filler: true };
+      continue;
+    }
+
+    const { score, confidence, alternative } = scoreRecognizedWord(spoken, recognizedDetails[i], expected);
+
+    if (score === 'match' || score === 'close') {
+      // Correct (or nearly correct) pronunciation for the current target word
+      if (score === 'match') {
+        targetMatched[currentTargetIndex] = true;
+      } else {
+        targetClose[currentTargetIndex] = true;
+      }
+      targetConfidence[currentTargetIndex] = confidence;
+      recognizedMatched[i] = { targetIndex: currentTargetIndex, status: score, confidence, alternative };
+      furthestMatch = Math.max(furthestMatch, currentTargetIndex);
+      currentTargetIndex++;
+    } else {
+      // Mismatch – stay on the same target index.
+      // Further words will continue to be attempts for this same word
+      // until it is either pronounced correctly or skipped.
+      recognizedMatched[i] = { targetIndex: currentTargetIndex, status: 'mismatch', confidence };
+    }
+  }
+
+  // Ensure furthestMatch also includes any skipped indices beyond
+  // the last explicitly matched word.
+  skippedIndices.forEach(index => {
+    if (index >= 0 && index < n) {
+      furthestMatch = Math.max(furthestMatch, index);
+    }
+  });
+
+  return { targetMatched, targetClose, targetConfidence, recognizedMatched, furthestMatch };
+};
+
+/**
+ * Free-reading alignment. Aligns the whole transcript to the target
+ * with a global (Needleman-Wunsch) alignment that allows insertions,
+ * deletions and substitutions, so one misrecognized word does not
+ * hold up the rest of the reading.
+ * - Target words aligned to a matching spoken word are matched
+ *   (exactly or closely); aligned to a different word, substituted.
+ * - Target words left out before the furthest aligned word are
+ *   omitted; those after it are simply not reached yet, so the
+ *   unread end of the text costs nothing.
+ * - Spoken words aligned to no target word are extra; so are
+ *   filler words unless the text itself contains them.
+ * Skipped and manually marked words take no part in the alignment, nor
+ * do target words outside firstTarget…lastTarget (exclusive).
+ */
+const alignWords = (targetWords, recognizedWords, recognizedDetails = [], options = {}) => {
+  const { firstTarget = 0, lastTarget = targetWords.length } = options;
+  const n = targetWords.length;
+  const m = recognizedWords.length;
+
+  const targetMatched = new Array(n).fill(false);
+  const targetClose = new Array(n).fill(false);
+  const targetConfidence = new Array(n).fill(null);
+  const targetSubstituted = new Array(n).fill(false);
+  const targetOmitted = new Array(n).fill(false);
+  const recognizedMatched = new Array(m).fill(null);
+
+  const targets = targetWords.map((_, index) => index)
+    .filter(index => index >= firstTarget && index < lastTarget && !skippedIndices.has(index) && !wordOverrides[index]);
+  const rows = targets.length;
+
+  // Pair scores, computed once per cell
+  const fillers = recognizedWords.map(isFillerWord);
+  const pairs = targets.map(index => recognizedWords.map((spoken, j) =>
+    scoreRecognizedPair(spoken, recognizedDetails[j], targetWords[index])));
+
+  // Fillers only pair with a target word they actually match
+  const pairScore = (i, j) => {
+    const { score: status } = pairs[i][j];
+    return fillers[j] && status !== 'match' ? -Infinity : ALIGNMENT_SCORES[status];
+  };
+
+  // score[i][j]: best alignment of the first i targets with the first j spoken words
+  const score = Array.from({ length: rows + 1 }, (_, i) => {
+    const row = new Array(m + 1).fill(0);
+    row[0] = i * ALIGNMENT_SCORES.gap;
+    return row;
+  });
+  for (let j = 1; j <= m; j++) {
+    score[0][j] = j * ALIGNMENT_SCORES.gap;
+  }
+  for (let i = 1; i <= rows; i++) {
+    for (let j = 1; j <= m; j++) {
+      score[i][j] = Math.max(
+        score[i - 1][j - 1] + pairScore(i - 1, j - 1),
+        score[i - 1][j] + ALIGNMENT_SCORES.gap,
+        score[i][j - 1] + ALIGNMENT_SCORES.gap
+      );
+    }
+  }
+
+  // The reading may stop anywhere: start from the best-scoring row
+  let bestRow = 0;
+  for (let row = 1; row <= rows; row++) {
+    if (score[row][m] > score[bestRow][m]) {
+      bestRow = row;
+    }
+  }
+
+  // Trace back, preferring pairs over gaps
+  const deleted = [];
+  let furthestMatch = -1;
+  let i = bestRow;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && score[i][j] === score[i - 1][j - 1] + pairScore(i - 1, j - 1)) {
+      const index = targets[i - 1];
+      const { score: status, confidence, alternative } = pairs[i - 1][j - 1];
+      if (status === 'match' || status === 'close') {
+        targetMatched[index] = status === 'match';
+        targetClose[index] = status === 'close';
+        targetConfidence[index] = confidence;
+        recognizedMatched[j - 1] = { targetIndex: index, status, confidence, alternative };
+      } else {
+        targetSubstituted[index] = true;
+        recognizedMatched[j - 1] = { targetIndex: index, status: 'mismatch', confidence };
+      }
+      furthestMatch = Math.max(furthestMatch, index);
+      i--;
+      j--;
+    } else if (i > 0 && (j === 0 || score[i][j] === score[i - 1][j] + ALIGNMENT_SCORES.gap)) {
+      deleted.push(targets[i - 1]);
+      i--;
+    } else {
+      recognizedMatched[j - 1] = fillers[j - 1]
+        ? { targetIndex: null, status: 'extra', filler: true }
+        : { targetIndex: null, status: 'extra' };
+      j--;
+    }
+  }
+
+  deleted.forEach(index => {
+    if (index < furthestMatch) {
+      targetOmitted[index] = true;
+    }
+  });
+
+  return {
+    targetMatched,
+    targetClose,
+    targetConfidence,
+    targetSubstituted,
+    targetOmitted,
+    recognizedMatched,
+    furthestMatch
+  };
+};
+
+/**
+ * Match finalized recognized words from the current word onwards and
+ * commit the results to the session-wide progress and transcript
+ */
+const commitRecognizedWords = (words, details, times = []) => {
+  if (!words.length || !targetWords.length) return;
+
+  const createEntry = (word, index, match) => ({
+    raw: details[index].raw,
+    word,
+    match,
+    details: details[index],
+    at: times[index] ?? Date.now(),
+    run: sessionTiming.runs
+  });
+
+  if (matchSettings.freeReading) {
+    words.forEach((word, index) => {
+      committedTranscript.push(createEntry(word, index, null));
+    });
+    realignTranscript();
+    return;
+  }
+
+  const { targetMatched, targetClose, targetConfidence, recognizedMatched } = matchWords(targetWords, words, details);
+
+  targetMatched.forEach((matched, index) => {
+    if (matched || targetClose[index]) {
+      committedStatuses[index] = {
+        status: matched ? 'match' : 'close',
+        confidence: targetConfidence[index]
+      };
+    }
+  });
+
+  words.forEach((word, index) => {
+    committedTranscript.push(createEntry(word, index, recognizedMatched[index]));
+  });
+
+  debugLog('Committed words:', words);
+  debugLog('Committed statuses:', committedStatuses);
+};
+
+/**
+ * Free reading: align the spoken words after the settled part of the
+ * transcript to the target words after it, within the lookahead, and
+ * combine the result with the settled alignment
+ */
+const alignFreeReading = (words, details) => {
+  const anchor = alignmentAnchor || { spoken: 0, target: 0, alignment: null };
+  const tail = alignWords(targetWords, words.slice(anchor.spoken), details.slice(anchor.spoken), {
+    firstTarget: anchor.target,
+    lastTarget: Math.min(targetWords.length, anchor.target + (words.length - anchor.spoken) + ALIGNMENT_LOOKAHEAD)
+  });
+  if (!anchor.alignment) return tail;
+
+  const settled = anchor.alignment;
+  const combine = key => targetWords.map((_, index) => (index < anchor.target ? settled[key][index] : tail[key][index]));
+  return {
+    targetMatched: combine('targetMatched'),
+    targetClose: combine('targetClose'),
+    targetConfidence: combine('targetConfidence'),
+    targetSubstituted: combine('targetSubstituted'),
+    targetOmitted: combine('targetOmitted'),
+    recognizedMatched: [...settled.recognizedMatched.slice(0, anchor.spoken), ...tail.recognizedMatched],
+    furthestMatch: Math.max(settled.furthestMatch, tail.furthestMatch)
+  };
+};
+
+/**
+ * Settle a committed alignment at the last matched spoken word that is
+ * at least ALIGNMENT_SETTLE words old; false if there is none
+ */
+const settleAlignment = (alignment, spokenCount) => {
+  const settledCount = alignmentAnchor ? alignmentAnchor.spoken : 0;
+  for (let j = spokenCount - ALIGNMENT_SETTLE - 1; j >= settledCount; j--) {
+    const match = alignment.recognizedMatched[j];
+    if (match && (match.status === 'match' || match.status === 'close')) {
+      alignmentAnchor = { spoken: j + 1, target: match.targetIndex + 1, alignment };
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Free reading: align the committed transcript to the target again
+ * and rebuild the committed statuses from the result
+ */
+const realignTranscript = () => {
+  const words = committedTranscript.map(entry => entry.word);
+  const details = committedTranscript.map(entry => entry.details);
+
+  // A long unsettled transcript (restored progress, a changed setting)
+  // is aligned and settled a chunk at a time
+  let alignment;
+  for (;;) {
+    const end = Math.min(words.length, (alignmentAnchor ? alignmentAnchor.spoken : 0) + ALIGNMENT_CHUNK);
+    alignment = alignFreeReading(words.slice(0, end), details.slice(0, end));
+    const settled = settleAlignment(alignment, end);
+    if (end === words.length) break;
+    if (!settled) {
+      alignment = alignFreeReading(words, details);
+      settleAlignment(alignment, words.length);
+      break;
+    }
+  }
+
+  committedStatuses = targetWords.map((_, index) => {
+    if (!alignment.targetMatched[index] && !alignment.targetClose[index]) return null;
+    return {
+      status: alignment.targetMatched[index] ? 'match' : 'close',
+      confidence: alignment.targetConfidence[index]
+    };
+  });
+  freeReadingStatuses = targetWords.map((_, index) => {
+    if (alignment.targetSubstituted[index]) return 'substituted';
+    if (alignment.targetOmitted[index]) return 'omitted';
+    return null;
+  });
+  committedTranscript.forEach((entry, index) => {
+    entry.match = alignment.recognizedMatched[index];
+  });
+  applyWordOverrides();
+};
+
+/**
+ * Free reading: align the committed transcript plus the interim
+ * hypothesis, so every word the learner is reading updates live
+ */
+const getFreeReadingPreview = () => {
+  const committedCount = committedTranscript.length;
+  const alignment = alignFreeReading(
+    [...committedTranscript.map(entry => entry.word), ...interimWords],
+    [...committedTranscript.map(entry => entry.details), ...interimDetails]
+  );
+
+  let currentIndex = alignment.furthestMatch + 1;
+  while (currentIndex < targetWords.length && (skippedIndices.has(currentIndex) || wordOverrides[currentIndex])) {
+    currentIndex++;
+  }
+
+  return { alignment, currentIndex, recognizedMatched: alignment.recognizedMatched.slice(committedCount) };
+};
+
+/**
+ * Score the interim hypothesis. Only the word currently being attempted
+ * may change; interim tokens aimed further ahead are shown as pending
+ * until their result is finalized.
+ */
+const getInterimPreview = currentIndex => {
+  const { targetMatched, targetClose, targetConfidence, recognizedMatched } =
+    matchWords(targetWords, interimWords, interimDetails);
+
+  let status = null;
+  if (targetMatched[currentIndex]) {
+    status = 'match';
+  } else if (targetClose[currentIndex]) {
+    status = 'close';
+  }
+
+  const scopedMatched = recognizedMatched.map(match => {
+    if (match && match.targetIndex !== null && match.targetIndex !== currentIndex) {
+      return { ...match, status: 'pending' };
+    }
+    return match;
+  });
+
+  return { status, confidence: targetConfidence[currentIndex] ?? null, recognizedMatched: scopedMatched };
+};
+
+/**
+ * Collect per-target match flags from the committed progress
+ */
+const getCommittedFlags = () => {
+  const targetMatched = targetWords.map((_, index) => committedStatuses[index]?.status === 'match');
+  const targetClose = targetWords.map((_, index) => committedStatuses[index]?.status === 'close');
+  return { targetMatched, targetClose };
+};
+
+/**
+ * Render word chips, recognized output and summary from the committed
+ * progress plus the interim preview of the current word
+ */
+const renderProgress = () => {
+  if (!targetWords.length) return;
+
+  if (matchSettings.freeReading) {
+    renderFreeReadingProgress();
+    return;
+  }
+
+  const currentIndex = getCurrentTargetIndex();
+  const preview = getInterimPreview(currentIndex);
+
+  // Update the current match index for progress tracking
+  currentMatchIndex = currentIndex - 1;
+
+  debugLog('--- Recognition Update ---');
+  debugLog('Current index:', currentIndex);
+  debugLog('Interim words:', interimWords);
+
+  const chips = wordsContainer.querySelectorAll('.word-chip');
+  chips.forEach((chip, index) => {
+    chip.classList.remove('word-match', 'word-close', 'word-mismatch', 'word-current', 'word-interim');
+    const committed = committedStatuses[index];
+
+    if (renderWordOverride(chip, index)) return;
+
+    if (committed) {
+      chip.classList.add(`word-${committed.status}`);
+      applyChipConfidence(chip, committed.confidence);
+    } else if (index === currentIndex && preview.status) {
+      // Interim hypothesis matches the current word; not yet final
+      chip.classList.add(`word-${preview.status}`, 'word-interim');
+      applyChipConfidence(chip, preview.confidence);
+    } else {
+      applyChipConfidence(chip, null);
+      if (index < currentIndex) {
+        // Passed without a match (it was skipped)
+        chip.classList.add('word-mismatch');
+      } else if (index === currentIndex) {
+        // Highlight the next expected word
+        chip.classList.add('word-current');
+      }
+      // Words beyond the current one remain neutral (not yet evaluated)
+    }
+  });
+
+  updateRecognizedDisplay(preview.recognizedMatched);
+  renderWordActions();
+
+  const { targetMatched, targetClose } = getCommittedFlags();
+  updateSessionSummary(targetMatched, targetClose);
+  updateReportExport();
+
+  if (!isGuidedPractice()) {
+    renderSegmentNavigation();
+    checkAssignmentComplete();
+  }
+};
+
+/**
+ * Render chips, recognized output and summary in free-reading mode
+ */
+const renderFreeReadingProgress = () => {
+  const { alignment, currentIndex, recognizedMatched } = getFreeReadingPreview();
+  currentMatchIndex = currentIndex - 1;
+
+  const chips = wordsContainer.querySelectorAll('.word-chip');
+  chips.forEach((chip, index) => {
+    chip.classList.remove('word-match', 'word-close', 'word-mismatch', 'word-omitted', 'word-current', 'word-interim');
+    const committed = committedStatuses[index];
+
+    if (renderWordOverride(chip, index)) return;
+
+    if (alignment.targetMatched[index] || alignment.targetClose[index]) {
+      chip.classList.add(alignment.targetMatched[index] ? 'word-match' : 'word-close');
+      if (!committed) {
+        chip.classList.add('word-interim');
+      }
+      applyChipConfidence(chip, alignment.targetConfidence[index]);
+      return;
+    }
+
+    applyChipConfidence(chip, null);
+    if (alignment.targetSubstituted[index] || skippedIndices.has(index)) {
+      chip.classList.add('word-mismatch');
+    } else if (alignment.targetOmitted[index]) {
+      chip.classList.add('word-omitted');
+    } else if (index === currentIndex) {
+      chip.classList.add('word-current');
+    }
+  });
+
+  updateRecognizedDisplay(recognizedMatched);
+  renderWordActions();
+
+  const { targetMatched, targetClose } = getCommittedFlags();
+  updateSessionSummary(targetMatched, targetClose);
+  updateReportExport();
+
+  if (!isGuidedPractice()) {
+    renderSegmentNavigation();
+    checkAssignmentComplete();
+  }
+};
+
+/**
+ * Show the recognizer's confidence for a matched word as a tooltip,
+ * shading chips whose match was low-confidence
+ */
+const applyChipConfidence = (chip, confidence) => {
+  if (confidence === null || confidence === undefined) {
+    delete chip.dataset.confidence;
+    chip.classList.remove('word-low-confidence');
+    chip.removeAttribute('title');
+    return;
+  }
+
+  const percent = Math.round(confidence * 100);
+  chip.dataset.confidence = String(percent);
+  chip.title = `Recognizer confidence: ${percent}%`;
+  chip.classList.toggle('word-low-confidence', confidence < LOW_CONFIDENCE_THRESHOLD);
+};
+
+/**
+ * Apply a match record's status, target link and tooltip to a recognized token
+ */
+const applyRecognizedTokenStatus = (token, match) => {
+  if (!match) return;
+
+  if (match.status === 'pending') {
+    token.classList.add('recognized-word-pending');
+    return;
+  }
+
+  if (match.status === 'match' || match.status === 'close') {
+    token.classList.add(`recognized-word-${match.status}`);
+    if (match.targetIndex !== null && match.targetIndex !== undefined) {
+      token.dataset.targetIndex = String(match.targetIndex);
+    }
+  } else if (match.status === 'mismatch') {
+    token.classList.add('recognized-word-mismatch');
+  } else {
+    token.classList.add('recognized-word-extra');
+  }
+
+  const notes = [];
+  if (match.alternative) {
+    notes.push(`Accepted from alternative "${match.alternative}"`);
+  }
+  if (match.confidence !== null && match.confidence !== undefined) {
+    notes.push(`Confidence: ${Math.round(match.confidence * 100)}%`);
+  }
+  if (notes.length) {
+    token.title = notes.join(' · ');
+  }
+};
+
+/**
+ * Update the recognized output display with word tokens.
+ * Shows the session's committed transcript followed by the interim
+ * hypothesis, using the raw recognized words for readability.
+ */
+const updateRecognizedDisplay = interimMatched => {
+  recognizedOutput.innerHTML = '';
+
+  const tokens = [
+    ...committedTranscript,
+    ...interimWords.map((word, index) => ({ raw: interimDetails[index].raw, word, match: interimMatched[index] }))
+  ];
+
+  renderPhonemeFeedback(tokens);
+
+  if (!tokens.length) {
+    recognizedOutput.textContent = 'Listening…';
+    return;
+  }
+
+  tokens.forEach((entry, index) => {
+    const token = document.createElement('span');
+    token.className = 'recognized-word';
+    token.textContent = entry.raw || entry.word;
+    applyRecognizedTokenStatus(token, entry.match);
+
+    recognizedOutput.appendChild(token);
+
+    if (index < tokens.length - 1) {
+      recognizedOutput.appendChild(document.createTextNode(' '));
+    }
+  });
+};
+
+/**
+ * Whether a recognized word is a hesitation filler in the current language
+ */
+const isFillerWord = (word, locale = getCurrentLocale()) => {
+  const fillers = FILLER_WORDS[getLanguage(locale)];
+  return Boolean(fillers && fillers.has(word));
+};
+
+/**
+ * Fluency of the reading so far, from the committed transcript timings:
+ * speaking rate, longest pauses, fillers and restarts (a word or short
+ * phrase repeated right after itself). Defaults to the segment in view;
+ * the report passes every segment with its own transcript and words.
+ */
+const computeFluencyMetrics = (parts = [{ transcript: committedTranscript, words: displayWords, timing: sessionTiming }]) => {
+  // Listening runs are timed separately; time between them is not a pause.
+  // Run numbers restart with each segment.
+  const runs = new Map();
+  parts.forEach(({ transcript, words }, part) => {
+    transcript.filter(entry => entry.at).forEach(entry => {
+      const key = `${part}:${entry.run}`;
+      if (!runs.has(key)) {
+        runs.set(key, { words, entries: [] });
+      }
+      runs.get(key).entries.push(entry);
+    });
+  });
+
+  let speakingMs = 0;
+  let spokenWords = 0;
+  let restarts = 0;
+  const pauses = [];
+
+  runs.forEach(({ words: runWords, entries: runEntries }) => {
+    speakingMs += runEntries[runEntries.length - 1].at - runEntries[0].at;
+
+    runEntries.forEach((entry, index) => {
+      if (index === 0) return;
+
+      const gap = entry.at - runEntries[index - 1].at;
+      if (gap >= PAUSE_THRESHOLD) {
+        const targetIndex = entry.match?.targetIndex ?? null;
+        pauses.push({
+          ms: gap,
+          beforeIndex: targetIndex,
+          beforeWord: targetIndex === null ? entry.raw : runWords[targetIndex].original
+        });
+      }
+    });
+
+    const words = runEntries.filter(entry => !entry.match?.filler).map(entry => entry.word);
+    spokenWords += words.length;
+    for (let i = 1; i < words.length; i++) {
+      for (let length = 1; length <= MAX_RESTART_LENGTH && length <= i; length++) {
+        const before = words.slice(i - length, i).join(' ');
+        if (before === words.slice(i, i + length).join(' ')) {
+          restarts++;
+          i += length - 1;
+          break;
+        }
+      }
+    }
+  });
+
+  const fillers = {};
+  parts.forEach(({ transcript }) => {
+    transcript.forEach(entry => {
+      if (entry.match?.filler) {
+        fillers[entry.word] = (fillers[entry.word] || 0) + 1;
+      }
+    });
+  });
+
+  return {
+    wordsPerMinute: speakingMs > 0 && spokenWords > 1 ? Math.round(spokenWords / (speakingMs / 60000)) : null,
+    speakingSeconds: Math.round(speakingMs / 1000),
+    longestPauses: pauses.sort((a, b) => b.ms - a.ms).slice(0, MAX_REPORTED_PAUSES),
+    fillerCount: Object.values(fillers).reduce((sum, count) => sum + count, 0),
+    fillers,
+    restarts,
+    longSilences: parts.reduce((sum, { timing }) => sum + timing.longSilences, 0)
+  };
+};
+
+/**
+ * Describe a pause for the summary, e.g. "2.4 s before “fox”"
+ */
+const formatPause = pause => `${(pause.ms / 1000).toFixed(1)} s before “${pause.beforeWord}”`;
+
+/**
+ * Summary stats for the fluency metrics, once there is timing to show
+ */
+const getFluencySummaryHtml = () => {
+  const fluency = computeFluencyMetrics();
+  if (fluency.wordsPerMinute === null && !fluency.fillerCount && !fluency.longSilences) return '';
+
+  const longestPause = fluency.longestPauses[0];
+  return `
+    <span class="summary-stat">Pace: <strong>${fluency.wordsPerMinute ?? '–'}</strong> wpm</span>
+    <span class="summary-stat"${longestPause ? ` title="${escapeHtml(fluency.longestPauses.map(formatPause).join('\n'))}"` : ''}>
+      Longest pause: <strong>${longestPause ? escapeHtml(formatPause(longestPause)) : '–'}</strong></span>
+    <span class="summary-stat">Fillers: <strong>${fluency.fillerCount}</strong></span>
+    <span class="summary-stat">Restarts: <strong>${fluency.restarts}</strong></span>
+  `;
+};
+
+/**
+ * Update session summary with match statistics
+ */
+const updateSessionSummary = (targetMatched, targetClose) => {
+  if (!sessionSummary) return;
+
+  // A minimal-pair run keeps its per-contrast results on show
+  if (minimalPairs) {
+    renderMinimalPairResults(minimalPairs);
+    return;
+  }
+
+  const totalTarget = targetMatched.length;
+  // Words marked correct by hand count as progress but not as recognized
+  const markedCount = wordOverrides.filter(override => override === 'correct').length;
+  const exactCount = targetMatched.filter(Boolean).length - markedCount;
+  const closeCount = targetClose.filter(Boolean).length;
+  const matchedCount = exactCount + closeCount + markedCount;
+  const percent = totalTarget > 0 ? Math.round((matchedCount / totalTarget) * 100) : 0;
+
+  sessionSummary.innerHTML = `
+    <span class="summary-stat">Progress: <strong>${matchedCount}/${totalTarget}</strong> words (${percent}%)</span>
+    <span class="summary-stat">Exact: <strong>${exactCount}</strong></span>
+    <span class="summary-stat summary-close">Close: <strong>${closeCount}</strong></span>
+  `;
+
+  if (matchSettings.freeReading) {
+    const substitutedCount = freeReadingStatuses.filter(status => status === 'substituted').length;
+    const omittedCount = freeReadingStatuses.filter(status => status === 'omitted').length;
+    const extraCount = committedTranscript.filter(entry => entry.match?.status === 'extra').length;
+    sessionSummary.innerHTML += `
+      <span class="summary-stat summary-substituted">Substituted: <strong>${substitutedCount}</strong></span>
+      <span class="summary-stat summary-omitted">Omitted: <strong>${omittedCount}</strong></span>
+      <span class="summary-stat">Extra: <strong>${extraCount}</strong></span>
+    `;
+  }
+  sessionSummary.innerHTML += getOverrideSummaryHtml();
+  sessionSummary.hidden = false;
+
+  // Check if session is complete
+  if (matchedCount === totalTarget && totalTarget > 0) {
+    showSessionComplete(exactCount, closeCount, totalTarget);
+  } else if (matchSettings.freeReading && getCurrentTargetIndex() >= totalTarget) {
+    // Read to the end, with some words substituted, omitted or skipped
+    updateSessionStatus('Reading complete', 'status-complete');
+  }
+
+  sessionSummary.innerHTML += getFluencySummaryHtml();
+};
+
+/**
+ * Show session complete state
+ */
+const showSessionComplete = (exact, close, total) => {
+  updateSessionStatus('Complete! 🎉', 'status-complete');
+
+  if (sessionSummary) {
+    const closeNote = close > 0 || exact < total ? ` (${exact} exact, ${close} close)` : '';
+    sessionSummary.innerHTML = `
+      <span class="summary-stat summary-complete">✓ All ${total} words matched${closeNote}!</span>
+    ` + getOverrideSummaryHtml();
+  }
+};
+
+/**
+ * Reset session summary
+ */
+const resetSessionSummary = () => {
+  if (sessionSummary) {
+    sessionSummary.innerHTML = '';
+    sessionSummary.hidden = true;
+  }
+};
+
+/**
+ * Update session status display
+ */
+const updateSessionStatus = (label, variant = 'status-idle') => {
+  const allowedVariants = new Set([
+    'status-idle',
+    'status-ready',
+    'status-listening',
+    'status-error',
+    'status-complete'
+  ]);
+
+  const appliedVariant = allowedVariants.has(variant) ? variant : 'status-idle';
+  sessionStatus.textContent = `Status: ${label}`;
+  sessionStatus.className = `status-indicator ${appliedVariant}`;
+};
+
+/**
+ * Update button states based on listening state
+ */
+const setListeningState = listening => {
+  isListening = listening;
+  startSessionButton.disabled = listening;
+  stopSessionButton.disabled = !listening;
+  trackListeningTime(listening);
+  updateReportExport();
+};
+
+/**
+ * Accumulate the time spent listening on the text in the view
+ */
+const trackListeningTime = listening => {
+  const now = Date.now();
+  if (listening) {
+    sessionTiming.startedAt = sessionTiming.startedAt || now;
+    sessionTiming.listeningSince = now;
+    sessionTiming.runs++;
+  } else if (sessionTiming.listeningSince) {
+    sessionTiming.listeningMs += now - sessionTiming.listeningSince;
+    sessionTiming.listeningSince = null;
+    sessionTiming.endedAt = now;
+  }
+};
+
+/**
+ * Set a simple text message in recognized output
+ */
+const setRecognizedMessage = message => {
+  recognizedOutput.textContent = message;
+  renderPhonemeFeedback([]);
+};
+
+/**
+ * Add text from input to the view, split in the segment mode that goes
+ * with the text, or else the selected one, unless another is given.
+ * The text is remembered for the next visit unless `save` is false.
+ */
+const addTextToView = ({ segmentMode = textSegmentMode || getSelectedSegmentMode(), save = true } = {}) => {
+  stopShadowing({ restoreText: false });
+  stopDrill({ restoreText: false });
+  stopMinimalPairs({ restoreText: false });
+  activeAssignment = null;
+  stopListening();
+  cancelSpeech();
+
+  const rawText = textInput.value.trim();
+  if (!rawText) {
+    updateSessionStatus('Enter some text first', 'status-error');
+    return;
+  }
+
+  if (!loadPracticeText(rawText, segmentMode)) {
+    return;
+  }
+
+  // Save to localStorage
+  if (save) {
+    saveToStorage();
+  }
+};
+
+/**
+ * Segment text for the current locale and render it as word chips.
+ * Returns false when the text contains no valid words.
+ */
+const loadTextIntoView = rawText => {
+  const parsedWords = parseText(rawText);
+  if (!parsedWords.length) {
+    updateSessionStatus('No valid words found', 'status-error');
+    setRecognizedMessage(idleRecognizedMessage);
+    return false;
+  }
+
+  // Filter out empty normalized words
+  const validWords = parsedWords.filter(w => w.normalized.length > 0);
+  if (!validWords.length) {
+    updateSessionStatus('No valid words found', 'status-error');
+    return false;
+  }
+
+  viewText = rawText;
+  displayWords = validWords;
+  targetWords = validWords.map(w => w.normalized);
+
+  renderWordCards(displayWords);
+  resetWordHighlights();
+  resetSessionProgress();
+  setRecognizedMessage(readyRecognizedMessage);
+  updateSessionStatus('Ready', 'status-ready');
+  resetSessionSummary();
+  renderRecordings();
+  return true;
+};
+
+/**
+ * Re-segment the Text View after the locale or character-matching
+ * setting changes. Progress is only reset when word boundaries or the
+ * words' spoken forms (e.g. "21" in another language) change.
+ */
+const resegmentTextView = () => {
+  if (!viewText || isListening) return;
+
+  const segments = parseText(viewText).filter(w => w.normalized.length > 0);
+  const unchanged = segments.length === displayWords.length &&
+    segments.every((segment, index) => segment.original === displayWords[index].original &&
+      segment.normalized === targetWords[index]);
+
+  if (!unchanged) {
+    // Word boundaries moved, so saved segment progress no longer lines up
+    practiceSegments.progress = [];
+    loadTextIntoView(viewText);
+    renderSegmentNavigation();
+  }
+};
+
+/**
+ * Split text into paragraphs at blank lines
+ */
+const splitParagraphs = rawText => {
+  return rawText
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(paragraph => normalizeWords(paragraph).length > 0);
+};
+
+/**
+ * Segment mode chosen in the sidebar
+ */
+const getSelectedSegmentMode = () => (segmentModeSelect ? segmentModeSelect.value : 'sentence');
+
+/**
+ * Split text into practice segments: sentences, paragraphs or the whole text
+ */
+const splitPracticeSegments = (rawText, mode) => {
+  if (mode === 'paragraph') {
+    return splitParagraphs(rawText);
+  }
+  if (mode === 'sentence') {
+    return splitSentences(rawText);
+  }
+  return normalizeWords(rawText).length ? [rawText.trim()] : [];
+};
+
+/**
+ * Whether shadowing or a drill currently controls the Text View
+ */
+const isGuidedPractice = () => Boolean(shadowing || drill || minimalPairs);
+
+/**
+ * Snapshot of the live progress of the segment in the view
+ */
+const captureSegmentProgress = () => ({
+  committedStatuses: [...committedStatuses],
+  committedTranscript: [...committedTranscript],
+  skippedIndices: [...skippedIndices],
+  wordOverrides: [...wordOverrides],
+  overrideLog: [...overrideLog],
+  freeReadingStatuses: [...freeReadingStatuses],
+  sessionTiming: { ...sessionTiming }
+});
+
+/**
+ * Remember the live progress of the segment in the view
+ */
+const saveSegmentProgress = () => {
+  // Shadowing may have left a different sentence in the view
+  if (viewText !== practiceSegments.texts[practiceSegments.index]) return;
+  practiceSegments.progress[practiceSegments.index] = captureSegmentProgress();
+};
+
+/**
+ * Progress of a segment: live for the one in view, otherwise its snapshot
+ */
+const getSegmentProgress = index => {
+  if (index === practiceSegments.index && !isGuidedPractice()) {
+    return captureSegmentProgress();
+  }
+  return practiceSegments.progress[index] || null;
+};
+
+/**
+ * Score a segment as done, partly done or not started
+ */
+const getSegmentScore = index => {
+  const progress = getSegmentProgress(index);
+  if (!progress || !progress.committedStatuses.length) {
+    return { state: 'not-started', matched: 0, total: progress ? progress.committedStatuses.length : 0 };
+  }
+
+  const total = progress.committedStatuses.length;
+  const matched = progress.committedStatuses.filter(Boolean).length;
+  const completed = new Set([
+    ...progress.skippedIndices,
+    ...progress.committedStatuses.flatMap((status, i) => (status ? [i] : [])),
+    ...progress.wordOverrides.flatMap((override, i) => (override ? [i] : []))
+  ]).size;
+
+  let state = 'partial';
+  if (completed === total) {
+    state = 'done';
+  } else if (completed === 0) {
+    state = 'not-started';
+  }
+  return { state, matched, total };
+};
+
+/**
+ * Load the whole text as practice segments, starting at the first. The
+ * mode defaults to the one selected in the sidebar.
+ */
+const loadPracticeText = (rawText, mode = getSelectedSegmentMode()) => {
+  const texts = splitPracticeSegments(rawText, mode);
+  if (!texts.length) {
+    updateSessionStatus('No valid words found', 'status-error');
+    setRecognizedMessage(idleRecognizedMessage);
+    return false;
+  }
+
+  practiceSegments = { sourceText: rawText, mode, texts, index: 0, progress: [] };
+  loadAcceptedVariants();
+  return showSegment(0, { saveCurrent: false });
+};
+
+/**
+ * Show one segment in the Text View, restoring its earlier progress
+ */
+const showSegment = (index, { saveCurrent = true } = {}) => {
+  const { texts } = practiceSegments;
+  if (index < 0 || index >= texts.length) return false;
+
+  stopListening();
+  cancelSpeech();
+
+  if (saveCurrent) {
+    saveSegmentProgress();
+  }
+
+  practiceSegments.index = index;
+  if (!loadTextIntoView(texts[index])) {
+    return false;
+  }
+
+  const saved = practiceSegments.progress[index];
+  if (saved && saved.committedStatuses.length === targetWords.length) {
+    committedStatuses = [...saved.committedStatuses];
+    committedTranscript = [...saved.committedTranscript];
+    saved.skippedIndices.forEach(skipped => skippedIndices.add(skipped));
+    wordOverrides = [...saved.wordOverrides];
+    overrideLog = [...saved.overrideLog];
+    sessionTiming = { ...saved.sessionTiming };
+    alignmentAnchor = null;
+    if (matchSettings.freeReading) {
+      realignTranscript();
+    }
+    if (committedTranscript.length || skippedIndices.size || overrideLog.length) {
+      renderProgress();
+    }
+  }
+
+  renderSegmentNavigation();
+  return true;
+};
+
+/**
+ * Move to the previous (-1) or next (+1) segment
+ */
+const moveSegment = offset => {
+  if (isGuidedPractice() || practiceSegments.texts.length < 2) return;
+  showSegment(practiceSegments.index + offset);
+};
+
+/**
+ * Label a segment for the overview and navigation
+ */
+const getSegmentLabel = () => {
+  return practiceSegments.mode === 'paragraph' ? 'Paragraph' : 'Sentence';
+};
+
+/**
+ * Render the previous/next controls and the segment overview
+ */
+const renderSegmentNavigation = () => {
+  if (!segmentNavigation) return;
+
+  const { texts, index } = practiceSegments;
+  if (texts.length < 2) {
+    segmentNavigation.hidden = true;
+    return;
+  }
+
+  segmentNavigation.hidden = false;
+  prevSegmentButton.disabled = index === 0;
+  nextSegmentButton.disabled = index === texts.length - 1;
+
+  const current = getSegmentScore(index);
+  segmentPosition.textContent =
+    `${getSegmentLabel()} ${index + 1} of ${texts.length} · ${current.matched}/${current.total || targetWords.length} words`;
+
+  const counts = { done: 0, partial: 0, 'not-started': 0 };
+  segmentOverview.innerHTML = '';
+
+  texts.forEach((text, segmentIndex) => {
+    const score = getSegmentScore(segmentIndex);
+    counts[score.state]++;
+
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = `segment-item segment-${score.state}`;
+    if (segmentIndex === index) {
+      item.classList.add('segment-active');
+      item.setAttribute('aria-current', 'true');
+    }
+    item.textContent = String(segmentIndex + 1);
+    item.title = `${text}\n${score.matched}/${score.total || '?'} words matched`;
+    item.addEventListener('click', () => {
+      if (!isGuidedPractice()) {
+        showSegment(segmentIndex);
+      }
+    });
+    segmentOverview.appendChild(item);
+  });
+
+  segmentOverviewSummary.textContent =
+    `${counts.done} done · ${counts.partial} partly done · ${counts['not-started']} not started`;
+};
+
+/**
+ * Re-split the text after the segment mode changes
+ */
+const changeSegmentMode = () => {
+  saveSetting(STORAGE_KEY_SEGMENT_MODE, segmentModeSelect.value);
+  // A mode picked by hand applies to the sidebar text as well
+  textSegmentMode = null;
+  saveToStorage();
+  if (practiceSegments.sourceText && !isGuidedPractice()) {
+    stopListening();
+    loadPracticeText(practiceSegments.sourceText);
+  }
+};
+
+/**
+ * Clear the sidebar input
+ */
+const clearSidebarInput = () => {
+  textInput.value = '';
+  textSegmentMode = null;
+  saveToStorage();
   textInput.focus();
 };
 
 /**
- * Stop speech recognition
+ * Stop speech recognition
+ */
+const stopListening = () => {
+  if (!recognition) return;
+
+  isListening = false; // Set this first to prevent restart in handleRecognitionEnd
+  clearSilenceTimer();
+
+  try {
+    recognition.stop();
+  } catch (e) {
+    // Ignore errors when stopping
+  }
+
+  setListeningState(false);
+  stopRecording();
+  stopLevelMeter();
+
+  // Drop the unfinished interim hypothesis; committed progress is kept
+  interimWords = [];
+  interimDetails = [];
+  pendingWordTimes = [];
+
+  if (targetWords.length) {
+    renderProgress();
+  }
+  endHistorySession();
+
+  // Show final summary if we have results
+  if (targetWords.length > 0 && currentMatchIndex >= 0) {
+    const matchedCount = committedStatuses.filter(Boolean).length;
+    const total = targetWords.length;
+    if (matchedCount === total) {
+      updateSessionStatus('Complete! 🎉', 'status-complete');
+    } else {
+      updateSessionStatus(`Stopped - ${matchedCount}/${total} matched`, 'status-ready');
+    }
+  } else if (targetWords.length) {
+    updateSessionStatus('Ready', 'status-ready');
+  } else {
+    updateSessionStatus('Idle', 'status-idle');
+  }
+};
+
+/**
+ * Clear the text view
+ */
+const clearTextView = () => {
+  stopShadowing({ restoreText: false });
+  stopDrill({ restoreText: false });
+  stopMinimalPairs({ restoreText: false });
+  activeAssignment = null;
+  stopListening();
+  cancelSpeech();
+  targetWords = [];
+  displayWords = [];
+  viewText = '';
+  practiceSegments = { sourceText: '', mode: 'sentence', texts: [], index: 0, progress: [] };
+  resetSessionProgress();
+  wordsContainer.innerHTML = '';
+  renderRecordings();
+  renderSegmentNavigation();
+  setRecognizedMessage(idleRecognizedMessage);
+  updateSessionStatus('Idle', 'status-idle');
+  resetSessionSummary();
+};
+
+/**
+ * Check whether a recognizer alternative is plausible enough to accept.
+ * Browsers report 0 when they have no confidence estimate, which is
+ * treated as unknown rather than as "certainly wrong".
+ */
+const isPlausibleAlternative = alternative => {
+  if (!alternative || !alternative.transcript) return false;
+  return !alternative.confidence || alternative.confidence >= MIN_ALTERNATIVE_CONFIDENCE;
+};
+
+/**
+ * Normalize one recognition result into words from the top hypothesis,
+ * each with its confidence and the words other alternatives heard at
+ * roughly the same position (±1 word)
+ */
+const collectResultWords = result => {
+  const top = result[0];
+  const tokens = mergeTargetPhrases(splitTranscriptWords(top?.transcript || ''));
+  const words = tokens.map(token => token.normalized);
+  const confidence = top && top.confidence > 0 ? top.confidence : null;
+
+  const alternatives = [];
+  for (let a = 1; a < result.length; a++) {
+    const alternative = result[a];
+    if (!isPlausibleAlternative(alternative)) continue;
+    alternatives.push({
+      words: normalizeWords(alternative.transcript),
+      confidence: alternative.confidence > 0 ? alternative.confidence : null
+    });
+  }
+
+  const details = tokens.map((token, position) => ({
+    raw: token.original,
+    confidence,
+    alternatives: alternatives.flatMap(alternative =>
+      alternative.words
+        .slice(Math.max(0, position - 1), position + 2)
+        .filter(candidate => candidate !== token.normalized)
+        .map(candidate => ({ word: candidate, confidence: alternative.confidence }))
+    )
+  }));
+
+  return { words, details };
+};
+
+/**
+ * Handle speech recognition results.
+ * Newly finalized results are committed to the session progress in
+ * order; everything after them forms the interim hypothesis, which
+ * only previews the word currently being attempted.
+ */
+const handleRecognitionResult = event => {
+  if (!isListening) return;
+
+  // Reset silence timer on any speech
+  resetSilenceTimer();
+
+  const nextInterimWords = [];
+  const nextInterimDetails = [];
+  const nextWordTimes = [];
+  const now = Date.now();
+  let position = 0;
+
+  // Results before committedResultIndex were committed by earlier
+  // events of this engine run
+  for (let i = committedResultIndex; i < event.results.length; i++) {
+    const result = event.results[i];
+    const { words, details } = collectResultWords(result);
+
+    // A word keeps the time it first showed up in a hypothesis
+    const times = words.map((_, index) => pendingWordTimes[position + index] ?? now);
+    position += words.length;
+
+    // Voice commands never reach the matcher; they run once final
+    const pieces = splitVoiceCommands(words, details, times);
+
+    if (result.isFinal && i === committedResultIndex) {
+      committedResultIndex = i + 1;
+      for (const piece of pieces) {
+        commitRecognizedWords(piece.words, piece.details, piece.times);
+        if (!piece.command) continue;
+
+        const text = viewText;
+        runVoiceCommand(piece.command);
+        // Stopping, moving on or playing audio ends this engine run
+        if (!isListening || viewText !== text) return;
+      }
+    } else {
+      pieces.forEach(piece => {
+        nextInterimWords.push(...piece.words);
+        nextInterimDetails.push(...piece.details);
+        nextWordTimes.push(...piece.times);
+      });
+    }
+  }
+
+  interimWords = nextInterimWords;
+  interimDetails = nextInterimDetails;
+  pendingWordTimes = nextWordTimes;
+
+  renderRecognition();
+  handleShadowingResult();
+  handleDrillResult();
+  handleMinimalPairResult();
+};
+
+/**
+ * Skip the current target word and move on to the next one.
+ * This does NOT count as a correct match in the summary,
+ * but it allows progressing when a word is too difficult.
+ */
+const skipCurrentWord = () => {
+  if (!targetWords.length) {
+    return;
+  }
+
+  // The "current" word is always the first word not yet
+  // completed (committed or skipped).
+  const nextIndex = getCurrentTargetIndex();
+
+  if (nextIndex >= targetWords.length) {
+    return;
+  }
+
+  skippedIndices.add(nextIndex);
+
+  // Skipped words drop out of the free-reading alignment
+  if (matchSettings.freeReading) {
+    realignTranscript();
+  }
+
+  // Re-render from the committed progress so the UI moves on to
+  // the next word immediately.
+  renderProgress();
+  handleDrillResult();
+  handleMinimalPairResult();
+};
+
+// Voice commands, in the order they are listed in the settings
+const VOICE_COMMAND_ACTIONS = [
+  { action: 'skip', label: 'Skip word' },
+  { action: 'repeat', label: 'Hear the sentence again' },
+  { action: 'playWord', label: 'Hear the current word' },
+  { action: 'nextSentence', label: 'Next sentence' },
+  { action: 'stop', label: 'Stop listening' }
+];
+
+// Default command phrases per language; users can replace them per language
+const VOICE_COMMANDS = {
+  en: { skip: ['skip', 'skip word'], repeat: ['repeat that'], playWord: ['play word'], nextSentence: ['next sentence'], stop: ['stop listening'] },
+  es: { skip: ['saltar', 'salta'], repeat: ['repite eso'], playWord: ['reproducir palabra'], nextSentence: ['siguiente frase'], stop: ['deja de escuchar'] },
+  fr: { skip: ['passer', 'passe'], repeat: ['répète ça'], playWord: ['lire le mot'], nextSentence: ['phrase suivante'], stop: ['arrête d\'écouter'] },
+  de: { skip: ['überspringen'], repeat: ['wiederhole das'], playWord: ['wort abspielen'], nextSentence: ['nächster satz'], stop: ['hör auf zuzuhören'] },
+  it: { skip: ['salta'], repeat: ['ripeti'], playWord: ['riproduci parola'], nextSentence: ['frase successiva'], stop: ['smetti di ascoltare'] },
+  pt: { skip: ['pular', 'pula'], repeat: ['repita isso'], playWord: ['tocar palavra'], nextSentence: ['próxima frase'], stop: ['parar de ouvir'] }
+};
+
+const VOICE_COMMAND_FEEDBACK_TIME = 2500; // How long a command confirmation stays visible
+let voiceCommandsEnabled = true;
+let voiceCommandFeedbackTimer = null;
+
+/**
+ * Phrases the user set in place of the defaults, per language and action
+ */
+const loadCustomVoiceCommands = () => {
+  try {
+    return JSON.parse(loadSetting(STORAGE_KEY_VOICE_COMMAND_PHRASES)) || {};
+  } catch (e) {
+    debugLog('Failed to read voice command phrases:', e);
+    return {};
+  }
+};
+
+/**
+ * Command phrases for each action in a language: the user's, else the defaults
+ */
+const getVoiceCommandPhrases = (locale = getCurrentLocale()) => {
+  const language = getLanguage(locale);
+  const custom = loadCustomVoiceCommands()[language] || {};
+  const defaults = VOICE_COMMANDS[language] || {};
+  return Object.fromEntries(VOICE_COMMAND_ACTIONS.map(({ action }) =>
+    [action, custom[action] || defaults[action] || []]));
+};
+
+/**
+ * Normalized commands for the current language, longest first
+ */
+const getVoiceCommands = () => {
+  const locale = getCurrentLocale();
+  return Object.entries(getVoiceCommandPhrases(locale))
+    .flatMap(([action, phrases]) => phrases.map(phrase => ({ action, words: normalizeWords(phrase, locale) })))
+    .filter(command => command.words.length)
+    .sort((a, b) => b.words.length - a.words.length);
+};
+
+/**
+ * Whether a run of words occurs in the text still to be read, where
+ * it must be scored rather than obeyed ("skip" in "skip the stones")
+ */
+const isStillToBeRead = words => {
+  for (let start = getCurrentTargetIndex(); start + words.length <= targetWords.length; start++) {
+    if (words.every((word, offset) => targetWords[start + offset] === word)) return true;
+  }
+  return false;
+};
+
+/**
+ * Cut voice commands out of one result's words. Returns the words in
+ * pieces, each followed by the command spoken after it (if any).
+ */
+const splitVoiceCommands = (words, details, times) => {
+  const commands = voiceCommandsEnabled ? getVoiceCommands().filter(command => !isStillToBeRead(command.words)) : [];
+  const pieces = [];
+  let start = 0;
+  let i = 0;
+
+  while (i < words.length) {
+    const command = commands.find(candidate =>
+      candidate.words.every((word, offset) => words[i + offset] === word));
+    if (!command) {
+      i++;
+      continue;
+    }
+
+    pieces.push({
+      words: words.slice(start, i),
+      details: details.slice(start, i),
+      times: times.slice(start, i),
+      command: command.action
+    });
+    i += command.words.length;
+    start = i;
+  }
+
+  pieces.push({ words: words.slice(start), details: details.slice(start), times: times.slice(start), command: null });
+  return pieces;
+};
+
+/**
+ * Briefly confirm a voice command next to the session status
+ */
+const showVoiceCommandFeedback = message => {
+  if (!voiceCommandFeedback) return;
+
+  voiceCommandFeedback.textContent = message;
+  voiceCommandFeedback.hidden = false;
+  clearTimeout(voiceCommandFeedbackTimer);
+  voiceCommandFeedbackTimer = setTimeout(() => {
+    voiceCommandFeedback.hidden = true;
+  }, VOICE_COMMAND_FEEDBACK_TIME);
+};
+
+/**
+ * Play reference audio for a voice command, then listen again
+ */
+const playThenListen = async play => {
+  if (await play()) {
+    startListening();
+  }
+};
+
+/**
+ * Carry out a voice command with the matching existing action
+ */
+const runVoiceCommand = action => {
+  const { label } = VOICE_COMMAND_ACTIONS.find(command => command.action === action);
+  debugLog('Voice command:', action);
+
+  // Guided practice moves through the text and plays audio by itself
+  if (isGuidedPractice() && action !== 'skip' && action !== 'stop') {
+    showVoiceCommandFeedback(`🎙 "${label}" is not available during guided practice`);
+    return;
+  }
+
+  showVoiceCommandFeedback(`🎙 ${label}`);
+  if (action === 'skip') {
+    skipCurrentWord();
+  } else if (action === 'repeat') {
+    playThenListen(playSentence);
+  } else if (action === 'playWord') {
+    playThenListen(() => speakWord(Math.min(getCurrentTargetIndex(), targetWords.length - 1)));
+  } else if (action === 'nextSentence') {
+    if (practiceSegments.index + 1 < practiceSegments.texts.length) {
+      moveSegment(1);
+      startListening();
+    } else {
+      showVoiceCommandFeedback('🎙 This is the last sentence');
+    }
+  } else if (action === 'stop') {
+    handleStopRequest();
+  }
+};
+
+/**
+ * Show the command phrases of the current language in the settings
+ */
+const renderVoiceCommandFields = () => {
+  if (!voiceCommandFields) return;
+
+  const language = getLanguage(getCurrentLocale());
+  const custom = loadCustomVoiceCommands()[language] || {};
+  const defaults = VOICE_COMMANDS[language] || {};
+
+  voiceCommandFields.innerHTML = '';
+  VOICE_COMMAND_ACTIONS.forEach(({ action, label }) => {
+    const field = document.createElement('label');
+    field.className = 'voice-command-field';
+    field.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'endpoint-input';
+    input.spellcheck = false;
+    input.value = (custom[action] || []).join(', ');
+    input.placeholder = (defaults[action] || []).join(', ') || 'No default; type phrases, comma separated';
+    input.addEventListener('change', () => saveVoiceCommandPhrases(language, action, input.value));
+
+    field.appendChild(input);
+    voiceCommandFields.appendChild(field);
+  });
+};
+
+/**
+ * Store the phrases for one command; an empty field restores the defaults
+ */
+const saveVoiceCommandPhrases = (language, action, value) => {
+  const custom = loadCustomVoiceCommands();
+  const phrases = [...new Set(value.split(',').map(phrase => phrase.trim()).filter(Boolean))];
+
+  custom[language] = { ...custom[language] };
+  if (phrases.length) {
+    custom[language][action] = phrases;
+  } else {
+    delete custom[language][action];
+  }
+  saveSetting(STORAGE_KEY_VOICE_COMMAND_PHRASES, JSON.stringify(custom));
+};
+
+/**
+ * Initialize voice commands: the on/off setting and the phrases per language
+ */
+const initializeVoiceCommands = () => {
+  voiceCommandsEnabled = loadSetting(STORAGE_KEY_VOICE_COMMANDS) !== 'false';
+  if (voiceCommandsToggle) {
+    voiceCommandsToggle.checked = voiceCommandsEnabled;
+    voiceCommandsToggle.addEventListener('change', () => {
+      voiceCommandsEnabled = voiceCommandsToggle.checked;
+      saveSetting(STORAGE_KEY_VOICE_COMMANDS, String(voiceCommandsEnabled));
+    });
+  }
+
+  renderVoiceCommandFields();
+  if (localeSelect) {
+    localeSelect.addEventListener('change', renderVoiceCommandFields);
+  }
+};
+
+/**
+ * Status shown in reports for each kind of word override
+ */
+const WORD_OVERRIDE_LABELS = {
+  correct: 'marked correct',
+  incorrect: 'marked incorrect',
+  jumped: 'jumped over'
+};
+
+/**
+ * Free reading rebuilds the committed statuses from the alignment;
+ * put the learner's marks back on top
+ */
+const applyWordOverrides = () => {
+  wordOverrides.forEach((override, index) => {
+    if (!override) return;
+    committedStatuses[index] = override === 'correct' ? { status: 'match', confidence: null, marked: true } : null;
+    freeReadingStatuses[index] = null;
+  });
+};
+
+/**
+ * Style a chip the learner marked or jumped over; false if it has no override
+ */
+const renderWordOverride = (chip, index) => {
+  const override = wordOverrides[index];
+  chip.classList.remove('word-marked', 'word-jumped');
+  if (!override) return false;
+
+  applyChipConfidence(chip, null);
+  if (override === 'jumped') {
+    chip.classList.add('word-jumped');
+    chip.title = 'Jumped over';
+  } else {
+    chip.classList.add(override === 'correct' ? 'word-match' : 'word-mismatch', 'word-marked');
+    chip.title = `Marked ${override} by you`;
+  }
+  return true;
+};
+
+/**
+ * Count overrides in a log by action
+ */
+const countOverrides = log => {
+  const counts = { jump: 0, unskip: 0, correct: 0, incorrect: 0 };
+  log.forEach(({ action }) => {
+    counts[action]++;
+  });
+  return counts;
+};
+
+/**
+ * Session summary line for the learner's overrides, so self-marked
+ * words are never mistaken for recognized ones
+ */
+const getOverrideSummaryHtml = () => {
+  if (!overrideLog.length) return '';
+
+  const marked = status => wordOverrides.filter(override => override === status).length;
+  const { jump, unskip } = countOverrides(overrideLog);
+  return `
+    <span class="summary-stat summary-override">Marked correct by you: <strong>${marked('correct')}</strong></span>
+    <span class="summary-stat summary-override">Marked incorrect: <strong>${marked('incorrect')}</strong></span>
+    <span class="summary-stat summary-override">Jumps: <strong>${jump}</strong>
+      (${marked('jumped')} word${marked('jumped') === 1 ? '' : 's'} passed over)</span>
+    <span class="summary-stat summary-override">Skips undone: <strong>${unskip}</strong></span>
+  `;
+};
+
+/**
+ * Record an override and show the progress it leads to
+ */
+const commitWordOverride = (action, index) => {
+  overrideLog.push({ action, index, at: Date.now() });
+  debugLog('Word override:', action, index);
+
+  if (matchSettings.freeReading) {
+    // The override may concern a word that was already settled
+    alignmentAnchor = null;
+    realignTranscript();
+  }
+  renderProgress();
+};
+
+/**
+ * Clear everything recorded for a word, so it is attempted again
+ */
+const clearWordProgress = index => {
+  skippedIndices.delete(index);
+  committedStatuses[index] = null;
+  freeReadingStatuses[index] = null;
+  wordOverrides[index] = null;
+};
+
+/**
+ * Move the current position to a word. Unfinished words before it are
+ * passed over; a finished word is cleared so it can be practiced again.
+ * Words after it keep their results.
+ */
+const jumpToWord = index => {
+  if (index < 0 || index >= targetWords.length) return;
+
+  clearWordProgress(index);
+  for (let i = 0; i < index; i++) {
+    if (!isTargetCompleted(i)) {
+      wordOverrides[i] = 'jumped';
+    }
+  }
+  commitWordOverride('jump', index);
+};
+
+/**
+ * Take back a skip; the word is attempted again when it is reached
+ */
+const undoSkip = index => {
+  if (!skippedIndices.has(index)) return;
+
+  skippedIndices.delete(index);
+  commitWordOverride('unskip', index);
+};
+
+/**
+ * Mark a word correct or incorrect by hand when the recognizer is clearly wrong
+ */
+const markWord = (index, verdict) => {
+  if (wordOverrides[index] === verdict) return;
+
+  clearWordProgress(index);
+  wordOverrides[index] = verdict;
+  if (verdict === 'correct') {
+    committedStatuses[index] = { status: 'match', confidence: null, marked: true };
+  }
+  commitWordOverride(verdict, index);
+};
+
+/**
+ * Show the actions available for the selected word
+ */
+const renderWordActions = () => {
+  if (!wordActions) return;
+
+  const index = selectedWordIndex;
+  if (index === null || index >= targetWords.length) {
+    wordActions.hidden = true;
+    return;
+  }
+
+  const override = wordOverrides[index];
+  wordActionsLabel.textContent = displayWords[index].original;
+  practiceAgainButton.hidden = !isTargetCompleted(index);
+  undoSkipButton.hidden = !skippedIndices.has(index);
+  markCorrectButton.disabled = override === 'correct';
+  markIncorrectButton.disabled = override === 'incorrect';
+  wordActions.hidden = false;
+};
+
+/**
+ * Hide the word actions
+ */
+const closeWordActions = () => {
+  selectedWordIndex = null;
+  if (wordActions) {
+    wordActions.hidden = true;
+  }
+};
+
+/**
+ * Click (or Enter/Space) on a chip: jump to the word if it is still to
+ * be said and show its actions. Outside a listening session the word is
+ * played too; while listening, "Hear it" plays it. Guided practice
+ * controls the position itself, so there the chip only plays the word.
+ */
+const activateWordChip = index => {
+  if (!isGuidedPractice() && wordActions) {
+    selectedWordIndex = index;
+    if (!isTargetCompleted(index) && index !== getCurrentTargetIndex()) {
+      jumpToWord(index);
+    } else {
+      renderWordActions();
+    }
+    if (isListening) return;
+  }
+
+  speakWord(index);
+};
+
+/**
+ * Initialize chip actions: jump, undo skip and manual marks
+ */
+const initializeWordActions = () => {
+  wordsContainer.addEventListener('click', event => {
+    const chip = event.target.closest('.word-chip');
+    if (chip) {
+      activateWordChip(Number(chip.dataset.index));
+    }
+  });
+  wordsContainer.addEventListener('keydown', event => {
+    const chip = event.target.closest('.word-chip');
+    if (chip && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault();
+      activateWordChip(Number(chip.dataset.index));
+    }
+  });
+
+  if (!wordActions) return;
+
+  practiceAgainButton.addEventListener('click', () => jumpToWord(selectedWordIndex));
+  undoSkipButton.addEventListener('click', () => undoSkip(selectedWordIndex));
+  markCorrectButton.addEventListener('click', () => markWord(selectedWordIndex, 'correct'));
+  markIncorrectButton.addEventListener('click', () => markWord(selectedWordIndex, 'incorrect'));
+  closeWordActionsButton.addEventListener('click', closeWordActions);
+};
+
+/**
+ * Reset the silence detection timer
+ */
+const resetSilenceTimer = () => {
+  if (silenceTimer) {
+    clearTimeout(silenceTimer);
+  }
+
+  silenceTimer = setTimeout(() => {
+    if (isListening) {
+      sessionTiming.longSilences++;
+      updateSessionStatus('Listening… (continue speaking)', 'status-listening');
+    }
+  }, SILENCE_TIMEOUT);
+};
+
+/**
+ * Clear the silence timer
+ */
+const clearSilenceTimer = () => {
+  if (silenceTimer) {
+    clearTimeout(silenceTimer);
+    silenceTimer = null;
+  }
+};
+
+/**
+ * Handle recognition end event
+ */
+const handleRecognitionEnd = () => {
+  if (!isListening) {
+    setListeningState(false);
+    if (targetWords.length) {
+      updateSessionStatus('Ready', 'status-ready');
+    } else {
+      updateSessionStatus('Idle', 'status-idle');
+    }
+    return;
+  }
+
+  // Auto-restart if still supposed to be listening. The restarted
+  // engine reports a fresh results list, so only the committed
+  // progress carries over.
+  setTimeout(() => {
+    if (!isListening || !recognition) return;
+
+    committedResultIndex = 0;
+    interimWords = [];
+    interimDetails = [];
+    pendingWordTimes = [];
+
+    try {
+      recognition.start();
+    } catch (error) {
+      if (error.name !== 'InvalidStateError') {
+        console.error('Failed to restart recognition:', error);
+        handleRecognitionError({ error: error.name || 'unknown' });
+      }
+    }
+  }, 100);
+};
+
+/**
+ * Handle recognition errors
+ */
+const handleRecognitionError = event => {
+  const errorKey = String(event.error || 'unknown').toLowerCase();
+
+  // Ignore no-speech errors - just keep listening
+  if (errorKey === 'no-speech') {
+    if (isListening) {
+      updateSessionStatus('Listening… (no speech detected)', 'status-listening');
+    }
+    return;
+  }
+
+  // Ignore aborted errors (happens when we stop manually)
+  if (errorKey === 'aborted') {
+    return;
+  }
+
+  let message = 'Speech recognition error. Please try again.';
+
+  if (errorKey === 'not-allowed' || errorKey === 'notallowederror') {
+    message = 'Microphone access was denied. Please allow microphone access and try again.';
+  } else if (errorKey === 'audio-capture' || errorKey === 'notfounderror') {
+    message = 'No microphone was found. Please connect a microphone, or use "Test microphone" to check it.';
+  } else if (errorKey === 'network') {
+    message = 'Network error. Please check your internet connection.';
+  } else if (errorKey === 'server-unreachable') {
+    message = `Could not reach the local recognition server at ${getLocalEndpoint()}. Check that it is running.`;
+  }
+
+  console.error('Speech recognition error:', errorKey);
+  stopShadowing({ restoreText: false });
+  stopDrill({ restoreText: false });
+  stopMinimalPairs({ restoreText: false });
+  setRecognizedMessage(message);
+  updateSessionStatus('Error', 'status-error');
+  setListeningState(false);
+  isListening = false;
+  stopRecording();
+  stopLevelMeter();
+  endHistorySession();
+};
+
+/**
+ * Start speech recognition
+ */
+const startListening = async () => {
+  if (!recognition) {
+    updateSessionStatus('Speech recognition not supported', 'status-error');
+    return;
+  }
+
+  if (!targetWords.length) {
+    updateSessionStatus('Add text to practice first', 'status-error');
+    textInput.focus();
+    return;
+  }
+
+  if (isListening) {
+    return;
+  }
+
+  // Reference playback would be picked up by the microphone
+  cancelSpeech();
+
+  // Preflight microphone permission check
+  const micStatus = recognition.requiresMicrophone ? await checkMicrophonePermission() : 'granted';
+  if (micStatus === 'denied') {
+    updateSessionStatus('Microphone access denied', 'status-error');
+    setRecognizedMessage('Please allow microphone access in your browser settings and reload the page.');
+    return;
+  }
+
+  // Progress carries over between stop/start cycles; only a finished
+  // text starts over from the first word.
+  if (getCurrentTargetIndex() >= targetWords.length) {
+    resetSessionProgress();
+    resetSessionSummary();
+  }
+
+  // A new engine run starts with a fresh results list
+  committedResultIndex = 0;
+  interimWords = [];
+  interimDetails = [];
+  pendingWordTimes = [];
+
+  setListeningState(true);
+  renderProgress();
+  updateSessionStatus('Listening…', 'status-listening');
+  resetSilenceTimer();
+
+  // Update recognition language from selector
+  if (localeSelect && recognition) {
+    recognition.lang = localeSelect.value;
+  }
+
+  // Our own playback would be recorded too
+  stopRecordingPlayback();
+
+  try {
+    recognition.start();
+    startLevelMeter();
+    // Drill cards are graded into the deck itself, and a drill run in the
+    // history would requeue its own words; minimal-pair trials report their
+    // accuracy per contrast. Neither is recorded or added to the history.
+    if (!drill && !minimalPairs) {
+      startRecording();
+      beginHistorySession();
+    }
+  } catch (error) {
+    if (error.name === 'InvalidStateError') {
+      // Already running, that's fine
+      return;
+    }
+    console.error('Failed to start recognition:', error);
+    handleRecognitionError({ error: error.name || error.message });
+  }
+};
+
+/**
+ * Check microphone permission status
+ */
+const checkMicrophonePermission = async () => {
+  try {
+    if (navigator.permissions && navigator.permissions.query) {
+      const result = await navigator.permissions.query({ name: 'microphone' });
+      return result.state; // 'granted', 'denied', or 'prompt'
+    }
+    // Fallback: try to get user media
+    return 'prompt';
+  } catch (e) {
+    // Permission API not supported, assume prompt
+    return 'prompt';
+  }
+};
+
+/**
+ * Open the microphone with an AnalyserNode on it
+ */
+const openMicrophoneAnalyser = async () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const context = new AudioContextClass();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  context.createMediaStreamSource(stream).connect(analyser);
+  return { stream, context, analyser, samples: new Float32Array(analyser.fftSize) };
+};
+
+/**
+ * Release a microphone opened by openMicrophoneAnalyser
+ */
+const closeMicrophoneAnalyser = ({ stream, context }) => {
+  stream.getTracks().forEach(track => track.stop());
+  context.close().catch(() => {});
+};
+
+/**
+ * RMS and peak of the analyser's current block of samples
+ */
+const measureInputLevel = ({ analyser, samples }) => {
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  let peak = 0;
+  samples.forEach(sample => {
+    sum += sample * sample;
+    peak = Math.max(peak, Math.abs(sample));
+  });
+  return { rms: Math.sqrt(sum / samples.length), peak };
+};
+
+/**
+ * Map an RMS level to 0–100 on a -60…0 dBFS scale, like a mixer meter
+ */
+const getLevelPercent = rms => {
+  const db = 20 * Math.log10(Math.max(rms, 1e-6));
+  return Math.round(Math.min(100, Math.max(0, (db + 60) / 60 * 100)));
+};
+
+/**
+ * Name of the input device behind a stream
+ */
+const getInputDeviceLabel = stream => {
+  const [track] = stream.getAudioTracks();
+  return track && track.label ? track.label : 'Default microphone';
+};
+
+/**
+ * Show the live input level next to the session status while listening.
+ * The meter opens its own stream on the browser's default input, the one
+ * the recognizer listens to.
+ */
+const startLevelMeter = async () => {
+  if (!micLevelMeter || levelMeter || !recognition?.requiresMicrophone) return;
+  if (!navigator.mediaDevices?.getUserMedia || !(window.AudioContext || window.webkitAudioContext)) return;
+
+  const meter = { frame: null };
+  levelMeter = meter;
+
+  let microphone;
+  try {
+    microphone = await openMicrophoneAnalyser();
+  } catch (e) {
+    debugLog('Level meter unavailable:', e);
+    if (levelMeter === meter) {
+      levelMeter = null;
+    }
+    return;
+  }
+
+  // Listening stopped while waiting for the microphone
+  if (levelMeter !== meter) {
+    closeMicrophoneAnalyser(microphone);
+    return;
+  }
+
+  Object.assign(meter, microphone);
+  micLevelMeter.title = `Input: ${getInputDeviceLabel(microphone.stream)}`;
+  micLevelMeter.hidden = false;
+
+  const update = () => {
+    const { rms, peak } = measureInputLevel(meter);
+    const percent = getLevelPercent(rms);
+    micLevelBar.style.width = `${percent}%`;
+    micLevelMeter.setAttribute('aria-valuenow', String(percent));
+    micLevelMeter.classList.toggle('mic-level-clipping', peak >= MIC_CLIP_LEVEL);
+    meter.frame = requestAnimationFrame(update);
+  };
+  update();
+};
+
+/**
+ * Stop the live level meter and release its microphone stream
+ */
+const stopLevelMeter = () => {
+  const meter = levelMeter;
+  levelMeter = null;
+  if (micLevelMeter) {
+    micLevelMeter.hidden = true;
+  }
+  if (!meter || !meter.stream) return;
+
+  cancelAnimationFrame(meter.frame);
+  closeMicrophoneAnalyser(meter);
+};
+
+/**
+ * Show the checks of the microphone test; each is { ok, label, advice }
+ */
+const renderMicTestResults = checks => {
+  if (!micTestResults) return;
+
+  micTestResults.innerHTML = checks.map(({ ok, label, advice }) => `
+    <li class="mic-check ${ok === null ? 'mic-check-pending' : ok ? 'mic-check-ok' : 'mic-check-failed'}">
+      <span class="mic-check-label">${ok === null ? '…' : ok ? '✓' : '✗'} ${escapeHtml(label)}</span>
+      ${advice ? `<span class="mic-check-advice">${escapeHtml(advice)}</span>` : ''}
+    </li>
+  `).join('');
+};
+
+/**
+ * Advice for a getUserMedia failure
+ */
+const describeMicrophoneError = error => {
+  switch (error.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'Access was refused. Allow the microphone for this page in the browser\'s site settings and try again.';
+    case 'NotFoundError':
+      return 'No microphone was found. Plug one in, or enable it in the system sound settings.';
+    case 'NotReadableError':
+      return 'The microphone is in use by another application or blocked by the system. Close other apps using it and try again.';
+    default:
+      return `The microphone could not be opened (${error.name || error.message}).`;
+  }
+};
+
+/**
+ * Listen for a few seconds and collect the loudest RMS, the peak and the
+ * share of clipped frames
+ */
+const sampleInputLevels = microphone => new Promise(resolve => {
+  const stats = { maxRms: 0, peak: 0, frames: 0, clippedFrames: 0 };
+  const startedAt = Date.now();
+
+  const update = () => {
+    const { rms, peak } = measureInputLevel(microphone);
+    stats.maxRms = Math.max(stats.maxRms, rms);
+    stats.peak = Math.max(stats.peak, peak);
+    stats.frames++;
+    if (peak >= MIC_CLIP_LEVEL) {
+      stats.clippedFrames++;
+    }
+
+    if (micLevelBar) {
+      micLevelBar.style.width = `${getLevelPercent(rms)}%`;
+    }
+    if (Date.now() - startedAt < MIC_TEST_DURATION) {
+      requestAnimationFrame(update);
+    } else {
+      resolve(stats);
+    }
+  };
+  update();
+});
+
+/**
+ * Check permission, device, signal level and clipping, with advice for
+ * each problem found
+ */
+const testMicrophone = async () => {
+  if (!micTestPanel || micTestRunning) return;
+
+  stopListening();
+  cancelSpeech();
+  micTestRunning = true;
+  testMicButton.disabled = true;
+  micTestPanel.hidden = false;
+
+  const checks = [];
+  const report = check => {
+    checks.push(check);
+    renderMicTestResults(checks);
+  };
+
+  try {
+    if (!navigator.mediaDevices?.getUserMedia || !(window.AudioContext || window.webkitAudioContext)) {
+      report({
+        ok: false,
+        label: 'Microphone access',
+        advice: 'This browser cannot use the microphone here. Open the page over https:// or from localhost in a current browser.'
+      });
+      return;
+    }
+
+    // Permission
+    const permission = await checkMicrophonePermission();
+    if (permission === 'denied') {
+      report({
+        ok: false,
+        label: 'Permission: blocked',
+        advice: 'Allow the microphone for this page in the browser\'s site settings (the icon next to the address), then reload.'
+      });
+      return;
+    }
+    report({ ok: true, label: permission === 'granted' ? 'Permission: granted' : 'Permission: will be asked now' });
+
+    // Device presence
+    if (navigator.mediaDevices.enumerateDevices) {
+      let devices;
+      try {
+        devices = await navigator.mediaDevices.enumerateDevices();
+      } catch (e) {
+        console.error('Failed to list input devices:', e);
+        report({ ok: false, label: 'Input device', advice: `The input devices could not be listed (${e.name || e.message}).` });
+        return;
+      }
+      if (!devices.some(device => device.kind === 'audioinput')) {
+        report({
+          ok: false,
+          label: 'No input device',
+          advice: 'No microphone was found. Plug one in, or enable it in the system sound settings.'
+        });
+        return;
+      }
+    }
+
+    let microphone;
+    try {
+      microphone = await openMicrophoneAnalyser();
+    } catch (e) {
+      report({ ok: false, label: 'Opening the microphone', advice: describeMicrophoneError(e) });
+      return;
+    }
+
+    // Device in use; device names are only listed once access is granted
+    const [track] = microphone.stream.getAudioTracks();
+    let inputs = [];
+    try {
+      if (navigator.mediaDevices.enumerateDevices) {
+        inputs = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'audioinput');
+      }
+    } catch (e) {
+      console.error('Failed to list input devices:', e);
+      closeMicrophoneAnalyser(microphone);
+      report({ ok: false, label: 'Input device', advice: `The input devices could not be listed (${e.name || e.message}).` });
+      return;
+    }
+    const others = inputs.filter(device => device.label && device.label !== track.label).map(device => device.label);
+    report({
+      ok: !track.muted,
+      label: `Input device: ${getInputDeviceLabel(microphone.stream)}`,
+      advice: [
+        track.muted ? 'The device is muted by a hardware switch or the system; unmute it.' : '',
+        others.length ? `Other inputs: ${others.join(', ')}. Recognition uses the browser's default input; change it in the browser or system settings.` : ''
+      ].filter(Boolean).join(' ')
+    });
+
+    // Signal level and clipping
+    const levelCheck = { ok: null, label: 'Say a sentence at your normal volume…' };
+    report(levelCheck);
+    micLevelMeter.hidden = false;
+    let stats;
+    try {
+      stats = await sampleInputLevels(microphone);
+    } finally {
+      micLevelMeter.hidden = true;
+      closeMicrophoneAnalyser(microphone);
+    }
+
+    const clippedShare = stats.frames ? stats.clippedFrames / stats.frames : 0;
+    if (stats.peak < MIC_SILENT_PEAK) {
+      Object.assign(levelCheck, {
+        ok: false,
+        label: 'Signal: nothing picked up',
+        advice: 'Check the mute switch and the input volume in the system sound settings, or choose another input device.'
+      });
+    } else if (stats.maxRms < MIC_QUIET_RMS) {
+      Object.assign(levelCheck, {
+        ok: false,
+        label: 'Signal: very quiet',
+        advice: 'Move closer to the microphone or raise its input volume; quiet speech is often not recognized.'
+      });
+    } else {
+      Object.assign(levelCheck, { ok: true, label: 'Signal: good level' });
+    }
+    report({
+      ok: clippedShare < MIC_CLIP_RATIO,
+      label: clippedShare < MIC_CLIP_RATIO ? 'No clipping' : 'Clipping: the signal is too loud',
+      advice: clippedShare < MIC_CLIP_RATIO ? '' : 'Lower the input volume or move back a little; distorted audio is recognized less reliably.'
+    });
+  } finally {
+    micTestRunning = false;
+    testMicButton.disabled = false;
+  }
+};
+
+/**
+ * Initialize microphone diagnostics
+ */
+const initializeMicrophoneTest = () => {
+  if (testMicButton) {
+    testMicButton.addEventListener('click', testMicrophone);
+  }
+};
+
+/**
+ * Recognition engines share one small interface so the session logic
+ * does not depend on where results come from:
+ *   engine.lang                      – BCP 47 locale to recognize
+ *   engine.start() / engine.stop()   – begin or end a recognition run
+ *   engine.requiresMicrophone        – whether to run the permission preflight
+ *   addEventListener('start' | 'audiostart' | 'result' | 'error' | 'end', handler)
+ * 'result' events carry { resultIndex, results } shaped like the Web
+ * Speech API (results[i].isFinal, results[i][j].transcript/confidence);
+ * 'error' events carry { error }.
+ */
+const ENGINE_EVENTS = ['start', 'audiostart', 'result', 'error', 'end'];
+
+/**
+ * Create a minimal event emitter to back an engine
+ */
+const createEngineEvents = () => {
+  const listeners = new Map();
+
+  return {
+    addEventListener(type, handler) {
+      if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+      }
+      listeners.get(type).add(handler);
+    },
+    removeEventListener(type, handler) {
+      listeners.get(type)?.delete(handler);
+    },
+    emit(type, event = {}) {
+      listeners.get(type)?.forEach(handler => handler({ type, ...event }));
+    }
+  };
+};
+
+/**
+ * Create an InvalidStateError like the one SpeechRecognition throws
+ * when start() is called on a running instance
+ */
+const createInvalidStateError = message => {
+  const error = new Error(message);
+  error.name = 'InvalidStateError';
+  return error;
+};
+
+/**
+ * Web Speech API engine (browser-native, usually cloud-backed)
+ */
+const createWebSpeechEngine = () => {
+  if (!SpeechRecognition) return null;
+
+  const speech = new SpeechRecognition();
+  speech.interimResults = true;
+  speech.maxAlternatives = MAX_ALTERNATIVES;
+  speech.continuous = true;
+
+  const engine = {
+    name: 'webspeech',
+    requiresMicrophone: true,
+    ...createEngineEvents(),
+    get lang() {
+      return speech.lang;
+    },
+    set lang(value) {
+      speech.lang = value;
+    },
+    start: () => speech.start(),
+    stop: () => speech.stop()
+  };
+
+  ENGINE_EVENTS.forEach(type => {
+    speech.addEventListener(type, event => {
+      engine.emit(type, { resultIndex: event.resultIndex, results: event.results, error: event.error });
+    });
+  });
+
+  return engine;
+};
+
+/**
+ * Keep a Web Speech-style results list: an interim result is replaced
+ * by the next result until one arrives final
+ */
+const createResultList = () => {
+  let results = [];
+
+  return {
+    reset() {
+      results = [];
+    },
+    update(hypotheses, isFinal) {
+      const result = Object.assign(hypotheses, { isFinal: Boolean(isFinal) });
+      const last = results[results.length - 1];
+      if (last && !last.isFinal) {
+        results[results.length - 1] = result;
+      } else {
+        results.push(result);
+      }
+      return { resultIndex: results.length - 1, results: [...results] };
+    }
+  };
+};
+
+/**
+ * Build Web Speech-shaped hypotheses from a scripted step.
+ * `alternatives` may list extra hypotheses as strings or
+ * { transcript, confidence } objects.
+ */
+const toScriptedHypotheses = step => {
+  return [
+    { transcript: step.transcript || '', confidence: step.confidence ?? 0 },
+    ...(step.alternatives || []).map(alternative =>
+      typeof alternative === 'string' ? { transcript: alternative, confidence: 0 } : alternative
+    )
+  ];
+};
+
+/**
+ * Demo script used when no script is given: "reads" the text in the
+ * view a few words at a time, with growing interim results
+ */
+const createDemoSteps = text => {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const steps = [];
+
+  for (let start = 0; start < words.length; start += 4) {
+    const chunk = words.slice(start, start + 4);
+    chunk.forEach((_, index) => {
+      steps.push({ delay: 350, type: 'result', transcript: chunk.slice(0, index + 1).join(' ') });
+    });
+    steps.push({ delay: 300, type: 'result', transcript: chunk.join(' '), isFinal: true, confidence: 0.9 });
+  }
+
+  return steps;
+};
+
+/**
+ * Load scripted steps from inline JSON, a URL, or the demo generator
+ */
+const loadScriptedSteps = async source => {
+  if (!source) {
+    return createDemoSteps(viewText);
+  }
+
+  let json = source.trim();
+  if (!json.startsWith('[')) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to load recognition script (${response.status})`);
+    }
+    json = await response.text();
+  }
+
+  const steps = JSON.parse(json);
+  if (!Array.isArray(steps)) {
+    throw new TypeError('Recognition script must be a JSON array of steps');
+  }
+  return steps;
+};
+
+/**
+ * Scripted engine that replays timed interim/final results and errors
+ * without a microphone. Each step is
+ *   { delay, type: 'result', transcript, isFinal, confidence, alternatives }
+ *   { delay, type: 'error', error }
+ *   { delay, type: 'end' }          – simulates the engine ending on its own
+ * where delay is in milliseconds after the previous step. The run ends
+ * after the last step, and at once for an empty script. The script
+ * position carries over when the engine ends on its own, so auto-restarts
+ * resume it (a run that starts on an exhausted script ends at once);
+ * after stop() the next start reloads the source and plays it from the top.
+ */
+const createScriptedEngine = (source = null) => {
+  const engine = {
+    name: 'scripted',
+    requiresMicrophone: false,
+    lang: 'en-US',
+    ...createEngineEvents()
+  };
+
+  const resultList = createResultList();
+  let steps = null;
+  let stepsPromise = null;
+  let stepIndex = 0;
+  let timer = null;
+  let running = false;
+
+  const finishRun = () => {
+    if (!running) return;
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+    engine.emit('end');
+  };
+
+  const playStep = step => {
+    if (step.type === 'result') {
+      engine.emit('result', resultList.update(toScriptedHypotheses(step), step.isFinal));
+    } else if (step.type === 'error') {
+      // Like Web Speech, an error ends the run
+      engine.emit('error', { error: step.error || 'unknown' });
+      finishRun();
+    } else if (step.type === 'end') {
+      finishRun();
+    }
+  };
+
+  const scheduleNext = () => {
+    if (!running || stepIndex >= steps.length) return;
+
+    const step = steps[stepIndex];
+    timer = setTimeout(() => {
+      timer = null;
+      stepIndex++;
+      playStep(step);
+      if (stepIndex >= steps.length) {
+        finishRun();
+        return;
+      }
+      scheduleNext();
+    }, Math.max(0, Number(step.delay) || 0));
+  };
+
+  engine.start = () => {
+    if (running) {
+      throw createInvalidStateError('Scripted recognition already started');
+    }
+
+    running = true;
+    resultList.reset();
+    engine.emit('start');
+    engine.emit('audiostart');
+
+    if (!stepsPromise) {
+      stepsPromise = loadScriptedSteps(source);
+    }
+
+    const loading = stepsPromise;
+    loading
+      .then(loaded => {
+        // Stopped and started again while loading
+        if (loading !== stepsPromise) return;
+        steps = loaded;
+        if (stepIndex >= steps.length) {
+          setTimeout(finishRun, 0);
+          return;
+        }
+        scheduleNext();
+      })
+      .catch(error => {
+        if (loading !== stepsPromise) return;
+        console.error('Failed to load recognition script:', error);
+        engine.emit('error', { error: 'script-load-failed' });
+        finishRun();
+      });
+  };
+
+  // End asynchronously, as SpeechRecognition does
+  engine.stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    stepsPromise = null;
+    stepIndex = 0;
+    setTimeout(finishRun, 0);
+  };
+
+  return engine;
+};
+
+// Local (offline) recognition server settings
+const DEFAULT_LOCAL_ENDPOINT = 'ws://localhost:2700';
+const LOCAL_SAMPLE_RATE = 16000;   // PCM sample rate streamed to the server
+const HTTP_CHUNK_SECONDS = 4;      // Audio length per request for HTTP endpoints
+const LOCAL_STOP_TIMEOUT = 2000;   // Max wait for the server's last result after stop
+
+// AudioWorklet that forwards microphone samples in ~4096-sample blocks
+const PCM_CAPTURE_WORKLET = `
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.buffer = [];
+    this.length = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      this.buffer.push(channel.slice(0));
+      this.length += channel.length;
+      if (this.length >= 4096) {
+        const block = new Float32Array(this.length);
+        let offset = 0;
+        this.buffer.forEach(part => {
+          block.set(part, offset);
+          offset += part.length;
+        });
+        this.port.postMessage(block, [block.buffer]);
+        this.buffer = [];
+        this.length = 0;
+      }
+    }
+    return true;
+  }
+}
+registerProcessor('pcm-capture', PcmCaptureProcessor);
+`;
+
+/**
+ * Downsample Float32 audio to 16-bit PCM at the target rate by averaging
+ */
+const downsampleToInt16 = (samples, inputRate, outputRate = LOCAL_SAMPLE_RATE) => {
+  const ratio = inputRate / outputRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Int16Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const start = Math.floor(i * ratio);
+    const end = Math.min(samples.length, Math.floor((i + 1) * ratio));
+    let sum = 0;
+    for (let j = start; j < end; j++) {
+      sum += samples[j];
+    }
+    const value = Math.max(-1, Math.min(1, sum / Math.max(1, end - start)));
+    output[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+
+  return output;
+};
+
+/**
+ * Wrap 16-bit mono PCM chunks in a WAV container
+ */
+const encodeWav = (chunks, sampleRate = LOCAL_SAMPLE_RATE) => {
+  const dataLength = chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+  const buffer = new ArrayBuffer(44 + dataLength);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);           // fmt chunk size
+  view.setUint16(20, 1, true);            // PCM
+  view.setUint16(22, 1, true);            // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true);            // block align
+  view.setUint16(34, 16, true);           // bits per sample
+  writeString(36, 'data');
+  view.setUint32(40, dataLength, true);
+
+  let offset = 44;
+  chunks.forEach(chunk => {
+    new Uint8Array(buffer, offset, chunk.byteLength).set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+    offset += chunk.byteLength;
+  });
+
+  return new Blob([buffer], { type: 'audio/wav' });
+};
+
+/**
+ * Translate a local server message into { isFinal, hypotheses }.
+ * Understands Vosk ({ partial } / { text } / { alternatives }),
+ * whisper.cpp ({ text }) and a generic
+ * { type: 'partial'|'final', text, confidence, alternatives } shape.
+ * Returns null for messages without a transcript.
+ */
+const parseServerMessage = message => {
+  if (!message || typeof message !== 'object') return null;
+
+  if (typeof message.partial === 'string') {
+    return message.partial ? { isFinal: false, hypotheses: [{ transcript: message.partial, confidence: 0 }] } : null;
+  }
+
+  let hypotheses;
+  if (Array.isArray(message.alternatives) && message.alternatives.length) {
+    hypotheses = message.alternatives.map(alternative => ({
+      transcript: alternative.text ?? alternative.transcript ?? '',
+      confidence: Number(alternative.confidence) || 0
+    }));
+  } else {
+    hypotheses = [{
+      transcript: message.text ?? message.transcript ?? '',
+      confidence: Number(message.confidence) || 0
+    }];
+  }
+
+  // Vosk scores alternatives on an unbounded scale; turn them into shares
+  const totalScore = hypotheses.reduce((sum, hypothesis) => sum + hypothesis.confidence, 0);
+  if (hypotheses.some(hypothesis => hypothesis.confidence > 1)) {
+    hypotheses.forEach(hypothesis => {
+      hypothesis.confidence /= totalScore;
+    });
+  }
+
+  // Vosk reports confidence per word; average it for the hypothesis
+  if (!hypotheses[0].confidence && Array.isArray(message.result) && message.result.length) {
+    const total = message.result.reduce((sum, word) => sum + (Number(word.conf) || 0), 0);
+    hypotheses[0].confidence = total / message.result.length;
+  }
+
+  hypotheses = hypotheses.filter(hypothesis => hypothesis.transcript.trim());
+  if (!hypotheses.length) return null;
+
+  return { isFinal: message.type !== 'partial', hypotheses };
+};
+
+/**
+ * Offline engine: captures the microphone with getUserMedia and an
+ * AudioWorklet and sends 16 kHz 16-bit PCM to a local server.
+ * ws:// endpoints stream audio (Vosk protocol: config message, binary
+ * frames, then {"eof": 1}); http:// endpoints receive WAV chunks as a
+ * multipart "file" upload (whisper.cpp /inference style).
+ */
+const createLocalServerEngine = () => {
+  const engine = {
+    name: 'local',
+    requiresMicrophone: true,
+    lang: 'en-US',
+    ...createEngineEvents()
+  };
+
+  const resultList = createResultList();
+  let running = false;
+  let capture = null;
+  let transport = null;
+
+  const emitResult = parsed => {
+    if (!parsed || !running) return;
+    engine.emit('result', resultList.update(parsed.hypotheses, parsed.isFinal));
+  };
+
+  const fail = error => {
+    if (!running) return;
+    engine.emit('error', { error });
+    finishRun();
+  };
+
+  const finishRun = () => {
+    if (!running) return;
+    running = false;
+    stopCapture();
+    transport?.close();
+    transport = null;
+    engine.emit('end');
+  };
+
+  const stopCapture = () => {
+    if (!capture) return;
+    capture.source.disconnect();
+    capture.worklet.port.onmessage = null;
+    capture.worklet.disconnect();
+    capture.stream.getTracks().forEach(track => track.stop());
+    capture.context.close().catch(() => {});
+    capture = null;
+  };
+
+  const startCapture = async onSamples => {
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: { channelCount: 1, echoCancellation: true } });
+    const context = new AudioContext();
+    const moduleUrl = URL.createObjectURL(new Blob([PCM_CAPTURE_WORKLET], { type: 'text/javascript' }));
+
+    try {
+      await context.audioWorklet.addModule(moduleUrl);
+    } finally {
+      URL.revokeObjectURL(moduleUrl);
+    }
+
+    const source = context.createMediaStreamSource(stream);
+    const worklet = new AudioWorkletNode(context, 'pcm-capture');
+    worklet.port.onmessage = event => onSamples(downsampleToInt16(event.data, context.sampleRate));
+    source.connect(worklet);
+
+    capture = { stream, context, source, worklet };
+  };
+
+  const openWebSocketTransport = endpoint => new Promise((resolve, reject) => {
+    const socket = new WebSocket(endpoint);
+    socket.binaryType = 'arraybuffer';
+    let stopTimer = null;
+
+    socket.addEventListener('open', () => {
+      socket.send(JSON.stringify({
+        config: { sample_rate: LOCAL_SAMPLE_RATE, words: true, max_alternatives: MAX_ALTERNATIVES }
+      }));
+      resolve({
+        send: pcm => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(pcm.buffer);
+        },
+        // Ask for the final result; the server closes (or we time out)
+        finish: () => {
+          if (socket.readyState !== WebSocket.OPEN) return finishRun();
+          socket.send(JSON.stringify({ eof: 1 }));
+          stopTimer = setTimeout(finishRun, LOCAL_STOP_TIMEOUT);
+        },
+        close: () => {
+          clearTimeout(stopTimer);
+          if (socket.readyState <= WebSocket.OPEN) socket.close();
+        }
+      });
+    });
+
+    socket.addEventListener('message', event => {
+      try {
+        emitResult(parseServerMessage(JSON.parse(event.data)));
+      } catch (e) {
+        debugLog('Ignoring malformed server message:', event.data);
+      }
+    });
+
+    socket.addEventListener('error', () => reject(new Error('server-unreachable')));
+    socket.addEventListener('close', () => {
+      if (running && stopTimer === null) {
+        fail('server-unreachable');
+      } else {
+        finishRun();
+      }
+    });
+  });
+
+  const openHttpTransport = endpoint => {
+    let pending = [];
+    let pendingSamples = 0;
+    let requests = Promise.resolve();
+
+    const flush = () => {
+      if (!pending.length) return requests;
+      const wav = encodeWav(pending);
+      pending = [];
+      pendingSamples = 0;
+
+      const form = new FormData();
+      form.append('file', wav, 'speech.wav');
+      form.append('response_format', 'json');
+      form.append('language', getLanguage(engine.lang));
+
+      requests = requests
+        .then(() => fetch(endpoint, { method: 'POST', body: form }))
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(message => emitResult(parseServerMessage(message)))
+        .catch(error => {
+          console.error('Local recognition request failed:', error);
+          fail('server-unreachable');
+        });
+      return requests;
+    };
+
+    return Promise.resolve({
+      send: pcm => {
+        pending.push(pcm);
+        pendingSamples += pcm.length;
+        if (pendingSamples >= LOCAL_SAMPLE_RATE * HTTP_CHUNK_SECONDS) {
+          flush();
+        }
+      },
+      finish: () => {
+        flush().then(finishRun);
+      },
+      close: () => {
+        pending = [];
+      }
+    });
+  };
+
+  engine.start = () => {
+    if (running) {
+      throw createInvalidStateError('Local recognition already started');
+    }
+
+    running = true;
+    resultList.reset();
+    engine.emit('start');
+
+    const endpoint = getLocalEndpoint();
+    const openTransport = /^wss?:/i.test(endpoint) ? openWebSocketTransport : openHttpTransport;
+
+    openTransport(endpoint)
+      .then(opened => {
+        if (!running) {
+          opened.close();
+          return null;
+        }
+        transport = opened;
+        return startCapture(pcm => transport?.send(pcm));
+      })
+      .then(() => {
+        if (running && capture) {
+          engine.emit('audiostart');
+        }
+      })
+      .catch(error => {
+        console.error('Local recognition failed to start:', error);
+        fail(error.name && error.name !== 'Error' ? error.name : error.message || 'unknown');
+      });
+  };
+
+  engine.stop = () => {
+    if (!running) return;
+    stopCapture();
+    if (transport) {
+      transport.finish();
+    } else {
+      setTimeout(finishRun, 0);
+    }
+  };
+
+  return engine;
+};
+
+// Available engines. "webspeech" and "local" are user settings;
+// any engine can also be forced with ?engine=<name>.
+const RECOGNITION_ENGINES = {
+  webspeech: () => createWebSpeechEngine(),
+  local: () => createLocalServerEngine(),
+  scripted: () => createScriptedEngine(new URLSearchParams(window.location.search).get('script'))
+};
+
+/**
+ * Get the configured local server endpoint
+ */
+const getLocalEndpoint = () => {
+  const value = localEndpointInput ? localEndpointInput.value.trim() : '';
+  return value || loadSetting(STORAGE_KEY_LOCAL_ENDPOINT) || DEFAULT_LOCAL_ENDPOINT;
+};
+
+/**
+ * Get the engine name from the URL, then the saved setting
+ */
+const getPreferredEngineName = () => {
+  return new URLSearchParams(window.location.search).get('engine') ||
+    loadSetting(STORAGE_KEY_ENGINE) ||
+    'webspeech';
+};
+
+/**
+ * Create a recognition engine by name (Web Speech by default)
+ */
+const createRecognitionEngine = (requested = getPreferredEngineName()) => {
+  const factory = RECOGNITION_ENGINES[requested];
+
+  if (!factory) {
+    console.warn(`Unknown recognition engine "${requested}", using Web Speech`);
+    return RECOGNITION_ENGINES.webspeech();
+  }
+  return factory();
+};
+
+/**
+ * Make an engine the active recognizer and wire its events
+ */
+const attachRecognitionEngine = (engine, locale) => {
+  recognition = engine;
+
+  supportMessage.hidden = Boolean(engine);
+  startSessionButton.disabled = !engine;
+  stopSessionButton.disabled = true;
+
+  if (!engine) {
+    updateSessionStatus('Not supported in this browser', 'status-error');
+    return;
+  }
+
+  engine.lang = locale;
+
+  engine.addEventListener('result', handleRecognitionResult);
+  engine.addEventListener('end', handleRecognitionEnd);
+  engine.addEventListener('error', handleRecognitionError);
+
+  // Also handle audiostart for better status feedback
+  engine.addEventListener('audiostart', () => {
+    if (isListening && recognition === engine) {
+      updateSessionStatus('Listening…', 'status-listening');
+    }
+  });
+};
+
+/**
+ * Show the endpoint field only for the local server engine
+ */
+const updateEngineSettingsVisibility = () => {
+  if (localEndpointInput) {
+    localEndpointInput.hidden = !recognition || recognition.name !== 'local';
+  }
+};
+
+/**
+ * Switch to another recognition engine and remember the choice
+ */
+const switchRecognitionEngine = name => {
+  stopListening();
+  saveSetting(STORAGE_KEY_ENGINE, name);
+  attachRecognitionEngine(createRecognitionEngine(name), getCurrentLocale());
+  updateEngineSettingsVisibility();
+
+  if (recognition) {
+    updateSessionStatus(targetWords.length ? 'Ready' : 'Idle', targetWords.length ? 'status-ready' : 'status-idle');
+  }
+};
+
+/**
+ * Initialize speech recognition
+ */
+const initializeSpeechRecognition = () => {
+  const defaultLocale = loadSetting(STORAGE_KEY_LOCALE) || navigator.language || 'en-US';
+
+  // Initialize locale selector if present
+  if (localeSelect) {
+    localeSelect.value = defaultLocale;
+    localeSelect.addEventListener('change', () => {
+      if (recognition) {
+        recognition.lang = localeSelect.value;
+      }
+      if (!applyingAssignmentLocale) {
+        saveSetting(STORAGE_KEY_LOCALE, localeSelect.value);
+      }
+    });
+  }
+
+  attachRecognitionEngine(createRecognitionEngine(), getCurrentLocale());
+
+  // Initialize recognizer settings if present
+  if (engineSelect) {
+    engineSelect.value = recognition?.name || getPreferredEngineName();
+    // An engine forced in the URL (e.g. ?engine=scripted) wins over the setting
+    engineSelect.disabled = new URLSearchParams(window.location.search).has('engine');
+    engineSelect.addEventListener('change', () => switchRecognitionEngine(engineSelect.value));
+  }
+
+  if (localEndpointInput) {
+    localEndpointInput.value = loadSetting(STORAGE_KEY_LOCAL_ENDPOINT) || DEFAULT_LOCAL_ENDPOINT;
+    localEndpointInput.addEventListener('change', () => {
+      saveSetting(STORAGE_KEY_LOCAL_ENDPOINT, localEndpointInput.value.trim());
+    });
+  }
+
+  updateEngineSettingsVisibility();
+};
+
+/**
+ * Read a setting from localStorage, or null when unavailable
+ */
+const loadSetting = key => {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    debugLog('Failed to load setting:', key, e);
+    return null;
+  }
+};
+
+/**
+ * Write a setting to localStorage, ignoring storage errors
+ */
+const saveSetting = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch (e) {
+    debugLog('Failed to save setting:', key, e);
+  }
+};
+
+/**
+ * Bind a matcher option checkbox to matchSettings and localStorage
+ */
+const bindMatchSettingToggle = (toggle, settingKey, storageKey, onChange) => {
+  const savedValue = loadSetting(storageKey);
+  if (savedValue !== null) {
+    matchSettings[settingKey] = savedValue === 'true';
+  }
+
+  if (!toggle) return;
+
+  toggle.checked = matchSettings[settingKey];
+  toggle.addEventListener('change', () => {
+    matchSettings[settingKey] = toggle.checked;
+    saveSetting(storageKey, String(matchSettings[settingKey]));
+    onChange();
+  });
+};
+
+/**
+ * Initialize the matcher options from localStorage and wire the toggles
+ */
+const initializeMatchSettings = () => {
+  // Re-score the latest recognition with the new setting
+  bindMatchSettingToggle(fuzzyMatchToggle, 'fuzzy', STORAGE_KEY_FUZZY, () => {
+    // The settled free-reading alignment was scored with the old setting
+    if (matchSettings.freeReading) {
+      alignmentAnchor = null;
+      realignTranscript();
+    }
+    if (targetWords.length) {
+      renderProgress();
+    }
+  });
+
+  // Character matching changes the segmentation of the target text
+  bindMatchSettingToggle(characterMatchToggle, 'characterMatch', STORAGE_KEY_CHARACTER_MATCH, resegmentTextView);
+
+  // Re-align the transcript so far in the newly chosen mode
+  bindMatchSettingToggle(freeReadingToggle, 'freeReading', STORAGE_KEY_FREE_READING, () => {
+    freeReadingStatuses = new Array(targetWords.length).fill(null);
+    alignmentAnchor = null;
+    if (matchSettings.freeReading) {
+      realignTranscript();
+    }
+    if (targetWords.length) {
+      renderProgress();
+    }
+  });
+};
+
+/**
+ * Check whether the browser can speak text
+ */
+const isSpeechSynthesisSupported = () => {
+  return 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+};
+
+/**
+ * Normalize a voice's lang tag (some platforms use "en_US")
+ */
+const getVoiceLocale = voice => String(voice.lang || '').replace('_', '-').toLowerCase();
+
+/**
+ * Voices for a locale: exact locale matches first, then the same language
+ */
+const getVoicesForLocale = locale => {
+  if (!isSpeechSynthesisSupported()) return [];
+
+  const voices = window.speechSynthesis.getVoices();
+  const wanted = String(locale).toLowerCase();
+  const language = getLanguage(locale);
+  const exact = voices.filter(voice => getVoiceLocale(voice) === wanted);
+  const sameLanguage = voices.filter(voice => getLanguage(getVoiceLocale(voice)) === language && !exact.includes(voice));
+  return [...exact, ...sameLanguage];
+};
+
+/**
+ * The voice chosen in the selector, or the best default for the locale
+ */
+const getSelectedVoice = () => {
+  const voices = getVoicesForLocale(getCurrentLocale());
+  const chosen = voiceSelect && voiceSelect.value
+    ? voices.find(voice => voice.voiceURI === voiceSelect.value)
+    : null;
+  return chosen || voices.find(voice => voice.default) || voices[0] || null;
+};
+
+/**
+ * Fill the voice selector with voices for the current locale
+ */
+const populateVoiceSelect = () => {
+  if (!voiceSelect) return;
+
+  const savedVoice = loadSetting(STORAGE_KEY_TTS_VOICE);
+  const voices = getVoicesForLocale(getCurrentLocale());
+
+  voiceSelect.innerHTML = '';
+  voiceSelect.appendChild(new Option('Auto', ''));
+  voices.forEach(voice => {
+    voiceSelect.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+  });
+
+  voiceSelect.value = voices.some(voice => voice.voiceURI === savedVoice) ? savedVoice : '';
+  voiceSelect.disabled = !voices.length;
+};
+
+/**
+ * Get the playback rate from the rate slider
+ */
+const getSpeechRate = () => {
+  const rate = rateInput ? Number(rateInput.value) : TTS_DEFAULT_RATE;
+  return Number.isFinite(rate) && rate > 0 ? rate : TTS_DEFAULT_RATE;
+};
+
+/**
+ * Speak text in the current locale with the selected voice and rate.
+ * Resolves true when playback finished, false when it was cancelled.
+ */
+const speakText = (text, { onBoundary } = {}) => {
+  return new Promise(resolve => {
+    if (!isSpeechSynthesisSupported() || !text) {
+      resolve(false);
+      return;
+    }
+
+    const synth = window.speechSynthesis;
+    synth.cancel();
+    stopRecordingPlayback();
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = getCurrentLocale();
+    utterance.rate = getSpeechRate();
+    const voice = getSelectedVoice();
+    if (voice) {
+      utterance.voice = voice;
+    }
+
+    if (onBoundary) {
+      utterance.addEventListener('boundary', onBoundary);
+    }
+
+    const finish = completed => {
+      if (speakingUtterance === utterance) {
+        speakingUtterance = null;
+      }
+      resolve(completed);
+    };
+    utterance.addEventListener('end', () => finish(true));
+    utterance.addEventListener('error', event => {
+      debugLog('Speech synthesis stopped:', event.error);
+      finish(false);
+    });
+
+    speakingUtterance = utterance;
+    synth.speak(utterance);
+  });
+};
+
+/**
+ * Stop any reference playback and clear its highlights
+ */
+const cancelSpeech = () => {
+  if (isSpeechSynthesisSupported()) {
+    window.speechSynthesis.cancel();
+  }
+  speakingUtterance = null;
+  clearSpeakingHighlight();
+  updatePlayButton(false);
+};
+
+/**
+ * Remove the "being spoken" highlight from all chips
+ */
+const clearSpeakingHighlight = () => {
+  wordsContainer.querySelectorAll('.word-speaking').forEach(chip => chip.classList.remove('word-speaking'));
+};
+
+/**
+ * Highlight one chip as the word being spoken
+ */
+const setSpeakingHighlight = index => {
+  clearSpeakingHighlight();
+  wordsContainer.querySelector(`#word-${index}`)?.classList.add('word-speaking');
+};
+
+/**
+ * Reflect playback state on the "Play sentence" button
+ */
+const updatePlayButton = playing => {
+  if (!playSentenceButton) return;
+  playSentenceButton.textContent = playing ? 'Stop playback' : 'Play sentence';
+  playSentenceButton.setAttribute('aria-pressed', String(playing));
+};
+
+/**
+ * Speak a single target word. Listening is stopped first so the
+ * recognizer does not score the reference audio; progress is kept.
+ * Resolves true when playback finished.
+ */
+const speakWord = async index => {
+  const word = displayWords[index];
+  if (!word) return;
+
+  stopListening();
+  setSpeakingHighlight(index);
+  updatePlayButton(false);
+  const completed = await speakText(word.original);
+  clearSpeakingHighlight();
+  return completed;
+};
+
+/**
+ * Character offsets of each display word within the view text,
+ * used to map speech synthesis boundary events back to chips
+ */
+const getWordOffsets = () => {
+  const offsets = [];
+  let cursor = 0;
+
+  displayWords.forEach(word => {
+    const start = viewText.indexOf(word.original, cursor);
+    if (start === -1) {
+      offsets.push(null);
+      return;
+    }
+    offsets.push({ start, end: start + word.original.length });
+    cursor = start + word.original.length;
+  });
+
+  return offsets;
+};
+
+/**
+ * Speak the whole text, highlighting each word as it is spoken.
+ * Resolves true when playback finished.
+ */
+const playSentence = async () => {
+  if (!viewText || !displayWords.length) return false;
+
+  stopListening();
+  const offsets = getWordOffsets();
+
+  updatePlayButton(true);
+  const completed = await speakText(viewText, {
+    onBoundary: event => {
+      if (event.name && event.name !== 'word') return;
+      const index = offsets.findIndex(offset => offset && event.charIndex >= offset.start && event.charIndex < offset.end);
+      if (index !== -1) {
+        setSpeakingHighlight(index);
+      }
+    }
+  });
+
+  // A newer playback may have started while this one was running
+  if (!speakingUtterance) {
+    clearSpeakingHighlight();
+    updatePlayButton(false);
+  }
+  return completed;
+};
+
+/**
+ * Toggle sentence playback from the "Play sentence" button
+ */
+const togglePlaySentence = () => {
+  if (speakingUtterance) {
+    cancelSpeech();
+    return;
+  }
+  playSentence();
+};
+
+/**
+ * Initialize text-to-speech controls, hiding them when unsupported
+ */
+const initializeSpeechSynthesis = () => {
+  if (!isSpeechSynthesisSupported()) {
+    if (ttsControls) {
+      ttsControls.hidden = true;
+    }
+    return;
+  }
+
+  populateVoiceSelect();
+  // Voices load asynchronously in most browsers
+  window.speechSynthesis.addEventListener('voiceschanged', populateVoiceSelect);
+
+  if (localeSelect) {
+    localeSelect.addEventListener('change', populateVoiceSelect);
+  }
+
+  if (voiceSelect) {
+    voiceSelect.addEventListener('change', () => saveSetting(STORAGE_KEY_TTS_VOICE, voiceSelect.value));
+  }
+
+  if (rateInput) {
+    rateInput.value = loadSetting(STORAGE_KEY_TTS_RATE) || String(TTS_DEFAULT_RATE);
+    rateInput.addEventListener('change', () => saveSetting(STORAGE_KEY_TTS_RATE, rateInput.value));
+  }
+
+  if (playSentenceButton) {
+    playSentenceButton.addEventListener('click', togglePlaySentence);
+  }
+
+  if (hearWordButton) {
+    hearWordButton.addEventListener('click', () => speakWord(selectedWordIndex));
+  }
+};
+
+/**
+ * Split text into sentences with Intl.Segmenter (sentence granularity),
+ * falling back to terminal punctuation. Sentences without any
+ * practicable words are dropped.
+ */
+const splitSentences = (rawText, locale = getCurrentLocale()) => {
+  const text = rawText.trim();
+  if (!text) return [];
+
+  let sentences;
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(locale, { granularity: 'sentence' });
+    sentences = Array.from(segmenter.segment(text), ({ segment }) => segment.trim());
+  } else {
+    sentences = text.split(/(?<=[.!?。！？])\s*/u).map(sentence => sentence.trim());
+  }
+
+  return sentences.filter(sentence => normalizeWords(sentence, locale).length > 0);
+};
+
+/**
+ * Current shadowing phase for the status line
+ */
+const updateShadowingStatus = label => {
+  if (!shadowing) return;
+  const { sentences, index, attempt } = shadowing;
+  updateSessionStatus(
+    `Shadowing ${index + 1}/${sentences.length}, attempt ${attempt + 1}/${getShadowingMaxAttempts()} – ${label}`,
+    'status-listening'
+  );
+};
+
+/**
+ * Number of attempts allowed per sentence before moving on
+ */
+const getShadowingMaxAttempts = () => {
+  const attempts = shadowingAttemptsInput ? Number(shadowingAttemptsInput.value) : SHADOWING_DEFAULT_ATTEMPTS;
+  return Number.isInteger(attempts) && attempts > 0 ? attempts : SHADOWING_DEFAULT_ATTEMPTS;
+};
+
+/**
+ * Reflect shadowing state on its toggle button
+ */
+const updateShadowingButton = () => {
+  if (!shadowingButton) return;
+  shadowingButton.textContent = shadowing ? 'Stop Shadowing' : 'Shadowing';
+  shadowingButton.setAttribute('aria-pressed', String(Boolean(shadowing)));
+};
+
+/**
+ * Start guided shadowing over the sentences of the text in the view:
+ * play a sentence, listen to the repetition, repeat or move on
+ */
+const startShadowing = () => {
+  if (shadowing || drill || minimalPairs) return;
+
+  if (!recognition) {
+    updateSessionStatus('Speech recognition not supported', 'status-error');
+    return;
+  }
+
+  if (!isSpeechSynthesisSupported()) {
+    updateSessionStatus('Shadowing needs text-to-speech support', 'status-error');
+    return;
+  }
+
+  // Shadow the whole text, starting from the segment in view
+  const sentences = splitSentences(practiceSegments.sourceText || viewText);
+  if (!sentences.length) {
+    updateSessionStatus('Add text to practice first', 'status-error');
+    textInput.focus();
+    return;
+  }
+
+  // The segment in view may be a paragraph or a cue that starts
+  // mid-sentence, so start from the sentence containing its start
+  const viewOffset = getViewTextOffset();
+  let index = 0;
+  if (viewOffset !== -1) {
+    let cursor = 0;
+    for (let i = 0; i < sentences.length; i++) {
+      const start = practiceSegments.sourceText.indexOf(sentences[i], cursor);
+      if (start === -1) continue;
+      cursor = start + sentences[i].length;
+      if (viewOffset < cursor) {
+        index = i;
+        break;
+      }
+    }
+  }
+
+  stopListening();
+  saveSegmentProgress();
+  shadowing = {
+    sentences,
+    index,
+    attempt: 0,
+    phase: 'idle',
+    pauseTimer: null,
+    attemptTimer: null,
+    results: []
+  };
+  updateShadowingButton();
+  runShadowingAttempt(shadowing);
+};
+
+/**
+ * Play the current sentence, then listen for the learner's repetition
+ */
+const runShadowingAttempt = async run => {
+  const sentence = run.sentences[run.index];
+
+  if (run.attempt === 0) {
+    loadTextIntoView(sentence);
+  } else {
+    resetSessionProgress();
+    renderProgress();
+  }
+
+  run.phase = 'playing';
+  updateShadowingStatus('listen…');
+  const completed = await playSentence();
+
+  // Stopped or cancelled while the reference was playing
+  if (shadowing !== run) return;
+  if (!completed) {
+    stopShadowing();
+    return;
+  }
+
+  run.phase = 'listening';
+  await startListening();
+  if (shadowing !== run) return;
+
+  if (!isListening) {
+    // Recognition could not start (e.g. microphone denied)
+    stopShadowing({ restoreText: false });
+    return;
+  }
+
+  updateShadowingStatus('repeat the sentence');
+
+  // Give up on the attempt if the learner says nothing for too long
+  const timeout = SHADOWING_BASE_TIMEOUT + SHADOWING_TIMEOUT_PER_WORD * targetWords.length;
+  run.attemptTimer = setTimeout(() => endShadowingAttempt(run), timeout);
+};
+
+/**
+ * Called for every recognition result: a full match ends the attempt
+ * right away, otherwise a pause after speech does
+ */
+const handleShadowingResult = () => {
+  const run = shadowing;
+  if (!run || run.phase !== 'listening') return;
+
+  clearTimeout(run.pauseTimer);
+  if (getCurrentTargetIndex() >= targetWords.length) {
+    endShadowingAttempt(run);
+    return;
+  }
+  run.pauseTimer = setTimeout(() => endShadowingAttempt(run), SHADOWING_PAUSE);
+};
+
+/**
+ * Score the finished attempt and move to a retry or the next sentence
+ */
+const endShadowingAttempt = run => {
+  if (shadowing !== run || run.phase !== 'listening') return;
+
+  clearTimeout(run.pauseTimer);
+  clearTimeout(run.attemptTimer);
+  run.phase = 'scoring';
+  stopListening();
+
+  const total = targetWords.length;
+  const matchedCount = committedStatuses.filter(Boolean).length;
+  const matched = matchedCount === total;
+  const lastAttempt = run.attempt + 1 >= getShadowingMaxAttempts();
+
+  if (matched || lastAttempt) {
+    run.results.push({
+      sentence: run.sentences[run.index],
+      attempts: run.attempt + 1,
+      matched,
+      matchedCount,
+      total
+    });
+    run.index++;
+    run.attempt = 0;
+  } else {
+    run.attempt++;
+  }
+
+  if (run.index >= run.sentences.length) {
+    finishShadowing(run);
+    return;
+  }
+
+  // Short pause so the learner sees the result before the next playback
+  setTimeout(() => {
+    if (shadowing === run) {
+      runShadowingAttempt(run);
+    }
+  }, SHADOWING_NEXT_DELAY);
+};
+
+/**
+ * Show the shadowing results once every sentence has been practiced
+ */
+const finishShadowing = run => {
+  const matchedSentences = run.results.filter(result => result.matched).length;
+  const attempts = run.results.reduce((total, result) => total + result.attempts, 0);
+
+  stopShadowing();
+  updateSessionStatus('Shadowing complete! 🎉', 'status-complete');
+
+  if (sessionSummary) {
+    sessionSummary.innerHTML = `
+      <span class="summary-stat summary-complete">Shadowing: <strong>${matchedSentences}/${run.results.length}</strong> sentences matched</span>
+      <span class="summary-stat">Attempts: <strong>${attempts}</strong></span>
+    `;
+    sessionSummary.hidden = false;
+  }
+};
+
+/**
+ * Stop shadowing. By default the current practice segment is put back in the view.
+ */
+const stopShadowing = ({ restoreText = true } = {}) => {
+  const run = shadowing;
+  if (!run) return;
+
+  shadowing = null;
+  clearTimeout(run.pauseTimer);
+  clearTimeout(run.attemptTimer);
+  cancelSpeech();
+  stopListening();
+  updateShadowingButton();
+
+  if (restoreText) {
+    showSegment(practiceSegments.index, { saveCurrent: false });
+  }
+};
+
+/**
+ * Toggle shadowing from its button
+ */
+const toggleShadowing = () => {
+  if (shadowing) {
+    stopShadowing();
+  } else {
+    startShadowing();
+  }
+};
+
+/**
+ * Stop button / shortcut: ends shadowing or a drill too when one is running
+ */
+const handleStopRequest = () => {
+  if (shadowing) {
+    stopShadowing();
+  } else if (drill) {
+    stopDrill();
+  } else if (minimalPairs) {
+    stopMinimalPairs();
+  } else {
+    stopListening();
+  }
+};
+
+/**
+ * Open (and upgrade) the app's IndexedDB database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.addEventListener('upgradeneeded', () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_RECORDINGS)) {
+          const store = db.createObjectStore(STORE_RECORDINGS, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('textKey', 'textKey');
+        }
+        if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+          const store = db.createObjectStore(STORE_HISTORY, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('startedAt', 'startedAt');
+          store.createIndex('locale', 'locale');
+        }
+        if (!db.objectStoreNames.contains(STORE_DECK)) {
+          const store = db.createObjectStore(STORE_DECK, { keyPath: 'key' });
+          store.createIndex('locale', 'locale');
+          store.createIndex('dueAt', 'dueAt');
+        }
+        if (!db.objectStoreNames.contains(STORE_LESSONS)) {
+          db.createObjectStore(STORE_LESSONS, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(STORE_LEXICON)) {
+          const store = db.createObjectStore(STORE_LEXICON, { keyPath: 'key' });
+          store.createIndex('scopeKey', 'scopeKey');
+        }
+      });
+      request.addEventListener('success', () => resolve(request.result));
+      request.addEventListener('error', () => reject(request.error));
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run one request against a store and resolve with its result once
+ * the transaction has committed
+ */
+const idbRequest = async (storeName, mode, makeRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.addEventListener('complete', () => resolve(request.result));
+    transaction.addEventListener('error', () => reject(transaction.error || request.error));
+    transaction.addEventListener('abort', () => reject(transaction.error));
+  });
+};
+
+/**
+ * Stable key for a practice text (FNV-1a hash of the trimmed text)
+ */
+const hashText = text => {
+  let hash = 0x811c9dc5;
+  const value = text.trim();
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Check whether attempts can be recorded in this browser
+ */
+const isRecordingSupported = () => {
+  return typeof window.MediaRecorder === 'function' &&
+    Boolean(navigator.mediaDevices && navigator.mediaDevices.getUserMedia) &&
+    'indexedDB' in window;
+};
+
+/**
+ * Start recording the microphone alongside the listening session
+ */
+const startRecording = async () => {
+  if (!recordToggle?.checked || activeRecording || !isRecordingSupported()) return;
+  if (!recognition || !recognition.requiresMicrophone) return;
+
+  const take = { recorder: null, stream: null, chunks: [], startedAt: Date.now(), text: viewText, locale: getCurrentLocale() };
+  activeRecording = take;
+
+  try {
+    take.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  } catch (e) {
+    console.warn('Recording unavailable:', e);
+    if (activeRecording === take) {
+      activeRecording = null;
+    }
+    return;
+  }
+
+  // Listening stopped while waiting for the microphone
+  if (activeRecording !== take) {
+    take.stream.getTracks().forEach(track => track.stop());
+    return;
+  }
+
+  take.recorder = new MediaRecorder(take.stream);
+  take.recorder.addEventListener('dataavailable', event => {
+    if (event.data.size) {
+      take.chunks.push(event.data);
+    }
+  });
+  take.recorder.addEventListener('stop', () => {
+    take.stream.getTracks().forEach(track => track.stop());
+    saveRecording(take);
+  });
+  take.recorder.start();
+};
+
+/**
+ * Stop the current recording; it is saved once the recorder flushes
+ */
+const stopRecording = () => {
+  const take = activeRecording;
+  if (!take) return;
+
+  activeRecording = null;
+  if (take.recorder && take.recorder.state !== 'inactive') {
+    take.recorder.stop();
+  }
+};
+
+/**
+ * Store a finished take and drop the oldest takes beyond the limit
+ */
+const saveRecording = async take => {
+  const duration = Date.now() - take.startedAt;
+  if (!take.chunks.length || duration < MIN_RECORDING_MS) return;
+
+  const record = {
+    textKey: hashText(take.text),
+    text: take.text,
+    locale: take.locale,
+    createdAt: take.startedAt,
+    duration,
+    mimeType: take.recorder.mimeType,
+    blob: new Blob(take.chunks, { type: take.recorder.mimeType })
+  };
+
+  try {
+    await idbRequest(STORE_RECORDINGS, 'readwrite', store => store.add(record));
+
+    const recordings = await getRecordingsForText(take.text);
+    const excess = recordings.slice(MAX_RECORDINGS_PER_TEXT);
+    for (const old of excess) {
+      await idbRequest(STORE_RECORDINGS, 'readwrite', store => store.delete(old.id));
+    }
+  } catch (e) {
+    console.error('Failed to save recording:', e);
+  }
+
+  if (take.text === viewText) {
+    renderRecordings();
+  }
+};
+
+/**
+ * All recordings for a text, newest first
+ */
+const getRecordingsForText = async text => {
+  const recordings = await idbRequest(STORE_RECORDINGS, 'readonly', store => store.index('textKey').getAll(hashText(text)));
+  return recordings.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Play one recording; resolves when playback ends or is interrupted
+ */
+const playRecording = record => {
+  return new Promise(resolve => {
+    stopRecordingPlayback();
+
+    const url = URL.createObjectURL(record.blob);
+    const audio = new Audio(url);
+    const finish = () => {
+      URL.revokeObjectURL(url);
+      if (playingRecording === audio) {
+        playingRecording = null;
+      }
+      resolve();
+    };
+
+    audio.addEventListener('ended', finish);
+    audio.addEventListener('error', finish);
+    audio.addEventListener('pause', finish);
+    playingRecording = audio;
+    audio.play().catch(finish);
+  });
+};
+
+/**
+ * Stop any recording that is playing
+ */
+const stopRecordingPlayback = () => {
+  if (playingRecording) {
+    playingRecording.pause();
+    playingRecording = null;
+  }
+};
+
+/**
+ * Play the learner's take, then the TTS reference for the same text
+ */
+const compareWithReference = async record => {
+  stopListening();
+  cancelSpeech();
+  await playRecording(record);
+  await speakText(record.text);
+};
+
+/**
+ * Draw a simple peak waveform of a recording onto a canvas
+ */
+const drawWaveform = async (canvas, blob) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  if (!waveformContext) {
+    waveformContext = new AudioContextClass();
+  }
+
+  try {
+    const buffer = await waveformContext.decodeAudioData(await blob.arrayBuffer());
+    const samples = buffer.getChannelData(0);
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const step = Math.max(1, Math.floor(samples.length / width));
+
+    context.clearRect(0, 0, width, height);
+    context.fillStyle = '#2563eb';
+
+    for (let x = 0; x < width; x++) {
+      let peak = 0;
+      for (let i = x * step; i < Math.min(samples.length, (x + 1) * step); i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+      }
+      const barHeight = Math.max(1, peak * height);
+      context.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+    }
+  } catch (e) {
+    debugLog('Failed to draw waveform:', e);
+  }
+};
+
+/**
+ * Format a recording's date and length for the list
+ */
+const formatRecordingLabel = record => {
+  const date = new Date(record.createdAt).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  return `${date} · ${(record.duration / 1000).toFixed(1)}s`;
+};
+
+/**
+ * Show a short message under the recordings
+ */
+const setRecordingsMessage = message => {
+  if (recordingsMessage) {
+    recordingsMessage.textContent = message;
+  }
+};
+
+/**
+ * Create a small button for a list row; failures are reported through
+ * the list's message setter
+ */
+const createActionButton = (label, onClick, setMessage) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'button button-small';
+  button.textContent = label;
+  button.addEventListener('click', async () => {
+    setMessage('');
+    try {
+      await onClick();
+    } catch (e) {
+      console.error(`Action "${label}" failed:`, e);
+      setMessage('That did not work. Please try again.');
+    }
+  });
+  return button;
+};
+
+/**
+ * List the recordings of the text in the view
+ */
+const renderRecordings = async () => {
+  if (!recordingsPanel || !recordingsList) return;
+
+  if (!viewText || !isRecordingSupported()) {
+    recordingsPanel.hidden = true;
+    return;
+  }
+
+  const text = viewText;
+  let recordings = [];
+  try {
+    recordings = await getRecordingsForText(text);
+  } catch (e) {
+    debugLog('Failed to load recordings:', e);
+    recordingsPanel.hidden = true;
+    return;
+  }
+
+  // The text changed while loading
+  if (text !== viewText) return;
+
+  recordingsPanel.hidden = false;
+  recordingsList.innerHTML = '';
+
+  if (!recordings.length) {
+    const empty = document.createElement('li');
+    empty.className = 'recordings-empty';
+    empty.textContent = 'No recordings yet. Your attempts are recorded while listening.';
+    recordingsList.appendChild(empty);
+    return;
+  }
+
+  recordings.forEach(record => {
+    const item = document.createElement('li');
+    item.className = 'recording-item';
+
+    const label = document.createElement('span');
+    label.className = 'recording-label';
+    label.textContent = formatRecordingLabel(record);
+
+    item.append(
+      label,
+      createActionButton('Play', () => {
+        stopListening();
+        cancelSpeech();
+        playRecording(record);
+      }, setRecordingsMessage),
+      createActionButton('Me, then reference', () => compareWithReference(record), setRecordingsMessage),
+      createActionButton('Delete', async () => {
+        stopRecordingPlayback();
+        await idbRequest(STORE_RECORDINGS, 'readwrite', store => store.delete(record.id));
+        renderRecordings();
+      }, setRecordingsMessage)
+    );
+
+    if (waveformToggle?.checked) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'recording-waveform';
+      canvas.width = 240;
+      canvas.height = 40;
+      item.appendChild(canvas);
+      drawWaveform(canvas, record.blob);
+    }
+
+    recordingsList.appendChild(item);
+  });
+};
+
+/**
+ * Initialize the recording options and panel
+ */
+const initializeRecordings = () => {
+  if (!isRecordingSupported()) {
+    if (recordToggle) {
+      recordToggle.checked = false;
+      recordToggle.disabled = true;
+    }
+    return;
+  }
+
+  if (recordToggle) {
+    recordToggle.checked = loadSetting(STORAGE_KEY_RECORDING) !== 'false';
+    recordToggle.addEventListener('change', () => saveSetting(STORAGE_KEY_RECORDING, String(recordToggle.checked)));
+  }
+
+  if (waveformToggle) {
+    waveformToggle.checked = loadSetting(STORAGE_KEY_WAVEFORMS) === 'true';
+    waveformToggle.addEventListener('change', () => {
+      saveSetting(STORAGE_KEY_WAVEFORMS, String(waveformToggle.checked));
+      renderRecordings();
+    });
+  }
+};
+
+/**
+ * Begin collecting history for a listening session
+ */
+const beginHistorySession = () => {
+  historySession = {
+    text: viewText,
+    locale: getCurrentLocale(),
+    startedAt: Date.now(),
+    transcriptStart: committedTranscript.length,
+    skippedAtStart: skippedIndices.size,
+    overridesAtStart: overrideLog.length
+  };
+};
+
+/**
+ * Count attempts (and missed attempts) per target word in a stretch
+ * of the committed transcript
+ */
+const countWordAttempts = (transcript, wordCount = targetWords.length) => {
+  const attempts = new Array(wordCount).fill(0);
+  const misses = new Array(wordCount).fill(0);
+
+  // Every recognized word aimed at a target word is one attempt at it
+  transcript.forEach(({ match }) => {
+    if (!match || match.targetIndex === null || match.targetIndex >= wordCount) return;
+    attempts[match.targetIndex]++;
+    if (match.status === 'mismatch') {
+      misses[match.targetIndex]++;
+    }
+  });
+
+  return { attempts, misses };
+};
+
+/**
+ * Turn the live progress into a history record for the session
+ */
+const buildHistoryRecord = session => {
+  const { attempts, misses } = countWordAttempts(committedTranscript.slice(session.transcriptStart));
+  const indicesWhere = predicate => targetWords.flatMap((_, i) => (predicate(i) ? [i] : []));
+
+  return {
+    textKey: hashText(session.text),
+    text: session.text,
+    locale: session.locale,
+    startedAt: session.startedAt,
+    endedAt: Date.now(),
+    words: [...targetWords],
+    matched: indicesWhere(i => committedStatuses[i]?.status === 'match' && !wordOverrides[i]),
+    close: indicesWhere(i => committedStatuses[i]?.status === 'close'),
+    skipped: indicesWhere(i => skippedIndices.has(i)),
+    mismatched: indicesWhere(i => misses[i] > 0),
+    markedCorrect: indicesWhere(i => wordOverrides[i] === 'correct'),
+    markedIncorrect: indicesWhere(i => wordOverrides[i] === 'incorrect'),
+    jumped: indicesWhere(i => wordOverrides[i] === 'jumped'),
+    attempts,
+    misses
+  };
+};
+
+/**
+ * Store the finished listening session, if anything was practiced
+ */
+const endHistorySession = async () => {
+  const session = historySession;
+  if (!session) return;
+
+  historySession = null;
+
+  // The view changed under the session (e.g. shadowing moved on)
+  if (session.text !== viewText) return;
+
+  const record = buildHistoryRecord(session);
+  const attempted = record.attempts.some(count => count > 0);
+  if (!attempted && skippedIndices.size === session.skippedAtStart && overrideLog.length === session.overridesAtStart) return;
+
+  // Built now, while the session's text is still in the view
+  const troubleCards = getTroubleCards(record);
+
+  try {
+    await idbRequest(STORE_HISTORY, 'readwrite', store => store.add(record));
+  } catch (e) {
+    debugLog('Failed to save practice history:', e);
+    return;
+  }
+
+  addCardsToDeck(troubleCards);
+
+  if (historyPanel && !historyPanel.hidden) {
+    renderHistory();
+  }
+};
+
+/**
+ * All stored sessions, oldest first
+ */
+const getHistory = async () => {
+  const records = await idbRequest(STORE_HISTORY, 'readonly', store => store.getAll());
+  return records.sort((a, b) => a.startedAt - b.startedAt);
+};
+
+/**
+ * Share of attempts in a set of sessions that matched (exactly or closely)
+ */
+const getHistoryAccuracy = records => {
+  let attempts = 0;
+  let misses = 0;
+  records.forEach(record => {
+    attempts += record.attempts.reduce((sum, count) => sum + count, 0);
+    misses += record.misses.reduce((sum, count) => sum + count, 0);
+  });
+  return attempts ? (attempts - misses) / attempts : null;
+};
+
+/**
+ * Format a duration in milliseconds as e.g. "1h 05m" or "3m 20s"
+ */
+const formatPracticeTime = ms => {
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+};
+
+/**
+ * Group sessions by local calendar day, oldest first
+ */
+const groupHistoryByDay = records => {
+  const days = new Map();
+  records.forEach(record => {
+    const date = new Date(record.startedAt);
+    const key = `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    if (!days.has(key)) {
+      days.set(key, { date, records: [] });
+    }
+    days.get(key).records.push(record);
+  });
+  return [...days.values()];
+};
+
+/**
+ * Words with the most missed attempts, per locale
+ */
+const getTroubleWordsByLocale = (records, limit = HISTORY_TROUBLE_WORDS) => {
+  const byLocale = new Map();
+
+  records.forEach(record => {
+    if (!byLocale.has(record.locale)) {
+      byLocale.set(record.locale, new Map());
+    }
+    const counts = byLocale.get(record.locale);
+    record.mismatched.forEach(index => {
+      const word = record.words[index];
+      counts.set(word, (counts.get(word) || 0) + record.misses[index]);
+    });
+  });
+
+  return [...byLocale.entries()]
+    .map(([locale, counts]) => ({
+      locale,
+      words: [...counts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([word, misses]) => ({ word, misses }))
+    }))
+    .filter(entry => entry.words.length);
+};
+
+/**
+ * Fill the language filter with the locales found in the history
+ */
+const populateHistoryLocales = records => {
+  if (!historyLocaleSelect) return;
+
+  const selected = historyLocaleSelect.value;
+  const locales = [...new Set(records.map(record => record.locale))].sort();
+
+  historyLocaleSelect.innerHTML = '';
+  historyLocaleSelect.appendChild(new Option('All languages', ''));
+  locales.forEach(locale => {
+    const known = localeSelect && [...localeSelect.options].find(option => option.value === locale);
+    historyLocaleSelect.appendChild(new Option(known ? known.text : locale, locale));
+  });
+  historyLocaleSelect.value = locales.includes(selected) ? selected : '';
+};
+
+/**
+ * Render the accuracy trend as one bar per practice day
+ */
+const renderHistoryTrend = records => {
+  historyTrend.innerHTML = '';
+
+  groupHistoryByDay(records).slice(-HISTORY_TREND_DAYS).forEach(({ date, records: dayRecords }) => {
+    const accuracy = getHistoryAccuracy(dayRecords);
+    const time = dayRecords.reduce((sum, record) => sum + (record.endedAt - record.startedAt), 0);
+    const label = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    const percent = accuracy === null ? 0 : Math.round(accuracy * 100);
+
+    const day = document.createElement('div');
+    day.className = 'history-day';
+    day.title = `${label}: ${accuracy === null ? 'no attempts' : `${percent}% accuracy`}, ` +
+      `${dayRecords.length} session${dayRecords.length === 1 ? '' : 's'}, ${formatPracticeTime(time)}`;
+
+    const bar = document.createElement('div');
+    bar.className = 'history-bar';
+    bar.style.height = `${Math.max(percent, 2)}%`;
+
+    const caption = document.createElement('span');
+    caption.className = 'history-day-label';
+    caption.textContent = label;
+
+    day.append(bar, caption);
+    historyTrend.appendChild(day);
+  });
+};
+
+/**
+ * Render the most often mismatched words for each locale
+ */
+const renderTroubleWords = records => {
+  historyTroubleWords.innerHTML = '';
+
+  const groups = getTroubleWordsByLocale(records);
+  if (!groups.length) {
+    historyTroubleWords.textContent = 'No mismatched words yet.';
+    return;
+  }
+
+  groups.forEach(({ locale, words }) => {
+    const group = document.createElement('div');
+    group.className = 'history-trouble-group';
+
+    const heading = document.createElement('h4');
+    heading.className = 'history-subtitle';
+    heading.textContent = locale;
+
+    const list = document.createElement('ol');
+    list.className = 'history-trouble-list';
+    words.forEach(({ word, misses }) => {
+      const item = document.createElement('li');
+      item.textContent = `${word} (${misses} missed)`;
+      list.appendChild(item);
+    });
+
+    group.append(heading, list);
+    historyTroubleWords.appendChild(group);
+  });
+};
+
+/**
+ * Render the History view from the stored sessions
+ */
+const renderHistory = async () => {
+  if (!historyPanel) return;
+
+  let records = [];
+  try {
+    records = await getHistory();
+  } catch (e) {
+    debugLog('Failed to load practice history:', e);
+    historyStats.textContent = 'Practice history is not available in this browser.';
+    return;
+  }
+
+  populateHistoryLocales(records);
+  const locale = historyLocaleSelect ? historyLocaleSelect.value : '';
+  const shown = locale ? records.filter(record => record.locale === locale) : records;
+
+  const accuracy = getHistoryAccuracy(shown);
+  const time = shown.reduce((sum, record) => sum + (record.endedAt - record.startedAt), 0);
+  const wordsPracticed = shown.reduce((sum, record) => sum + record.attempts.filter(Boolean).length, 0);
+
+  historyStats.innerHTML = `
+    <span class="summary-stat">Sessions: <strong>${shown.length}</strong></span>
+    <span class="summary-stat">Time practiced: <strong>${formatPracticeTime(time)}</strong></span>
+    <span class="summary-stat">Words practiced: <strong>${wordsPracticed}</strong></span>
+    <span class="summary-stat">Accuracy: <strong>${accuracy === null ? '–' : `${Math.round(accuracy * 100)}%`}</strong></span>
+  `;
+
+  renderHistoryTrend(shown);
+  renderTroubleWords(shown);
+};
+
+/**
+ * Show or hide the History view
+ */
+const toggleHistory = () => {
+  if (!historyPanel) return;
+
+  historyPanel.hidden = !historyPanel.hidden;
+  historyButton.setAttribute('aria-expanded', String(!historyPanel.hidden));
+  if (!historyPanel.hidden) {
+    renderHistory();
+  }
+};
+
+/**
+ * Delete all stored practice sessions
+ */
+const clearHistory = async () => {
+  if (!window.confirm('Delete all practice history?')) return;
+
+  try {
+    await idbRequest(STORE_HISTORY, 'readwrite', store => store.clear());
+  } catch (e) {
+    console.error('Failed to clear practice history:', e);
+  }
+  renderHistory();
+};
+
+/**
+ * Initialize the History view
+ */
+const initializeHistory = () => {
+  if (!historyButton || !historyPanel) return;
+
+  historyButton.addEventListener('click', toggleHistory);
+  if (historyLocaleSelect) {
+    historyLocaleSelect.addEventListener('change', renderHistory);
+  }
+  if (clearHistoryButton) {
+    clearHistoryButton.addEventListener('click', clearHistory);
+  }
+};
+
+/**
+ * Deck key for a word in a locale
+ */
+const getDeckKey = (locale, word) => `${locale}:${word}`;
+
+/**
+ * Character offset of the text in the view within the whole practice
+ * text, or -1 when it is not part of it
+ */
+const getViewTextOffset = () => {
+  const { sourceText, texts } = practiceSegments;
+  if (!sourceText) return -1;
+
+  // Segments appear in order, so repeated segments resolve to the right one
+  let cursor = 0;
+  for (let i = 0; i < texts.length; i++) {
+    const start = sourceText.indexOf(texts[i], cursor);
+    if (start === -1) break;
+    if (i === practiceSegments.index && texts[i] === viewText) return start;
+    cursor = start + texts[i].length;
+  }
+  return sourceText.indexOf(viewText);
+};
+
+/**
+ * Sentence of the whole practice text that contains a target word in
+ * the view (a segment may be a paragraph, or a subtitle cue that ends
+ * mid-sentence)
+ */
+const getSentenceForWord = index => {
+  const offset = getWordOffsets()[index];
+  const viewOffset = getViewTextOffset();
+  if (!offset) return viewText;
+
+  const text = viewOffset === -1 ? viewText : practiceSegments.sourceText;
+  const wordStart = Math.max(0, viewOffset) + offset.start;
+
+  let cursor = 0;
+  for (const sentence of splitSentences(text)) {
+    const start = text.indexOf(sentence, cursor);
+    if (start === -1) continue;
+    cursor = start + sentence.length;
+    if (wordStart < cursor) {
+      return sentence;
+    }
+  }
+  return viewText;
+};
+
+/**
+ * New drill cards for the words of a session record (still in the
+ * view) that were skipped or needed several attempts
+ */
+const getTroubleCards = record => {
+  const now = Date.now();
+  return record.words
+    .map((_, i) => i)
+    .filter(i => record.skipped.includes(i) || record.misses[i] >= DRILL_MIN_MISSES)
+    .map(i => ({
+      key: getDeckKey(record.locale, record.words[i]),
+      word: record.words[i],
+      display: displayWords[i].original,
+      locale: record.locale,
+      sentence: getSentenceForWord(i),
+      addedAt: now,
+      dueAt: now,
+      repetitions: 0,
+      interval: 0,
+      easeFactor: SM2_DEFAULT_EASE,
+      reviews: 0,
+      lapses: 0
+    }));
+};
+
+/**
+ * Add cards to the drill deck; words already in the deck keep their schedule
+ */
+const addCardsToDeck = async cards => {
+  if (!cards.length) return;
+
+  try {
+    for (const card of cards) {
+      const existing = await idbRequest(STORE_DECK, 'readonly', store => store.get(card.key));
+      if (!existing) {
+        await idbRequest(STORE_DECK, 'readwrite', store => store.add(card));
+      }
+    }
+  } catch (e) {
+    debugLog('Failed to update the drill deck:', e);
+    return;
+  }
+
+  updateDrillButton();
+};
+
+/**
+ * Drill cards for a locale that are due now, most overdue first
+ */
+const getDueCards = async (locale, now = Date.now()) => {
+  const cards = await idbRequest(STORE_DECK, 'readonly', store => store.index('locale').getAll(locale));
+  return cards
+    .filter(card => card.dueAt <= now)
+    .sort((a, b) => a.dueAt - b.dueAt);
+};
+
+/**
+ * Apply one SM-2 review to a card. `quality` is 0 (no recall) to 5
+ * (perfect); below 3 the card starts over with a one-day interval.
+ */
+const scheduleCard = (card, quality, now = Date.now()) => {
+  let { repetitions, interval, easeFactor, lapses } = card;
+
+  if (quality >= 3) {
+    if (repetitions === 0) {
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 6;
+    } else {
+      interval = Math.round(interval * easeFactor);
+    }
+    repetitions++;
+  } else {
+    repetitions = 0;
+    interval = 1;
+    lapses++;
+  }
+
+  easeFactor = Math.max(
+    SM2_MIN_EASE,
+    easeFactor + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+
+  return {
+    ...card,
+    repetitions,
+    interval,
+    easeFactor,
+    lapses,
+    reviews: card.reviews + 1,
+    lastReviewedAt: now,
+    lastQuality: quality,
+    dueAt: now + interval * DAY_MS
+  };
+};
+
+/**
+ * Recognized words aimed at the drilled word that did not match it
+ */
+const countDrillMisses = run => {
+  return committedTranscript
+    .slice(run.transcriptStart)
+    .filter(({ match }) => match && match.status === 'mismatch').length;
+};
+
+/**
+ * Grade the word in the view: 5 exact on the first try, 4 close on the
+ * first try, 3/2 after one/more misses, 1 if skipped or never said
+ * correctly, 0 if nothing was said at all
+ */
+const gradeDrillAttempt = run => {
+  const misses = countDrillMisses(run);
+
+  // Character-by-character matching can turn one word into several chips
+  if (!committedStatuses.every(Boolean)) {
+    return misses || skippedIndices.size ? 1 : 0;
+  }
+  if (misses === 0) {
+    return committedStatuses.every(status => status.status === 'match') ? 5 : 4;
+  }
+  return misses === 1 ? 3 : 2;
+};
+
+/**
+ * Reflect drill state and the number of due words on the Drill button
+ */
+const updateDrillButton = async () => {
+  if (!drillButton) return;
+
+  drillButton.setAttribute('aria-pressed', String(Boolean(drill)));
+  if (drill) {
+    drillButton.textContent = 'Stop Drill';
+    return;
+  }
+
+  let due = 0;
+  try {
+    due = (await getDueCards(getCurrentLocale())).length;
+  } catch (e) {
+    debugLog('Failed to read the drill deck:', e);
+  }
+  if (!drill) {
+    drillButton.textContent = due ? `Drill (${due} due)` : 'Drill';
+  }
+};
+
+/**
+ * Show the sentence a drilled word came from
+ */
+const setDrillContext = card => {
+  if (!drillContext) return;
+  drillContext.hidden = !card;
+  drillContext.textContent = card ? `From: “${card.sentence}”` : '';
+};
+
+/**
+ * Start drilling the due words of the current locale, one at a time
+ */
+const startDrill = async () => {
+  if (drill || shadowing || minimalPairs) return;
+
+  if (!recognition) {
+    updateSessionStatus('Speech recognition not supported', 'status-error');
+    return;
+  }
+
+  let cards = [];
+  try {
+    cards = await getDueCards(getCurrentLocale());
+  } catch (e) {
+    console.error('Failed to read the drill deck:', e);
+  }
+
+  if (!cards.length) {
+    updateSessionStatus('No words due for drilling', 'status-ready');
+    return;
+  }
+
+  stopListening();
+  cancelSpeech();
+  saveSegmentProgress();
+  drill = {
+    cards: cards.slice(0, DRILL_SESSION_SIZE),
+    index: 0,
+    phase: 'idle',
+    transcriptStart: 0,
+    attemptTimer: null,
+    results: []
+  };
+  updateDrillButton();
+  runDrillCard(drill);
+};
+
+/**
+ * Put the current card's word in the view and listen for it
+ */
+const runDrillCard = async run => {
+  const card = run.cards[run.index];
+
+  loadTextIntoView(card.display);
+  setDrillContext(card);
+
+  run.phase = 'listening';
+  run.transcriptStart = committedTranscript.length;
+  await startListening();
+  if (drill !== run) return;
+
+  if (!isListening) {
+    // Recognition could not start (e.g. microphone denied)
+    stopDrill({ restoreText: false });
+    return;
+  }
+
+  updateSessionStatus(`Drill ${run.index + 1}/${run.cards.length} – say the word`, 'status-listening');
+  run.attemptTimer = setTimeout(() => endDrillCard(run), DRILL_TIMEOUT);
+};
+
+/**
+ * Called for every recognition result and skip: the card ends once
+ * the word is done or has been missed too often
+ */
+const handleDrillResult = () => {
+  const run = drill;
+  if (!run || run.phase !== 'listening') return;
+
+  if (getCurrentTargetIndex() >= targetWords.length || countDrillMisses(run) >= DRILL_MAX_MISSES) {
+    endDrillCard(run);
+  }
+};
+
+/**
+ * Grade the current card, reschedule it and move on
+ */
+const endDrillCard = async run => {
+  if (drill !== run || run.phase !== 'listening') return;
+
+  clearTimeout(run.attemptTimer);
+  run.phase = 'scoring';
+  stopListening();
+
+  const card = run.cards[run.index];
+  const quality = gradeDrillAttempt(run);
+  const updated = scheduleCard(card, quality);
+  run.results.push({ word: card.display, quality });
+
+  try {
+    await idbRequest(STORE_DECK, 'readwrite', store => store.put(updated));
+  } catch (e) {
+    console.error('Failed to save drill result:', e);
+  }
+
+  if (drill !== run) return;
+
+  updateSessionStatus(
+    quality >= 3 ? `Correct – next review in ${updated.interval} day${updated.interval === 1 ? '' : 's'}` : 'Again tomorrow',
+    quality >= 3 ? 'status-complete' : 'status-ready'
+  );
+
+  run.index++;
+  if (run.index >= run.cards.length) {
+    finishDrill(run);
+    return;
+  }
+
+  setTimeout(() => {
+    if (drill === run) {
+      runDrillCard(run);
+    }
+  }, DRILL_NEXT_DELAY);
+};
+
+/**
+ * Show the drill results once every due word has been practiced
+ */
+const finishDrill = run => {
+  const correct = run.results.filter(result => result.quality >= 3).length;
+
+  stopDrill();
+  updateSessionStatus('Drill complete! 🎉', 'status-complete');
+
+  if (sessionSummary) {
+    sessionSummary.innerHTML = `
+      <span class="summary-stat summary-complete">Drill: <strong>${correct}/${run.results.length}</strong> words correct</span>
+    `;
+    sessionSummary.hidden = false;
+  }
+};
+
+/**
+ * Stop drilling. By default the current practice segment is put back in the view.
+ */
+const stopDrill = ({ restoreText = true } = {}) => {
+  const run = drill;
+  if (!run) return;
+
+  drill = null;
+  clearTimeout(run.attemptTimer);
+  stopListening();
+  setDrillContext(null);
+  updateDrillButton();
+
+  // Without a practice text there is nothing to go back to
+  if (restoreText && !showSegment(practiceSegments.index, { saveCurrent: false })) {
+    clearTextView();
+  }
+};
+
+/**
+ * Toggle the drill from its button
+ */
+const toggleDrill = () => {
+  if (drill) {
+    stopDrill();
+  } else {
+    startDrill();
+  }
+};
+
+/**
+ * Initialize the drill controls
+ */
+const initializeDrill = () => {
+  if (!drillButton) return;
+
+  drillButton.addEventListener('click', toggleDrill);
+  if (localeSelect) {
+    localeSelect.addEventListener('change', updateDrillButton);
+  }
+  updateDrillButton();
+};
+
+/**
+ * Offer text content as a file download
+ */
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * Split a comma-separated tag list into trimmed, unique tags
+ */
+const parseTags = value => {
+  return [...new Set(String(value || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+};
+
+/**
+ * Show a short message under the lesson library
+ */
+const setLibraryMessage = message => {
+  if (libraryMessage) {
+    libraryMessage.textContent = message;
+  }
+};
+
+/**
+ * All saved lessons, most recently updated first
+ */
+const getLessons = async () => {
+  const lessons = await idbRequest(STORE_LESSONS, 'readonly', store => store.getAll());
+  return lessons.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Store a lesson; a lesson without an id is added as a new one
+ */
+const putLesson = lesson => {
+  return idbRequest(STORE_LESSONS, 'readwrite', store => store.put({ ...lesson, updatedAt: Date.now() }));
+};
+
+/**
+ * Save the sidebar text as a new lesson
+ */
+const saveLesson = async () => {
+  const text = textInput.value.trim();
+  if (!text) {
+    setLibraryMessage('Enter some text to save first.');
+    return;
+  }
+
+  const title = lessonTitleInput.value.trim() || text.slice(0, LESSON_TITLE_LENGTH).trim();
+  try {
+    await putLesson({
+      title,
+      text,
+      locale: getCurrentLocale(),
+      ...(textSegmentMode ? { segmentMode: textSegmentMode } : {}),
+      tags: parseTags(lessonTagsInput ? lessonTagsInput.value : ''),
+      createdAt: Date.now()
+    });
+  } catch (e) {
+    console.error('Failed to save lesson:', e);
+    setLibraryMessage('The lesson could not be saved.');
+    return;
+  }
+
+  lessonTitleInput.value = '';
+  if (lessonTagsInput) {
+    lessonTagsInput.value = '';
+  }
+  setLibraryMessage(`Saved “${title}”.`);
+  renderLessons();
+};
+
+/**
+ * Put a lesson in the sidebar and the Text View in its language
+ */
+const loadLesson = lesson => {
+  textInput.value = lesson.text;
+  textSegmentMode = SEGMENT_MODES.includes(lesson.segmentMode) ? lesson.segmentMode : null;
+
+  const knownLocale = [...localeSelect.options].some(option => option.value === lesson.locale);
+  if (knownLocale && localeSelect.value !== lesson.locale) {
+    localeSelect.value = lesson.locale;
+    localeSelect.dispatchEvent(new Event('change'));
+  }
+
+  addTextToView();
+  setLibraryMessage(`Loaded “${lesson.title}”.`);
+};
+
+/**
+ * Rename a lesson after asking for the new title
+ */
+const renameLesson = async lesson => {
+  const title = window.prompt('Lesson title', lesson.title);
+  if (title === null || !title.trim()) return;
+
+  await putLesson({ ...lesson, title: title.trim() });
+  renderLessons();
+};
+
+/**
+ * Save a copy of a lesson
+ */
+const duplicateLesson = async lesson => {
+  const { id, ...copy } = lesson;
+  await putLesson({ ...copy, title: `${lesson.title} (copy)`, createdAt: Date.now() });
+  renderLessons();
+};
+
+/**
+ * Delete a lesson after confirmation
+ */
+const deleteLesson = async lesson => {
+  if (!window.confirm(`Delete the lesson “${lesson.title}”?`)) return;
+
+  await idbRequest(STORE_LESSONS, 'readwrite', store => store.delete(lesson.id));
+  renderLessons();
+};
+
+/**
+ * Whether a lesson matches the search query (title, tags, language or text)
+ */
+const lessonMatchesQuery = (lesson, query) => {
+  if (!query) return true;
+  const haystack = [lesson.title, lesson.locale, ...lesson.tags, lesson.text].join('\n').toLowerCase();
+  return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
+};
+
+/**
+ * Render the lessons matching the search box
+ */
+const renderLessons = async () => {
+  if (!lessonList) return;
+
+  let lessons = [];
+  try {
+    lessons = await getLessons();
+  } catch (e) {
+    debugLog('Failed to load lessons:', e);
+    lessonList.innerHTML = '';
+    setLibraryMessage('The lesson library is not available in this browser.');
+    return;
+  }
+
+  const query = lessonSearchInput ? lessonSearchInput.value.trim() : '';
+  const shown = lessons.filter(lesson => lessonMatchesQuery(lesson, query));
+  lessonList.innerHTML = '';
+
+  if (!shown.length) {
+    const empty = document.createElement('li');
+    empty.className = 'lesson-empty';
+    empty.textContent = lessons.length ? 'No lessons match your search.' : 'No saved lessons yet.';
+    lessonList.appendChild(empty);
+    return;
+  }
+
+  shown.forEach(lesson => {
+    const item = document.createElement('li');
+    item.className = 'lesson-item';
+
+    const title = document.createElement('span');
+    title.className = 'lesson-title';
+    title.textContent = lesson.title;
+    title.title = lesson.text;
+
+    const meta = document.createElement('span');
+    meta.className = 'lesson-meta';
+    meta.textContent = [lesson.locale, ...lesson.tags.map(tag => `#${tag}`)].join(' · ');
+
+    const actions = document.createElement('div');
+    actions.className = 'lesson-actions';
+    actions.append(
+      createActionButton('Load', () => loadLesson(lesson), setLibraryMessage),
+      createActionButton('Rename', () => renameLesson(lesson), setLibraryMessage),
+      createActionButton('Duplicate', () => duplicateLesson(lesson), setLibraryMessage),
+      createActionButton('Delete', () => deleteLesson(lesson), setLibraryMessage)
+    );
+
+    item.append(title, meta, actions);
+    lessonList.appendChild(item);
+  });
+};
+
+/**
+ * Download the whole library as a JSON bundle
+ */
+const exportLessons = async () => {
+  let lessons = [];
+  try {
+    lessons = await getLessons();
+  } catch (e) {
+    console.error('Failed to export lessons:', e);
+    return;
+  }
+
+  const bundle = {
+    format: LESSON_BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    lessons: lessons.map(({ title, text, locale, segmentMode, tags }) => ({ title, text, locale, segmentMode, tags }))
+  };
+  downloadFile('lessons.json', JSON.stringify(bundle, null, 2), 'application/json');
+  setLibraryMessage(`Exported ${lessons.length} lesson${lessons.length === 1 ? '' : 's'}.`);
+};
+
+/**
+ * Validate the lessons of an imported bundle (or a bare array of lessons)
+ */
+const parseLessonBundle = json => {
+  const data = JSON.parse(json);
+  const lessons = Array.isArray(data) ? data : data && data.lessons;
+  if (!Array.isArray(lessons)) {
+    throw new Error('Not a lesson bundle');
+  }
+
+  return lessons
+    .filter(lesson => lesson && typeof lesson.text === 'string' && lesson.text.trim())
+    .map(lesson => ({
+      title: String(lesson.title || lesson.text.slice(0, LESSON_TITLE_LENGTH)).trim(),
+      text: lesson.text.trim(),
+      locale: typeof lesson.locale === 'string' && lesson.locale ? lesson.locale : getCurrentLocale(),
+      ...(SEGMENT_MODES.includes(lesson.segmentMode) ? { segmentMode: lesson.segmentMode } : {}),
+      tags: Array.isArray(lesson.tags) ? parseTags(lesson.tags.join(',')) : parseTags(lesson.tags)
+    }));
+};
+
+/**
+ * Add the lessons of a JSON bundle file to the library
+ */
+const importLessons = async file => {
+  let lessons;
+  try {
+    lessons = parseLessonBundle(await file.text());
+  } catch (e) {
+    debugLog('Failed to read lesson bundle:', e);
+    setLibraryMessage(`${file.name} is not a lesson bundle.`);
+    return;
+  }
+
+  const now = Date.now();
+  try {
+    for (const lesson of lessons) {
+      await putLesson({ ...lesson, createdAt: now });
+    }
+  } catch (e) {
+    console.error('Failed to import lessons:', e);
+    setLibraryMessage('The lessons could not be imported.');
+    return;
+  }
+
+  setLibraryMessage(`Imported ${lessons.length} lesson${lessons.length === 1 ? '' : 's'}.`);
+  renderLessons();
+};
+
+/**
+ * Initialize the lesson library
+ */
+const initializeLessonLibrary = () => {
+  if (!lessonList) return;
+
+  if (saveLessonButton) {
+    saveLessonButton.addEventListener('click', saveLesson);
+  }
+  if (lessonSearchInput) {
+    lessonSearchInput.addEventListener('input', debounce(renderLessons, 200));
+  }
+  if (exportLessonsButton) {
+    exportLessonsButton.addEventListener('click', exportLessons);
+  }
+  if (importLessonsButton && importLessonsInput) {
+    importLessonsButton.addEventListener('click', () => importLessonsInput.click());
+    importLessonsInput.addEventListener('change', () => {
+      const [file] = importLessonsInput.files;
+      importLessonsInput.value = '';
+      if (file) {
+        importLessons(file);
+      }
+    });
+  }
+
+  renderLessons();
+};
+
+/**
+ * Remove speaker labels and sound descriptions from a subtitle line
+ */
+const stripSpeakerTags = line => {
+  return line
+    .replace(/<v(?:\.[^\s>]+)?\s+[^>]*>/g, '')     // WebVTT voice spans: <v Anna>
+    .replace(/<[^>]+>/g, '')                       // Styling: <i>, <c.yellow>
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, '')          // [MUSIC], (laughs)
+    .replace(/^\s*-\s*/, '')                       // Dialogue dashes
+    .replace(/^\s*(?:>>\s*)?[\p{Lu}][\p{Lu}\d .'-]*:\s+/u, '') // ANNA: / >> ANNA:
+    .replace(/^\s*>>\s*/, '')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .replace(/\s{2,}/g, ' ');
+};
+
+/**
+ * Turn an SRT or WebVTT file into plain text, one cue per paragraph
+ */
+const subtitlesToText = content => {
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+    // Headers, NOTE/STYLE/REGION blocks and stray numbers have no timing line
+    if (timingIndex === -1) return;
+
+    const text = lines
+      .slice(timingIndex + 1)
+      .map(line => line
+        .replace(/<\d{2}:\d{2}(?::\d{2})?[.,]\d{3}>/g, '') // Karaoke timestamps
+        .replace(/\{\\[^}]*\}/g, ''))                       // SSA overrides: {\an8}
+      .map(line => stripSpeakerTags(line).trim())
+      .filter(Boolean)
+      .join(' ');
+
+    if (text) {
+      cues.push(text);
+    }
+  });
+
+  return cues.join('\n\n');
+};
+
+/**
+ * Turn Markdown into plain text, keeping headings, paragraphs and
+ * list items as separate paragraphs
+ */
+const markdownToText = content => {
+  const text = content
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n[\s\S]*?\n---\n/, '')          // Front matter
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, '') // Fenced code blocks
+    .replace(/<!--[\s\S]*?-->/g, '');
+
+  const paragraphs = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) {
+      paragraphs.push(current.join(' '));
+      current = [];
+    }
+  };
+
+  text.split('\n').forEach(rawLine => {
+    if (!rawLine.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(rawLine) || /^\s*\|?[\s:|-]+\|[\s:|-]*$/.test(rawLine)) {
+      flush();
+      return;
+    }
+
+    const isBlockStart = /^\s*(#{1,6}\s|[-*+]\s|\d+[.)]\s)/.test(rawLine);
+    if (isBlockStart) {
+      flush();
+    }
+
+    const line = rawLine
+      .replace(/^\s*#{1,6}\s+/, '')
+      .replace(/\s+#+\s*$/, '')
+      .replace(/^\s*(?:>\s*)+/, '')
+      .replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?/, '')
+      .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')
+      .replace(/`([^`]*)`/g, '$1')
+      .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_]([^*_]+)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/<[^>]+>/g, '')
+      .replace(/\s*\|\s*/g, ' ')
+      .trim();
+
+    if (line) {
+      current.push(line);
+    }
+    if (isBlockStart && /^\s*#/.test(rawLine)) {
+      flush();
+    }
+  });
+  flush();
+
+  return paragraphs.join('\n\n');
+};
+
+/**
+ * Tidy plain text: one paragraph per blank-line separated block
+ */
+const plainTextToText = content => {
+  return content
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+// Practice text converters by file extension
+const TEXT_FILE_CONVERTERS = {
+  txt: plainTextToText,
+  text: plainTextToText,
+  md: markdownToText,
+  markdown: markdownToText,
+  srt: subtitlesToText,
+  vtt: subtitlesToText
+};
+
+/**
+ * Lower-case extension of a file name, without the dot
+ */
+const getFileExtension = name => {
+  const match = /\.([^.]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Load a text, Markdown or subtitle file as practice text. Cues and
+ * paragraphs become the practice segments.
+ */
+const importPracticeFile = async file => {
+  const extension = getFileExtension(file.name);
+
+  // Lesson bundles can be dropped on the sidebar too
+  if (extension === 'json') {
+    importLessons(file);
+    return;
+  }
+
+  const convert = TEXT_FILE_CONVERTERS[extension];
+  if (!convert) {
+    updateSessionStatus(`Unsupported file type: ${file.name}`, 'status-error');
+    return;
+  }
+
+  let text;
+  try {
+    text = convert(await file.text());
+  } catch (e) {
+    console.error('Failed to import file:', e);
+    updateSessionStatus(`Could not read ${file.name}`, 'status-error');
+    return;
+  }
+
+  if (!text) {
+    updateSessionStatus(`No text found in ${file.name}`, 'status-error');
+    return;
+  }
+
+  // Documents are practiced paragraph by paragraph; the selected mode
+  // still applies to other texts
+  textInput.value = text;
+  textSegmentMode = 'paragraph';
+  addTextToView();
+};
+
+/**
+ * Initialize the file picker and drag-and-drop import
+ */
+const initializeFileImport = () => {
+  if (importFileButton && importFileInput) {
+    importFileButton.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', () => {
+      const [file] = importFileInput.files;
+      importFileInput.value = '';
+      if (file) {
+        importPracticeFile(file);
+      }
+    });
+  }
+
+  if (!sidebar) return;
+
+  const hasFiles = event => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+  sidebar.addEventListener('dragover', event => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    sidebar.classList.add('drag-over');
+  });
+  sidebar.addEventListener('dragleave', event => {
+    if (!sidebar.contains(event.relatedTarget)) {
+      sidebar.classList.remove('drag-over');
+    }
+  });
+  sidebar.addEventListener('drop', event => {
+    if (!hasFiles(event)) return;
+    event.preventDefault();
+    sidebar.classList.remove('drag-over');
+    const [file] = event.dataTransfer.files;
+    if (file) {
+      importPracticeFile(file);
+    }
+  });
+};
+
+/**
+ * Escape text for inclusion in HTML
+ */
+const escapeHtml = value => {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+};
+
+/**
+ * Quote a CSV field when needed. Text starting with =, +, - or @ gets a
+ * leading apostrophe so spreadsheets do not run it as a formula.
+ */
+const escapeCsv = value => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Whether any segment of the practice text has progress worth reporting
+ */
+const hasReportableProgress = () => {
+  return practiceSegments.texts.some((_, index) => {
+    const progress = getSegmentProgress(index);
+    return Boolean(progress) &&
+      (progress.committedTranscript.length > 0 || progress.skippedIndices.length > 0 || progress.overrideLog.length > 0);
+  });
+};
+
+/**
+ * Show the export controls once a session has stopped with results
+ */
+const updateReportExport = () => {
+  if (!reportExport) return;
+  reportExport.hidden = isListening || !hasReportableProgress();
+};
+
+/**
+ * Tally report words by status
+ */
+const summarizeReportWords = words => {
+  const count = status => words.filter(word => word.status === status).length;
+  const matched = count('matched');
+  const close = count('close');
+
+  return {
+    total: words.length,
+    matched,
+    close,
+    skipped: count('skipped'),
+    missed: count('missed'),
+    substituted: count('substituted'),
+    omitted: count('omitted'),
+    notReached: count('not reached'),
+    markedCorrect: count('marked correct'),
+    markedIncorrect: count('marked incorrect'),
+    jumpedOver: count('jumped over'),
+    percent: words.length ? Math.round(((matched + close) / words.length) * 100) : 0
+  };
+};
+
+/**
+ * Report on one segment: live state for the one in view, otherwise its
+ * saved progress, with the words parsed from the segment text
+ */
+const buildSegmentReport = segmentIndex => {
+  const text = practiceSegments.texts[segmentIndex];
+  const live = segmentIndex === practiceSegments.index && !isGuidedPractice();
+  const segmentWords = live ? displayWords : parseText(text).filter(w => w.normalized.length > 0);
+
+  // Progress saved before the words were re-split no longer lines up
+  let progress = getSegmentProgress(segmentIndex);
+  if (!progress || progress.committedStatuses.length !== segmentWords.length) {
+    progress = null;
+  }
+
+  const statuses = progress ? progress.committedStatuses : [];
+  const skipped = new Set(progress ? progress.skippedIndices : []);
+  const overrides = progress ? progress.wordOverrides : [];
+  const transcript = progress ? progress.committedTranscript : [];
+  const freeStatuses = progress ? progress.freeReadingStatuses : [];
+  const { attempts } = countWordAttempts(transcript, segmentWords.length);
+
+  let currentIndex = 0;
+  while (currentIndex < segmentWords.length &&
+    (skipped.has(currentIndex) || statuses[currentIndex] || freeStatuses[currentIndex] || overrides[currentIndex])) {
+    currentIndex++;
+  }
+
+  const words = segmentWords.map((word, index) => {
+    let status = 'not reached';
+    if (overrides[index]) {
+      status = WORD_OVERRIDE_LABELS[overrides[index]];
+    } else if (skipped.has(index)) {
+      status = 'skipped';
+    } else if (statuses[index]) {
+      status = statuses[index].status === 'match' ? 'matched' : 'close';
+    } else if (freeStatuses[index]) {
+      status = freeStatuses[index];
+    } else if (attempts[index] > 0 || index < currentIndex) {
+      status = 'missed';
+    }
+
+    return {
+      segment: segmentIndex + 1,
+      index: index + 1,
+      word: word.original,
+      status,
+      attempts: attempts[index],
+      confidence: statuses[index]?.confidence ?? null
+    };
+  });
+
+  const timing = progress ? progress.sessionTiming : null;
+
+  return {
+    text,
+    words,
+    timing,
+    fluencyPart: { transcript, words: segmentWords, timing: timing || { longSilences: 0 } },
+    transcript: transcript.map(({ raw, match, at }) => ({
+      segment: segmentIndex + 1,
+      spoken: raw,
+      at: at ? new Date(at).toISOString() : null,
+      filler: Boolean(match?.filler),
+      status: match ? match.status : 'extra',
+      target: match && match.targetIndex !== null ? segmentWords[match.targetIndex].original : null,
+      alternative: match?.alternative || null
+    })),
+    overrides: (progress ? progress.overrideLog : []).map(({ action, index, at }) => ({
+      segment: segmentIndex + 1,
+      action,
+      word: segmentWords[index]?.original ?? null,
+      at: new Date(at).toISOString()
+    }))
+  };
+};
+
+/**
+ * Build a report of the practice on the whole text, segment by segment
+ */
+const buildSessionReport = () => {
+  const segments = practiceSegments.texts.map((_, index) => buildSegmentReport(index));
+  const timings = segments.map(segment => segment.timing).filter(timing => timing && timing.startedAt);
+  const toIso = time => (time ? new Date(time).toISOString() : null);
+
+  const words = segments.flatMap(segment => segment.words);
+  const listeningMs = timings.reduce((sum, timing) => sum + timing.listeningMs, 0);
+
+  return {
+    text: practiceSegments.sourceText,
+    locale: getCurrentLocale(),
+    startedAt: toIso(timings.length ? Math.min(...timings.map(timing => timing.startedAt)) : null),
+    endedAt: toIso(timings.length ? Math.max(...timings.map(timing => timing.endedAt || timing.startedAt)) : null),
+    listeningSeconds: Math.round(listeningMs / 1000),
+    summary: summarizeReportWords(words),
+    fluency: computeFluencyMetrics(segments.map(segment => segment.fluencyPart)),
+    segments: segments.map((segment, index) => ({
+      index: index + 1,
+      text: segment.text,
+      listeningSeconds: segment.timing ? Math.round(segment.timing.listeningMs / 1000) : 0,
+      summary: summarizeReportWords(segment.words)
+    })),
+    words,
+    transcript: segments.flatMap(segment => segment.transcript),
+    overrides: segments.flatMap(segment => segment.overrides)
+  };
+};
+
+/**
+ * Report as CSV: session details, one row per segment, then one row per
+ * target word and per recognized word
+ */
+const reportToCsv = report => {
+  const rows = [['section', 'segment', 'index', 'text', 'status', 'attempts', 'confidence', 'target']];
+
+  rows.push(['info', '', '', 'locale', report.locale]);
+  rows.push(['info', '', '', 'started', report.startedAt]);
+  rows.push(['info', '', '', 'ended', report.endedAt]);
+  rows.push(['info', '', '', 'listening seconds', report.listeningSeconds]);
+  rows.push(['info', '', '', 'score', `${report.summary.percent}%`]);
+  rows.push(['info', '', '', 'words per minute', report.fluency.wordsPerMinute ?? '']);
+  rows.push(['info', '', '', 'fillers', report.fluency.fillerCount]);
+  rows.push(['info', '', '', 'restarts', report.fluency.restarts]);
+  report.overrides.forEach(override => {
+    rows.push(['info', override.segment, '', 'override', override.action, '', '', override.word ?? '']);
+  });
+  report.fluency.longestPauses.forEach(pause => {
+    rows.push(['info', '', '', 'pause', formatPause(pause)]);
+  });
+
+  report.segments.forEach(segment => {
+    const { matched, close, total, percent } = segment.summary;
+    rows.push(['segment', segment.index, '', segment.text, `${matched + close}/${total} (${percent}%)`]);
+  });
+  report.words.forEach(word => {
+    rows.push(['word', word.segment, word.index, word.word, word.status, word.attempts, word.confidence ?? '']);
+  });
+  report.transcript.forEach((entry, index) => {
+    rows.push(['transcript', entry.segment, index + 1, entry.spoken, entry.filler ? 'filler' : entry.status, '', '', entry.target ?? '']);
+  });
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+/**
+ * Report as a standalone, print-friendly HTML page
+ */
+const reportToHtml = report => {
+  const { summary, fluency } = report;
+  const formatTime = iso => (iso ? new Date(iso).toLocaleString() : '–');
+  const slug = status => status.replace(/\s+/g, '-');
+
+  const segmentRows = report.segments.map(segment => `
+        <tr>
+          <td>${segment.index}</td>
+          <td>${escapeHtml(segment.text)}</td>
+          <td>${segment.summary.matched + segment.summary.close}/${segment.summary.total} (${segment.summary.percent}%)</td>
+          <td>${segment.summary.skipped + segment.summary.jumpedOver}</td>
+          <td>${segment.summary.missed + segment.summary.substituted + segment.summary.omitted}</td>
+          <td>${segment.listeningSeconds}s</td>
+        </tr>`).join('');
+
+  const wordRows = report.words.map(word => `
+        <tr class="status-${slug(word.status)}">
+          <td>${word.segment}</td>
+          <td>${word.index}</td>
+          <td>${escapeHtml(word.word)}</td>
+          <td>${escapeHtml(word.status)}</td>
+          <td>${word.attempts}</td>
+          <td>${word.confidence === null ? '' : `${Math.round(word.confidence * 100)}%`}</td>
+        </tr>`).join('');
+
+  const transcript = report.transcript.map(entry => {
+    const title = entry.target ? ` title="${escapeHtml(`${entry.status}: ${entry.target}`)}"` : '';
+    return `<span class="status-${slug(entry.status)}"${title}>${escapeHtml(entry.spoken)}</span>`;
+  }).join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Pronunciation Report</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #1f2933; margin: 32px; }
+    h1 { font-size: 1.4rem; }
+    blockquote { margin: 0 0 16px 0; padding: 8px 12px; background: #f3f4f6; border-left: 4px solid #2563eb; }
+    table { border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 8px; text-align: left; }
+    .status-matched, .status-match { color: #166534; }
+    .status-close { color: #854d0e; }
+    .status-missed, .status-mismatch, .status-substituted { color: #991b1b; }
+    .status-omitted { color: #6b7280; text-decoration: line-through; }
+    .status-skipped, .status-extra, .status-not-reached, .status-jumped-over { color: #6b7280; }
+    .status-marked-correct, .status-marked-incorrect { font-style: italic; }
+    .transcript span { white-space: nowrap; }
+    @media print { body { margin: 0; } button { display: none; } }
+  </style>
+</head>
+<body>
+  <button type="button" onclick="window.print()">Print</button>
+  <h1>Pronunciation Report</h1>
+  <blockquote>${escapeHtml(report.text)}</blockquote>
+  <table>
+    <tr><th>Language</th><td>${escapeHtml(report.locale)}</td></tr>
+    <tr><th>Started</th><td>${escapeHtml(formatTime(report.startedAt))}</td></tr>
+    <tr><th>Ended</th><td>${escapeHtml(formatTime(report.endedAt))}</td></tr>
+    <tr><th>Time listening</th><td>${report.listeningSeconds}s</td></tr>
+    <tr><th>Score</th><td>${summary.matched + summary.close}/${summary.total} words (${summary.percent}%):
+      ${summary.matched} exact, ${summary.close} close, ${summary.skipped} skipped, ${summary.missed} missed,
+      ${summary.substituted} substituted, ${summary.omitted} omitted, ${summary.notReached} not reached</td></tr>
+    <tr><th>Changed by hand</th><td>${summary.markedCorrect} marked correct, ${summary.markedIncorrect} marked incorrect,
+      ${summary.jumpedOver} jumped over (${report.overrides.length} changes in all)</td></tr>
+    <tr><th>Fluency</th><td>${fluency.wordsPerMinute ?? '–'} words per minute, ${fluency.fillerCount} fillers,
+      ${fluency.restarts} restarts, ${fluency.longSilences} long silences</td></tr>
+    <tr><th>Longest pauses</th><td>${escapeHtml(fluency.longestPauses.map(formatPause).join('; ')) || '–'}</td></tr>
+  </table>
+  <h2>Segments</h2>
+  <table>
+    <thead><tr><th>#</th><th>Text</th><th>Score</th><th>Skipped</th><th>Missed</th><th>Listening</th></tr></thead>
+    <tbody>${segmentRows}
+    </tbody>
+  </table>
+  <h2>Words</h2>
+  <table>
+    <thead><tr><th>Segment</th><th>#</th><th>Word</th><th>Status</th><th>Attempts</th><th>Confidence</th></tr></thead>
+    <tbody>${wordRows}
+    </tbody>
+  </table>
+  <h2>Recognized transcript</h2>
+  <p class="transcript">${transcript || '–'}</p>
+</body>
+</html>
+`;
+};
+
+// Report formats: file extension, MIME type and serializer
+const REPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json', serialize: report => JSON.stringify(report, null, 2) },
+  csv: { extension: 'csv', type: 'text/csv', serialize: reportToCsv },
+  html: { extension: 'html', type: 'text/html', serialize: reportToHtml }
+};
+
+/**
+ * Download a report of the current session in the selected format
+ */
+const exportSessionReport = () => {
+  if (!hasReportableProgress()) return;
+
+  const format = REPORT_FORMATS[reportFormatSelect ? reportFormatSelect.value : 'json'] || REPORT_FORMATS.json;
+  const report = buildSessionReport();
+  const date = (report.endedAt || new Date().toISOString()).slice(0, 10);
+
+  downloadFile(`pronunciation-report-${date}.${format.extension}`, format.serialize(report), format.type);
+};
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ */
+const bytesToBase64Url = bytes => {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode URL-safe base64 (with or without padding) to bytes
+ */
+const base64UrlToBytes = value => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Compress text for a URL. The first character records the encoding:
+ * "z" for deflate, "j" for plain text where CompressionStream is missing
+ * or does not support deflate-raw.
+ */
+const compressForUrl = async text => {
+  const bytes = new TextEncoder().encode(text);
+  if (typeof CompressionStream === 'function') {
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return `z${bytesToBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()))}`;
+    } catch (e) {
+      debugLog('Compression failed, sharing the text uncompressed:', e);
+    }
+  }
+  return `j${bytesToBase64Url(bytes)}`;
+};
+
+/**
+ * Reverse compressForUrl
+ */
+const decompressFromUrl = async value => {
+  const bytes = base64UrlToBytes(value.slice(1));
+  if (value[0] === 'j') {
+    return new TextDecoder().decode(bytes);
+  }
+  if (value[0] !== 'z' || typeof DecompressionStream !== 'function') {
+    throw new Error('Unsupported assignment encoding');
+  }
+
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new TextDecoder().decode(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Identifier of an assignment, shared by its link and its result codes
+ */
+const getAssignmentId = (text, locale) => hashText(`${locale}\n${text}`);
+
+/**
+ * Build a link that opens the text in the view with its language and settings
+ */
+const createAssignmentLink = async () => {
+  const assignment = {
+    v: ASSIGNMENT_VERSION,
+    text: practiceSegments.sourceText,
+    locale: getCurrentLocale(),
+    settings: {
+      fuzzy: matchSettings.fuzzy,
+      characterMatch: matchSettings.characterMatch,
+      freeReading: matchSettings.freeReading,
+      segmentMode: practiceSegments.mode
+    }
+  };
+
+  const url = new URL(window.location.href);
+  url.hash = `${ASSIGNMENT_HASH_KEY}=${await compressForUrl(JSON.stringify(assignment))}`;
+  return url.toString();
+};
+
+/**
+ * Apply an assignment's practice settings for this visit (they are not saved)
+ */
+const applyAssignmentSettings = (settings = {}) => {
+  const toggles = {
+    fuzzy: fuzzyMatchToggle,
+    characterMatch: characterMatchToggle,
+    freeReading: freeReadingToggle
+  };
+
+  Object.entries(toggles).forEach(([key, toggle]) => {
+    if (typeof settings[key] !== 'boolean') return;
+    matchSettings[key] = settings[key];
+    if (toggle) {
+      toggle.checked = settings[key];
+    }
+  });
+
+  if (segmentModeSelect && SEGMENT_MODES.includes(settings.segmentMode)) {
+    segmentModeSelect.value = settings.segmentMode;
+  }
+};
+
+/**
+ * Load the assignment encoded in the URL fragment, if there is one
+ */
+const loadAssignmentFromUrl = async () => {
+  const match = new RegExp(`^#${ASSIGNMENT_HASH_KEY}=(.+)$`).exec(window.location.hash);
+  if (!match) return;
+
+  let assignment;
+  try {
+    assignment = JSON.parse(await decompressFromUrl(match[1]));
+    if (typeof assignment.text !== 'string' || !assignment.text.trim()) {
+      throw new Error('Assignment has no text');
+    }
+  } catch (e) {
+    console.error('Failed to open assignment link:', e);
+    updateSessionStatus('This assignment link is damaged', 'status-error');
+    return;
+  }
+
+  applyAssignmentSettings(assignment.settings);
+
+  const knownLocale = [...localeSelect.options].some(option => option.value === assignment.locale);
+  if (knownLocale && localeSelect.value !== assignment.locale) {
+    localeSelect.value = assignment.locale;
+    applyingAssignmentLocale = true;
+    try {
+      localeSelect.dispatchEvent(new Event('change'));
+    } finally {
+      applyingAssignmentLocale = false;
+    }
+  }
+
+  // The student's own saved text is kept for their next visit
+  textInput.value = assignment.text;
+  textSegmentMode = null;
+  addTextToView({ save: false });
+  activeAssignment = { id: getAssignmentId(practiceSegments.sourceText, getCurrentLocale()), completed: false };
+  updateSharePanel();
+};
+
+/**
+ * Once every word of an assignment is done, offer its result code
+ */
+const checkAssignmentComplete = () => {
+  if (!activeAssignment || activeAssignment.completed) return;
+  if (getAssignmentStatuses().includes('-')) return;
+
+  activeAssignment.completed = true;
+  if (sharePanel && sharePanel.hidden) {
+    toggleSharePanel();
+  } else {
+    updateSharePanel();
+  }
+  updateSessionStatus('Assignment complete – copy your result code', 'status-complete');
+};
+
+/**
+ * Per-word status codes over every segment of the text in the view:
+ * "m" matched, "c" close, "s" skipped, "y"/"n" marked correct/incorrect
+ * by the student, "u"/"o" substituted/omitted in free reading, "-" not done
+ */
+const getAssignmentStatuses = () => {
+  return practiceSegments.texts.flatMap((text, index) => {
+    const progress = getSegmentProgress(index);
+    const wordCount = progress
+      ? progress.committedStatuses.length
+      : parseText(text).filter(word => word.normalized).length;
+
+    return Array.from({ length: wordCount }, (_, wordIndex) => {
+      // Words the student marked themselves were not confirmed by the recognizer
+      const override = progress?.wordOverrides[wordIndex];
+      if (override === 'correct') return 'y';
+      if (override === 'incorrect') return 'n';
+      if (override === 'jumped') return '-';
+      if (progress?.skippedIndices.includes(wordIndex)) return 's';
+      const status = progress?.committedStatuses[wordIndex]?.status;
+      if (status === 'match') return 'm';
+      if (status === 'close') return 'c';
+      const freeStatus = progress?.freeReadingStatuses[wordIndex];
+      if (freeStatus) return freeStatus === 'substituted' ? 'u' : 'o';
+      return '-';
+    });
+  });
+};
+
+/**
+ * Pack status codes into characters, as many per character as the
+ * version's code count allows
  */
-const stopListening = () => {
-  if (!recognition) return;
+const packStatuses = (statuses, version = RESULT_CODE_VERSION) => {
+  const { codes, perChar } = RESULT_CODE_VERSIONS[version];
+  let packed = '';
+  for (let i = 0; i < statuses.length; i += perChar) {
+    let value = 0;
+    for (let offset = 0; offset < perChar; offset++) {
+      value = value * codes.length + Math.max(0, codes.indexOf(statuses[i + offset] || '-'));
+    }
+    packed += RESULT_CODE_ALPHABET[value];
+  }
+  return packed;
+};
 
-  isListening = false; // Set this first to prevent restart in handleRecognitionEnd
-  clearSilenceTimer();
+/**
+ * Reverse packStatuses for a known number of words
+ */
+const unpackStatuses = (packed, count, version = RESULT_CODE_VERSION) => {
+  const { codes, perChar } = RESULT_CODE_VERSIONS[version];
+  const statuses = [];
+  [...packed].forEach(char => {
+    let value = RESULT_CODE_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid status character');
+    }
+    const group = [];
+    for (let offset = 0; offset < perChar; offset++) {
+      group.unshift(codes[value % codes.length]);
+      value = Math.floor(value / codes.length);
+    }
+    statuses.push(...group);
+  });
+  return statuses.slice(0, count);
+};
+
+/**
+ * Compact result code for the assignment in the view:
+ * R2.<assignment>.<percent>.<words>.<statuses>.<checksum>
+ * The percent counts matched and close words only.
+ */
+const createResultCode = () => {
+  const statuses = getAssignmentStatuses();
+  const done = statuses.filter(status => status === 'm' || status === 'c').length;
+  const percent = statuses.length ? Math.round((done / statuses.length) * 100) : 0;
+
+  const payload = [RESULT_CODE_VERSION, activeAssignment.id, percent, statuses.length, packStatuses(statuses)].join('.');
+  return `${payload}.${hashText(payload).slice(0, RESULT_CHECKSUM_LENGTH)}`;
+};
+
+/**
+ * Decode and verify a result code. R1 codes (from before self-marked and
+ * free-reading statuses had their own codes) still decode; in them "s"
+ * also covers those words.
+ */
+const decodeResultCode = code => {
+  const parts = code.trim().split('.');
+  if (parts.length !== 6 || !RESULT_CODE_VERSIONS[parts[0]]) {
+    throw new Error('This is not a result code.');
+  }
+
+  const [version, assignmentId, percent, count, packed, checksum] = parts;
+  if (hashText(parts.slice(0, 5).join('.')).slice(0, RESULT_CHECKSUM_LENGTH) !== checksum) {
+    throw new Error('The checksum does not match; the code was changed or mistyped.');
+  }
+
+  const statuses = unpackStatuses(packed, Number(count), version);
+  if (statuses.length !== Number(count)) {
+    throw new Error('The code is incomplete.');
+  }
+
+  return { assignmentId, percent: Number(percent), statuses };
+};
+
+/**
+ * Show a decoded result code; word by word when its assignment is in the view
+ */
+const showResultCodeDetails = () => {
+  if (!resultCodeDetails) return;
 
+  let result;
   try {
-    recognition.stop();
+    result = decodeResultCode(resultCodeInput.value);
   } catch (e) {
-    // Ignore errors when stopping
+    resultCodeDetails.textContent = e.message;
+    return;
   }
 
-  setListeningState(false);
+  const count = code => result.statuses.filter(status => status === code).length;
+  resultCodeDetails.innerHTML = `
+    <span class="summary-stat">Score: <strong>${result.percent}%</strong></span>
+    <span class="summary-stat">Exact: <strong>${count('m')}</strong></span>
+    <span class="summary-stat summary-close">Close: <strong>${count('c')}</strong></span>
+    <span class="summary-stat">Skipped: <strong>${count('s')}</strong></span>
+    <span class="summary-stat summary-override">Marked correct by the student: <strong>${count('y')}</strong></span>
+    <span class="summary-stat summary-override">Marked incorrect: <strong>${count('n')}</strong></span>
+    <span class="summary-stat summary-substituted">Substituted: <strong>${count('u')}</strong></span>
+    <span class="summary-stat summary-omitted">Omitted: <strong>${count('o')}</strong></span>
+    <span class="summary-stat">Not done: <strong>${count('-')}</strong></span>
+  `;
 
-  // Show final summary if we have results
-  if (targetWords.length > 0 && currentMatchIndex >= 0) {
-    const matchedCount = wordsContainer.querySelectorAll('.word-match').length;
-    const total = targetWords.length;
-    if (matchedCount === total) {
-      updateSessionStatus('Complete! 🎉', 'status-complete');
-    } else {
-      updateSessionStatus(`Stopped - ${matchedCount}/${total} matched`, 'status-ready');
+  const words = practiceSegments.texts.flatMap(text => parseText(text).filter(word => word.normalized));
+  const sameAssignment = result.assignmentId === getAssignmentId(practiceSegments.sourceText, getCurrentLocale());
+  if (!sameAssignment || words.length !== result.statuses.length) {
+    resultCodeDetails.insertAdjacentHTML('beforeend',
+      '<p class="share-note">Load the assignment text in the same language to see each word.</p>');
+    return;
+  }
+
+  const list = document.createElement('p');
+  list.className = 'result-words';
+  words.forEach((word, index) => {
+    const token = document.createElement('span');
+    token.className = `result-word result-word-${RESULT_STATUS_NAMES[result.statuses[index]]}`;
+    token.textContent = word.original;
+    token.title = RESULT_STATUS_NAMES[result.statuses[index]].replace('-', ' ');
+    list.append(token, ' ');
+  });
+  resultCodeDetails.appendChild(list);
+};
+
+/**
+ * Copy a field's value to the clipboard, selecting it as a fallback
+ */
+const copyFieldValue = async field => {
+  try {
+    await navigator.clipboard.writeText(field.value);
+    updateSessionStatus('Copied to clipboard', 'status-ready');
+  } catch (e) {
+    field.select();
+    debugLog('Clipboard write failed:', e);
+  }
+};
+
+/**
+ * Refresh the share link and, for an assignment, the result code
+ */
+const updateSharePanel = async () => {
+  if (!sharePanel || sharePanel.hidden) return;
+
+  shareLinkOutput.value = practiceSegments.sourceText ? await createAssignmentLink() : '';
+  shareLinkOutput.placeholder = 'Enter a text first';
+
+  if (resultCodeRow) {
+    resultCodeRow.hidden = !activeAssignment;
+    resultCodeOutput.value = activeAssignment ? createResultCode() : '';
+  }
+};
+
+/**
+ * Show or hide the Share panel
+ */
+const toggleSharePanel = () => {
+  if (!sharePanel) return;
+
+  sharePanel.hidden = !sharePanel.hidden;
+  shareButton.setAttribute('aria-expanded', String(!sharePanel.hidden));
+  updateSharePanel();
+};
+
+/**
+ * Initialize sharing and open an assignment link
+ */
+const initializeSharing = () => {
+  if (shareButton) {
+    shareButton.addEventListener('click', toggleSharePanel);
+  }
+  if (copyShareLinkButton) {
+    copyShareLinkButton.addEventListener('click', () => copyFieldValue(shareLinkOutput));
+  }
+  if (copyResultCodeButton) {
+    copyResultCodeButton.addEventListener('click', () => {
+      resultCodeOutput.value = createResultCode();
+      copyFieldValue(resultCodeOutput);
+    });
+  }
+  if (checkResultCodeButton) {
+    checkResultCodeButton.addEventListener('click', showResultCodeDetails);
+  }
+
+  window.addEventListener('hashchange', loadAssignmentFromUrl);
+  loadAssignmentFromUrl();
+};
+
+/**
+ * Whether a recognized word was registered as an accepted variant of the target
+ */
+const isAcceptedVariant = (spoken, expected) => {
+  const variants = acceptedVariants.get(expected);
+  return Boolean(variants && variants.has(spoken));
+};
+
+/**
+ * Key of the text in view for text-scoped variants (the whole practice
+ * text, so variants apply to each of its segments)
+ */
+const getLexiconTextKey = () => hashText(practiceSegments.sourceText || viewText);
+
+/**
+ * Store key of a lexicon entry
+ */
+const getLexiconKey = (scope, scopeKey, word) => `${scope}:${scopeKey}:${word}`;
+
+/**
+ * Load the variants for the text and locale in view
+ */
+const loadAcceptedVariants = async () => {
+  const locale = getCurrentLocale();
+  const textKey = getLexiconTextKey();
+
+  let entries = [];
+  try {
+    const localeEntries = await idbRequest(STORE_LEXICON, 'readonly', store => store.index('scopeKey').getAll(locale));
+    const textEntries = await idbRequest(STORE_LEXICON, 'readonly', store => store.index('scopeKey').getAll(textKey));
+    entries = [...localeEntries, ...textEntries.filter(entry => entry.locale === locale)];
+  } catch (e) {
+    debugLog('Failed to load accepted variants:', e);
+  }
+
+  // The text or locale may have changed while loading
+  if (locale !== getCurrentLocale() || textKey !== getLexiconTextKey()) return;
+
+  lexiconEntries = entries;
+  acceptedVariants = new Map();
+  entries.forEach(entry => {
+    if (!acceptedVariants.has(entry.word)) {
+      acceptedVariants.set(entry.word, new Set());
     }
-  } else if (targetWords.length) {
-    updateSessionStatus('Ready', 'status-ready');
+    entry.variants.forEach(variant => acceptedVariants.get(entry.word).add(variant));
+  });
+};
+
+/**
+ * Normalize a comma-separated list of recognizer outputs
+ */
+const parseVariantList = (value, locale = getCurrentLocale()) => {
+  const variants = String(value || '')
+    .split(',')
+    .map(variant => normalizeWords(variant, locale).join(' '))
+    .filter(Boolean);
+  return [...new Set(variants)];
+};
+
+/**
+ * Show a message in the lexicon panel
+ */
+const setVariantMessage = message => {
+  if (variantMessage) {
+    variantMessage.textContent = message;
+  }
+};
+
+/**
+ * Open the lexicon panel, editing the variants of a word when an index is given
+ */
+const openVariantEditor = (index = null) => {
+  if (!variantPanel) return;
+
+  variantEditorIndex = index !== null && index < targetWords.length ? index : null;
+  variantPanel.hidden = false;
+  if (lexiconButton) {
+    lexiconButton.setAttribute('aria-expanded', 'true');
+  }
+  setVariantMessage('');
+
+  variantEditor.hidden = variantEditorIndex === null;
+  if (variantEditorIndex === null) return;
+
+  const word = targetWords[variantEditorIndex];
+  const variantsFor = scope => {
+    const entry = lexiconEntries.find(candidate => candidate.scope === scope && candidate.word === word);
+    return entry ? entry.variants.join(', ') : '';
+  };
+
+  variantWord.textContent = displayWords[variantEditorIndex].original;
+  textVariantsInput.value = variantsFor('text');
+  localeVariantsInput.value = variantsFor('locale');
+  textVariantsInput.focus();
+};
+
+/**
+ * Close the lexicon panel
+ */
+const closeVariantEditor = () => {
+  if (!variantPanel) return;
+
+  variantPanel.hidden = true;
+  variantEditorIndex = null;
+  if (lexiconButton) {
+    lexiconButton.setAttribute('aria-expanded', 'false');
+  }
+};
+
+/**
+ * Store the edited variants of the word in both scopes; an empty list removes them
+ */
+const saveVariants = async () => {
+  if (variantEditorIndex === null) return;
+
+  const word = targetWords[variantEditorIndex];
+  const locale = getCurrentLocale();
+  const textKey = getLexiconTextKey();
+  const scopes = [
+    { scope: 'text', scopeKey: textKey, variants: parseVariantList(textVariantsInput.value, locale) },
+    { scope: 'locale', scopeKey: locale, variants: parseVariantList(localeVariantsInput.value, locale) }
+  ];
+
+  try {
+    for (const { scope, scopeKey, variants } of scopes) {
+      const key = getLexiconKey(scope, scopeKey, word);
+      if (!variants.length) {
+        await idbRequest(STORE_LEXICON, 'readwrite', store => store.delete(key));
+        continue;
+      }
+
+      const entry = { key, scope, scopeKey, locale, word, variants, updatedAt: Date.now() };
+      if (scope === 'text') {
+        entry.text = practiceSegments.sourceText || viewText;
+      }
+      await idbRequest(STORE_LEXICON, 'readwrite', store => store.put(entry));
+    }
+  } catch (e) {
+    console.error('Failed to save accepted variants:', e);
+    setVariantMessage('The variants could not be saved.');
+    return;
+  }
+
+  await loadAcceptedVariants();
+  textVariantsInput.value = scopes[0].variants.join(', ');
+  localeVariantsInput.value = scopes[1].variants.join(', ');
+  setVariantMessage(`Saved. What the recognizer hears from now on is matched against these variants.`);
+};
+
+/**
+ * Download every stored variant as a JSON bundle
+ */
+const exportLexicon = async () => {
+  let entries = [];
+  try {
+    entries = await idbRequest(STORE_LEXICON, 'readonly', store => store.getAll());
+  } catch (e) {
+    console.error('Failed to export the lexicon:', e);
+    return;
+  }
+
+  const bundle = {
+    format: LEXICON_BUNDLE_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ scope, locale, text, word, variants }) => (
+      scope === 'text' ? { scope, locale, text, word, variants } : { scope, locale, word, variants }
+    ))
+  };
+  downloadFile('lexicon.json', JSON.stringify(bundle, null, 2), 'application/json');
+  setVariantMessage(`Exported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+};
+
+/**
+ * Validate the entries of an imported lexicon bundle (or a bare array of entries)
+ */
+const parseLexiconBundle = json => {
+  const data = JSON.parse(json);
+  const entries = Array.isArray(data) ? data : data && data.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Not a lexicon bundle');
+  }
+
+  return entries
+    .filter(entry => entry && typeof entry.word === 'string' && typeof entry.locale === 'string' && entry.locale)
+    .filter(entry => entry.scope !== 'text' || (typeof entry.text === 'string' && entry.text.trim()))
+    .map(entry => {
+      const scope = entry.scope === 'text' ? 'text' : 'locale';
+      const word = normalizeWords(entry.word, entry.locale).join(' ');
+      const variants = Array.isArray(entry.variants) ? parseVariantList(entry.variants.join(','), entry.locale) : [];
+      const scopeKey = scope === 'text' ? hashText(entry.text) : entry.locale;
+      return { key: getLexiconKey(scope, scopeKey, word), scope, scopeKey, locale: entry.locale, text: entry.text, word, variants };
+    })
+    .filter(entry => entry.word && entry.variants.length);
+};
+
+/**
+ * Merge the entries of a JSON bundle file into the lexicon
+ */
+const importLexicon = async file => {
+  let entries;
+  try {
+    entries = parseLexiconBundle(await file.text());
+  } catch (e) {
+    debugLog('Failed to read lexicon bundle:', e);
+    setVariantMessage(`${file.name} is not a lexicon bundle.`);
+    return;
+  }
+
+  try {
+    for (const entry of entries) {
+      const existing = await idbRequest(STORE_LEXICON, 'readonly', store => store.get(entry.key));
+      const variants = [...new Set([...(existing ? existing.variants : []), ...entry.variants])];
+      const stored = { ...entry, variants, updatedAt: Date.now() };
+      if (stored.scope !== 'text') {
+        delete stored.text;
+      }
+      await idbRequest(STORE_LEXICON, 'readwrite', store => store.put(stored));
+    }
+  } catch (e) {
+    console.error('Failed to import the lexicon:', e);
+    setVariantMessage('The lexicon could not be imported.');
+    return;
+  }
+
+  await loadAcceptedVariants();
+  if (variantEditorIndex !== null) {
+    openVariantEditor(variantEditorIndex);
+  }
+  setVariantMessage(`Imported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`);
+};
+
+/**
+ * Toggle the lexicon panel from its button
+ */
+const toggleLexiconPanel = () => {
+  if (variantPanel.hidden) {
+    openVariantEditor();
   } else {
-    updateSessionStatus('Idle', 'status-idle');
+    closeVariantEditor();
+  }
+};
+
+/**
+ * Initialize accepted variants: right-click (or the context-menu key
+ * on) a word chip to edit its variants
+ */
+const initializeVariants = () => {
+  if (!variantPanel) return;
+
+  wordsContainer.addEventListener('contextmenu', event => {
+    const chip = event.target.closest('.word-chip');
+    if (chip) {
+      event.preventDefault();
+      openVariantEditor(Number(chip.dataset.index));
+    }
+  });
+  if (lexiconButton) {
+    lexiconButton.addEventListener('click', toggleLexiconPanel);
+  }
+  saveVariantsButton.addEventListener('click', saveVariants);
+  [textVariantsInput, localeVariantsInput].forEach(input => {
+    input.addEventListener('keydown', event => {
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        saveVariants();
+      }
+    });
+  });
+  if (exportLexiconButton) {
+    exportLexiconButton.addEventListener('click', exportLexicon);
+  }
+  if (importLexiconButton && importLexiconInput) {
+    importLexiconButton.addEventListener('click', () => importLexiconInput.click());
+    importLexiconInput.addEventListener('change', () => {
+      const [file] = importLexiconInput.files;
+      importLexiconInput.value = '';
+      if (file) {
+        importLexicon(file);
+      }
+    });
+  }
+  if (localeSelect) {
+    localeSelect.addEventListener('change', () => {
+      closeVariantEditor();
+      loadAcceptedVariants();
+    });
+  }
+};
+
+/**
+ * Bundled minimal pairs per language. Each contrast names its two sounds
+ * and lists word pairs that differ only in them, the word with the first
+ * sound first.
+ */
+const MINIMAL_PAIR_SETS = {
+  en: [
+    { contrast: '/ɪ/ vs /iː/', pairs: [['ship', 'sheep'], ['bit', 'beat'], ['live', 'leave'], ['fill', 'feel'], ['sit', 'seat'], ['hit', 'heat']] },
+    { contrast: '/l/ vs /r/', pairs: [['light', 'right'], ['long', 'wrong'], ['lead', 'read'], ['glass', 'grass'], ['collect', 'correct'], ['fly', 'fry']] },
+    { contrast: '/θ/ vs /s/', pairs: [['think', 'sink'], ['thick', 'sick'], ['thumb', 'sum'], ['path', 'pass'], ['mouth', 'mouse'], ['worth', 'worse']] },
+    { contrast: '/v/ vs /b/', pairs: [['very', 'berry'], ['vote', 'boat'], ['van', 'ban'], ['vest', 'best'], ['curve', 'curb']] },
+    { contrast: '/æ/ vs /e/', pairs: [['bad', 'bed'], ['man', 'men'], ['sad', 'said'], ['pan', 'pen'], ['had', 'head']] },
+    { contrast: '/ʃ/ vs /tʃ/', pairs: [['ship', 'chip'], ['share', 'chair'], ['wash', 'watch'], ['sheep', 'cheap'], ['shoe', 'chew']] }
+  ],
+  es: [
+    { contrast: '/ɾ/ vs /r/', pairs: [['pero', 'perro'], ['caro', 'carro'], ['cero', 'cerro'], ['coro', 'corro'], ['para', 'parra'], ['moro', 'morro']] },
+    { contrast: '/b/ vs /p/', pairs: [['beso', 'peso'], ['vino', 'pino'], ['bata', 'pata'], ['boca', 'poca'], ['vela', 'pela']] },
+    { contrast: '/n/ vs /ɲ/', pairs: [['cana', 'caña'], ['mono', 'moño'], ['pena', 'peña'], ['ano', 'año'], ['cuna', 'cuña']] }
+  ],
+  fr: [
+    { contrast: '/y/ vs /u/', pairs: [['tu', 'tout'], ['rue', 'roue'], ['vu', 'vous'], ['dessus', 'dessous'], ['pur', 'pour'], ['lu', 'loup']] },
+    { contrast: '/ɑ̃/ vs /ɔ̃/', pairs: [['temps', 'ton'], ['vent', 'vont'], ['blanc', 'blond'], ['sans', 'son'], ['lent', 'long']] },
+    { contrast: '/ə/ vs /e/', pairs: [['le', 'les'], ['ce', 'ces'], ['de', 'des'], ['me', 'mes'], ['te', 'tes']] }
+  ],
+  de: [
+    { contrast: '/y/ vs /u/', pairs: [['Mütter', 'Mutter'], ['Brüder', 'Bruder'], ['Tür', 'Tour'], ['für', 'fuhr']] },
+    { contrast: '/ç/ vs /ʃ/', pairs: [['Kirche', 'Kirsche'], ['mich', 'misch'], ['Löcher', 'Löscher']] },
+    { contrast: '/ɪ/ vs /iː/', pairs: [['Mitte', 'Miete'], ['bitten', 'bieten'], ['still', 'Stil'], ['im', 'ihm'], ['in', 'ihn']] }
+  ],
+  it: [
+    { contrast: '/t/ vs /tː/', pairs: [['fato', 'fatto'], ['sete', 'sette'], ['tuta', 'tutta'], ['note', 'notte']] },
+    { contrast: '/l/ vs /lː/', pairs: [['pala', 'palla'], ['bela', 'bella'], ['cola', 'colla'], ['fola', 'folla']] },
+    { contrast: '/n/ vs /nː/', pairs: [['nono', 'nonno'], ['pena', 'penna'], ['sono', 'sonno'], ['cane', 'canne']] }
+  ],
+  pt: [
+    { contrast: '/ɾ/ vs /ʁ/', pairs: [['caro', 'carro'], ['muro', 'murro'], ['coro', 'corro'], ['fera', 'ferra'], ['era', 'erra']] },
+    { contrast: '/s/ vs /z/', pairs: [['caça', 'casa'], ['assar', 'azar'], ['roça', 'rosa'], ['doce', 'doze']] },
+    { contrast: '/l/ vs /ʎ/', pairs: [['mala', 'malha'], ['fila', 'filha'], ['vela', 'velha'], ['bola', 'bolha']] }
+  ]
+};
+
+/**
+ * Minimal-pair contrasts bundled for a locale's language
+ */
+const getMinimalPairSets = (locale = getCurrentLocale()) => MINIMAL_PAIR_SETS[getLanguage(locale)] || [];
+
+/**
+ * Offer the current language's contrasts and enable the mode only where
+ * pair sets exist
+ */
+const populatePairContrasts = () => {
+  const sets = getMinimalPairSets();
+
+  if (pairContrastSelect) {
+    const selected = pairContrastSelect.value;
+    pairContrastSelect.innerHTML = '';
+    pairContrastSelect.appendChild(new Option('All contrasts', ''));
+    sets.forEach(set => {
+      pairContrastSelect.appendChild(new Option(set.contrast, set.contrast));
+    });
+    pairContrastSelect.value = sets.some(set => set.contrast === selected) ? selected : '';
+    pairContrastSelect.disabled = !sets.length;
+  }
+  updateMinimalPairsButton();
+};
+
+/**
+ * Reflect the minimal-pair run, and whether the language has pairs, on its button
+ */
+const updateMinimalPairsButton = () => {
+  if (!minimalPairsButton) return;
+
+  const available = getMinimalPairSets().length > 0;
+  minimalPairsButton.setAttribute('aria-pressed', String(Boolean(minimalPairs)));
+  minimalPairsButton.textContent = minimalPairs ? 'Stop Minimal Pairs' : 'Minimal Pairs';
+  minimalPairsButton.disabled = !available && !minimalPairs;
+  minimalPairsButton.title = available
+    ? 'Say one word of a pair like ship/sheep and see which one the recognizer heard'
+    : 'No minimal pairs are bundled for this language';
+};
+
+/**
+ * Random trials: a contrast, one of its pairs and one word of the pair
+ * as the target (its partner is the word it must not sound like)
+ */
+const createMinimalPairTrials = (sets, count = MINIMAL_PAIR_SESSION_SIZE) => {
+  const trials = [];
+  while (trials.length < count) {
+    const set = sets[Math.floor(Math.random() * sets.length)];
+    const pair = set.pairs[Math.floor(Math.random() * set.pairs.length)];
+    const side = Math.random() < 0.5 ? 0 : 1;
+    const previous = trials[trials.length - 1];
+
+    // Avoid prompting the same word twice in a row
+    if (previous && previous.target === pair[side] && sets.some(other => other.pairs.length > 1)) continue;
+    trials.push({ contrast: set.contrast, target: pair[side], partner: pair[1 - side] });
+  }
+  return trials;
+};
+
+/**
+ * Show which word to say and which one it is contrasted with
+ */
+const setMinimalPairContext = trial => {
+  if (!drillContext) return;
+  drillContext.hidden = !trial;
+  drillContext.textContent = trial ? `${trial.contrast}: say “${trial.target}”, not “${trial.partner}”` : '';
+};
+
+/**
+ * Start a run of minimal-pair trials for the current language
+ */
+const startMinimalPairs = async () => {
+  if (minimalPairs || drill || shadowing) return;
+
+  if (!recognition) {
+    updateSessionStatus('Speech recognition not supported', 'status-error');
+    return;
+  }
+
+  const contrast = pairContrastSelect ? pairContrastSelect.value : '';
+  const sets = getMinimalPairSets().filter(set => !contrast || set.contrast === contrast);
+  if (!sets.length) {
+    updateSessionStatus('No minimal pairs for this language', 'status-error');
+    return;
+  }
+
+  stopListening();
+  cancelSpeech();
+  saveSegmentProgress();
+  matchSettings.exactOnly = true;
+  minimalPairs = {
+    trials: createMinimalPairTrials(sets),
+    index: 0,
+    phase: 'idle',
+    transcriptStart: 0,
+    attemptTimer: null,
+    results: []
+  };
+  updateMinimalPairsButton();
+  runMinimalPairTrial(minimalPairs);
+};
+
+/**
+ * Put the current trial's word in the view and listen for it
+ */
+const runMinimalPairTrial = async run => {
+  const trial = run.trials[run.index];
+
+  loadTextIntoView(trial.target);
+  setMinimalPairContext(trial);
+
+  run.phase = 'listening';
+  run.transcriptStart = committedTranscript.length;
+  await startListening();
+  if (minimalPairs !== run) return;
+
+  if (!isListening) {
+    // Recognition could not start (e.g. microphone denied)
+    stopMinimalPairs({ restoreText: false });
+    return;
   }
+
+  updateSessionStatus(`Minimal pairs ${run.index + 1}/${run.trials.length} – say the word`, 'status-listening');
+  run.attemptTimer = setTimeout(() => endMinimalPairTrial(run, 'unclear'), MINIMAL_PAIR_TIMEOUT);
 };
 
 /**
- * Clear the text view
+ * Which word of the pair the recognizer heard first in this trial:
+ * 'target', 'partner', or null while it has heard neither. Only the top
+ * hypothesis counts; alternatives would accept either word of the pair.
  */
-const clearTextView = () => {
-  stopListening();
-  targetWords = [];
-  displayWords = [];
-  currentMatchIndex = -1;
-  skippedIndices.clear();
-  rawTranscript = '';
-  wordsContainer.innerHTML = '';
-  setRecognizedMessage(idleRecognizedMessage);
-  updateSessionStatus('Idle', 'status-idle');
-  resetSessionSummary();
+const getMinimalPairVerdict = run => {
+  const trial = run.trials[run.index];
+  const target = normalizeWord(trial.target);
+  const partner = normalizeWord(trial.partner);
+
+  for (const entry of committedTranscript.slice(run.transcriptStart)) {
+    if (entry.word === target) return 'target';
+    if (entry.word === partner) return 'partner';
+  }
+  return null;
 };
 
 /**
- * Handle speech recognition results
- * Processes results efficiently using event.resultIndex
+ * Called for every recognition result and skip: the trial ends once
+ * either word of the pair was heard, or the word was skipped
  */
-const handleRecognitionResult = event => {
-  if (!isListening) return;
+const handleMinimalPairResult = () => {
+  const run = minimalPairs;
+  if (!run || run.phase !== 'listening') return;
 
-  // Reset silence timer on any speech
-  resetSilenceTimer();
+  const verdict = getMinimalPairVerdict(run);
+  if (verdict) {
+    endMinimalPairTrial(run, verdict);
+  } else if (getCurrentTargetIndex() >= targetWords.length) {
+    endMinimalPairTrial(run, 'unclear');
+  }
+};
 
-  // Build transcript from all results
-  let fullTranscript = '';
-  let hasFinalResult = false;
+/**
+ * Record the trial's result and move on
+ */
+const endMinimalPairTrial = (run, heard) => {
+  if (minimalPairs !== run || run.phase !== 'listening') return;
 
-  for (let i = 0; i < event.results.length; i++) {
-    const result = event.results[i];
-    const transcript = result[0]?.transcript || '';
-    fullTranscript += transcript + ' ';
+  clearTimeout(run.attemptTimer);
+  run.phase = 'scoring';
+  stopListening();
 
-    if (result.isFinal) {
-      hasFinalResult = true;
-    }
-  }
+  const trial = run.trials[run.index];
+  run.results.push({ ...trial, heard });
 
-  fullTranscript = fullTranscript.trim();
-  rawTranscript = fullTranscript; // Store raw for display
+  if (heard === 'target') {
+    updateSessionStatus(`✓ Heard “${trial.target}”`, 'status-complete');
+  } else if (heard === 'partner') {
+    updateSessionStatus(`Heard “${trial.partner}” instead of “${trial.target}”`, 'status-error');
+  } else {
+    updateSessionStatus(`Neither “${trial.target}” nor “${trial.partner}” was heard`, 'status-ready');
+  }
+  renderMinimalPairResults(run);
 
-  if (!fullTranscript) {
-    setRecognizedMessage('Listening…');
+  run.index++;
+  if (run.index >= run.trials.length) {
+    finishMinimalPairs(run);
     return;
   }
 
-  // Normalize and match words
-  const recognizedWords = normalizeWords(fullTranscript);
-
-  pendingRecognition = { recognizedWords: [...recognizedWords] };
-  renderRecognition();
+  setTimeout(() => {
+    if (minimalPairs === run) {
+      runMinimalPairTrial(run);
+    }
+  }, MINIMAL_PAIR_NEXT_DELAY);
 };
 
 /**
- * Skip the current target word and move on to the next one.
- * This does NOT count as a correct match in the summary,
- * but it allows progressing when a word is too difficult.
+ * Correct trials per contrast, in the order the contrasts came up. Unclear
+ * trials (neither word heard in time) say nothing about the contrast, so
+ * they are counted apart rather than as wrong.
  */
-const skipCurrentWord = () => {
-  if (!targetWords.length) {
-    return;
-  }
-
-  // The "current" word is always the next index after the last
-  // completed word (matched or skipped).
-  const nextIndex = currentMatchIndex + 1;
+const getContrastAccuracy = results => {
+  const contrasts = new Map();
+  results.forEach(result => {
+    if (!contrasts.has(result.contrast)) {
+      contrasts.set(result.contrast, { contrast: result.contrast, correct: 0, total: 0, unclear: 0 });
+    }
+    const entry = contrasts.get(result.contrast);
+    if (result.heard === 'unclear') {
+      entry.unclear++;
+      return;
+    }
+    entry.total++;
+    if (result.heard === 'target') {
+      entry.correct++;
+    }
+  });
+  return [...contrasts.values()];
+};
 
-  if (nextIndex < 0 || nextIndex >= targetWords.length) {
-    return;
-  }
+/**
+ * Show the run's score and accuracy per contrast in the session summary
+ */
+const renderMinimalPairResults = run => {
+  if (!sessionSummary) return;
 
-  skippedIndices.add(nextIndex);
+  const correct = run.results.filter(result => result.heard === 'target').length;
+  const unclear = run.results.filter(result => result.heard === 'unclear').length;
+  const contrasts = getContrastAccuracy(run.results).map(({ contrast, correct: contrastCorrect, total, unclear: contrastUnclear }) => {
+    const percent = total ? `${Math.round((contrastCorrect / total) * 100)}%` : '–';
+    const unclearNote = contrastUnclear ? `, ${contrastUnclear} unclear` : '';
+    return `<span class="summary-stat">${escapeHtml(contrast)}: <strong>${percent}</strong> (${contrastCorrect}/${total}${unclearNote})</span>`;
+  });
 
-  // Re-run highlighting based on the last recognition data so the
-  // UI moves on to the next word immediately.
-  if (lastRecognizedWords.length) {
-    applyWordHighlights(lastRecognizedWords);
-  } else {
-    // No recognition yet; force a basic visual update so the
-    // "current" marker advances.
-    applyWordHighlights([]);
-  }
+  sessionSummary.innerHTML = `
+    <span class="summary-stat">Minimal pairs: <strong>${correct}/${run.results.length - unclear}</strong> correct</span>
+    ${unclear ? `<span class="summary-stat">Unclear: <strong>${unclear}</strong></span>` : ''}
+    ${contrasts.join('')}
+  `;
+  sessionSummary.hidden = false;
 };
 
 /**
- * Reset the silence detection timer
+ * Show the final per-contrast results once every trial is done
  */
-const resetSilenceTimer = () => {
-  if (silenceTimer) {
-    clearTimeout(silenceTimer);
-  }
-
-  silenceTimer = setTimeout(() => {
-    if (isListening) {
-      updateSessionStatus('Listening… (continue speaking)', 'status-listening');
-    }
-  }, SILENCE_TIMEOUT);
+const finishMinimalPairs = run => {
+  stopMinimalPairs();
+  updateSessionStatus('Minimal pairs complete! 🎉', 'status-complete');
+  renderMinimalPairResults(run);
 };
 
 /**
- * Clear the silence timer
+ * Stop the minimal-pair run. By default the current practice segment is put back in the view.
  */
-const clearSilenceTimer = () => {
-  if (silenceTimer) {
-    clearTimeout(silenceTimer);
-    silenceTimer = null;
+const stopMinimalPairs = ({ restoreText = true } = {}) => {
+  const run = minimalPairs;
+  if (!run) return;
+
+  minimalPairs = null;
+  clearTimeout(run.attemptTimer);
+  matchSettings.exactOnly = false;
+  stopListening();
+  setMinimalPairContext(null);
+  updateMinimalPairsButton();
+
+  // Without a practice text there is nothing to go back to
+  if (restoreText && !showSegment(practiceSegments.index, { saveCurrent: false })) {
+    clearTextView();
   }
 };
 
 /**
- * Handle recognition end event
+ * Toggle the minimal-pair run from its button
  */
-const handleRecognitionEnd = () => {
-  if (!isListening) {
-    setListeningState(false);
-    if (targetWords.length) {
-      updateSessionStatus('Ready', 'status-ready');
-    } else {
-      updateSessionStatus('Idle', 'status-idle');
-    }
-    return;
+const toggleMinimalPairs = () => {
+  if (minimalPairs) {
+    stopMinimalPairs();
+  } else {
+    startMinimalPairs();
   }
+};
 
-  // Auto-restart if still supposed to be listening
-  setTimeout(() => {
-    if (!isListening || !recognition) return;
+/**
+ * Initialize the minimal-pair controls
+ */
+const initializeMinimalPairs = () => {
+  if (!minimalPairsButton) return;
 
-    try {
-      recognition.start();
-    } catch (error) {
-      if (error.name !== 'InvalidStateError') {
-        console.error('Failed to restart recognition:', error);
-        handleRecognitionError({ error: error.name || 'unknown' });
-      }
-    }
-  }, 100);
+  minimalPairsButton.addEventListener('click', toggleMinimalPairs);
+  if (localeSelect) {
+    localeSelect.addEventListener('change', populatePairContrasts);
+  }
+  populatePairContrasts();
 };
 
 /**
- * Handle recognition errors
+ * ARPAbet phonemes (stress removed) and their IPA symbols
  */
-const handleRecognitionError = event => {
-  const errorKey = String(event.error || 'unknown').toLowerCase();
+const ARPABET_TO_IPA = {
+  AA: 'ɑ', AE: 'æ', AH: 'ʌ', AO: 'ɔ', AW: 'aʊ', AY: 'aɪ', EH: 'ɛ', ER: 'ɝ', EY: 'eɪ',
+  IH: 'ɪ', IY: 'i', OW: 'oʊ', OY: 'ɔɪ', UH: 'ʊ', UW: 'u',
+  B: 'b', CH: 'tʃ', D: 'd', DH: 'ð', F: 'f', G: 'ɡ', HH: 'h', JH: 'dʒ', K: 'k', L: 'l',
+  M: 'm', N: 'n', NG: 'ŋ', P: 'p', R: 'ɹ', S: 's', SH: 'ʃ', T: 't', TH: 'θ', V: 'v',
+  W: 'w', Y: 'j', Z: 'z', ZH: 'ʒ'
+};
 
-  // Ignore no-speech errors - just keep listening
-  if (errorKey === 'no-speech') {
-    if (isListening) {
-      updateSessionStatus('Listening… (no speech detected)', 'status-listening');
-    }
-    return;
-  }
+const ARPABET_VOWELS = new Set(['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW']);
 
-  // Ignore aborted errors (happens when we stop manually)
-  if (errorKey === 'aborted') {
-    return;
-  }
+/**
+ * Remove the stress digit from an ARPAbet vowel ("IH1" → "IH")
+ */
+const stripStress = phoneme => phoneme.replace(/\d/g, '');
 
-  let message = 'Speech recognition error. Please try again.';
+/**
+ * IPA symbol for an ARPAbet phoneme; unstressed AH and ER are reduced
+ */
+const phonemeToIpa = phoneme => {
+  if (phoneme === 'AH0') return 'ə';
+  if (phoneme === 'ER0') return 'ɚ';
+  return ARPABET_TO_IPA[stripStress(phoneme)] || phoneme.toLowerCase();
+};
 
-  if (errorKey === 'not-allowed' || errorKey === 'notallowederror') {
-    message = 'Microphone access was denied. Please allow microphone access and try again.';
-  } else if (errorKey === 'audio-capture' || errorKey === 'notfounderror') {
-    message = 'No microphone was found. Please connect a microphone.';
-  } else if (errorKey === 'network') {
-    message = 'Network error. Please check your internet connection.';
+/**
+ * Build the word → phonemes map from the bundled lexicon on first use
+ */
+const getPronunciationLexicon = () => {
+  if (!pronunciationLexicon) {
+    pronunciationLexicon = new Map();
+    const source = typeof PRONUNCIATION_LEXICON_EN === 'string' ? PRONUNCIATION_LEXICON_EN : '';
+    source.split('\n').forEach(line => {
+      const [word, ...phonemes] = line.trim().split(/\s+/);
+      if (word && phonemes.length) {
+        pronunciationLexicon.set(word, phonemes);
+      }
+    });
+    debugLog('Pronunciation lexicon entries:', pronunciationLexicon.size);
   }
-
-  console.error('Speech recognition error:', errorKey);
-  setRecognizedMessage(message);
-  updateSessionStatus('Error', 'status-error');
-  setListeningState(false);
-  isListening = false;
+  return pronunciationLexicon;
 };
 
 /**
- * Start speech recognition
+ * Phonemes of a normalized English word, or null when it is not in the
+ * lexicon. Plurals and possessives of listed words are derived from
+ * their stem ("cats" → K AE1 T S, "dogs" → D AO1 G Z).
  */
-const startListening = async () => {
-  if (!recognition) {
-    updateSessionStatus('Speech recognition not supported', 'status-error');
-    return;
+const getPhonemes = word => {
+  // Targets spoken as several words ("21" → "twenty one")
+  if (word.includes(' ')) {
+    const parts = word.split(' ').map(getPhonemes);
+    return parts.every(Boolean) ? parts.flat() : null;
   }
 
-  if (!targetWords.length) {
-    updateSessionStatus('Add text to practice first', 'status-error');
-    textInput.focus();
-    return;
+  const lexicon = getPronunciationLexicon();
+  if (lexicon.has(word)) {
+    return lexicon.get(word);
   }
 
-  if (isListening) {
-    return;
+  if (!word.endsWith('s')) {
+    return null;
+  }
+  // "boxes" → "box", "cats" → "cat", "houses" → "house"
+  const stemPhonemes = lexicon.get(word.replace(/e?s$/, '')) || lexicon.get(word.slice(0, -1));
+  if (!stemPhonemes) {
+    return null;
   }
 
-  // Preflight microphone permission check
-  const micStatus = await checkMicrophonePermission();
-  if (micStatus === 'denied') {
-    updateSessionStatus('Microphone access denied', 'status-error');
-    setRecognizedMessage('Please allow microphone access in your browser settings and reload the page.');
-    return;
+  const last = stripStress(stemPhonemes[stemPhonemes.length - 1]);
+  if (['S', 'Z', 'SH', 'ZH', 'CH', 'JH'].includes(last)) {
+    return [...stemPhonemes, 'IH0', 'Z'];
   }
+  return [...stemPhonemes, ['P', 'T', 'K', 'F', 'TH'].includes(last) ? 'S' : 'Z'];
+};
 
-  // Reset state for new session
-  currentMatchIndex = -1;
-  skippedIndices.clear();
-  rawTranscript = '';
-  resetWordHighlights();
-  resetSessionSummary();
-  setRecognizedMessage('Listening…');
-  updateSessionStatus('Listening…', 'status-listening');
-  setListeningState(true);
-  resetSilenceTimer();
+/**
+ * Align two phoneme sequences by edit distance, ignoring stress.
+ * Substituting a vowel for a consonant costs more than a vowel for a
+ * vowel, so vowels line up with vowels. Returns the alignment as steps
+ * of { target, heard }, with null on the side of an insertion or deletion.
+ */
+const alignPhonemes = (targetPhonemes, heardPhonemes) => {
+  const n = targetPhonemes.length;
+  const m = heardPhonemes.length;
+  const target = targetPhonemes.map(stripStress);
+  const heard = heardPhonemes.map(stripStress);
 
-  // Update recognition language from selector
-  if (localeSelect && recognition) {
-    recognition.lang = localeSelect.value;
+  const substitutionCost = (a, b) => {
+    if (a === b) return 0;
+    return ARPABET_VOWELS.has(a) === ARPABET_VOWELS.has(b) ? 1 : 1.5;
+  };
+
+  const cost = Array.from({ length: n + 1 }, (_, i) => {
+    const row = new Array(m + 1).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j <= m; j++) {
+    cost[0][j] = j;
   }
 
-  try {
-    recognition.start();
-  } catch (error) {
-    if (error.name === 'InvalidStateError') {
-      // Already running, that's fine
-      return;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + substitutionCost(target[i - 1], heard[j - 1]),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  const steps = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + substitutionCost(target[i - 1], heard[j - 1])) {
+      steps.unshift({ target: targetPhonemes[i - 1], heard: heardPhonemes[j - 1] });
+      i--;
+      j--;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      steps.unshift({ target: targetPhonemes[i - 1], heard: null });
+      i--;
+    } else {
+      steps.unshift({ target: null, heard: heardPhonemes[j - 1] });
+      j--;
     }
-    console.error('Failed to start recognition:', error);
-    handleRecognitionError({ error: error.name || error.message });
   }
+  return steps;
 };
 
 /**
- * Check microphone permission status
+ * Whether an alignment step is a difference between the two words
  */
-const checkMicrophonePermission = async () => {
-  try {
-    if (navigator.permissions && navigator.permissions.query) {
-      const result = await navigator.permissions.query({ name: 'microphone' });
-      return result.state; // 'granted', 'denied', or 'prompt'
-    }
-    // Fallback: try to get user media
-    return 'prompt';
-  } catch (e) {
-    // Permission API not supported, assume prompt
-    return 'prompt';
-  }
+const isPhonemeDifference = step => {
+  return !step.target || !step.heard || stripStress(step.target) !== stripStress(step.heard);
 };
 
 /**
- * Initialize speech recognition
+ * Describe the differing sounds of an alignment, e.g. "/θ/ heard as /s/"
  */
-const initializeSpeechRecognition = () => {
-  if (!SpeechRecognition) {
-    supportMessage.hidden = false;
-    startSessionButton.disabled = true;
-    stopSessionButton.disabled = true;
-    updateSessionStatus('Not supported in this browser', 'status-error');
-    return;
+const describePhonemeDifferences = steps => {
+  return steps.filter(isPhonemeDifference).map(step => {
+    if (!step.heard) return `/${phonemeToIpa(step.target)}/ missing`;
+    if (!step.target) return `extra /${phonemeToIpa(step.heard)}/`;
+    return `/${phonemeToIpa(step.target)}/ heard as /${phonemeToIpa(step.heard)}/`;
+  });
+};
+
+/**
+ * Compare the phonemes of a target word with those of what the
+ * recognizer heard instead. `steps` is null when either word is not in
+ * the lexicon.
+ */
+const comparePronunciation = (targetWord, heardWord) => {
+  const targetPhonemes = getPhonemes(targetWord);
+  const heardPhonemes = getPhonemes(heardWord);
+  const steps = targetPhonemes && heardPhonemes ? alignPhonemes(targetPhonemes, heardPhonemes) : null;
+
+  return {
+    targetPhonemes,
+    heardPhonemes,
+    steps,
+    differences: steps ? describePhonemeDifferences(steps) : []
+  };
+};
+
+/**
+ * Render one side of a comparison as IPA between slashes, highlighting
+ * the phonemes that differ; the ARPAbet transcription is in the tooltip
+ */
+const getPhonemeTranscriptionHtml = (phonemes, steps, side) => {
+  if (!phonemes) {
+    return '<span class="phoneme-unknown">not in the pronunciation dictionary</span>';
   }
 
-  const defaultLocale = localStorage.getItem(STORAGE_KEY_LOCALE) || navigator.language || 'en-US';
+  const symbols = steps
+    ? steps.filter(step => step[side]).map(step => {
+      const symbol = escapeHtml(phonemeToIpa(step[side]));
+      return isPhonemeDifference(step) ? `<mark class="phoneme-diff">${symbol}</mark>` : symbol;
+    })
+    : phonemes.map(phoneme => escapeHtml(phonemeToIpa(phoneme)));
+
+  return `<span class="phoneme-ipa" title="${escapeHtml(phonemes.join(' '))}">/${symbols.join('')}/</span>`;
+};
+
+/**
+ * Explain the most recent mispronounced words sound by sound, from the
+ * mismatched and close tokens of the recognized transcript (English only)
+ */
+const renderPhonemeFeedback = tokens => {
+  if (!phonemeFeedback) return;
 
-  recognition = new SpeechRecognition();
-  recognition.lang = defaultLocale;
-  recognition.interimResults = true;
-  recognition.maxAlternatives = 1;
-  recognition.continuous = true;
+  const items = [];
+  if (PHONEME_FEEDBACK_LANGUAGES.has(getLanguage(getCurrentLocale()))) {
+    const seen = new Set();
+    for (let index = tokens.length - 1; index >= 0 && items.length < MAX_PHONEME_FEEDBACK; index--) {
+      const { word, match } = tokens[index];
+      if (!match || (match.status !== 'mismatch' && match.status !== 'close')) continue;
+      if (match.targetIndex === null || match.targetIndex === undefined) continue;
 
-  recognition.addEventListener('result', handleRecognitionResult);
-  recognition.addEventListener('end', handleRecognitionEnd);
-  recognition.addEventListener('error', handleRecognitionError);
+      const target = targetWords[match.targetIndex];
+      const key = `${target} ${word}`;
+      if (!target || target === word || seen.has(key)) continue;
+      seen.add(key);
 
-  // Also handle audiostart/audioend for better status feedback
-  recognition.addEventListener('audiostart', () => {
-    if (isListening) {
-      updateSessionStatus('Listening…', 'status-listening');
+      items.push({ target, display: displayWords[match.targetIndex].original, heard: tokens[index].raw || word, word });
     }
+  }
+
+  phonemeFeedbackList.innerHTML = '';
+  items.forEach(item => {
+    const comparison = comparePronunciation(item.target, item.word);
+    const note = comparison.differences.length
+      ? comparison.differences.join(', ')
+      : comparison.steps ? 'Same sounds; only the stress or spelling differs' : '';
+
+    const row = document.createElement('li');
+    row.className = 'phoneme-row';
+    row.innerHTML = `
+      <span class="phoneme-label">Target</span>
+      <strong>${escapeHtml(item.display)}</strong>
+      ${getPhonemeTranscriptionHtml(comparison.targetPhonemes, comparison.steps, 'target')}
+      <span class="phoneme-label">Heard</span>
+      <strong>${escapeHtml(item.heard)}</strong>
+      ${getPhonemeTranscriptionHtml(comparison.heardPhonemes, comparison.steps, 'heard')}
+      ${note ? `<span class="phoneme-note">${escapeHtml(note)}</span>` : ''}
+    `;
+    phonemeFeedbackList.appendChild(row);
   });
 
-  // Initialize locale selector if present
-  if (localeSelect) {
-    localeSelect.value = defaultLocale;
-    localeSelect.addEventListener('change', () => {
-      if (recognition) {
-        recognition.lang = localeSelect.value;
-        localStorage.setItem(STORAGE_KEY_LOCALE, localeSelect.value);
-      }
-    });
-  }
+  phonemeFeedback.hidden = items.length === 0;
 };
 
 /**
@@ -798,6 +8270,11 @@ const initializeSpeechRecognition = () => {
 const saveToStorage = () => {
   try {
     localStorage.setItem(STORAGE_KEY_TEXT, textInput.value);
+    if (textSegmentMode) {
+      localStorage.setItem(STORAGE_KEY_TEXT_SEGMENT_MODE, textSegmentMode);
+    } else {
+      localStorage.removeItem(STORAGE_KEY_TEXT_SEGMENT_MODE);
+    }
   } catch (e) {
     // localStorage might be unavailable
     debugLog('Failed to save to localStorage:', e);
@@ -812,6 +8289,8 @@ const loadFromStorage = () => {
     const savedText = localStorage.getItem(STORAGE_KEY_TEXT);
     if (savedText && textInput) {
       textInput.value = savedText;
+      const savedMode = localStorage.getItem(STORAGE_KEY_TEXT_SEGMENT_MODE);
+      textSegmentMode = SEGMENT_MODES.includes(savedMode) ? savedMode : null;
     }
   } catch (e) {
     debugLog('Failed to load from localStorage:', e);
@@ -819,16 +8298,45 @@ const loadFromStorage = () => {
 };
 
 // Event listeners
-enterButton.addEventListener('click', addTextToView);
+enterButton.addEventListener('click', () => addTextToView());
 clearButton.addEventListener('click', clearSidebarInput);
 clearViewButton.addEventListener('click', clearTextView);
 startSessionButton.addEventListener('click', startListening);
-stopSessionButton.addEventListener('click', stopListening);
+stopSessionButton.addEventListener('click', handleStopRequest);
 
 if (skipWordButton) {
   skipWordButton.addEventListener('click', skipCurrentWord);
 }
 
+if (exportReportButton) {
+  exportReportButton.addEventListener('click', exportSessionReport);
+}
+
+if (shadowingButton) {
+  shadowingButton.addEventListener('click', toggleShadowing);
+}
+
+if (segmentModeSelect) {
+  segmentModeSelect.value = loadSetting(STORAGE_KEY_SEGMENT_MODE) || 'sentence';
+  segmentModeSelect.addEventListener('change', changeSegmentMode);
+}
+
+if (prevSegmentButton && nextSegmentButton) {
+  prevSegmentButton.addEventListener('click', () => moveSegment(-1));
+  nextSegmentButton.addEventListener('click', () => moveSegment(1));
+}
+
+if (shadowingAttemptsInput) {
+  shadowingAttemptsInput.value = loadSetting(STORAGE_KEY_SHADOWING_ATTEMPTS) || String(SHADOWING_DEFAULT_ATTEMPTS);
+  shadowingAttemptsInput.addEventListener('change', () => {
+    saveSetting(STORAGE_KEY_SHADOWING_ATTEMPTS, String(getShadowingMaxAttempts()));
+  });
+}
+
+if (localeSelect) {
+  localeSelect.addEventListener('change', resegmentTextView);
+}
+
 textInput.addEventListener('keydown', event => {
   if (event.key === 'Enter' && (event.metaKey || event.ctrlKey)) {
     event.preventDefault();
@@ -839,6 +8347,10 @@ textInput.addEventListener('keydown', event => {
 // Save text on input change (debounced)
 let saveTimeout = null;
 textInput.addEventListener('input', () => {
+  // An emptied input no longer holds the imported document
+  if (!textInput.value.trim()) {
+    textSegmentMode = null;
+  }
   if (saveTimeout) clearTimeout(saveTimeout);
   saveTimeout = setTimeout(saveToStorage, 500);
 });
@@ -852,20 +8364,47 @@ document.addEventListener('keydown', event => {
       startListening();
     }
   }
+  // Alt+P to play (or stop) the reference pronunciation
+  if (event.altKey && event.key === 'p') {
+    event.preventDefault();
+    togglePlaySentence();
+  }
+  // Alt+N / Alt+B for the next / previous segment
+  if (event.altKey && event.key === 'n') {
+    event.preventDefault();
+    moveSegment(1);
+  }
+  if (event.altKey && event.key === 'b') {
+    event.preventDefault();
+    moveSegment(-1);
+  }
   // Alt+J to skip the current word
   if (event.altKey && event.key === 'j') {
     event.preventDefault();
     skipCurrentWord();
   }
-  // Alt+X or Escape to stop listening
-  if ((event.altKey && event.key === 'x') || (event.key === 'Escape' && isListening)) {
+  // Alt+X or Escape to stop listening (and shadowing)
+  if ((event.altKey && event.key === 'x') || (event.key === 'Escape' && (isListening || isGuidedPractice()))) {
     event.preventDefault();
-    stopListening();
+    handleStopRequest();
   }
 });
 
 // Initialize
 initializeSpeechRecognition();
+initializeMatchSettings();
+initializeSpeechSynthesis();
+initializeRecordings();
+initializeHistory();
+initializeDrill();
+initializeMinimalPairs();
+initializeVariants();
+initializeWordActions();
+initializeVoiceCommands();
+initializeMicrophoneTest();
+initializeLessonLibrary();
+initializeFileImport();
 loadFromStorage();
 setRecognizedMessage(idleRecognizedMessage);
-updateSessionStatus('Idle', 'status-idle');
\ No newline at end of file
+updateSessionStatus('Idle', 'status-idle');
+initializeSharing();
\ No newline at end of file